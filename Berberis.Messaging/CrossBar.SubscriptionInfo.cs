@@ -4,6 +4,12 @@ namespace Berberis.Messaging;
 
 partial class CrossBar
 {
+    // Settings reported in SubscriptionInfo but not part of ISubscription, so implementers outside the library aren't affected
+    internal interface ISubscriptionSettings
+    {
+        SlowConsumerStrategy SlowConsumerStrategy { get; }
+    }
+
     /// <summary>Subscription information snapshot.</summary>
     public record struct SubscriptionInfo
     {
@@ -17,7 +23,11 @@ partial class CrossBar
         public DateTime SubscribedOn { get; init; }
         /// <summary>Message conflation interval.</summary>
         public TimeSpan ConflationInterval { get; init; }
+        /// <summary>Backpressure handling strategy.</summary>
+        public SlowConsumerStrategy SlowConsumerStrategy { get; init; }
         /// <summary>Subscription statistics.</summary>
         public StatsTracker Statistics { get; init; }
+        /// <summary>The subscription itself, to suspend, resume or detach it.</summary>
+        public ISubscription Subscription { get; init; }
     }
 }
\ No newline at end of file
@@ -767,7 +767,9 @@ public sealed partial class CrossBar : ICrossBar, IDisposable
                         IsWildcard= kvp.Value.IsWildcard,
                         SubscribedOn = kvp.Value.SubscribedOn,
                         ConflationInterval = kvp.Value.ConflationInterval,
-                        Statistics = kvp.Value.Statistics
+                        SlowConsumerStrategy = (kvp.Value as ISubscriptionSettings)?.SlowConsumerStrategy ?? default,
+                        Statistics = kvp.Value.Statistics,
+                        Subscription = kvp.Value
                     };
                 })
                 .ToList();
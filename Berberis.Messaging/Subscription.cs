@@ -6,7 +6,7 @@ using System.Threading.Channels;
 namespace Berberis.Messaging;
 
 /// <summary>Typed subscription to channel messages.</summary>
-public sealed partial class Subscription<TBody> : ISubscription
+public sealed partial class Subscription<TBody> : ISubscription, CrossBar.ISubscriptionSettings
 {
     private readonly ILogger<Subscription<TBody>> _logger;
     private readonly Channel<Message<TBody>> _channel;
@@ -10,11 +10,13 @@ public class ChannelsController : ControllerBase
 {
     private readonly IPortalService _portalService;
     private readonly ILogger<ChannelsController> _logger;
+    private readonly bool _publishingEnabled;
 
-    public ChannelsController(IPortalService portalService, ILogger<ChannelsController> logger)
+    public ChannelsController(IPortalService portalService, ILogger<ChannelsController> logger, IConfiguration configuration)
     {
         _portalService = portalService;
         _logger = logger;
+        _publishingEnabled = configuration.GetValue<bool>("PortalOptions:EnablePublishing", false);
     }
 
     /// <summary>Gets all channels with optional filtering.</summary>
@@ -76,15 +78,23 @@ public class ChannelsController : ControllerBase
         }
     }
 
-    /// <summary>Gets state keys for a stateful channel.</summary>
+    /// <summary>Gets a page of stored messages for a stateful channel, optionally filtered by key.</summary>
     [HttpGet("{channelName}/state")]
-    [ProducesResponseType(typeof(List<string>), StatusCodes.Status200OK)]
-    public async Task<ActionResult<List<string>>> GetChannelState(string channelName)
+    [ProducesResponseType(typeof(ChannelStateDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<ChannelStateDto>> GetChannelState(
+        string channelName,
+        [FromQuery] string? search = null,
+        [FromQuery] int offset = 0,
+        [FromQuery] int limit = 50)
     {
         try
         {
-            var stateKeys = await _portalService.GetChannelStateKeysAsync(channelName);
-            return Ok(stateKeys);
+            var state = await _portalService.GetChannelStateAsync(channelName, search, offset, limit);
+            if (state == null)
+                return NotFound(new { error = $"Channel '{channelName}' not found" });
+
+            return Ok(state);
         }
         catch (Exception ex)
         {
@@ -93,6 +103,79 @@ public class ChannelsController : ControllerBase
         }
     }
 
+    /// <summary>Gets a page of a channel's message store, newest first, filtered by key prefix and time range.</summary>
+    [HttpGet("{channelName}/messages")]
+    [ProducesResponseType(typeof(ChannelMessagesDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<ChannelMessagesDto>> GetChannelMessages(
+        string channelName,
+        [FromQuery] string? keyPrefix = null,
+        [FromQuery] DateTime? from = null,
+        [FromQuery] DateTime? to = null,
+        [FromQuery] int offset = 0,
+        [FromQuery] int limit = 50)
+    {
+        try
+        {
+            var start = from.HasValue ? QueryTime.ToUtc(from.Value) : (DateTime?)null;
+            var end = to.HasValue ? QueryTime.ToUtc(to.Value) : (DateTime?)null;
+
+            if (start >= end)
+                return BadRequest(new { error = "'from' must be earlier than 'to'" });
+
+            var messages = await _portalService.GetChannelMessagesAsync(channelName, keyPrefix, start, end, offset, limit);
+            if (messages == null)
+                return NotFound(new { error = $"Channel '{channelName}' not found" });
+
+            return Ok(messages);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting messages for channel {ChannelName}", channelName);
+            return StatusCode(500, new { error = "Internal server error" });
+        }
+    }
+
+    /// <summary>
+    /// Publishes a test message to an existing channel. Disabled unless PortalOptions:EnablePublishing is set;
+    /// pass dryRun to validate the body against the channel's type without publishing.
+    /// </summary>
+    [HttpPost("{channelName}/publish")]
+    [ProducesResponseType(typeof(OperationResultDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(typeof(OperationResultDto), StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(typeof(OperationResultDto), StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<OperationResultDto>> PublishMessage(string channelName, [FromBody] PublishMessageRequestDto request)
+    {
+        if (!_publishingEnabled)
+        {
+            return StatusCode(StatusCodes.Status403Forbidden, new OperationResultDto
+            {
+                Success = false,
+                Error = "Publishing is disabled on this server (PortalOptions:EnablePublishing)"
+            });
+        }
+
+        try
+        {
+            var result = await _portalService.PublishMessageAsync(channelName, request);
+            if (result == null)
+                return NotFound(new { error = $"Channel '{channelName}' not found" });
+
+            return result.Success ? Ok(result) : BadRequest(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error publishing to channel {ChannelName}", channelName);
+            return StatusCode(500, new OperationResultDto
+            {
+                Success = false,
+                Error = "Internal server error"
+            });
+        }
+    }
+
     /// <summary>Resets a channel (clears message store).</summary>
     [HttpPost("{channelName}/reset")]
     [ProducesResponseType(typeof(Contracts.DTOs.OperationResultDto), StatusCodes.Status200OK)]
@@ -151,7 +234,7 @@ public class ChannelsController : ControllerBase
             return Ok(new Contracts.DTOs.OperationResultDto
             {
                 Success = false,
-                Error = "Delete state key operation not yet implemented - requires CrossBar API enhancement"
+                Error = $"State key '{key}' not found in channel '{channelName}'"
             });
         }
         catch (Exception ex)
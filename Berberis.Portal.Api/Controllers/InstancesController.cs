@@ -0,0 +1,45 @@
+using Berberis.Portal.Contracts.DTOs;
+using Microsoft.AspNetCore.Mvc;
+
+namespace Berberis.Portal.Api.Controllers;
+
+[ApiController]
+[Route("api/[controller]")]
+public class InstancesController : ControllerBase
+{
+    private readonly IConfiguration _configuration;
+    private readonly ILogger<InstancesController> _logger;
+
+    public InstancesController(IConfiguration configuration, ILogger<InstancesController> logger)
+    {
+        _configuration = configuration;
+        _logger = logger;
+    }
+
+    /// <summary>Gets the CrossBar instances the portal can switch between.</summary>
+    /// <remarks>Configured under PortalOptions:Instances. When none are configured, only this host is listed.</remarks>
+    [HttpGet]
+    [ProducesResponseType(typeof(List<PortalInstanceDto>), StatusCodes.Status200OK)]
+    public ActionResult<List<PortalInstanceDto>> GetInstances()
+    {
+        try
+        {
+            var instances = _configuration.GetSection("PortalOptions:Instances").Get<List<PortalInstanceDto>>();
+
+            if (instances == null || instances.Count == 0)
+            {
+                instances = new List<PortalInstanceDto>
+                {
+                    new() { Id = "local", Name = "Local" }
+                };
+            }
+
+            return Ok(instances);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reading portal instances");
+            return StatusCode(500, new { error = "Internal server error" });
+        }
+    }
+}
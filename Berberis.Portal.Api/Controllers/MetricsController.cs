@@ -1,4 +1,5 @@
 using Berberis.Portal.Api.Services;
+using Berberis.Portal.Contracts.DTOs;
 using Microsoft.AspNetCore.Mvc;
 using System.Text;
 
@@ -9,11 +10,13 @@ namespace Berberis.Portal.Api.Controllers;
 public class MetricsController : ControllerBase
 {
     private readonly IPortalService _portalService;
+    private readonly MetricsHistoryService _metricsHistory;
     private readonly ILogger<MetricsController> _logger;
 
-    public MetricsController(IPortalService portalService, ILogger<MetricsController> logger)
+    public MetricsController(IPortalService portalService, MetricsHistoryService metricsHistory, ILogger<MetricsController> logger)
     {
         _portalService = portalService;
+        _metricsHistory = metricsHistory;
         _logger = logger;
     }
 
@@ -43,6 +46,39 @@ public class MetricsController : ControllerBase
         }
     }
 
+    /// <summary>Gets recorded metrics for a time window, one point per step.</summary>
+    /// <param name="from">Window start (UTC). Defaults to 15 minutes before <paramref name="to"/>.</param>
+    /// <param name="to">Window end (UTC). Defaults to now.</param>
+    /// <param name="step">Step width in milliseconds. Defaults to a width giving at most 300 points; never below the recording interval.</param>
+    [HttpGet("history")]
+    [ProducesResponseType(typeof(MetricsHistoryDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public ActionResult<MetricsHistoryDto> GetMetricsHistory(
+        [FromQuery] DateTime? from = null,
+        [FromQuery] DateTime? to = null,
+        [FromQuery] int? step = null)
+    {
+        try
+        {
+            var end = to.HasValue ? QueryTime.ToUtc(to.Value) : DateTime.UtcNow;
+            var start = from.HasValue ? QueryTime.ToUtc(from.Value) : end.AddMinutes(-15);
+
+            if (start >= end)
+                return BadRequest(new { error = "'from' must be earlier than 'to'" });
+
+            if (step is <= 0)
+                return BadRequest(new { error = "'step' must be a positive number of milliseconds" });
+
+            var history = _metricsHistory.GetHistory(start, end, step.HasValue ? TimeSpan.FromMilliseconds(step.Value) : null);
+            return Ok(history);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting metrics history");
+            return StatusCode(500, new { error = "Internal server error" });
+        }
+    }
+
     /// <summary>Exports metrics in specified format.</summary>
     [HttpGet("export")]
     [ProducesResponseType(StatusCodes.Status200OK)]
@@ -94,6 +130,7 @@ public class MetricsController : ControllerBase
         sb.AppendLine($"Total Messages Processed,{overview.TotalMessagesProcessed}");
         sb.AppendLine($"Total Timeouts,{overview.TotalTimeouts}");
         sb.AppendLine($"Subscriptions with Backlog,{overview.SubscriptionsWithBacklog}");
+        sb.AppendLine($"System Error Rate (%),{overview.SystemErrorRate * 100:F2}");
         sb.AppendLine();
 
         // Channels section
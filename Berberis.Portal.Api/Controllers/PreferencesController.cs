@@ -0,0 +1,110 @@
+using Berberis.Portal.Api.Services;
+using Berberis.Portal.Contracts.DTOs;
+using Microsoft.AspNetCore.Mvc;
+
+namespace Berberis.Portal.Api.Controllers;
+
+/// <summary>
+/// Per-user portal preferences and saved views. The portal has no sign-in, so the user is
+/// whatever name the browser syncs under.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class PreferencesController : ControllerBase
+{
+    private readonly UserPreferencesService _preferencesService;
+    private readonly ILogger<PreferencesController> _logger;
+
+    public PreferencesController(UserPreferencesService preferencesService, ILogger<PreferencesController> logger)
+    {
+        _preferencesService = preferencesService;
+        _logger = logger;
+    }
+
+    /// <summary>Gets a user's saved preferences.</summary>
+    [HttpGet("{user}")]
+    [ProducesResponseType(typeof(UserPreferencesDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<UserPreferencesDto>> GetPreferences(string user)
+    {
+        if (!UserPreferencesService.IsValidUserName(user))
+            return BadRequest(new { error = InvalidUserMessage });
+
+        try
+        {
+            var preferences = await _preferencesService.GetAsync(user);
+            if (preferences == null)
+                return NotFound(new { error = $"No preferences saved for '{user}'" });
+
+            return Ok(preferences);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting preferences for {User}", user);
+            return StatusCode(500, new { error = "Internal server error" });
+        }
+    }
+
+    /// <summary>Replaces a user's preferences.</summary>
+    [HttpPut("{user}")]
+    [ProducesResponseType(typeof(UserPreferencesDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<UserPreferencesDto>> SavePreferences(string user, [FromBody] UserPreferencesDto preferences)
+    {
+        if (!UserPreferencesService.IsValidUserName(user))
+            return BadRequest(new { error = InvalidUserMessage });
+
+        // JSON nulls get past model binding
+        if (preferences.Sections == null || preferences.Views == null || preferences.Views.Any(v => v == null))
+            return BadRequest(new { error = "Sections and views are required" });
+
+        if (preferences.Views.Count > _preferencesService.MaxSavedViews)
+            return BadRequest(new { error = $"At most {_preferencesService.MaxSavedViews} views can be saved" });
+
+        if (preferences.Views.Any(v => string.IsNullOrWhiteSpace(v.Name) || string.IsNullOrEmpty(v.Screen)
+                || v.Route == null || !v.Route.StartsWith('#') || v.Sections == null))
+            return BadRequest(new { error = "Every view needs a name, a screen and a portal route starting with '#'" });
+
+        var duplicate = preferences.Views
+            .GroupBy(v => v.Name, StringComparer.Ordinal)
+            .FirstOrDefault(g => g.Count() > 1);
+        if (duplicate != null)
+            return BadRequest(new { error = $"More than one view is named '{duplicate.Key}'" });
+
+        try
+        {
+            return Ok(await _preferencesService.SaveAsync(user, preferences));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error saving preferences for {User}", user);
+            return StatusCode(500, new { error = "Internal server error" });
+        }
+    }
+
+    /// <summary>Deletes a user's saved preferences.</summary>
+    [HttpDelete("{user}")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public IActionResult DeletePreferences(string user)
+    {
+        if (!UserPreferencesService.IsValidUserName(user))
+            return BadRequest(new { error = InvalidUserMessage });
+
+        try
+        {
+            return _preferencesService.Delete(user)
+                ? NoContent()
+                : NotFound(new { error = $"No preferences saved for '{user}'" });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deleting preferences for {User}", user);
+            return StatusCode(500, new { error = "Internal server error" });
+        }
+    }
+
+    private const string InvalidUserMessage = "User names are 1-64 letters, digits, '.', '_', '@' or '-'";
+}
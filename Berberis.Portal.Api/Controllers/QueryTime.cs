@@ -0,0 +1,13 @@
+namespace Berberis.Portal.Api.Controllers;
+
+/// <summary>Times taken from query strings.</summary>
+internal static class QueryTime
+{
+    /// <summary>Converts a bound query time to UTC; one without an offset is taken as UTC already.</summary>
+    public static DateTime ToUtc(DateTime value) => value.Kind switch
+    {
+        DateTimeKind.Utc => value,
+        DateTimeKind.Local => value.ToUniversalTime(),
+        _ => DateTime.SpecifyKind(value, DateTimeKind.Utc)
+    };
+}
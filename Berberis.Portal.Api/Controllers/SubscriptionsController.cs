@@ -8,13 +8,23 @@ namespace Berberis.Portal.Api.Controllers;
 [Route("api/[controller]")]
 public class SubscriptionsController : ControllerBase
 {
+    // Operation -> past tense for messages
+    private static readonly Dictionary<string, string> Operations = new()
+    {
+        ["suspend"] = "suspended",
+        ["resume"] = "resumed",
+        ["detach"] = "detached"
+    };
+
     private readonly IPortalService _portalService;
     private readonly ILogger<SubscriptionsController> _logger;
+    private readonly int _maxBatchSize;
 
-    public SubscriptionsController(IPortalService portalService, ILogger<SubscriptionsController> logger)
+    public SubscriptionsController(IPortalService portalService, ILogger<SubscriptionsController> logger, IConfiguration configuration)
     {
         _portalService = portalService;
         _logger = logger;
+        _maxBatchSize = configuration.GetValue<int>("PortalOptions:MaxBatchSize", 500);
     }
 
     /// <summary>Gets all subscriptions with optional filtering.</summary>
@@ -65,22 +75,7 @@ public class SubscriptionsController : ControllerBase
         try
         {
             _logger.LogInformation("Attempting to suspend subscription {SubscriptionId}", id);
-            var success = await _portalService.SuspendSubscriptionAsync(id);
-
-            if (success)
-            {
-                return Ok(new Contracts.DTOs.OperationResultDto
-                {
-                    Success = true,
-                    Message = $"Subscription '{id}' suspended successfully"
-                });
-            }
-
-            return Ok(new Contracts.DTOs.OperationResultDto
-            {
-                Success = false,
-                Error = "Suspend operation not yet implemented - requires CrossBar API enhancement"
-            });
+            return Ok(await ApplyOperationAsync("suspend", id));
         }
         catch (Exception ex)
         {
@@ -101,22 +96,7 @@ public class SubscriptionsController : ControllerBase
         try
         {
             _logger.LogInformation("Attempting to resume subscription {SubscriptionId}", id);
-            var success = await _portalService.ResumeSubscriptionAsync(id);
-
-            if (success)
-            {
-                return Ok(new Contracts.DTOs.OperationResultDto
-                {
-                    Success = true,
-                    Message = $"Subscription '{id}' resumed successfully"
-                });
-            }
-
-            return Ok(new Contracts.DTOs.OperationResultDto
-            {
-                Success = false,
-                Error = "Resume operation not yet implemented - requires CrossBar API enhancement"
-            });
+            return Ok(await ApplyOperationAsync("resume", id));
         }
         catch (Exception ex)
         {
@@ -137,22 +117,7 @@ public class SubscriptionsController : ControllerBase
         try
         {
             _logger.LogInformation("Attempting to detach subscription {SubscriptionId}", id);
-            var success = await _portalService.DetachSubscriptionAsync(id);
-
-            if (success)
-            {
-                return Ok(new Contracts.DTOs.OperationResultDto
-                {
-                    Success = true,
-                    Message = $"Subscription '{id}' detached successfully"
-                });
-            }
-
-            return Ok(new Contracts.DTOs.OperationResultDto
-            {
-                Success = false,
-                Error = "Detach operation not yet implemented - requires CrossBar API enhancement"
-            });
+            return Ok(await ApplyOperationAsync("detach", id));
         }
         catch (Exception ex)
         {
@@ -164,4 +129,74 @@ public class SubscriptionsController : ControllerBase
             });
         }
     }
+
+    /// <summary>Suspends, resumes or detaches several subscriptions, with a result for each.</summary>
+    /// <remarks>One subscription failing doesn't stop the rest; check each result.</remarks>
+    [HttpPost("batch")]
+    [ProducesResponseType(typeof(BatchOperationResultDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<BatchOperationResultDto>> ApplyBatchOperation([FromBody] BatchSubscriptionOperationRequestDto request)
+    {
+        var operation = request.Operation?.ToLowerInvariant() ?? string.Empty;
+        if (!Operations.ContainsKey(operation))
+            return BadRequest(new { error = $"Unknown operation '{request.Operation}'; expected suspend, resume or detach" });
+
+        var ids = (request.Ids ?? new List<string>())
+            .Where(id => !string.IsNullOrWhiteSpace(id))
+            .Distinct(StringComparer.Ordinal)
+            .ToList();
+        if (ids.Count == 0)
+            return BadRequest(new { error = "No subscription IDs given" });
+        if (ids.Count > _maxBatchSize)
+            return BadRequest(new { error = $"At most {_maxBatchSize} subscriptions can be changed at once" });
+
+        try
+        {
+            _logger.LogInformation("Applying {Operation} to {Count} subscriptions", operation, ids.Count);
+
+            var batch = new BatchOperationResultDto { Operation = operation };
+            foreach (var id in ids)
+            {
+                OperationResultDto result;
+                try
+                {
+                    result = await ApplyOperationAsync(operation, id);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error applying {Operation} to subscription {SubscriptionId}", operation, id);
+                    result = new OperationResultDto { Success = false, Error = "Internal server error" };
+                }
+
+                batch.Results.Add(new BatchOperationItemResultDto { Id = id, Result = result });
+                if (result.Success)
+                    batch.Succeeded++;
+                else
+                    batch.Failed++;
+            }
+
+            return Ok(batch);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error applying {Operation} to {Count} subscriptions", operation, ids.Count);
+            return StatusCode(500, new { error = "Internal server error" });
+        }
+    }
+
+    // Shared by the single and batch endpoints so both report the same outcome
+    private async Task<OperationResultDto> ApplyOperationAsync(string operation, string id)
+    {
+        var success = operation switch
+        {
+            "suspend" => await _portalService.SuspendSubscriptionAsync(id),
+            "resume" => await _portalService.ResumeSubscriptionAsync(id),
+            "detach" => await _portalService.DetachSubscriptionAsync(id),
+            _ => throw new ArgumentOutOfRangeException(nameof(operation), operation, null)
+        };
+
+        return success
+            ? new OperationResultDto { Success = true, Message = $"Subscription '{id}' {Operations[operation]} successfully" }
+            : new OperationResultDto { Success = false, Error = $"Subscription '{id}' not found" };
+    }
 }
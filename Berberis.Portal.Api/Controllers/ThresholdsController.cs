@@ -0,0 +1,60 @@
+using Berberis.Portal.Api.Services;
+using Berberis.Portal.Contracts.DTOs;
+using Microsoft.AspNetCore.Mvc;
+
+namespace Berberis.Portal.Api.Controllers;
+
+/// <summary>
+/// Bottleneck thresholds shared by the portal's screens, with per channel pattern overrides.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class ThresholdsController : ControllerBase
+{
+    private readonly ThresholdService _thresholdService;
+    private readonly ILogger<ThresholdsController> _logger;
+
+    public ThresholdsController(ThresholdService thresholdService, ILogger<ThresholdsController> logger)
+    {
+        _thresholdService = thresholdService;
+        _logger = logger;
+    }
+
+    /// <summary>Gets the current thresholds and overrides.</summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(ThresholdSettingsDto), StatusCodes.Status200OK)]
+    public ActionResult<ThresholdSettingsDto> GetThresholds()
+    {
+        return Ok(_thresholdService.Get());
+    }
+
+    /// <summary>Gets the rules thresholds are validated against.</summary>
+    [HttpGet("schema")]
+    [ProducesResponseType(typeof(ThresholdSchemaDto), StatusCodes.Status200OK)]
+    public ActionResult<ThresholdSchemaDto> GetSchema()
+    {
+        return Ok(_thresholdService.GetSchema());
+    }
+
+    /// <summary>Replaces the thresholds and overrides.</summary>
+    /// <response code="400">The settings break the schema; errors lists every problem.</response>
+    [HttpPut]
+    [ProducesResponseType(typeof(ThresholdSettingsDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<ThresholdSettingsDto>> SaveThresholds([FromBody] ThresholdSettingsDto settings)
+    {
+        var errors = _thresholdService.Validate(settings);
+        if (errors.Count > 0)
+            return BadRequest(new { error = errors[0], errors });
+
+        try
+        {
+            return Ok(await _thresholdService.SaveAsync(settings));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error saving bottleneck thresholds");
+            return StatusCode(500, new { error = "Internal server error" });
+        }
+    }
+}
@@ -22,17 +22,21 @@ builder.Services.AddSwaggerGen(options =>
 // Add SignalR
 builder.Services.AddSignalR();
 
-// Configure CORS for frontend
+// Configure CORS for frontend. Portals on other hosts (PortalOptions:Instances) call this
+// API cross-origin, so their origins must be listed in Cors:AllowedOrigins.
+var allowedOrigins = builder.Configuration.GetSection("Cors:AllowedOrigins").Get<string[]>() ?? new[]
+{
+    "https://localhost:5001",
+    "http://localhost:5000",
+    "https://localhost:7001",
+    "http://localhost:7000"
+};
+
 builder.Services.AddCors(options =>
 {
     options.AddPolicy("AllowFrontend", policy =>
     {
-        policy.WithOrigins(
-            "https://localhost:5001",
-            "http://localhost:5000",
-            "https://localhost:7001",
-            "http://localhost:7000"
-        )
+        policy.WithOrigins(allowedOrigins)
         .AllowAnyHeader()
         .AllowAnyMethod()
         .AllowCredentials();
@@ -62,6 +66,10 @@ builder.Services.AddSingleton<ICrossBar>(sp =>
 builder.Services.AddSingleton<IPortalService, PortalService>();
 builder.Services.AddSingleton<ErrorTrackingService>();
 builder.Services.AddHostedService<EventStreamingService>();
+builder.Services.AddSingleton<MetricsHistoryService>();
+builder.Services.AddHostedService(sp => sp.GetRequiredService<MetricsHistoryService>());
+builder.Services.AddSingleton<UserPreferencesService>();
+builder.Services.AddSingleton<ThresholdService>();
 
 // Configure logging
 builder.Logging.ClearProviders();
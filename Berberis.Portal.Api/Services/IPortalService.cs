@@ -29,12 +29,21 @@ public interface IPortalService
     /// <summary>Detaches (removes) a subscription.</summary>
     Task<bool> DetachSubscriptionAsync(string subscriptionId);
 
-    /// <summary>Gets state keys for a stateful channel.</summary>
-    Task<List<string>> GetChannelStateKeysAsync(string channelName);
+    /// <summary>Gets a page of stored messages for a stateful channel.</summary>
+    Task<ChannelStateDto?> GetChannelStateAsync(string channelName, string? searchTerm = null, int offset = 0, int limit = 50);
+
+    /// <summary>Gets a page of a channel's message store, newest first, filtered by key prefix and time range (UTC).</summary>
+    Task<ChannelMessagesDto?> GetChannelMessagesAsync(string channelName, string? keyPrefix = null, DateTime? from = null, DateTime? to = null, int offset = 0, int limit = 50);
 
     /// <summary>Deletes a specific state key from a stateful channel.</summary>
     Task<bool> DeleteChannelStateKeyAsync(string channelName, string key);
 
+    /// <summary>
+    /// Publishes a message to an existing channel after deserializing its body to the channel's body type.
+    /// Returns null if the channel doesn't exist; validation failures come back as an unsuccessful result.
+    /// </summary>
+    Task<OperationResultDto?> PublishMessageAsync(string channelName, PublishMessageRequestDto request);
+
     /// <summary>Resets a channel (clears message store if applicable).</summary>
     Task<bool> ResetChannelAsync(string channelName);
 
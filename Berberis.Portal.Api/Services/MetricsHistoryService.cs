@@ -0,0 +1,237 @@
+using Berberis.Portal.Contracts.DTOs;
+
+namespace Berberis.Portal.Api.Services;
+
+/// <summary>
+/// Records overview, channel and subscription metrics at a fixed interval into a ring buffer
+/// covering PortalOptions:MetricsHistoryDurationMinutes, and serves downsampled windows of it.
+/// </summary>
+/// <remarks>
+/// Each sample holds one entry per channel and subscription, about 100 bytes each, so the buffer
+/// takes roughly samples × series × 100 bytes. PortalOptions:MetricsHistoryMaxSeries caps the
+/// series per sample; with the defaults (240 samples, 1,000 series) that is about 24 MB.
+/// </remarks>
+public class MetricsHistoryService : BackgroundService
+{
+    /// <summary>Points per series when the caller doesn't choose a step.</summary>
+    public const int DefaultMaxPoints = 300;
+
+    /// <summary>Channel and subscription series recorded per sample unless configured.</summary>
+    public const int DefaultMaxSeries = 1000;
+
+    private readonly IPortalService _portalService;
+    private readonly ILogger<MetricsHistoryService> _logger;
+    private readonly MetricsSample?[] _samples;
+    private readonly object _lock = new();
+    private int _next;
+    private int _count;
+    private bool _seriesCapLogged;
+
+    public MetricsHistoryService(IPortalService portalService, ILogger<MetricsHistoryService> logger, IConfiguration configuration)
+    {
+        _portalService = portalService;
+        _logger = logger;
+
+        SampleInterval = TimeSpan.FromMilliseconds(
+            Math.Max(1000, configuration.GetValue<int>("PortalOptions:MetricsHistoryIntervalMs", 15000)));
+        Retention = TimeSpan.FromMinutes(
+            Math.Max(1, configuration.GetValue<int>("PortalOptions:MetricsHistoryDurationMinutes", 60)));
+        MaxSeries = Math.Max(0, configuration.GetValue<int>("PortalOptions:MetricsHistoryMaxSeries", DefaultMaxSeries));
+
+        _samples = new MetricsSample?[(int)Math.Ceiling(Retention / SampleInterval)];
+    }
+
+    /// <summary>Time between recorded samples.</summary>
+    public TimeSpan SampleInterval { get; }
+
+    /// <summary>How far back samples are kept.</summary>
+    public TimeSpan Retention { get; }
+
+    /// <summary>Most channel and subscription series kept per sample; channels are kept first.</summary>
+    public int MaxSeries { get; }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        _logger.LogInformation("Recording metrics history every {Interval} for {Retention}", SampleInterval, Retention);
+
+        using var timer = new PeriodicTimer(SampleInterval);
+
+        try
+        {
+            do
+            {
+                try
+                {
+                    await RecordAsync();
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error recording metrics history");
+                }
+            }
+            while (await timer.WaitForNextTickAsync(stoppingToken));
+        }
+        catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+        {
+        }
+    }
+
+    private async Task RecordAsync()
+    {
+        var overview = await _portalService.GetSystemOverviewAsync();
+        var channels = await _portalService.GetAllChannelsAsync();
+        var subscriptions = await _portalService.GetAllSubscriptionsAsync();
+
+        Record(DateTime.UtcNow, overview, channels, subscriptions);
+    }
+
+    /// <summary>Adds a sample taken at <paramref name="timestamp"/> (UTC), overwriting the oldest once the buffer is full.</summary>
+    internal void Record(DateTime timestamp, SystemOverviewDto overview, IReadOnlyList<ChannelInfoDto> channels, IReadOnlyList<SubscriptionInfoDto> subscriptions)
+    {
+        // Sorted so the same series survive the cap from one sample to the next
+        var channelSamples = channels
+            .OrderBy(c => c.Name, StringComparer.Ordinal)
+            .Take(MaxSeries)
+            .ToDictionary(c => c.Name, c => new ChannelSample(c.PublishRate, c.TotalMessages));
+
+        var subscriptionsById = subscriptions.GroupBy(s => s.Id).ToList();
+        var subscriptionSamples = subscriptionsById
+            .OrderBy(g => g.Key, StringComparer.Ordinal)
+            .Take(MaxSeries - channelSamples.Count)
+            .ToDictionary(g => g.Key, g =>
+            {
+                var s = g.First();
+                return new SubscriptionSample(s.QueueDepth, s.ProcessRate, s.AvgLatencyMs, s.PercentileLatencyMs, s.TimeoutCount);
+            });
+
+        if (channelSamples.Count + subscriptionSamples.Count < channels.Count + subscriptionsById.Count && !_seriesCapLogged)
+        {
+            _seriesCapLogged = true;
+            _logger.LogWarning("Metrics history records at most {MaxSeries} channel and subscription series; the rest are left out",
+                MaxSeries);
+        }
+
+        var sample = new MetricsSample(timestamp, overview, channelSamples, subscriptionSamples);
+
+        lock (_lock)
+        {
+            _samples[_next] = sample;
+            _next = (_next + 1) % _samples.Length;
+            _count = Math.Min(_count + 1, _samples.Length);
+        }
+    }
+
+    /// <summary>
+    /// Gets the samples between <paramref name="from"/> and <paramref name="to"/> (UTC), one point per step.
+    /// Rates, depths and latencies are averaged over the step; cumulative counters take the step's last value.
+    /// Steps with no samples are omitted.
+    /// </summary>
+    public MetricsHistoryDto GetHistory(DateTime from, DateTime to, TimeSpan? step = null)
+    {
+        var effectiveStep = step ?? TimeSpan.FromTicks((to - from).Ticks / DefaultMaxPoints);
+        if (effectiveStep < SampleInterval)
+            effectiveStep = SampleInterval;
+
+        var result = new MetricsHistoryDto
+        {
+            From = from,
+            To = to,
+            StepMs = (int)effectiveStep.TotalMilliseconds,
+            SampleIntervalMs = (int)SampleInterval.TotalMilliseconds,
+            RetentionMs = (long)Retention.TotalMilliseconds
+        };
+
+        // Samples are in time order, so consecutive grouping keeps buckets in order too
+        var buckets = GetSamples(from, to)
+            .GroupBy(s => (s.Timestamp - from).Ticks / effectiveStep.Ticks);
+
+        foreach (var bucket in buckets)
+        {
+            var samples = bucket.ToList();
+            var last = samples[^1];
+            var timestamp = from + TimeSpan.FromTicks(bucket.Key * effectiveStep.Ticks);
+
+            result.Overview.Add(new OverviewHistoryPointDto
+            {
+                Timestamp = timestamp,
+                SystemThroughput = samples.Average(s => s.Overview.SystemThroughput),
+                TotalChannels = samples.Average(s => s.Overview.TotalChannels),
+                TotalSubscriptions = samples.Average(s => s.Overview.TotalSubscriptions),
+                SubscriptionsWithBacklog = samples.Average(s => s.Overview.SubscriptionsWithBacklog),
+                TotalMessagesPublished = last.Overview.TotalMessagesPublished,
+                TotalMessagesProcessed = last.Overview.TotalMessagesProcessed,
+                TotalTimeouts = last.Overview.TotalTimeouts
+            });
+
+            foreach (var name in samples.SelectMany(s => s.Channels.Keys).Distinct())
+            {
+                var points = samples.Where(s => s.Channels.ContainsKey(name)).Select(s => s.Channels[name]).ToList();
+                GetOrAdd(result.Channels, name).Add(new ChannelHistoryPointDto
+                {
+                    Timestamp = timestamp,
+                    PublishRate = points.Average(p => p.PublishRate),
+                    TotalMessages = points[^1].TotalMessages
+                });
+            }
+
+            foreach (var id in samples.SelectMany(s => s.Subscriptions.Keys).Distinct())
+            {
+                var points = samples.Where(s => s.Subscriptions.ContainsKey(id)).Select(s => s.Subscriptions[id]).ToList();
+                GetOrAdd(result.Subscriptions, id).Add(new SubscriptionHistoryPointDto
+                {
+                    Timestamp = timestamp,
+                    QueueDepth = points.Average(p => p.QueueDepth),
+                    ProcessRate = points.Average(p => p.ProcessRate),
+                    AvgLatencyMs = points.Average(p => p.AvgLatencyMs),
+                    PercentileLatencyMs = points.Average(p => p.PercentileLatencyMs),
+                    TimeoutCount = points[^1].TimeoutCount
+                });
+            }
+        }
+
+        return result;
+    }
+
+    private List<MetricsSample> GetSamples(DateTime from, DateTime to)
+    {
+        var samples = new List<MetricsSample>();
+
+        lock (_lock)
+        {
+            var oldest = (_next - _count + _samples.Length) % _samples.Length;
+            for (var i = 0; i < _count; i++)
+            {
+                var sample = _samples[(oldest + i) % _samples.Length];
+                if (sample != null && sample.Timestamp >= from && sample.Timestamp <= to)
+                    samples.Add(sample);
+            }
+        }
+
+        return samples;
+    }
+
+    private static List<T> GetOrAdd<T>(Dictionary<string, List<T>> series, string key)
+    {
+        if (!series.TryGetValue(key, out var points))
+        {
+            points = new List<T>();
+            series[key] = points;
+        }
+        return points;
+    }
+
+    private sealed record MetricsSample(
+        DateTime Timestamp,
+        SystemOverviewDto Overview,
+        Dictionary<string, ChannelSample> Channels,
+        Dictionary<string, SubscriptionSample> Subscriptions);
+
+    private readonly record struct ChannelSample(double PublishRate, long TotalMessages);
+
+    private readonly record struct SubscriptionSample(
+        double QueueDepth,
+        double ProcessRate,
+        double AvgLatencyMs,
+        double PercentileLatencyMs,
+        long TimeoutCount);
+}
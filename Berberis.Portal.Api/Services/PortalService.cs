@@ -1,3 +1,6 @@
+using System.Reflection;
+using System.Text.Json;
+using System.Text.Json.Serialization;
 using Berberis.Messaging;
 using Berberis.Portal.Contracts.DTOs;
 
@@ -42,6 +45,9 @@ public class PortalService : IPortalService
             overview.TotalMessagesProcessed = allSubscriptions.Sum(s => s.Statistics.GetStats(false).TotalProcessedMessages);
             overview.TotalTimeouts = allSubscriptions.Sum(s => s.Statistics.GetStats(false).NumOfTimeouts);
             overview.SubscriptionsWithBacklog = allSubscriptions.Count(s => s.Statistics.GetStats(false).QueueLength > 0);
+            overview.SystemErrorRate = overview.TotalMessagesProcessed > 0
+                ? (double)overview.TotalTimeouts / overview.TotalMessagesProcessed
+                : 0;
 
             return Task.FromResult(overview);
         }
@@ -187,42 +193,233 @@ public class PortalService : IPortalService
 
     public Task<bool> SuspendSubscriptionAsync(string subscriptionId)
     {
-        // TODO: This requires access to ISubscription.IsProcessingSuspended
-        // Need to add CrossBar API: ISubscription? GetSubscription(string name)
-        _logger.LogWarning("Suspend subscription not yet implemented - requires CrossBar API enhancement");
-        return Task.FromResult(false);
+        try
+        {
+            var subscription = FindSubscription(subscriptionId);
+            if (subscription == null)
+                return Task.FromResult(false);
+
+            subscription.IsProcessingSuspended = true;
+            _logger.LogInformation("Suspended subscription {SubscriptionId}", subscriptionId);
+            return Task.FromResult(true);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error suspending subscription {SubscriptionId}", subscriptionId);
+            throw;
+        }
     }
 
     public Task<bool> ResumeSubscriptionAsync(string subscriptionId)
     {
-        // TODO: This requires access to ISubscription.IsProcessingSuspended
-        // Need to add CrossBar API: ISubscription? GetSubscription(string name)
-        _logger.LogWarning("Resume subscription not yet implemented - requires CrossBar API enhancement");
-        return Task.FromResult(false);
+        try
+        {
+            var subscription = FindSubscription(subscriptionId);
+            if (subscription == null)
+                return Task.FromResult(false);
+
+            subscription.IsProcessingSuspended = false;
+            _logger.LogInformation("Resumed subscription {SubscriptionId}", subscriptionId);
+            return Task.FromResult(true);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error resuming subscription {SubscriptionId}", subscriptionId);
+            throw;
+        }
     }
 
     public Task<bool> DetachSubscriptionAsync(string subscriptionId)
     {
-        // TODO: This requires access to ISubscription.IsDetached or Dispose()
-        // Need to add CrossBar API: ISubscription? GetSubscription(string name)
-        _logger.LogWarning("Detach subscription not yet implemented - requires CrossBar API enhancement");
-        return Task.FromResult(false);
+        try
+        {
+            var subscription = FindSubscription(subscriptionId);
+            if (subscription == null)
+                return Task.FromResult(false);
+
+            // Publishers skip detached subscriptions; the handler gets no further messages
+            subscription.IsDetached = true;
+            _logger.LogInformation("Detached subscription {SubscriptionId}", subscriptionId);
+            return Task.FromResult(true);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error detaching subscription {SubscriptionId}", subscriptionId);
+            throw;
+        }
     }
 
-    public Task<List<string>> GetChannelStateKeysAsync(string channelName)
+    // Wildcard subscriptions are listed under every channel they match, as the same subscription
+    private ISubscription? FindSubscription(string subscriptionId)
     {
-        // TODO: This requires a CrossBar API to enumerate state keys
-        // Current API only has GetChannelState<TBody>() which requires knowing the body type
-        _logger.LogWarning("Get channel state keys not yet implemented - requires CrossBar API enhancement");
-        return Task.FromResult(new List<string>());
+        foreach (var channel in _crossBar.GetChannels())
+        {
+            var subs = _crossBar.GetChannelSubscriptions(channel.Name);
+            var sub = subs?.FirstOrDefault(s => s.Name == subscriptionId);
+            if (sub.HasValue && sub.Value.Name != null)
+                return sub.Value.Subscription;
+        }
+
+        return null;
+    }
+
+    public Task<ChannelStateDto?> GetChannelStateAsync(string channelName, string? searchTerm = null, int offset = 0, int limit = 50)
+    {
+        try
+        {
+            var channel = _crossBar.GetChannels().FirstOrDefault(c => c.Name == channelName);
+            if (channel.Name == null)
+                return Task.FromResult<ChannelStateDto?>(null);
+
+            // CrossBar state APIs are generic over the body type, so close them over the channel's type
+            var entries = (IEnumerable<StateEntryDto>)ReadChannelStateMethod
+                .MakeGenericMethod(channel.BodyType)
+                .Invoke(null, new object[] { _crossBar, channelName })!;
+
+            if (!string.IsNullOrWhiteSpace(searchTerm))
+            {
+                entries = entries.Where(e => e.Key.Contains(searchTerm, StringComparison.OrdinalIgnoreCase));
+            }
+
+            var matching = entries.OrderBy(e => e.Key, StringComparer.Ordinal).ToList();
+            offset = Math.Max(0, offset);
+            limit = Math.Clamp(limit, 1, 500);
+
+            var result = new ChannelStateDto
+            {
+                ChannelName = channel.Name,
+                BodyType = channel.BodyType.Name,
+                BodyFormat = GetBodyFormat(channel.BodyType),
+                TotalCount = matching.Count,
+                Offset = offset,
+                Limit = limit,
+                Entries = matching.Skip(offset).Take(limit).ToList()
+            };
+
+            return Task.FromResult<ChannelStateDto?>(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting channel state for {ChannelName}", channelName);
+            throw;
+        }
+    }
+
+    public Task<ChannelMessagesDto?> GetChannelMessagesAsync(string channelName, string? keyPrefix = null, DateTime? from = null, DateTime? to = null, int offset = 0, int limit = 50)
+    {
+        try
+        {
+            var channel = _crossBar.GetChannels().FirstOrDefault(c => c.Name == channelName);
+            if (channel.Name == null)
+                return Task.FromResult<ChannelMessagesDto?>(null);
+
+            var messages = (IEnumerable<StateEntryDto>)ReadChannelStateMethod
+                .MakeGenericMethod(channel.BodyType)
+                .Invoke(null, new object[] { _crossBar, channelName })!;
+
+            if (!string.IsNullOrEmpty(keyPrefix))
+                messages = messages.Where(m => m.Key.StartsWith(keyPrefix, StringComparison.Ordinal));
+            if (from.HasValue)
+                messages = messages.Where(m => m.Timestamp >= from.Value);
+            if (to.HasValue)
+                messages = messages.Where(m => m.Timestamp <= to.Value);
+
+            var matching = messages
+                .OrderByDescending(m => m.Timestamp)
+                .ThenByDescending(m => m.MessageId)
+                .ToList();
+            offset = Math.Max(0, offset);
+            limit = Math.Clamp(limit, 1, 500);
+
+            var result = new ChannelMessagesDto
+            {
+                ChannelName = channel.Name,
+                BodyType = channel.BodyType.Name,
+                BodyFormat = GetBodyFormat(channel.BodyType),
+                TotalCount = matching.Count,
+                Offset = offset,
+                Limit = limit,
+                Messages = matching.Skip(offset).Take(limit).ToList()
+            };
+
+            return Task.FromResult<ChannelMessagesDto?>(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting messages for channel {ChannelName}", channelName);
+            throw;
+        }
     }
 
     public Task<bool> DeleteChannelStateKeyAsync(string channelName, string key)
     {
-        // TODO: This requires CrossBar API enhancement to delete by key without knowing type
-        // Current API has TryDeleteMessage<TBody>(channelName, key) which requires type parameter
-        _logger.LogWarning("Delete channel state key not yet implemented - requires CrossBar API enhancement");
-        return Task.FromResult(false);
+        try
+        {
+            var channel = _crossBar.GetChannels().FirstOrDefault(c => c.Name == channelName);
+            if (channel.Name == null)
+                return Task.FromResult(false);
+
+            var deleted = (bool)DeleteStateKeyMethod
+                .MakeGenericMethod(channel.BodyType)
+                .Invoke(null, new object[] { _crossBar, channelName, key })!;
+
+            return Task.FromResult(deleted);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deleting state key {Key} from channel {ChannelName}", key, channelName);
+            throw;
+        }
+    }
+
+    public async Task<OperationResultDto?> PublishMessageAsync(string channelName, PublishMessageRequestDto request)
+    {
+        var channel = _crossBar.GetChannels().FirstOrDefault(c => c.Name == channelName);
+        if (channel.Name == null)
+            return null;
+
+        var bodyType = channel.BodyType.FullName ?? channel.BodyType.Name;
+
+        if (channelName.StartsWith(_options.SystemChannelPrefix, StringComparison.Ordinal))
+            return PublishFailed($"'{channelName}' is a system channel");
+
+        if (request.Store && string.IsNullOrEmpty(request.Key))
+            return PublishFailed("Stored messages must have a key");
+
+        object? body;
+        try
+        {
+            body = request.Body.ValueKind is JsonValueKind.Undefined or JsonValueKind.Null
+                ? null
+                : request.Body.Deserialize(channel.BodyType, PublishJsonOptions);
+        }
+        catch (Exception ex) when (ex is JsonException or NotSupportedException)
+        {
+            return PublishFailed($"Body is not a valid {bodyType}: {ex.Message}");
+        }
+
+        if (body == null)
+            return PublishFailed("Body is required");
+
+        if (request.DryRun)
+            return new OperationResultDto { Success = true, Message = $"Body is a valid {bodyType}" };
+
+        try
+        {
+            await (ValueTask)PublishMessageMethod
+                .MakeGenericMethod(channel.BodyType)
+                .Invoke(null, new[] { _crossBar, channelName, body, request })!;
+
+            _logger.LogInformation("Published {BodyType} to channel {ChannelName} from the portal (key {Key}, from {From})",
+                bodyType, channelName, request.Key, request.From);
+
+            return new OperationResultDto { Success = true, Message = $"Published {bodyType} to '{channelName}'" };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error publishing to channel {ChannelName}", channelName);
+            throw;
+        }
     }
 
     public Task<bool> ResetChannelAsync(string channelName)
@@ -233,6 +430,61 @@ public class PortalService : IPortalService
         return Task.FromResult(false);
     }
 
+    private static readonly MethodInfo ReadChannelStateMethod =
+        typeof(PortalService).GetMethod(nameof(ReadChannelState), BindingFlags.NonPublic | BindingFlags.Static)!;
+
+    private static readonly MethodInfo PublishMessageMethod =
+        typeof(PortalService).GetMethod(nameof(PublishMessage), BindingFlags.NonPublic | BindingFlags.Static)!;
+
+    // Same casing as bodies are served in; unknown fields are errors so typos don't publish silently
+    private static readonly JsonSerializerOptions PublishJsonOptions = new(JsonSerializerDefaults.Web)
+    {
+        UnmappedMemberHandling = JsonUnmappedMemberHandling.Disallow
+    };
+
+    private static readonly MethodInfo DeleteStateKeyMethod =
+        typeof(PortalService).GetMethod(nameof(DeleteStateKey), BindingFlags.NonPublic | BindingFlags.Static)!;
+
+    private static IEnumerable<StateEntryDto> ReadChannelState<TBody>(ICrossBar crossBar, string channelName)
+    {
+        return crossBar.GetChannelState<TBody>(channelName)
+            .Select(m => new StateEntryDto
+            {
+                Key = m.Key ?? string.Empty,
+                MessageId = m.Id,
+                Timestamp = DateTime.FromBinary(m.Timestamp),
+                From = m.From,
+                CorrelationId = m.CorrelationId,
+                Body = m.Body
+            })
+            .ToList();
+    }
+
+    // byte[] bodies serialize as base64 and strings as-is; anything else is a JSON object or value
+    private static string GetBodyFormat(Type bodyType)
+    {
+        if (bodyType == typeof(byte[]))
+            return "binary";
+        if (bodyType == typeof(string))
+            return "text";
+        return "json";
+    }
+
+    private static ValueTask PublishMessage<TBody>(ICrossBar crossBar, string channelName, TBody body, PublishMessageRequestDto request)
+        => crossBar.Publish(channelName, body, request.CorrelationId, request.Key!, request.Store, request.From!);
+
+    private static OperationResultDto PublishFailed(string error) => new() { Success = false, Error = error };
+
+    private static bool DeleteStateKey<TBody>(ICrossBar crossBar, string channelName, string key)
+        => crossBar.TryDeleteMessage<TBody>(channelName, key);
+
+    private static string GetStatus(ISubscription subscription)
+    {
+        if (subscription.IsDetached)
+            return "Detached";
+        return subscription.IsProcessingSuspended ? "Suspended" : "Active";
+    }
+
     private static SubscriptionInfoDto MapToSubscriptionInfoDto(CrossBar.SubscriptionInfo sub)
     {
         var stats = sub.Statistics.GetStats(false);
@@ -241,7 +493,7 @@ public class PortalService : IPortalService
             Id = sub.Name,
             ChannelPattern = sub.ChannelName,
             IsWildcard = sub.IsWildcard,
-            Status = "Active", // TODO: Detect suspended/detached status
+            Status = GetStatus(sub.Subscription),
             QueueDepth = stats.QueueLength,
             ProcessRate = stats.ProcessRate,
             AvgLatencyMs = stats.AvgLatencyTimeMs,
@@ -250,7 +502,8 @@ public class PortalService : IPortalService
             TimeoutCount = stats.NumOfTimeouts,
             SubscribedOn = sub.SubscribedOn,
             ConflationInterval = sub.ConflationInterval == TimeSpan.Zero ? null : sub.ConflationInterval,
-            ConflationRatio = sub.ConflationInterval == TimeSpan.Zero ? null : stats.ConflationRatio
+            ConflationRatio = sub.ConflationInterval == TimeSpan.Zero ? null : stats.ConflationRatio,
+            BackpressureStrategy = sub.SlowConsumerStrategy.ToString()
         };
     }
 
@@ -262,7 +515,7 @@ public class PortalService : IPortalService
             Id = sub.Name,
             ChannelPattern = sub.ChannelName,
             IsWildcard = sub.IsWildcard,
-            Status = "Active", // TODO: Detect suspended/detached status
+            Status = GetStatus(sub.Subscription),
             QueueDepth = stats.QueueLength,
             ProcessRate = stats.ProcessRate,
             AvgLatencyMs = stats.AvgLatencyTimeMs,
@@ -272,6 +525,7 @@ public class PortalService : IPortalService
             SubscribedOn = sub.SubscribedOn,
             ConflationInterval = sub.ConflationInterval == TimeSpan.Zero ? null : sub.ConflationInterval,
             ConflationRatio = sub.ConflationInterval == TimeSpan.Zero ? null : stats.ConflationRatio,
+            BackpressureStrategy = sub.SlowConsumerStrategy.ToString(),
             DequeueRate = stats.DequeueRate,
             TotalEnqueued = stats.TotalEnqueuedMessages,
             TotalDequeued = stats.TotalDequeuedMessages,
@@ -0,0 +1,247 @@
+using Berberis.Portal.Contracts.DTOs;
+using System.Text.Json;
+
+namespace Berberis.Portal.Api.Services;
+
+/// <summary>
+/// Holds the bottleneck thresholds the portal screens share, with per channel pattern overrides.
+/// Seeded from PortalOptions:BottleneckThresholds; saved changes are also written to
+/// PortalOptions:ThresholdsFile (relative to the content root) when that is set, so they survive restarts.
+/// </summary>
+public class ThresholdService
+{
+    private static readonly JsonSerializerOptions FileJsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+
+    private static readonly ThresholdField[] Fields =
+    {
+        new("queueDepthWarning", "Queue Depth Warning", "messages", 0, null, 1, true, "queueDepthCritical",
+            d => d.QueueDepthWarning, o => o.QueueDepthWarning),
+        new("queueDepthCritical", "Queue Depth Critical", "messages", 0, null, 1, true, null,
+            d => d.QueueDepthCritical, o => o.QueueDepthCritical),
+        new("processRateWarning", "Process Rate Warning", "msg/s", 0, null, 1, false, null,
+            d => d.ProcessRateWarning, o => o.ProcessRateWarning),
+        new("latencyWarning", "Latency Warning", "ms", 0, null, 1, false, "latencyCritical",
+            d => d.LatencyWarning, o => o.LatencyWarning),
+        new("latencyCritical", "Latency Critical", "ms", 0, null, 1, false, null,
+            d => d.LatencyCritical, o => o.LatencyCritical),
+        new("percentileLatencyWarning", "P99 Latency Warning", "ms", 0, null, 1, false, null,
+            d => d.PercentileLatencyWarning, o => o.PercentileLatencyWarning),
+        new("timeoutWarningPercent", "Timeout Warning", "% of timeout", 0, 100, 1, false, null,
+            d => d.TimeoutWarningPercent, o => o.TimeoutWarningPercent),
+        new("conflationEffectivenessMin", "Min Conflation Effectiveness", "ratio", 0, 1, 0.01, false, null,
+            d => d.ConflationEffectivenessMin, o => o.ConflationEffectivenessMin)
+    };
+
+    private readonly SemaphoreSlim _fileLock = new(1, 1);
+    private readonly ILogger<ThresholdService> _logger;
+    private readonly string? _filePath;
+    private ThresholdSettingsDto _settings;
+
+    public ThresholdService(ILogger<ThresholdService> logger, IConfiguration configuration, IHostEnvironment environment)
+    {
+        _logger = logger;
+        MaxOverrides = configuration.GetValue<int>("PortalOptions:MaxThresholdOverrides", 100);
+
+        _settings = new ThresholdSettingsDto
+        {
+            Defaults = configuration.GetSection("PortalOptions:BottleneckThresholds").Get<BottleneckThresholdsDto>() ?? new()
+        };
+
+        var errors = Validate(_settings);
+        if (errors.Count > 0)
+        {
+            _logger.LogWarning("Ignoring invalid PortalOptions:BottleneckThresholds: {Errors}", string.Join("; ", errors));
+            _settings = new ThresholdSettingsDto();
+        }
+
+        var file = configuration.GetValue<string>("PortalOptions:ThresholdsFile");
+        if (!string.IsNullOrWhiteSpace(file))
+        {
+            _filePath = Path.Combine(environment.ContentRootPath, file);
+            LoadFile();
+        }
+    }
+
+    /// <summary>Most channel pattern overrides that can be saved.</summary>
+    public int MaxOverrides { get; }
+
+    public ThresholdSettingsDto Get() => _settings;
+
+    public ThresholdSchemaDto GetSchema() => new()
+    {
+        Fields = Fields.Select(f => new ThresholdFieldDto
+        {
+            Name = f.Name,
+            Label = f.Label,
+            Unit = f.Unit,
+            Min = f.Min,
+            Max = f.Max,
+            Step = f.Step,
+            Integer = f.Integer,
+            AtMost = f.AtMost
+        }).ToList(),
+        MaxOverrides = MaxOverrides
+    };
+
+    /// <summary>Checks settings against the schema; returns one message per problem.</summary>
+    public List<string> Validate(ThresholdSettingsDto settings)
+    {
+        var errors = new List<string>();
+        if (settings.Defaults == null)
+        {
+            errors.Add("Default thresholds are required");
+            return errors;
+        }
+
+        foreach (var field in Fields)
+        {
+            CheckRange(field, field.GetDefault(settings.Defaults), "Default", errors);
+        }
+        CheckOrder(name => Fields.First(f => f.Name == name).GetDefault(settings.Defaults), "Default", errors);
+
+        var overrides = settings.Overrides ?? new List<ThresholdOverrideDto>();
+        if (overrides.Count > MaxOverrides)
+            errors.Add($"At most {MaxOverrides} overrides can be saved");
+
+        var seen = new HashSet<string>(StringComparer.Ordinal);
+        foreach (var item in overrides)
+        {
+            var pattern = item.ChannelPattern?.Trim() ?? string.Empty;
+            if (!IsValidPattern(pattern))
+            {
+                errors.Add($"'{item.ChannelPattern}' is not a valid channel pattern");
+                continue;
+            }
+            if (!seen.Add(pattern))
+                errors.Add($"'{pattern}' has more than one override");
+
+            var label = $"Override '{pattern}'";
+            var anySet = false;
+            foreach (var field in Fields)
+            {
+                var value = field.GetOverride(item);
+                if (value == null) continue;
+
+                anySet = true;
+                CheckRange(field, value.Value, label, errors);
+            }
+
+            if (!anySet)
+                errors.Add($"{label} does not set any threshold");
+
+            CheckOrder(name =>
+            {
+                var field = Fields.First(f => f.Name == name);
+                return field.GetOverride(item) ?? field.GetDefault(settings.Defaults);
+            }, label, errors);
+        }
+
+        return errors;
+    }
+
+    /// <summary>
+    /// Replaces the thresholds; callers validate first. The file is written before the
+    /// thresholds in use change, so a failed write leaves both as they were.
+    /// </summary>
+    public async Task<ThresholdSettingsDto> SaveAsync(ThresholdSettingsDto settings)
+    {
+        settings.Overrides ??= new List<ThresholdOverrideDto>();
+        settings.Overrides.ForEach(o => o.ChannelPattern = o.ChannelPattern.Trim());
+        settings.UpdatedAt = DateTime.UtcNow;
+
+        if (_filePath != null)
+        {
+            await _fileLock.WaitAsync();
+            try
+            {
+                await using var stream = File.Create(_filePath);
+                await JsonSerializer.SerializeAsync(stream, settings, FileJsonOptions);
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+        }
+
+        _settings = settings;
+        _logger.LogInformation("Bottleneck thresholds updated ({OverrideCount} overrides)", settings.Overrides.Count);
+        return settings;
+    }
+
+    private void LoadFile()
+    {
+        if (!File.Exists(_filePath))
+            return;
+
+        try
+        {
+            var loaded = JsonSerializer.Deserialize<ThresholdSettingsDto>(File.ReadAllText(_filePath!), FileJsonOptions);
+            if (loaded == null)
+                return;
+
+            var errors = Validate(loaded);
+            if (errors.Count > 0)
+            {
+                _logger.LogWarning("Ignoring invalid thresholds file {Path}: {Errors}", _filePath, string.Join("; ", errors));
+                return;
+            }
+
+            loaded.Overrides ??= new List<ThresholdOverrideDto>();
+            _settings = loaded;
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogWarning(ex, "Ignoring unreadable thresholds file {Path}", _filePath);
+        }
+    }
+
+    private static void CheckRange(ThresholdField field, double value, string label, List<string> errors)
+    {
+        if (double.IsNaN(value) || value < field.Min)
+            errors.Add($"{label} {field.Label} must be at least {field.Min}");
+        else if (field.Max.HasValue && value > field.Max.Value)
+            errors.Add($"{label} {field.Label} must be at most {field.Max}");
+        else if (field.Integer && value != Math.Floor(value))
+            errors.Add($"{label} {field.Label} must be a whole number");
+    }
+
+    // Warning levels may not be above their critical level
+    private static void CheckOrder(Func<string, double> valueOf, string label, List<string> errors)
+    {
+        foreach (var field in Fields.Where(f => f.AtMost != null))
+        {
+            var limit = Fields.First(f => f.Name == field.AtMost);
+            if (valueOf(field.Name) > valueOf(limit.Name))
+                errors.Add($"{label} {field.Label} must not be above {limit.Label}");
+        }
+    }
+
+    // Dot-separated segments; '*' stands for one segment and '>' for the rest, so it may only come last
+    private static bool IsValidPattern(string pattern)
+    {
+        if (pattern.Length == 0 || pattern.Any(char.IsWhiteSpace))
+            return false;
+
+        var segments = pattern.Split('.');
+        for (var i = 0; i < segments.Length; i++)
+        {
+            if (segments[i].Length == 0)
+                return false;
+            if (segments[i] == ">" && i != segments.Length - 1)
+                return false;
+        }
+        return true;
+    }
+
+    private sealed record ThresholdField(
+        string Name,
+        string Label,
+        string Unit,
+        double Min,
+        double? Max,
+        double Step,
+        bool Integer,
+        string? AtMost,
+        Func<BottleneckThresholdsDto, double> GetDefault,
+        Func<ThresholdOverrideDto, double?> GetOverride);
+}
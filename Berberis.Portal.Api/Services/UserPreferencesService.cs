@@ -0,0 +1,109 @@
+using Berberis.Portal.Contracts.DTOs;
+using System.Collections.Concurrent;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+namespace Berberis.Portal.Api.Services;
+
+/// <summary>
+/// Keeps each portal user's preferences and saved views so they follow the user between browsers.
+/// Held in memory, and also written as one JSON file per user under PortalOptions:PreferencesDirectory
+/// (relative to the content root) when that is set.
+/// </summary>
+public class UserPreferencesService
+{
+    private static readonly Regex UserNamePattern = new("^[A-Za-z0-9._@-]{1,64}$", RegexOptions.Compiled);
+    private static readonly JsonSerializerOptions FileJsonOptions = new(JsonSerializerDefaults.Web) { WriteIndented = true };
+
+    private readonly ConcurrentDictionary<string, UserPreferencesDto> _preferences = new(StringComparer.OrdinalIgnoreCase);
+    private readonly SemaphoreSlim _fileLock = new(1, 1);
+    private readonly ILogger<UserPreferencesService> _logger;
+    private readonly string? _directory;
+
+    public UserPreferencesService(ILogger<UserPreferencesService> logger, IConfiguration configuration, IHostEnvironment environment)
+    {
+        _logger = logger;
+        MaxSavedViews = configuration.GetValue<int>("PortalOptions:MaxSavedViews", 200);
+
+        var directory = configuration.GetValue<string>("PortalOptions:PreferencesDirectory");
+        if (!string.IsNullOrWhiteSpace(directory))
+        {
+            _directory = Path.Combine(environment.ContentRootPath, directory);
+            Directory.CreateDirectory(_directory);
+        }
+    }
+
+    /// <summary>Most views one user may save.</summary>
+    public int MaxSavedViews { get; }
+
+    /// <summary>User names double as file names, so they are limited to letters, digits and . _ @ -</summary>
+    public static bool IsValidUserName(string user) => UserNamePattern.IsMatch(user);
+
+    public async Task<UserPreferencesDto?> GetAsync(string user)
+    {
+        if (_preferences.TryGetValue(user, out var cached))
+            return cached;
+
+        if (_directory == null)
+            return null;
+
+        var path = GetFilePath(user);
+        if (!File.Exists(path))
+            return null;
+
+        try
+        {
+            await using var stream = File.OpenRead(path);
+            var loaded = await JsonSerializer.DeserializeAsync<UserPreferencesDto>(stream, FileJsonOptions);
+            return loaded == null ? null : _preferences.GetOrAdd(user, loaded);
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogWarning(ex, "Ignoring unreadable preferences file {Path}", path);
+            return null;
+        }
+    }
+
+    /// <summary>Replaces a user's preferences; the last save wins.</summary>
+    public async Task<UserPreferencesDto> SaveAsync(string user, UserPreferencesDto preferences)
+    {
+        preferences.UpdatedAt ??= DateTime.UtcNow;
+        _preferences[user] = preferences;
+
+        if (_directory != null)
+        {
+            await _fileLock.WaitAsync();
+            try
+            {
+                await using var stream = File.Create(GetFilePath(user));
+                await JsonSerializer.SerializeAsync(stream, preferences, FileJsonOptions);
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+        }
+
+        _logger.LogDebug("Saved preferences for {User} ({ViewCount} views)", user, preferences.Views.Count);
+        return preferences;
+    }
+
+    public bool Delete(string user)
+    {
+        var removed = _preferences.TryRemove(user, out _);
+
+        if (_directory != null)
+        {
+            var path = GetFilePath(user);
+            if (File.Exists(path))
+            {
+                File.Delete(path);
+                removed = true;
+            }
+        }
+
+        return removed;
+    }
+
+    private string GetFilePath(string user) => Path.Combine(_directory!, $"{user.ToLowerInvariant()}.json");
+}
@@ -0,0 +1,114 @@
+// Actions - Confirmed admin operations shared by screens and the command palette
+
+import { bindApi } from './api-client.js';
+
+const api = bindApi(
+    'suspendSubscription',
+    'resumeSubscription',
+    'detachSubscription',
+    'resetChannel',
+    'batchSubscriptionOperation'
+);
+
+/**
+ * Asks for confirmation, runs the operation and reports the outcome.
+ * Resolves to true only when the operation was confirmed and succeeded.
+ * @param {() => Promise<OperationResultDto>} operation - the controllers answer a failed operation with success: false
+ */
+async function runConfirmed(question, operation, successMessage, failureMessage) {
+    if (!confirm(question)) {
+        return false;
+    }
+
+    try {
+        const result = await operation();
+        if (!result?.success) {
+            alert(`${failureMessage}: ${result?.error || 'Unknown error'}`);
+            return false;
+        }
+
+        alert(successMessage);
+        return true;
+    } catch (error) {
+        alert(`${failureMessage}: ${error.message}`);
+        return false;
+    }
+}
+
+export function suspendSubscription(id) {
+    return runConfirmed(
+        `Are you sure you want to suspend subscription "${id}"?\n\nThis will pause message processing. Messages will continue to queue.`,
+        () => api.suspendSubscription(id),
+        `Subscription "${id}" has been suspended successfully.`,
+        'Failed to suspend subscription'
+    );
+}
+
+export function resumeSubscription(id) {
+    return runConfirmed(
+        `Are you sure you want to resume subscription "${id}"?\n\nThis will resume message processing.`,
+        () => api.resumeSubscription(id),
+        `Subscription "${id}" has been resumed successfully.`,
+        'Failed to resume subscription'
+    );
+}
+
+export function detachSubscription(id) {
+    return runConfirmed(
+        `Are you sure you want to detach subscription "${id}"?\n\nThis will permanently remove the subscription. This action cannot be undone.`,
+        () => api.detachSubscription(id),
+        `Subscription "${id}" has been detached successfully.`,
+        'Failed to detach subscription'
+    );
+}
+
+export function resetChannel(channelName) {
+    return runConfirmed(
+        `Are you sure you want to reset channel "${channelName}"?\n\nThis will clear all stored messages and reset channel statistics. This action cannot be undone.`,
+        () => api.resetChannel(channelName),
+        `Channel "${channelName}" has been reset successfully.`,
+        'Failed to reset channel'
+    );
+}
+
+const BULK_CHUNK_SIZE = 25; // IDs per batch request, so progress can be reported as chunks finish
+
+const BULK_OPERATIONS = {
+    suspend: { verb: 'Suspend', warning: 'This will pause message processing. Messages will continue to queue.' },
+    resume: { verb: 'Resume', warning: 'This will resume message processing.' },
+    detach: { verb: 'Detach', warning: 'This will permanently remove the subscriptions. This action cannot be undone.' }
+};
+
+/**
+ * Asks for confirmation, then applies a suspend, resume or detach to each subscription
+ * through the batch endpoint. A chunk whose request fails marks its IDs failed and the
+ * rest carry on. Resolves to null when cancelled, otherwise to
+ * { succeeded, failed, results: [{ id, result: OperationResultDto }] } in ID order.
+ * @param {'suspend'|'resume'|'detach'} operation
+ * @param {string[]} ids
+ * @param {(done: number, total: number) => void} [onProgress]
+ */
+export async function bulkSubscriptionOperation(operation, ids, onProgress = () => {}) {
+    const { verb, warning } = BULK_OPERATIONS[operation];
+    const listed = ids.slice(0, 10).map(id => `  ${id}`).join('\n');
+    const more = ids.length > 10 ? `\n  … and ${ids.length - 10} more` : '';
+    if (!confirm(`${verb} ${ids.length} ${ids.length === 1 ? 'subscription' : 'subscriptions'}?\n\n${listed}${more}\n\n${warning}`)) {
+        return null;
+    }
+
+    const results = [];
+    onProgress(0, ids.length);
+    for (let i = 0; i < ids.length; i += BULK_CHUNK_SIZE) {
+        const chunk = ids.slice(i, i + BULK_CHUNK_SIZE);
+        try {
+            const batch = await api.batchSubscriptionOperation(operation, chunk);
+            results.push(...batch.results);
+        } catch (error) {
+            results.push(...chunk.map(id => ({ id, result: { success: false, error: error.message } })));
+        }
+        onProgress(Math.min(i + BULK_CHUNK_SIZE, ids.length), ids.length);
+    }
+
+    const succeeded = results.filter(r => r.result.success).length;
+    return { succeeded, failed: results.length - succeeded, results };
+}
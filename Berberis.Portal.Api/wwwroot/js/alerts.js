@@ -0,0 +1,650 @@
+// Alerts - Rules evaluated app-wide on every instance's metrics stream
+//
+// A rule compares one metric of the system, of each channel or of each subscription
+// (optionally only those on channels matching a pattern) with a value, e.g.
+// "queueDepth on orders.* > 5000 for 30s". An alert fires once the condition has
+// held for the rule's duration (debounce) and resolves once the metric is back past
+// the rule's clear value (hysteresis), so a metric hovering at the limit doesn't flap.
+// Alerts of silenced rules are still recorded, but don't notify or count in the badge.
+//
+// Rules are a preferences section, so they sync and export with the other settings;
+// alert history is kept in this browser's localStorage. Every open tab shows the same
+// alerts, but only one of them evaluates the rules at a time (see claimEvaluation).
+
+import { connections, instanceHash } from './instances.js';
+import { preferences } from './preferences.js';
+import { matchesChannelPattern, isValidChannelPattern } from './utils/channel-pattern.js';
+
+const RULES_SECTION = 'alerts';
+const HISTORY_KEY = 'berberis.alertHistory';
+const EVALUATOR_KEY = 'berberis.alertEvaluator';
+const EVALUATOR_LEASE_MS = 10000; // another tab takes over once the evaluating one stops renewing for this long
+const EVALUATOR_RENEW_MS = 3000;
+const HISTORY_LIMIT = 200; // resolved alerts kept; active ones are always kept
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+
+// Metrics a rule can watch, by scope; read() takes the overview, a channel or a subscription
+export const ALERT_METRICS = {
+    system: {
+        systemThroughput: { label: 'Throughput', unit: 'msg/s', read: (o) => o.systemThroughput },
+        systemErrorRate: { label: 'Error rate', unit: '%', read: (o) => o.systemErrorRate === undefined ? undefined : o.systemErrorRate * 100 },
+        totalTimeouts: { label: 'Total timeouts', unit: '', read: (o) => o.totalTimeouts },
+        subscriptionsWithBacklog: { label: 'Subscriptions with backlog', unit: '', read: (o) => o.subscriptionsWithBacklog }
+    },
+    channel: {
+        publishRate: { label: 'Publish rate', unit: 'msg/s', read: (c) => c.publishRate },
+        subscriptionCount: { label: 'Subscriptions', unit: '', read: (c) => c.subscriptionCount },
+        storedMessageCount: { label: 'Stored messages', unit: '', read: (c) => c.storedMessageCount }
+    },
+    subscription: {
+        queueDepth: { label: 'Queue depth', unit: '', read: (s) => s.queueDepth },
+        processRate: { label: 'Process rate', unit: 'msg/s', read: (s) => s.processRate },
+        avgLatencyMs: { label: 'Avg latency', unit: 'ms', read: (s) => s.avgLatencyMs },
+        percentileLatencyMs: { label: 'P99 latency', unit: 'ms', read: (s) => s.percentileLatencyMs },
+        timeoutCount: { label: 'Timeouts', unit: '', read: (s) => s.timeoutCount }
+    }
+};
+
+export const ALERT_SCOPES = { system: 'System', channel: 'Each channel', subscription: 'Each subscription' };
+
+export const ALERT_OPERATORS = ['>', '>=', '<', '<='];
+
+export const ALERT_SEVERITIES = ['warning', 'critical'];
+
+export const SILENCE_OPTIONS = [
+    { label: '15 minutes', ms: 15 * 60 * 1000 },
+    { label: '1 hour', ms: 60 * 60 * 1000 },
+    { label: '4 hours', ms: 4 * 60 * 60 * 1000 },
+    { label: '24 hours', ms: 24 * 60 * 60 * 1000 }
+];
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} enabled
+ * @property {'system'|'channel'|'subscription'} scope
+ * @property {string} metric - key of ALERT_METRICS[scope]
+ * @property {string} pattern - channel pattern the rule is limited to; '' for all
+ * @property {'>'|'>='|'<'|'<='} op
+ * @property {number} value
+ * @property {number} forSeconds - how long the condition must hold before firing
+ * @property {number|null} clearValue - the metric must get back past this to resolve; null means value
+ * @property {'warning'|'critical'} severity
+ * @property {string|null} silencedUntil - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} Alert
+ * @property {string} id
+ * @property {string} key - instance, rule and subject; at most one active alert per key
+ * @property {'firing'|'acknowledged'|'resolved'} state
+ * @property {number} value - latest value while active
+ * @property {number} peakValue - furthest past the rule's value
+ * @property {string|null} resolution - 'cleared', 'gone', 'rule' or 'manual' once resolved
+ */
+
+class AlertEngine {
+    constructor() {
+        this.rules = loadRules();
+        this.history = loadList(HISTORY_KEY);
+        this.pending = new Map(); // alert key -> when its condition started holding
+        this.latched = new Set(); // keys resolved by hand; they can't fire again until their condition clears
+        this.changeHandlers = [];
+        this.started = false;
+        this.tabId = createId('tab');
+        this.evaluating = false;
+    }
+
+    /** Starts evaluating rules on every instance's metrics. Called once at startup. */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        connections.list().forEach(instance => {
+            instance.metrics.onUpdate(update => this.evaluate(instance, update));
+        });
+
+        this.claimEvaluation();
+        setInterval(() => this.claimEvaluation(), EVALUATOR_RENEW_MS);
+        window.addEventListener('pagehide', () => this.releaseEvaluation());
+
+        // Rules changed in another tab, pulled from the server, imported or reset
+        preferences.onChange(() => {
+            const rules = loadRules();
+            if (JSON.stringify(rules) !== JSON.stringify(this.rules)) {
+                this.rules = rules;
+                this.notify();
+            }
+        });
+
+        // Another tab changed the history
+        window.addEventListener('storage', (e) => {
+            if (e.key === HISTORY_KEY) {
+                const active = new Set(this.getActiveAlerts().map(a => a.id));
+                this.history = loadList(HISTORY_KEY);
+                // Alerts resolved by hand there must not fire again here until their condition clears
+                this.history
+                    .filter(a => a.resolution === 'manual' && active.has(a.id))
+                    .forEach(a => this.latched.add(a.key));
+                this.notify();
+            }
+        });
+    }
+
+    /**
+     * Evaluates the rules in this tab unless another tab holds a current lease to, so open
+     * tabs don't each record the same alerts and overwrite one another's acknowledgements.
+     * Two tabs claiming at once both evaluate until the next renewal, when the later claim wins.
+     */
+    claimEvaluation() {
+        const now = Date.now();
+        const lease = readLease();
+        const wasEvaluating = this.evaluating;
+
+        if (lease && lease.tabId !== this.tabId && lease.until > now) {
+            this.evaluating = false;
+        } else {
+            writeStorage(EVALUATOR_KEY, { tabId: this.tabId, until: now + EVALUATOR_LEASE_MS });
+            const holder = readLease();
+            // Without storage there is no other tab to defer to
+            this.evaluating = !holder || holder.tabId === this.tabId;
+        }
+
+        // Conditions seen before another tab took over may have cleared since
+        if (this.evaluating && !wasEvaluating) {
+            this.pending.clear();
+        }
+    }
+
+    releaseEvaluation() {
+        if (!this.evaluating) return;
+
+        this.evaluating = false;
+        try {
+            localStorage.removeItem(EVALUATOR_KEY);
+        } catch {
+            // The lease runs out by itself
+        }
+    }
+
+    // Rules
+
+    /** @returns {AlertRule[]} */
+    getRules() {
+        return [...this.rules];
+    }
+
+    getRule(id) {
+        return this.rules.find(r => r.id === id) || null;
+    }
+
+    /**
+     * Adds a rule, or replaces the one with the same id. Active alerts of a replaced
+     * rule are resolved, since they were raised under its old condition.
+     * @throws {Error} when the rule is invalid
+     */
+    saveRule(rule) {
+        const errors = validateRule(rule);
+        if (errors.length > 0) {
+            throw new Error(errors[0]);
+        }
+
+        const saved = {
+            id: rule.id || createId('rule'),
+            name: rule.name.trim(),
+            enabled: rule.enabled !== false,
+            scope: rule.scope,
+            metric: rule.metric,
+            pattern: rule.scope === 'system' ? '' : (rule.pattern || '').trim(),
+            op: rule.op,
+            value: rule.value,
+            forSeconds: rule.forSeconds || 0,
+            clearValue: rule.clearValue ?? null,
+            severity: rule.severity,
+            silencedUntil: rule.silencedUntil || null
+        };
+
+        const index = this.rules.findIndex(r => r.id === saved.id);
+        if (index > -1) {
+            this.rules[index] = saved;
+            this.resolveRuleAlerts(saved.id);
+        } else {
+            this.rules.push(saved);
+        }
+
+        this.commitRules();
+        return saved;
+    }
+
+    deleteRule(id) {
+        this.rules = this.rules.filter(r => r.id !== id);
+        this.resolveRuleAlerts(id);
+        this.commitRules();
+    }
+
+    setRuleEnabled(id, enabled) {
+        const rule = this.getRule(id);
+        if (!rule || rule.enabled === enabled) return;
+
+        rule.enabled = enabled;
+        if (!enabled) {
+            this.resolveRuleAlerts(id);
+        }
+        this.commitRules();
+    }
+
+    /** Stops a rule notifying for a while; its alerts are still recorded. */
+    silenceRule(id, ms) {
+        const rule = this.getRule(id);
+        if (!rule) return;
+
+        rule.silencedUntil = new Date(Date.now() + ms).toISOString();
+        this.commitRules();
+    }
+
+    unsilenceRule(id) {
+        const rule = this.getRule(id);
+        if (!rule || !rule.silencedUntil) return;
+
+        rule.silencedUntil = null;
+        this.commitRules();
+    }
+
+    // Alerts
+
+    /** @returns {Alert[]} firing and acknowledged alerts, newest first */
+    getActiveAlerts() {
+        return this.history.filter(a => a.state !== 'resolved');
+    }
+
+    /** @returns {Alert[]} resolved alerts, newest first */
+    getResolvedAlerts() {
+        return this.history.filter(a => a.state === 'resolved');
+    }
+
+    /** Alerts that still want attention: firing, not acknowledged, and their rule isn't silenced. */
+    getUnacknowledged() {
+        const now = Date.now();
+        return this.history.filter(a => a.state === 'firing' && !isSilenced(this.getRule(a.ruleId), now));
+    }
+
+    /** Keeps an alert active but stops it counting in the badge. */
+    acknowledge(id) {
+        const alert = this.history.find(a => a.id === id);
+        if (!alert || alert.state !== 'firing') return;
+
+        alert.state = 'acknowledged';
+        alert.acknowledgedAt = new Date().toISOString();
+        this.commitHistory();
+    }
+
+    /** Resolves an alert by hand; it can fire again once its condition has cleared. */
+    resolve(id) {
+        const alert = this.history.find(a => a.id === id);
+        if (!alert || alert.state === 'resolved') return;
+
+        this.markResolved(alert, 'manual');
+        this.latched.add(alert.key);
+        this.commitHistory();
+    }
+
+    clearHistory() {
+        this.history = this.getActiveAlerts();
+        this.commitHistory();
+    }
+
+    // Notifications
+
+    get notificationPermission() {
+        return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+    }
+
+    async requestNotificationPermission() {
+        if (typeof Notification === 'undefined') return 'unsupported';
+
+        const permission = await Notification.requestPermission();
+        this.notify();
+        return permission;
+    }
+
+    // Called with no arguments whenever rules or alerts change
+    onChange(handler) {
+        this.changeHandlers.push(handler);
+        return () => {
+            const index = this.changeHandlers.indexOf(handler);
+            if (index > -1) this.changeHandlers.splice(index, 1);
+        };
+    }
+
+    notify() {
+        this.changeHandlers.forEach(handler => handler());
+    }
+
+    // Evaluation
+
+    /** Runs every enabled rule against one metrics sample of an instance, if this tab evaluates them. */
+    evaluate(instance, { overview, channels, subscriptions }) {
+        if (!this.evaluating) return;
+
+        const now = Date.now();
+        const data = { system: overview ? [overview] : null, channel: channels, subscription: subscriptions };
+        let changed = this.expireSilences(now);
+
+        this.rules.filter(rule => rule.enabled).forEach(rule => {
+            const metric = ALERT_METRICS[rule.scope]?.[rule.metric];
+            const items = data[rule.scope];
+            // Lists that couldn't be fetched this time leave the rule's alerts as they were
+            if (!metric || !items) return;
+
+            const seen = new Set();
+            items.filter(item => ruleApplies(rule, item)).forEach(item => {
+                const value = metric.read(item);
+                if (typeof value !== 'number' || Number.isNaN(value)) return;
+
+                const subject = subjectOf(rule.scope, item);
+                const key = alertKey(instance.id, rule.id, subject);
+                seen.add(key);
+
+                const active = this.history.find(a => a.key === key && a.state !== 'resolved');
+                if (active) {
+                    if (!compare(rule.op, value, rule.clearValue ?? rule.value)) {
+                        active.value = value;
+                        this.markResolved(active, 'cleared');
+                        changed = true;
+                    } else if (active.value !== value) {
+                        active.value = value;
+                        active.peakValue = isAbove(rule.op) ? Math.max(active.peakValue, value) : Math.min(active.peakValue, value);
+                        changed = true;
+                    }
+                    return;
+                }
+
+                if (!compare(rule.op, value, rule.value)) {
+                    this.pending.delete(key);
+                    this.latched.delete(key);
+                    return;
+                }
+                if (this.latched.has(key)) return;
+
+                const since = this.pending.get(key) ?? now;
+                this.pending.set(key, since);
+                if (now - since >= rule.forSeconds * 1000) {
+                    this.pending.delete(key);
+                    this.fire(rule, instance, subject, key, value, since);
+                    changed = true;
+                }
+            });
+
+            // Subjects that have gone (deleted channels, detached subscriptions) take their alerts with them
+            this.pending.forEach((_, key) => {
+                if (!seen.has(key) && isKeyOf(key, instance.id, rule.id)) this.pending.delete(key);
+            });
+            this.history
+                .filter(a => a.state !== 'resolved' && a.instanceId === instance.id && a.ruleId === rule.id && !seen.has(a.key))
+                .forEach(a => {
+                    this.markResolved(a, 'gone');
+                    changed = true;
+                });
+        });
+
+        if (changed) {
+            this.commitHistory();
+        }
+    }
+
+    fire(rule, instance, subject, key, value, since) {
+        const now = Date.now();
+        const alert = {
+            id: createId('alert'),
+            key,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            severity: rule.severity,
+            condition: describeRule(rule),
+            instanceId: instance.id,
+            instanceName: instance.name,
+            scope: rule.scope,
+            subject,
+            metric: rule.metric,
+            value,
+            peakValue: value,
+            since: new Date(since).toISOString(),
+            firedAt: new Date(now).toISOString(),
+            silenced: isSilenced(rule, now),
+            state: 'firing',
+            acknowledgedAt: null,
+            resolvedAt: null,
+            resolution: null
+        };
+
+        this.history.unshift(alert);
+        if (!alert.silenced) {
+            this.showNotification(alert);
+        }
+    }
+
+    showNotification(alert) {
+        if (this.notificationPermission !== 'granted') return;
+
+        try {
+            // The tag collapses repeats of the same alert
+            const notification = new Notification(`${alert.severity === 'critical' ? '🔴' : '⚠'} ${alert.ruleName}`, {
+                body: `${describeSubject(alert)}: ${formatAlertValue(alert.scope, alert.metric, alert.value)}\n${alert.condition}`,
+                tag: alert.key,
+                requireInteraction: alert.severity === 'critical'
+            });
+            notification.onclick = () => {
+                window.focus();
+                window.location.hash = alertRoute(alert);
+                notification.close();
+            };
+        } catch (error) {
+            console.warn('Failed to show alert notification:', error);
+        }
+    }
+
+    markResolved(alert, resolution) {
+        alert.state = 'resolved';
+        alert.resolvedAt = new Date().toISOString();
+        alert.resolution = resolution;
+    }
+
+    resolveRuleAlerts(ruleId) {
+        this.history
+            .filter(a => a.ruleId === ruleId && a.state !== 'resolved')
+            .forEach(a => this.markResolved(a, 'rule'));
+        this.pending.forEach((_, key) => {
+            if (isKeyOf(key, undefined, ruleId)) this.pending.delete(key);
+        });
+        this.commitHistory();
+    }
+
+    // Silences that have run out are cleared so the rules list and badge stay current
+    expireSilences(now) {
+        const expired = this.rules.filter(rule => rule.silencedUntil && !isSilenced(rule, now));
+        if (expired.length === 0) return false;
+
+        expired.forEach(rule => { rule.silencedUntil = null; });
+        this.commitRules();
+        return true;
+    }
+
+    commitRules() {
+        // Copies, since rules are changed in place and the section must not share them
+        preferences.set(RULES_SECTION, { rules: this.rules.map(rule => ({ ...rule })) });
+        this.notify();
+    }
+
+    commitHistory() {
+        // Active alerts are always kept; resolved ones up to the limit, newest first
+        let resolved = 0;
+        this.history = this.history.filter(a => a.state !== 'resolved' || ++resolved <= HISTORY_LIMIT);
+        writeStorage(HISTORY_KEY, this.history);
+        this.notify();
+    }
+}
+
+/**
+ * Problems with a rule, e.g. from the rule editor.
+ * @returns {string[]} one message per problem
+ */
+export function validateRule(rule) {
+    const errors = [];
+
+    if (!rule.name || !rule.name.trim()) {
+        errors.push('The rule needs a name');
+    }
+    if (!ALERT_METRICS[rule.scope]) {
+        errors.push('Choose what the rule watches');
+    } else if (!ALERT_METRICS[rule.scope][rule.metric]) {
+        errors.push('Choose a metric');
+    }
+    if (rule.scope !== 'system' && rule.pattern && !isValidChannelPattern(rule.pattern.trim())) {
+        errors.push(`'${rule.pattern}' is not a valid channel pattern`);
+    }
+    if (!ALERT_OPERATORS.includes(rule.op)) {
+        errors.push('Choose a comparison');
+    }
+    if (!Number.isFinite(rule.value)) {
+        errors.push('The value must be a number');
+    }
+    if (!Number.isFinite(rule.forSeconds ?? 0) || rule.forSeconds < 0 || rule.forSeconds > MAX_DURATION_SECONDS) {
+        errors.push(`The duration must be 0 to ${MAX_DURATION_SECONDS} seconds`);
+    }
+    if (rule.clearValue != null) {
+        if (!Number.isFinite(rule.clearValue)) {
+            errors.push('The clear value must be a number');
+        } else if (isAbove(rule.op) ? rule.clearValue > rule.value : rule.clearValue < rule.value) {
+            errors.push(`The clear value must be ${isAbove(rule.op) ? 'at most' : 'at least'} the value, or the alert could never resolve`);
+        }
+    }
+    if (!ALERT_SEVERITIES.includes(rule.severity)) {
+        errors.push('Choose a severity');
+    }
+
+    return errors;
+}
+
+/** A rule's condition as text, e.g. "queueDepth on orders.* > 5000 for 30s". */
+export function describeRule(rule) {
+    const metric = ALERT_METRICS[rule.scope]?.[rule.metric];
+    const unit = metric?.unit === '%' ? '%' : '';
+    const parts = [rule.metric];
+    if (rule.scope !== 'system' && rule.pattern) {
+        parts.push('on', rule.pattern);
+    }
+    parts.push(rule.op, `${rule.value ?? '?'}${unit}`);
+    if (rule.forSeconds > 0) {
+        parts.push('for', formatDuration(rule.forSeconds));
+    }
+    if (rule.clearValue != null && rule.clearValue !== rule.value) {
+        parts.push(`(clears at ${rule.clearValue}${unit})`);
+    }
+    return parts.join(' ');
+}
+
+export function describeSubject(alert) {
+    const instance = connections.isMultiInstance ? `${alert.instanceName}: ` : '';
+    if (alert.scope === 'system') return `${instance}System`;
+    return `${instance}${alert.scope === 'channel' ? 'Channel' : 'Subscription'} ${alert.subject}`;
+}
+
+/** Screen showing an alert's subject, on its instance. */
+export function alertRoute(alert) {
+    if (alert.scope === 'channel') return instanceHash(alert.instanceId, `channels/${encodeURIComponent(alert.subject)}`);
+    if (alert.scope === 'subscription') return instanceHash(alert.instanceId, `subscriptions/${encodeURIComponent(alert.subject)}`);
+    return instanceHash(alert.instanceId, 'overview');
+}
+
+export function formatAlertValue(scope, metricName, value) {
+    if (typeof value !== 'number') return '-';
+    const unit = ALERT_METRICS[scope]?.[metricName]?.unit || '';
+    const rounded = Number.isInteger(value) ? value.toString() : value.toFixed(2);
+    if (!unit) return rounded;
+    return unit === '%' ? `${rounded}%` : `${rounded} ${unit}`;
+}
+
+export function isSilenced(rule, now = Date.now()) {
+    return !!rule?.silencedUntil && new Date(rule.silencedUntil).getTime() > now;
+}
+
+function ruleApplies(rule, item) {
+    if (rule.scope === 'system' || !rule.pattern) return true;
+    const channel = rule.scope === 'channel' ? item.name : item.channelPattern;
+    return channel === rule.pattern || matchesChannelPattern(channel || '', rule.pattern);
+}
+
+function subjectOf(scope, item) {
+    if (scope === 'channel') return item.name;
+    if (scope === 'subscription') return item.id;
+    return 'system';
+}
+
+function alertKey(instanceId, ruleId, subject) {
+    return JSON.stringify([instanceId, ruleId, subject]);
+}
+
+// Whether a key belongs to a rule, on one instance or (instanceId undefined) any
+function isKeyOf(key, instanceId, ruleId) {
+    const [keyInstance, keyRule] = JSON.parse(key);
+    return keyRule === ruleId && (instanceId === undefined || keyInstance === instanceId);
+}
+
+function compare(op, a, b) {
+    switch (op) {
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: return false;
+    }
+}
+
+function isAbove(op) {
+    return op === '>' || op === '>=';
+}
+
+function formatDuration(seconds) {
+    if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+    if (seconds % 60 === 0) return `${seconds / 60}m`;
+    return `${seconds}s`;
+}
+
+function createId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function loadRules() {
+    const { rules } = preferences.get(RULES_SECTION, { rules: [] });
+    return Array.isArray(rules) ? rules.filter(rule => rule && typeof rule === 'object').map(rule => ({ ...rule })) : [];
+}
+
+function readLease() {
+    try {
+        const lease = JSON.parse(localStorage.getItem(EVALUATOR_KEY) || 'null');
+        return lease && typeof lease.tabId === 'string' && typeof lease.until === 'number' ? lease : null;
+    } catch {
+        return null;
+    }
+}
+
+// Storage can be full or disabled; alerts then just don't outlive the page
+function loadList(key) {
+    try {
+        const list = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(list) ? list.filter(item => item && typeof item === 'object') : [];
+    } catch {
+        return [];
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Failed to save ${key}:`, error);
+    }
+}
+
+export const alerts = new AlertEngine();
@@ -1,28 +1,125 @@
-// API Client - Simple fetch wrapper for Portal API
+// API Client - Simple fetch wrapper for Portal API. One client per CrossBar instance; see instances.js.
 
 const API_BASE = '/api';
 
-class ApiClient {
-    constructor() {
-        this.baseUrl = API_BASE;
+const DEFAULT_OPTIONS = {
+    timeout: 15000,     // ms per attempt, 0 disables
+    retries: 2,         // extra attempts for GET requests
+    retryDelay: 500,    // ms, doubled on every attempt
+    cacheMaxAge: 2000,        // ms a cached GET is served without revalidating
+    cacheStaleMaxAge: 30000,  // ms a cached GET may be served while revalidating in the background
+    cacheMaxEntries: 100
+};
+
+// Structured error for every failed request. status is 0 when no HTTP response was received.
+export class ApiError extends Error {
+    constructor(message, { status = 0, endpoint = '', payload = null, timedOut = false, aborted = false, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ApiError';
+        this.status = status;
+        this.endpoint = endpoint;
+        this.payload = payload;
+        this.timedOut = timedOut;
+        this.aborted = aborted;
     }
 
+    // Network failures, timeouts and transient server statuses are worth another attempt
+    get isRetryable() {
+        if (this.aborted) return false;
+        return this.status === 0 || this.status === 408 || this.status === 429 || this.status >= 500;
+    }
+}
+
+export class ApiClient {
+    constructor(baseUrl = API_BASE) {
+        this.baseUrl = baseUrl;
+        this.defaults = { ...DEFAULT_OPTIONS };
+        this.navigationController = new AbortController();
+        this.cache = new Map(); // key (endpoint + query) -> { data, fetchedAt, hasData, stale, promise }
+    }
+
+    configure(options = {}) {
+        Object.assign(this.defaults, options);
+    }
+
+    // Aborts every in-flight request started by the current screen. Called by the router on screen switch.
+    abortPending() {
+        this.navigationController.abort();
+        this.navigationController = new AbortController();
+    }
+
+    /**
+     * Extra options on top of fetch's: timeout, retries, retryDelay and
+     * abortOnNavigate (default true; pass false for app-level requests).
+     * Only GET requests are retried.
+     */
     async request(endpoint, options = {}) {
+        const {
+            timeout = this.defaults.timeout,
+            retries = this.defaults.retries,
+            retryDelay = this.defaults.retryDelay,
+            abortOnNavigate = true,
+            signal,
+            ...fetchOptions
+        } = options;
+
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const maxRetries = method === 'GET' ? retries : 0;
+        const signals = [signal, abortOnNavigate ? this.navigationController.signal : null].filter(Boolean);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(endpoint, fetchOptions, timeout, signals);
+            } catch (error) {
+                if (attempt >= maxRetries || !error.isRetryable) {
+                    if (!error.aborted) {
+                        console.error(`API Error [${endpoint}]:`, error);
+                    }
+                    throw error;
+                }
+
+                await backoff(retryDelay * 2 ** attempt, signals, endpoint);
+            }
+        }
+    }
+
+    // Single attempt with its own timeout
+    async send(endpoint, fetchOptions, timeout, signals) {
         const url = `${this.baseUrl}${endpoint}`;
-        const config = {
-            headers: {
-                'Content-Type': 'application/json',
-                ...options.headers
-            },
-            ...options
-        };
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signals.forEach(s => {
+            if (s.aborted) {
+                controller.abort();
+            } else {
+                s.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+
+        let timedOut = false;
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
 
         try {
-            const response = await fetch(url, config);
+            const response = await fetch(url, {
+                ...fetchOptions,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...fetchOptions.headers
+                },
+                signal: controller.signal
+            });
 
             if (!response.ok) {
-                const error = await response.json().catch(() => ({ error: 'Request failed' }));
-                throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+                // Controllers return { error } or ProblemDetails ({ title, detail })
+                const payload = await response.json().catch(() => null);
+                throw new ApiError(
+                    payload?.error || payload?.detail || payload?.title || `HTTP ${response.status}: ${response.statusText}`,
+                    { status: response.status, endpoint, payload });
             }
 
             // Handle empty responses (204 No Content)
@@ -37,100 +134,435 @@ class ApiClient {
 
             return await response.text();
         } catch (error) {
-            console.error(`API Error [${endpoint}]:`, error);
-            throw error;
+            if (error instanceof ApiError) throw error;
+            if (timedOut) {
+                throw new ApiError(`Request timed out after ${timeout}ms`, { endpoint, timedOut: true, cause: error });
+            }
+            if (controller.signal.aborted) {
+                throw new ApiError('Request aborted', { endpoint, aborted: true, cause: error });
+            }
+            throw new ApiError(error.message || 'Network error', { endpoint, cause: error });
+        } finally {
+            clearTimeout(timer);
+            signals.forEach(s => s.removeEventListener('abort', onAbort));
         }
     }
 
+    /**
+     * Cached GET with stale-while-revalidate. Concurrent callers for the same
+     * endpoint share one request; pass { force: true } to skip cached data.
+     */
+    async cachedGet(endpoint, params = {}, { force = false } = {}) {
+        const key = `${endpoint}${buildQuery(params)}`;
+        const entry = this.cache.get(key);
+        const age = entry?.hasData ? Date.now() - entry.fetchedAt : Infinity;
+
+        if (!force && !entry?.stale && age < this.defaults.cacheMaxAge) {
+            return entry.data;
+        }
+
+        if (!force && age < this.defaults.cacheStaleMaxAge) {
+            this.revalidate(key).catch(() => {});
+            return entry.data;
+        }
+
+        return abortable(this.revalidate(key), this.navigationController.signal, key);
+    }
+
+    // Shared fetch for a cache key. Not tied to navigation since other screens may be waiting on it.
+    revalidate(key) {
+        let entry = this.cache.get(key);
+        if (entry?.promise) {
+            return entry.promise;
+        }
+
+        if (!entry) {
+            entry = { data: null, fetchedAt: 0, hasData: false, stale: false, promise: null };
+            this.cache.set(key, entry);
+            this.pruneCache();
+        }
+
+        entry.promise = this.request(key, { abortOnNavigate: false })
+            .then(data => {
+                entry.data = data;
+                entry.fetchedAt = Date.now();
+                entry.hasData = true;
+                entry.stale = false;
+                return data;
+            })
+            .finally(() => {
+                entry.promise = null;
+            });
+
+        return entry.promise;
+    }
+
+    // Marks matching entries stale; they're still served while a fresh copy loads
+    invalidate(prefix = '') {
+        this.cache.forEach((entry, key) => {
+            if (matchesPrefix(key, prefix)) {
+                entry.stale = true;
+            }
+        });
+    }
+
+    // Drops matching entries so the next read waits for the server
+    evict(...prefixes) {
+        Array.from(this.cache.keys()).forEach(key => {
+            if (prefixes.length === 0 || prefixes.some(prefix => matchesPrefix(key, prefix))) {
+                this.cache.delete(key);
+            }
+        });
+    }
+
+    // Seeds the cache with data that arrived by other means (e.g. SignalR)
+    prime(endpoint, data, params = {}) {
+        const key = `${endpoint}${buildQuery(params)}`;
+        const entry = this.cache.get(key) || { promise: null };
+        Object.assign(entry, { data, fetchedAt: Date.now(), hasData: true, stale: false });
+        this.cache.set(key, entry);
+        this.pruneCache();
+    }
+
+    pruneCache() {
+        if (this.cache.size <= this.defaults.cacheMaxEntries) return;
+
+        // Map keeps insertion order, so the first idle entries are the oldest
+        for (const [key, entry] of this.cache) {
+            if (this.cache.size <= this.defaults.cacheMaxEntries) break;
+            if (!entry.promise) {
+                this.cache.delete(key);
+            }
+        }
+    }
+
+    // Runs a mutation and drops cached reads it makes stale
+    async mutate(promise, ...prefixes) {
+        const result = await promise;
+        this.evict(...prefixes);
+        return result;
+    }
+
+    // Generic verbs - endpoints are relative to the API base, e.g. get('/channels')
+    async get(endpoint, params = {}) {
+        return this.request(`${endpoint}${buildQuery(params)}`);
+    }
+
+    async post(endpoint, body) {
+        return this.request(endpoint, {
+            method: 'POST',
+            ...(body !== undefined && { body: JSON.stringify(body) })
+        });
+    }
+
+    async delete(endpoint) {
+        return this.request(endpoint, {
+            method: 'DELETE'
+        });
+    }
+
+    /** Absolute URL for browser navigation (file downloads). */
+    url(endpoint, params = {}) {
+        return `${this.baseUrl}${endpoint}${buildQuery(params)}`;
+    }
+
+    // Instances
+
+    /** @returns {Promise<PortalInstanceDto[]>} */
+    async getInstances(options) {
+        return this.cachedGet('/instances', {}, options);
+    }
+
     // Overview
-    async getOverview() {
-        return this.request('/overview');
+
+    /** @returns {Promise<SystemOverviewDto>} */
+    async getOverview(options) {
+        return this.cachedGet('/overview', {}, options);
     }
 
     // Channels
-    async getChannels(params = {}) {
-        const query = new URLSearchParams(params).toString();
-        return this.request(`/channels${query ? '?' + query : ''}`);
+
+    /** @returns {Promise<ChannelInfoDto[]>} */
+    async getChannels(params = {}, options) {
+        return this.cachedGet('/channels', params, options);
+    }
+
+    /** @returns {Promise<ChannelDetailDto>} */
+    async getChannel(channelName, options) {
+        return this.cachedGet(`/channels/${encodeURIComponent(channelName)}`, {}, options);
     }
 
-    async getChannel(channelName) {
-        return this.request(`/channels/${encodeURIComponent(channelName)}`);
+    /** @returns {Promise<SubscriptionInfoDto[]>} */
+    async getChannelSubscriptions(channelName, options) {
+        return this.cachedGet(`/channels/${encodeURIComponent(channelName)}/subscriptions`, {}, options);
     }
 
-    async getChannelSubscriptions(channelName) {
-        return this.request(`/channels/${encodeURIComponent(channelName)}/subscriptions`);
+    /** @returns {Promise<ChannelStateDto>} */
+    async getChannelState(channelName, params = {}) {
+        return this.get(`/channels/${encodeURIComponent(channelName)}/state`, params);
     }
 
-    async getChannelState(channelName) {
-        return this.request(`/channels/${encodeURIComponent(channelName)}/state`);
+    /**
+     * Stored messages, newest first.
+     * @param {{ keyPrefix?: string, from?: string, to?: string, offset?: number, limit?: number }} params - from/to as ISO timestamps
+     * @returns {Promise<ChannelMessagesDto>}
+     */
+    async getChannelMessages(channelName, params = {}) {
+        return this.get(`/channels/${encodeURIComponent(channelName)}/messages`, params);
     }
 
+    /**
+     * Publishes a message composed in the portal; with dryRun the server only validates it.
+     * @param {{ key?: string, from?: string, correlationId?: number, store?: boolean, body: *, dryRun?: boolean }} message
+     * @returns {Promise<OperationResultDto>}
+     */
+    async publishMessage(channelName, message) {
+        return this.mutate(
+            this.post(`/channels/${encodeURIComponent(channelName)}/publish`, message),
+            '/channels', '/overview', '/metrics');
+    }
+
+    /** @returns {Promise<OperationResultDto>} */
     async deleteChannelStateKey(channelName, key) {
-        return this.request(`/channels/${encodeURIComponent(channelName)}/state/${encodeURIComponent(key)}`, {
-            method: 'DELETE'
-        });
+        return this.mutate(
+            this.delete(`/channels/${encodeURIComponent(channelName)}/state/${encodeURIComponent(key)}`),
+            '/channels', '/overview', '/metrics');
     }
 
+    /** @returns {Promise<OperationResultDto>} */
     async resetChannel(channelName) {
-        return this.request(`/channels/${encodeURIComponent(channelName)}/reset`, {
-            method: 'POST'
-        });
+        return this.mutate(
+            this.post(`/channels/${encodeURIComponent(channelName)}/reset`),
+            '/channels', '/overview', '/metrics');
     }
 
     // Subscriptions
-    async getSubscriptions(params = {}) {
-        const query = new URLSearchParams(params).toString();
-        return this.request(`/subscriptions${query ? '?' + query : ''}`);
+
+    /** @returns {Promise<SubscriptionInfoDto[]>} */
+    async getSubscriptions(params = {}, options) {
+        return this.cachedGet('/subscriptions', params, options);
     }
 
-    async getSubscription(id) {
-        return this.request(`/subscriptions/${id}`);
+    /** @returns {Promise<SubscriptionDetailDto>} */
+    async getSubscription(id, options) {
+        return this.cachedGet(`/subscriptions/${encodeURIComponent(id)}`, {}, options);
     }
 
+    /** @returns {Promise<OperationResultDto>} */
     async suspendSubscription(id) {
-        return this.request(`/subscriptions/${id}/suspend`, {
-            method: 'POST'
-        });
+        return this.mutate(
+            this.post(`/subscriptions/${encodeURIComponent(id)}/suspend`),
+            '/subscriptions', '/channels', '/overview', '/metrics');
     }
 
+    /** @returns {Promise<OperationResultDto>} */
     async resumeSubscription(id) {
-        return this.request(`/subscriptions/${id}/resume`, {
-            method: 'POST'
-        });
+        return this.mutate(
+            this.post(`/subscriptions/${encodeURIComponent(id)}/resume`),
+            '/subscriptions', '/channels', '/overview', '/metrics');
     }
 
+    /** @returns {Promise<OperationResultDto>} */
     async detachSubscription(id) {
-        return this.request(`/subscriptions/${id}/detach`, {
-            method: 'POST'
-        });
+        return this.mutate(
+            this.post(`/subscriptions/${encodeURIComponent(id)}/detach`),
+            '/subscriptions', '/channels', '/overview', '/metrics');
+    }
+
+    /**
+     * Applies one operation to several subscriptions; the response has a result per ID.
+     * @param {'suspend'|'resume'|'detach'} operation
+     * @param {string[]} ids
+     * @returns {Promise<{operation: string, succeeded: number, failed: number, results: {id: string, result: OperationResultDto}[]}>}
+     */
+    async batchSubscriptionOperation(operation, ids) {
+        return this.mutate(
+            this.post('/subscriptions/batch', { operation, ids }),
+            '/subscriptions', '/channels', '/overview', '/metrics');
     }
 
     // Metrics
-    async getMetrics() {
-        return this.request('/metrics');
+
+    /** @returns {Promise<{overview: SystemOverviewDto, channels: ChannelInfoDto[], subscriptions: SubscriptionInfoDto[], timestamp: string}>} */
+    async getMetrics(options) {
+        return this.cachedGet('/metrics', {}, options);
     }
 
+    /**
+     * Recorded metrics for a window; from/to are ISO timestamps, step is in ms.
+     * Not cached: every window is different.
+     * @returns {Promise<MetricsHistoryDto>}
+     */
+    async getMetricsHistory(params = {}) {
+        return this.get('/metrics/history', params);
+    }
+
+    /** JSON returns the metrics object, CSV returns the file contents as text. */
     async exportMetrics(format = 'json') {
-        return this.request(`/metrics/export?format=${format}`);
+        return this.get('/metrics/export', { format });
+    }
+
+    metricsExportUrl(format = 'json') {
+        return this.url('/metrics/export', { format });
+    }
+
+    // Configuration
+
+    /** @returns {Promise<ConfigurationDto>} */
+    async getConfiguration(options) {
+        return this.cachedGet('/configuration', {}, options);
+    }
+
+    /** @returns {Promise<ConfigurationDto>} */
+    async exportConfiguration() {
+        return this.get('/configuration/export');
     }
 
-    // Configuration (to be implemented)
-    async getConfiguration() {
-        return this.request('/configuration');
+    configurationExportUrl() {
+        return this.url('/configuration/export');
     }
 
-    // Errors (to be implemented)
+    // Preferences
+
+    /** @returns {Promise<UserPreferencesDto>} 404 when the user has nothing saved */
+    async getPreferences(user) {
+        return this.get(`/preferences/${encodeURIComponent(user)}`);
+    }
+
+    /** @returns {Promise<UserPreferencesDto>} */
+    async savePreferences(user, preferences) {
+        return this.request(`/preferences/${encodeURIComponent(user)}`, {
+            method: 'PUT',
+            body: JSON.stringify(preferences)
+        });
+    }
+
+    // Thresholds
+
+    /** @returns {Promise<ThresholdSettingsDto>} */
+    async getThresholds(options) {
+        return this.cachedGet('/thresholds', {}, options);
+    }
+
+    /** @returns {Promise<ThresholdSchemaDto>} */
+    async getThresholdSchema(options) {
+        return this.cachedGet('/thresholds/schema', {}, options);
+    }
+
+    /**
+     * Replaces the shared thresholds. A 400 carries every validation problem in payload.errors.
+     * @returns {Promise<ThresholdSettingsDto>}
+     */
+    async saveThresholds(settings) {
+        return this.mutate(
+            this.request('/thresholds', { method: 'PUT', body: JSON.stringify(settings) }),
+            '/thresholds');
+    }
+
+    // Errors
+
+    /** @returns {Promise<ErrorLogDto>} */
     async getErrors(params = {}) {
-        const query = new URLSearchParams(params).toString();
-        return this.request(`/errors${query ? '?' + query : ''}`);
+        return this.get('/errors', params);
     }
 
     async clearErrors() {
-        return this.request('/errors', {
-            method: 'DELETE'
-        });
+        return this.mutate(this.delete('/errors'), '/errors');
     }
+
+    /** Seeds one error of each type (development aid). */
+    async addTestErrors() {
+        return this.post('/errors/test');
+    }
+}
+
+// Waits before a retry; rejects straight away if the request is aborted meanwhile
+function backoff(ms, signals, endpoint) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new ApiError('Request aborted', { endpoint, aborted: true }));
+        };
+        const timer = setTimeout(() => {
+            signals.forEach(s => s.removeEventListener('abort', onAbort));
+            resolve();
+        }, ms);
+
+        signals.forEach(s => {
+            if (s.aborted) {
+                onAbort();
+            } else {
+                s.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    });
 }
 
-// Export singleton instance
-export const api = new ApiClient();
+// Lets one caller stop waiting on a shared request without cancelling it for the others
+function abortable(promise, signal, endpoint) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new ApiError('Request aborted', { endpoint, aborted: true }));
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// '/channels' matches '/channels', '/channels?search=x' and '/channels/orders', but not '/channelsX'
+function matchesPrefix(key, prefix) {
+    return !prefix || key === prefix || key.startsWith(`${prefix}/`) || key.startsWith(`${prefix}?`);
+}
+
+// Skips empty values so optional filters don't end up as "?search="
+function buildQuery(params) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            query.append(key, value);
+        }
+    });
+    const text = query.toString();
+    return text ? `?${text}` : '';
+}
+
+// Client for the instance on screen, switched by the connection manager
+let activeClient = new ApiClient();
+
+export function setActiveApiClient(client) {
+    activeClient = client;
+}
+
+/**
+ * Binds the API methods a module calls. Modules call this at the top level with every
+ * method they use, so a misspelt or removed method fails when the module is loaded
+ * rather than when its button is clicked. Each call goes to the client of the instance
+ * on screen at the time it is made, so a call started before an instance switch
+ * finishes against its own instance.
+ * @param {...string} names - ApiClient methods
+ * @returns {Object<string, Function>}
+ */
+export function bindApi(...names) {
+    const bound = {};
+    names.forEach(name => {
+        if (typeof ApiClient.prototype[name] !== 'function') {
+            throw new TypeError(`ApiClient has no method '${name}'`);
+        }
+        bound[name] = (...args) => activeClient[name](...args);
+    });
+
+    // Guards calls to methods left out of the list
+    return new Proxy(Object.freeze(bound), {
+        get(target, property) {
+            if (typeof property === 'string' && property !== 'then' && !(property in target)) {
+                throw new TypeError(`ApiClient method '${property}' is not bound here; add it to bindApi()`);
+            }
+            return Reflect.get(target, property);
+        }
+    });
+}
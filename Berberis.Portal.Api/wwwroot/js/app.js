@@ -1,6 +1,30 @@
 // Main Application - Router and Screen Loader
 
-import { signalRClient } from './signalr-client.js';
+import { bindApi, ApiError } from './api-client.js';
+import { connections, instanceHash } from './instances.js';
+import { parseHash } from './route-state.js';
+import { CommandPalette } from './command-palette.js';
+import { preferences } from './preferences.js';
+import { alerts } from './alerts.js';
+
+const api = bindApi('abortPending');
+
+// List routes with an id segment (#/channels/<name>) open the matching detail screen
+const DETAIL_SCREENS = {
+    'channels': 'channel-detail',
+    'subscriptions': 'subscription-detail'
+};
+
+// Time allowed between "g" and the screen letter of a go-to shortcut
+const SHORTCUT_TIMEOUT_MS = 1000;
+
+const STATUS_LABELS = {
+    connecting: 'Connecting...',
+    connected: 'Connected',
+    reconnecting: 'Reconnecting...',
+    polling: 'Polling (live events unavailable)',
+    disconnected: 'Disconnected'
+};
 
 class App {
     constructor() {
@@ -14,22 +38,36 @@ class App {
             'subscription-detail': () => import('./screens/subscription-detail.js'),
             'analytics': () => import('./screens/analytics.js'),
             'bottlenecks': () => import('./screens/bottlenecks.js'),
+            'topology': () => import('./screens/topology.js'),
             'lifecycle': () => import('./screens/lifecycle.js'),
             'traces': () => import('./screens/traces.js'),
             'errors': () => import('./screens/errors.js'),
             'pattern-tester': () => import('./screens/pattern-tester.js'),
-            'configuration': () => import('./screens/configuration.js')
+            'configuration': () => import('./screens/configuration.js'),
+            'views': () => import('./screens/views.js'),
+            'alerts': () => import('./screens/alerts.js')
         };
+        this.currentScreenName = null;
+        this.commandPalette = new CommandPalette({
+            onActionComplete: () => this.handleRoute()
+        });
     }
 
     async init() {
         console.log('Initializing Berberis Portal...');
 
-        // Connect to SignalR
-        await signalRClient.connect();
+        // Load the instance list and start each hub connection in the background
+        await connections.init();
+        this.setupInstanceSwitcher();
+        this.setupSaveView();
+        this.setupAlerts();
+
+        // Settings synced from another browser win if they are newer; don't hold up the first screen for them
+        preferences.init();
 
         // Setup routing
         this.setupRouting();
+        this.setupKeyboardShortcuts();
 
         // Handle initial route or default to overview
         this.handleRoute();
@@ -47,17 +85,124 @@ class App {
         });
     }
 
+    setupInstanceSwitcher() {
+        const switcher = document.getElementById('instance-switcher');
+
+        // The header status follows the instance on screen
+        connections.onStatusChange((instance, status) => {
+            if (instance === connections.active) {
+                renderConnectionStatus(status);
+            }
+        });
+        connections.onActiveChange((instance) => {
+            renderConnectionStatus(instance.status);
+            if (switcher) switcher.value = instance.id;
+        });
+        renderConnectionStatus(connections.active.status);
+
+        if (!switcher || !connections.isMultiInstance) return;
+
+        switcher.innerHTML = connections.list()
+            .map(instance => `<option value="${escapeHtml(instance.id)}">${escapeHtml(instance.name)}</option>`)
+            .join('');
+        switcher.value = connections.active.id;
+        switcher.style.display = '';
+
+        // Same screen on the other instance; ids in a detail route belong to the old one
+        switcher.addEventListener('change', () => {
+            const { path = 'overview' } = parseHash();
+            window.location.hash = instanceHash(switcher.value, path);
+        });
+    }
+
+    setupSaveView() {
+        const button = document.getElementById('save-view-trigger');
+        if (!button) return;
+
+        button.addEventListener('click', () => {
+            if (!this.currentScreenName) return;
+
+            const name = prompt('Save this screen as a view named:')?.trim();
+            if (!name) return;
+            if (preferences.findView(name) && !confirm(`Replace the saved view "${name}"?`)) return;
+
+            preferences.saveView(name, this.currentScreenName, window.location.hash || '#/overview');
+            button.textContent = '✓ Saved';
+            setTimeout(() => { button.textContent = '🔖 Save View'; }, 1500);
+        });
+    }
+
+    // Rules run whichever screen is open; the header badge counts alerts nobody has acknowledged
+    setupAlerts() {
+        alerts.start();
+
+        const badge = document.getElementById('alerts-badge');
+        if (!badge) return;
+
+        const renderBadge = () => {
+            const unacknowledged = alerts.getUnacknowledged();
+            badge.textContent = unacknowledged.length;
+            badge.hidden = unacknowledged.length === 0;
+            badge.classList.toggle('critical', unacknowledged.some(a => a.severity === 'critical'));
+        };
+        alerts.onChange(renderBadge);
+        renderBadge();
+    }
+
+    setupKeyboardShortcuts() {
+        this.commandPalette.init();
+
+        document.getElementById('command-palette-trigger')?.addEventListener('click', () => {
+            this.commandPalette.open();
+        });
+
+        // Vim-style "g <letter>" jumps to the sidebar item with that data-shortcut
+        let pendingGo = null;
+
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || this.commandPalette.isOpen || isEditable(e.target)) {
+                return;
+            }
+
+            if (pendingGo) {
+                clearTimeout(pendingGo);
+                pendingGo = null;
+
+                const item = document.querySelector(`.nav-item[data-shortcut="${CSS.escape(e.key)}"]`);
+                if (item) {
+                    e.preventDefault();
+                    window.location.hash = `#/${item.dataset.route}`;
+                }
+                return;
+            }
+
+            if (e.key === 'g') {
+                pendingGo = setTimeout(() => { pendingGo = null; }, SHORTCUT_TIMEOUT_MS);
+            }
+        });
+    }
+
     async handleRoute() {
-        const hash = window.location.hash.slice(1) || '/overview';
-        const [path, ...params] = hash.split('/').filter(p => p);
+        // Query parameters (#/screen/param?key=value) are screen state, read via route-state.js
+        const { instance: instanceId, path = 'overview', params } = parseHash();
 
-        console.log(`Navigating to: ${path}`, params);
+        // Unscoped routes (#/channels, links inside screens) stay on the current instance;
+        // the URL is rewritten to name it so it can be shared
+        const instance = connections.get(instanceId) || connections.active;
+        if (connections.isMultiInstance && instanceId !== instance.id) {
+            const raw = window.location.hash.replace(/^#\/?/, '');
+            const route = instanceId ? raw.split('/').slice(2).join('/') : raw;
+            history.replaceState(null, '', instanceHash(instance.id, route || 'overview'));
+        }
+
+        console.log(`Navigating to: ${path} on ${instance.id}`, params);
 
         // Update active navigation
         this.updateActiveNav(path);
 
         // Load screen
-        await this.loadScreen(path, params);
+        const screenName = params.length > 0 && DETAIL_SCREENS[path] ? DETAIL_SCREENS[path] : path;
+        await this.loadScreen(screenName, params, instance);
     }
 
     updateActiveNav(route) {
@@ -70,8 +215,11 @@ class App {
         });
     }
 
-    async loadScreen(screenName, params = []) {
+    async loadScreen(screenName, params = [], instance = connections.active) {
         try {
+            // Abort requests still in flight for the previous screen
+            api.abortPending();
+
             // Show loading state
             this.showLoading();
 
@@ -80,6 +228,9 @@ class App {
                 await this.currentScreen.cleanup();
             }
 
+            // Cleanup released the previous instance's streams; the new screen uses this one
+            connections.activate(instance.id);
+
             // Load screen module
             const screenLoader = this.screens[screenName];
             if (!screenLoader) {
@@ -89,6 +240,7 @@ class App {
 
             const screenModule = await screenLoader();
             this.currentScreen = screenModule.default || screenModule;
+            this.currentScreenName = screenName;
 
             // Render screen
             if (typeof this.currentScreen.render === 'function') {
@@ -98,6 +250,9 @@ class App {
             }
 
         } catch (error) {
+            // A screen abandoned mid-load; the next screen owns the container now
+            if (error instanceof ApiError && error.aborted) return;
+
             console.error('Error loading screen:', error);
             this.showError(error.message);
         }
@@ -127,6 +282,28 @@ class App {
     }
 }
 
+function renderConnectionStatus(status) {
+    const statusEl = document.getElementById('connection-status');
+    if (!statusEl) return;
+
+    statusEl.className = `connection-status ${status}`;
+    const statusText = statusEl.querySelector('.status-text');
+    if (statusText) {
+        statusText.textContent = STATUS_LABELS[status] || STATUS_LABELS.disconnected;
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function isEditable(element) {
+    return element instanceof HTMLElement
+        && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+}
+
 // Initialize app when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
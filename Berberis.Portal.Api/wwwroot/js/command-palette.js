@@ -0,0 +1,381 @@
+// Command Palette - Ctrl+K fuzzy search over screens, channels, subscriptions and admin actions
+
+import { bindApi } from './api-client.js';
+import * as actions from './actions.js';
+import { subscriptionFilterUrl, SUBSCRIPTION_FIELDS } from './subscription-filters.js';
+import { preferences } from './preferences.js';
+import { parseQuery, evaluate } from './utils/filter-query.js';
+
+const api = bindApi('getChannels', 'getSubscriptions');
+
+const MAX_RESULTS = 50;
+
+const TYPE_LABELS = {
+    screen: 'Screen',
+    channel: 'Channel',
+    subscription: 'Subscription',
+    view: 'View',
+    filter: 'Filter',
+    action: 'Action'
+};
+
+/**
+ * Scores text against a query whose characters must appear in order.
+ * Returns null when it doesn't match; higher is better. Consecutive characters,
+ * word starts and literal prefixes/substrings are rewarded.
+ */
+export function fuzzyScore(query, text) {
+    const needle = query.trim().toLowerCase();
+    const haystack = text.toLowerCase();
+
+    if (!needle) return 0;
+
+    let score = 0;
+    let position = 0;
+    let previous = -2;
+
+    for (const char of needle) {
+        const found = haystack.indexOf(char, position);
+        if (found === -1) return null;
+
+        if (found === previous + 1) score += 5;
+        if (found === 0 || /[\s.\-_/:]/.test(haystack[found - 1])) score += 3;
+        score -= Math.min(found - position, 5);
+
+        previous = found;
+        position = found + 1;
+    }
+
+    if (haystack.startsWith(needle)) {
+        score += 20;
+    } else if (haystack.includes(needle)) {
+        score += 10;
+    }
+
+    // Prefer the shorter of otherwise equal matches
+    return score - haystack.length / 100;
+}
+
+export class CommandPalette {
+    /**
+     * @param {{ onActionComplete?: () => void }} options - called after a confirmed action
+     *   succeeds so the current screen can reload
+     */
+    constructor({ onActionComplete = () => {} } = {}) {
+        this.onActionComplete = onActionComplete;
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        this.isOpen = false;
+        this.channels = [];
+        this.subscriptions = [];
+        this.results = [];
+        this.selectedIndex = 0;
+    }
+
+    init() {
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.element) {
+            this.createElement();
+        }
+
+        this.isOpen = true;
+        this.element.style.display = 'flex';
+        this.input.value = '';
+        this.input.focus();
+        this.update();
+
+        // Cached data shows immediately; fresher lists re-render when they arrive
+        this.loadData();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.element.style.display = 'none';
+    }
+
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'command-palette-overlay';
+        this.element.innerHTML = `
+            <div class="command-palette" role="dialog" aria-label="Command palette">
+                <input
+                    type="text"
+                    class="command-palette-input"
+                    placeholder="Search screens, channels, subscriptions and actions, or filter with queueDepth > 1k..."
+                    autocomplete="off"
+                    spellcheck="false"
+                >
+                <ul class="command-palette-results" role="listbox"></ul>
+                <div class="command-palette-footer">
+                    <span><kbd>↑</kbd><kbd>↓</kbd> navigate</span>
+                    <span><kbd>Enter</kbd> open</span>
+                    <span><kbd>Esc</kbd> close</span>
+                    <span><kbd>g</kbd> then a letter jumps to a screen</span>
+                </div>
+            </div>
+        `;
+
+        this.input = this.element.querySelector('.command-palette-input');
+        this.list = this.element.querySelector('.command-palette-results');
+
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Clicking the backdrop closes the palette
+        this.element.addEventListener('mousedown', (e) => {
+            if (e.target === this.element) {
+                this.close();
+            }
+        });
+
+        this.list.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                this.select(parseInt(item.dataset.index));
+            }
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                this.run(this.results[parseInt(item.dataset.index)]);
+            }
+        });
+
+        document.body.appendChild(this.element);
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.select(this.selectedIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.select(this.selectedIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.run(this.results[this.selectedIndex]);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+        }
+    }
+
+    async loadData() {
+        const [channels, subscriptions] = await Promise.allSettled([
+            api.getChannels(),
+            api.getSubscriptions()
+        ]);
+
+        if (channels.status === 'fulfilled') {
+            this.channels = channels.value || [];
+        }
+        if (subscriptions.status === 'fulfilled') {
+            this.subscriptions = subscriptions.value || [];
+        }
+
+        if (this.isOpen) {
+            this.update();
+        }
+    }
+
+    buildItems() {
+        const items = [];
+
+        document.querySelectorAll('.nav-item[data-route]').forEach(nav => {
+            const label = nav.querySelector('.nav-label')?.textContent || nav.dataset.route;
+            items.push({
+                type: 'screen',
+                label,
+                hint: nav.dataset.shortcut ? `g ${nav.dataset.shortcut}` : '',
+                run: () => navigate(`#/${nav.dataset.route}`)
+            });
+        });
+
+        preferences.getViews().forEach(view => {
+            items.push({
+                type: 'view',
+                label: view.name,
+                hint: describeRoute(view.route),
+                run: () => preferences.openView(view)
+            });
+        });
+
+        this.channels.forEach(channel => {
+            items.push({
+                type: 'channel',
+                label: channel.name,
+                hint: channel.bodyType || '',
+                run: () => navigate(`#/channels/${encodeURIComponent(channel.name)}`)
+            });
+        });
+
+        this.subscriptions.forEach(subscription => {
+            items.push({
+                type: 'subscription',
+                label: subscription.id,
+                hint: subscription.channelPattern || '',
+                run: () => navigate(`#/subscriptions/${encodeURIComponent(subscription.id)}`)
+            });
+        });
+
+        this.subscriptions.forEach(subscription => {
+            const isSuspended = subscription.status === 'Suspended';
+            items.push(isSuspended
+                ? this.createAction(`Resume subscription ${subscription.id}`, () => actions.resumeSubscription(subscription.id))
+                : this.createAction(`Suspend subscription ${subscription.id}`, () => actions.suspendSubscription(subscription.id)));
+            items.push(this.createAction(`Detach subscription ${subscription.id}`, () => actions.detachSubscription(subscription.id)));
+        });
+
+        return items;
+    }
+
+    createAction(label, perform) {
+        return {
+            type: 'action',
+            label,
+            hint: 'Requires confirmation',
+            run: async () => {
+                if (await perform()) {
+                    this.onActionComplete();
+                }
+            }
+        };
+    }
+
+    // A query such as "queueDepth > 1k" becomes a link to the filtered subscriptions list
+    createFilterItem(query) {
+        let tree;
+        try {
+            tree = parseQuery(query, SUBSCRIPTION_FIELDS);
+        } catch {
+            return null;
+        }
+        if (!tree || !hasFieldPredicate(tree)) return null;
+
+        const matches = this.subscriptions.filter(sub => evaluate(tree, sub, SUBSCRIPTION_FIELDS)).length;
+        return {
+            type: 'filter',
+            label: `Filter subscriptions: ${query}`,
+            hint: `${matches.toLocaleString()} ${matches === 1 ? 'match' : 'matches'}`,
+            run: () => navigate(subscriptionFilterUrl(query))
+        };
+    }
+
+    update() {
+        const query = this.input.value;
+        const items = this.buildItems();
+
+        if (query.trim()) {
+            this.results = items
+                .map(item => ({ item, score: fuzzyScore(query, item.label) }))
+                .filter(match => match.score !== null)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, MAX_RESULTS)
+                .map(match => match.item);
+
+            const filter = this.createFilterItem(query.trim());
+            if (filter) {
+                this.results.unshift(filter);
+            }
+        } else {
+            // With no query, list navigation targets and keep actions out of the way
+            this.results = items.filter(item => item.type !== 'action').slice(0, MAX_RESULTS);
+        }
+
+        this.selectedIndex = 0;
+        this.render();
+    }
+
+    render() {
+        if (this.results.length === 0) {
+            this.list.innerHTML = '<li class="command-palette-empty">No matches</li>';
+            return;
+        }
+
+        this.list.innerHTML = this.results.map((item, index) => `
+            <li class="command-palette-item ${index === this.selectedIndex ? 'selected' : ''}" data-index="${index}" role="option">
+                <span class="command-palette-type type-${item.type}">${TYPE_LABELS[item.type]}</span>
+                <span class="command-palette-label">${escapeHtml(item.label)}</span>
+                <span class="command-palette-hint">${escapeHtml(item.hint)}</span>
+            </li>
+        `).join('');
+    }
+
+    select(index) {
+        if (this.results.length === 0) return;
+
+        const next = Math.max(0, Math.min(index, this.results.length - 1));
+        if (next === this.selectedIndex) return;
+
+        this.list.querySelector(`[data-index="${this.selectedIndex}"]`)?.classList.remove('selected');
+        this.selectedIndex = next;
+
+        const item = this.list.querySelector(`[data-index="${next}"]`);
+        item?.classList.add('selected');
+        item?.scrollIntoView({ block: 'nearest' });
+    }
+
+    run(item) {
+        if (!item) return;
+
+        // Close first so confirm() dialogs and the next screen aren't covered
+        this.close();
+        item.run();
+    }
+}
+
+function hasFieldPredicate(node) {
+    switch (node.type) {
+        case 'and':
+        case 'or':
+            return node.items.some(hasFieldPredicate);
+        case 'not':
+            return hasFieldPredicate(node.item);
+        default:
+            return node.type !== 'text';
+    }
+}
+
+// '#/subscriptions?search=queueDepth%20%3E%201k' -> 'subscriptions?search=queueDepth > 1k'
+function describeRoute(route) {
+    try {
+        return decodeURIComponent(route.replace(/^#\/?/, ''));
+    } catch {
+        return route;
+    }
+}
+
+function navigate(hash) {
+    window.location.hash = hash;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,136 @@
+// Connection Manager - One ApiClient/SignalRClient pair per CrossBar instance
+//
+// Instances come from /api/instances on the host serving the portal. The active
+// instance backs the `bindApi` methods and the `signalRClient` export used by screens;
+// URLs scope a screen to an instance with #/i/<id>/<screen>.
+
+import { bindApi, ApiClient, setActiveApiClient } from './api-client.js';
+import { SignalRClient, setActiveSignalRClient } from './signalr-client.js';
+import { MetricsStore } from './metrics-store.js';
+
+const api = bindApi('invalidate', 'prime', 'getInstances');
+
+// Used when the instance list can't be loaded: just the host serving the portal
+const LOCAL_INSTANCE = { id: 'local', name: 'Local', baseUrl: '' };
+
+class Instance {
+    constructor({ id, name, baseUrl = '' }) {
+        this.id = id;
+        this.name = name || id;
+        this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+        this.api = new ApiClient(`${this.baseUrl}/api`);
+        this.signalR = new SignalRClient(this.api, `${this.baseUrl}/hubs/events`);
+        this.metrics = new MetricsStore(this.id, this.api, this.signalR);
+
+        // Metrics pushes carry the system overview; everything else cached is now out of date
+        this.signalR.onMetricsUpdate((overview) => {
+            this.api.invalidate();
+            if (overview) {
+                this.api.prime('/overview', overview);
+            }
+        });
+    }
+
+    get status() {
+        return this.signalR.status;
+    }
+}
+
+class ConnectionManager {
+    constructor() {
+        this.instances = new Map();
+        this.active = null;
+        this.eventHandlers = {
+            change: [],
+            status: []
+        };
+    }
+
+    /** Loads the instance list, restores metrics history, starts every hub connection and activates the first instance. */
+    async init() {
+        let configured = [];
+        try {
+            configured = await api.getInstances() || [];
+        } catch (error) {
+            console.error('Failed to load instances, showing this host only:', error);
+        }
+
+        (configured.length > 0 ? configured : [LOCAL_INSTANCE]).forEach(config => {
+            if (!config.id || this.instances.has(config.id)) {
+                console.warn('Skipping instance with missing or duplicate id:', config);
+                return;
+            }
+
+            const instance = new Instance(config);
+            this.instances.set(instance.id, instance);
+
+            instance.signalR.onStatusChange(status => {
+                this.eventHandlers.status.forEach(handler => handler(instance, status));
+            });
+        });
+
+        // Restore sparkline history first so the first screen has it and live samples land after it
+        await Promise.all(this.list().map(instance => instance.metrics.restore()));
+
+        this.list().forEach(instance => {
+            instance.metrics.start();
+
+            // Connect in the background; screens load over REST and subscriptions
+            // made before a hub is up are applied once it connects
+            instance.signalR.connect();
+        });
+
+        this.activate(this.list()[0].id);
+    }
+
+    list() {
+        return [...this.instances.values()];
+    }
+
+    get isMultiInstance() {
+        return this.instances.size > 1;
+    }
+
+    /** @returns {Instance|null} */
+    get(id) {
+        return this.instances.get(id) || null;
+    }
+
+    /** Makes an instance back the shared clients. Call between screen cleanup and render. */
+    activate(id) {
+        const instance = this.get(id);
+        if (!instance || instance === this.active) return this.active;
+
+        this.active = instance;
+        setActiveApiClient(instance.api);
+        setActiveSignalRClient(instance.signalR);
+        this.eventHandlers.change.forEach(handler => handler(instance));
+        return instance;
+    }
+
+    // Event handler registration
+    onActiveChange(handler) {
+        this.eventHandlers.change.push(handler);
+        return () => {
+            const index = this.eventHandlers.change.indexOf(handler);
+            if (index > -1) this.eventHandlers.change.splice(index, 1);
+        };
+    }
+
+    // Called with (instance, status) whenever any instance's hub status changes
+    onStatusChange(handler) {
+        this.eventHandlers.status.push(handler);
+        return () => {
+            const index = this.eventHandlers.status.indexOf(handler);
+            if (index > -1) this.eventHandlers.status.splice(index, 1);
+        };
+    }
+}
+
+// Hash for a screen on an instance. Single-instance portals keep the short #/screen form.
+export function instanceHash(instanceId, route) {
+    const path = route.replace(/^#?\/*/, '');
+    return connections.isMultiInstance ? `#/i/${encodeURIComponent(instanceId)}/${path}` : `#/${path}`;
+}
+
+export const connections = new ConnectionManager();
@@ -0,0 +1,311 @@
+// Metrics Store - App-level sparkline history, one per CrossBar instance
+//
+// Every OnMetricsUpdate push (or polling tick) becomes one sample holding the
+// overview figures plus each channel's and subscription's rates, whichever
+// screen is visible. Samples are kept in memory and in IndexedDB, so sparklines
+// survive navigation and reloads. Like the server's MetricsHistoryMaxSeries, a sample
+// holds at most MAX_SERIES channel and subscription series, channels first. Series keys:
+//   overview:<metric>               throughput, errorRate (%), activeChannels, activeSubscriptions
+//   channel:<name>:publishRate
+//   subscription:<id>:queueDepth    also :processRate
+
+const DB_NAME = 'berberis-portal';
+const DB_VERSION = 1;
+const SAMPLES_STORE = 'metricsSamples'; // { instance, t, values: { [series]: number } }
+const SETTINGS_STORE = 'settings'; // { name, value }
+
+const RETENTION_SETTING = 'metricsRetentionMs';
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_POINTS = 120; // per sparkline; older samples are averaged together
+const MAX_SERIES = 1000; // channel and subscription series per sample
+const PRUNE_INTERVAL_MS = 60 * 1000; // get() leaves out expired points meanwhile
+
+export const RETENTION_OPTIONS = [
+    { label: '15 minutes', ms: 15 * 60 * 1000 },
+    { label: '1 hour', ms: 60 * 60 * 1000 },
+    { label: '3 hours', ms: 3 * 60 * 60 * 1000 },
+    { label: '6 hours', ms: 6 * 60 * 60 * 1000 }
+];
+
+// Overview series and the SystemOverviewDto field each one reads
+const OVERVIEW_SERIES = {
+    throughput: (overview) => overview.systemThroughput,
+    errorRate: (overview) => overview.systemErrorRate === undefined ? undefined : overview.systemErrorRate * 100,
+    activeChannels: (overview) => overview.activeChannels,
+    activeSubscriptions: (overview) => overview.activeSubscriptions
+};
+
+let retentionMs = DEFAULT_RETENTION_MS;
+let retentionLoaded = null;
+let databasePromise = null;
+
+export class MetricsStore {
+    /**
+     * @param {string} instanceId - partitions the shared database between instances
+     * @param {ApiClient} api - the instance's REST client, for channel and subscription rates
+     * @param {SignalRClient} signalR - the instance's hub client, whose pushes drive sampling
+     */
+    constructor(instanceId, api, signalR) {
+        this.instanceId = instanceId;
+        this.api = api;
+        this.signalR = signalR;
+        this.series = new Map(); // key -> [{ t, v }], oldest first
+        this.sampling = false;
+        this.prunedAt = 0;
+        this.seriesCapWarned = false;
+        this.persistent = true; // false once IndexedDB has failed; history is then in-memory only
+        this.releaseMetrics = null;
+        this.metricsUnsubscribe = null;
+        this.updateHandlers = [];
+    }
+
+    /** Loads persisted samples within the retention window. Never throws; history just starts empty. */
+    async restore() {
+        try {
+            await loadRetention();
+            const db = await openDatabase();
+            const from = Date.now() - retentionMs;
+            const samples = await requestResult(db
+                .transaction(SAMPLES_STORE)
+                .objectStore(SAMPLES_STORE)
+                .getAll(IDBKeyRange.bound([this.instanceId, from], [this.instanceId, Infinity])));
+
+            samples.forEach(sample => this.addSample(sample.t, sample.values));
+        } catch (error) {
+            this.persistent = false;
+            console.warn(`Metrics history for '${this.instanceId}' not restored, keeping it in memory only:`, error);
+        }
+    }
+
+    /** Starts sampling from the hub for the lifetime of the app. */
+    async start(intervalMs = 5000) {
+        if (this.metricsUnsubscribe) return;
+
+        this.metricsUnsubscribe = this.signalR.onMetricsUpdate(overview => this.sample(overview));
+        try {
+            this.releaseMetrics = await this.signalR.subscribeToMetrics(intervalMs);
+        } catch (error) {
+            console.error('Failed to subscribe to metrics for history:', error);
+        }
+    }
+
+    // Records one push. Channel and subscription rates come from the list endpoints, through
+    // the client's cache so screens showing the lists share the requests; if the previous
+    // push is still fetching them, this one records the overview only.
+    async sample(overview) {
+        if (!overview) return;
+
+        const t = Date.now();
+        const values = {};
+        Object.entries(OVERVIEW_SERIES).forEach(([metric, read]) => {
+            setValue(values, `overview:${metric}`, read(overview));
+        });
+
+        let channels = null;
+        let subscriptions = null;
+        if (!this.sampling) {
+            this.sampling = true;
+            try {
+                [channels, subscriptions] = await Promise.all([
+                    this.api.getChannels(),
+                    this.api.getSubscriptions()
+                ]);
+            } catch (error) {
+                if (!error.aborted) {
+                    console.error('Failed to sample channel and subscription metrics:', error);
+                }
+            } finally {
+                this.sampling = false;
+            }
+        }
+
+        this.addEntityValues(values, channels || [], subscriptions || []);
+        this.addSample(t, values);
+        this.persist(t, values);
+        this.updateHandlers.forEach(handler => handler({ overview, channels, subscriptions }));
+    }
+
+    // Sorted by name and id, so the same series stay within MAX_SERIES from one sample to the next
+    addEntityValues(values, channels, subscriptions) {
+        const byKey = (key) => (a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0);
+        const entries = [
+            ...[...channels].sort(byKey('name')).map(channel => [
+                [`channel:${channel.name}:publishRate`, channel.publishRate]
+            ]),
+            ...[...subscriptions].sort(byKey('id')).map(subscription => [
+                [`subscription:${subscription.id}:queueDepth`, subscription.queueDepth],
+                [`subscription:${subscription.id}:processRate`, subscription.processRate]
+            ])
+        ];
+
+        let count = 0;
+        for (const series of entries) {
+            if (count + series.length > MAX_SERIES) {
+                if (!this.seriesCapWarned) {
+                    this.seriesCapWarned = true;
+                    console.warn(`Metrics history for '${this.instanceId}' keeps only the first ${MAX_SERIES} channel and subscription series`);
+                }
+                break;
+            }
+            series.forEach(([key, value]) => setValue(values, key, value));
+            count += series.length;
+        }
+    }
+
+    addSample(t, values) {
+        Object.entries(values).forEach(([key, v]) => {
+            if (!this.series.has(key)) {
+                this.series.set(key, []);
+            }
+            this.series.get(key).push({ t, v });
+        });
+
+        const now = Date.now();
+        if (now - this.prunedAt >= PRUNE_INTERVAL_MS) {
+            this.prunedAt = now;
+            this.prune();
+        }
+    }
+
+    // Drops points older than the retention window, and series left empty
+    // (deleted channels, disposed subscriptions)
+    prune() {
+        const cutoff = Date.now() - retentionMs;
+        this.series.forEach((points, key) => {
+            const firstKept = points.findIndex(p => p.t >= cutoff);
+            if (firstKept === -1) {
+                this.series.delete(key);
+            } else if (firstKept > 0) {
+                points.splice(0, firstKept);
+            }
+        });
+    }
+
+    async persist(t, values) {
+        if (!this.persistent) return;
+
+        try {
+            const db = await openDatabase();
+            const transaction = db.transaction(SAMPLES_STORE, 'readwrite');
+            const samples = transaction.objectStore(SAMPLES_STORE);
+            samples.put({ instance: this.instanceId, t, values });
+            samples.delete(IDBKeyRange.bound([this.instanceId, 0], [this.instanceId, t - retentionMs], false, true));
+            await transactionDone(transaction);
+        } catch (error) {
+            this.persistent = false;
+            console.warn('Failed to persist metrics history, keeping it in memory only:', error);
+        }
+    }
+
+    /**
+     * Points for a series within the retention window, oldest first. Long histories
+     * are averaged into at most `maxPoints` evenly spaced buckets so sparklines stay light.
+     * @returns {{ t: number, v: number }[]}
+     */
+    get(key, { maxPoints = DEFAULT_MAX_POINTS } = {}) {
+        const cutoff = Date.now() - retentionMs;
+        const points = (this.series.get(key) || []).filter(p => p.t >= cutoff);
+        if (points.length <= maxPoints) {
+            return points;
+        }
+
+        const first = points[0].t;
+        const step = (points[points.length - 1].t - first) / maxPoints;
+        const buckets = new Map();
+        points.forEach(p => {
+            const index = Math.min(Math.floor((p.t - first) / step), maxPoints - 1);
+            const bucket = buckets.get(index) || { t: 0, v: 0, count: 0 };
+            bucket.t += p.t;
+            bucket.v += p.v;
+            bucket.count++;
+            buckets.set(index, bucket);
+        });
+
+        return [...buckets.values()].map(b => ({ t: b.t / b.count, v: b.v / b.count }));
+    }
+
+    // Called with { overview, channels, subscriptions } after each sample is recorded;
+    // channels and subscriptions are null when they couldn't be fetched. Hub pushes carry
+    // only the overview, so screens needing the lists take them from here rather than
+    // fetching their own on every push.
+    onUpdate(handler) {
+        this.updateHandlers.push(handler);
+        return () => {
+            const index = this.updateHandlers.indexOf(handler);
+            if (index > -1) this.updateHandlers.splice(index, 1);
+        };
+    }
+}
+
+/** How long samples are kept, in milliseconds. Shared by all instances. */
+export function getMetricsRetention() {
+    return retentionMs;
+}
+
+/** Changes the retention window and remembers it across reloads. Older samples are dropped with the next one. */
+export async function setMetricsRetention(ms) {
+    retentionMs = ms;
+    const db = await openDatabase();
+    const transaction = db.transaction(SETTINGS_STORE, 'readwrite');
+    transaction.objectStore(SETTINGS_STORE).put({ name: RETENTION_SETTING, value: ms });
+    await transactionDone(transaction);
+}
+
+function setValue(values, key, value) {
+    if (typeof value === 'number' && !isNaN(value)) {
+        values[key] = value;
+    }
+}
+
+function loadRetention() {
+    if (!retentionLoaded) {
+        retentionLoaded = openDatabase()
+            .then(db => requestResult(db.transaction(SETTINGS_STORE).objectStore(SETTINGS_STORE).get(RETENTION_SETTING)))
+            .then(setting => {
+                if (setting && setting.value > 0) {
+                    retentionMs = setting.value;
+                }
+            });
+    }
+    return retentionLoaded;
+}
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SAMPLES_STORE)) {
+                    db.createObjectStore(SAMPLES_STORE, { keyPath: ['instance', 't'] });
+                }
+                if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+                    db.createObjectStore(SETTINGS_STORE, { keyPath: 'name' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return databasePromise;
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,485 @@
+// Preferences - Settings and saved views that outlive the page
+//
+// Settings live in named sections, usually one per screen ('subscriptions', 'traces', ...);
+// a screen's finer-grained settings go in sections named after it ('subscriptions.columns').
+// They are kept in localStorage and, once the user picks a name to sync under, copied to the
+// host serving the portal so they follow the user to other browsers; the newer copy wins.
+//
+// Screens read and write their URL state through readScreenState/writeScreenState: a link
+// with a query decides everything a screen shows, but a screen opened from the sidebar comes
+// back the way it was left. A saved view is a route plus the settings sections of its screen.
+
+import { ApiClient, ApiError } from './api-client.js';
+import { parseHash, readRouteState, writeRouteState } from './route-state.js';
+
+const STORAGE_KEY = 'berberis.preferences';
+const SYNC_USER_KEY = 'berberis.preferences.syncUser';
+const LEGACY_SUBSCRIPTION_VIEWS_KEY = 'berberis.subscriptionViews';
+const LEGACY_ALERT_RULES_KEY = 'berberis.alertRules';
+const LEGACY_TABLE_LAYOUT_PREFIX = 'berberis.dataTable.';
+const LEGACY_TREE_EXPANDED_PREFIX = 'berberis.channelTree.expanded.';
+const EXPORT_FORMAT = 'berberis-preferences';
+const EXPORT_VERSION = 1;
+const SYNC_DELAY_MS = 1000;
+
+// Preferences belong to the person rather than a CrossBar instance, so they sync to the portal's own host
+const hostApi = new ApiClient();
+
+class PreferencesStore {
+    constructor() {
+        this.data = loadLocal();
+        this.syncUser = readStorage(SYNC_USER_KEY) || '';
+        this.sync = { status: this.syncUser ? 'pending' : 'off', error: null, at: null };
+        this.pushTimer = null;
+        this.changeHandlers = [];
+
+        // Another tab changed them
+        window.addEventListener('storage', (e) => {
+            if (e.key === STORAGE_KEY) {
+                this.data = loadLocal();
+                this.notify();
+            }
+        });
+    }
+
+    /** Pulls from the server when syncing is on. Called once at startup. */
+    async init() {
+        if (this.syncUser) {
+            await this.pull();
+        }
+    }
+
+    /**
+     * A section's values: each key of defaults, taken from the saved section when
+     * it has a value of the same type.
+     */
+    get(section, defaults) {
+        const saved = this.data.sections[section] || {};
+        const values = { ...defaults };
+
+        Object.keys(defaults).forEach(key => {
+            if (key in saved && typeof saved[key] === typeof defaults[key]) {
+                values[key] = saved[key];
+            }
+        });
+
+        return values;
+    }
+
+    /** Merges values into a section. */
+    set(section, values) {
+        const current = this.data.sections[section] || {};
+        if (Object.entries(values).every(([key, value]) => current[key] === value)) return;
+
+        this.data.sections[section] = { ...current, ...values };
+        this.commit();
+    }
+
+    reset(section) {
+        if (!(section in this.data.sections)) return;
+
+        delete this.data.sections[section];
+        this.commit();
+    }
+
+    resetAll() {
+        this.data.sections = {};
+        this.commit();
+    }
+
+    /** @returns {Object<string, object>} saved sections by name */
+    getSections() {
+        return this.data.sections;
+    }
+
+    /** @returns {SavedView[]} sorted by name, optionally only one screen's */
+    getViews(screen) {
+        return screen ? this.data.views.filter(v => v.screen === screen) : [...this.data.views];
+    }
+
+    findView(name) {
+        return this.data.views.find(v => v.name === name) || null;
+    }
+
+    /**
+     * Saves a route and the current settings of its screen under a name, replacing
+     * any view with that name.
+     * @param {string} route - location hash, e.g. '#/subscriptions?status=suspended'
+     */
+    saveView(name, screen, route) {
+        const sections = {};
+        Object.entries(this.data.sections)
+            .filter(([section]) => section === screen || section.startsWith(`${screen}.`))
+            .forEach(([section, values]) => { sections[section] = { ...values }; });
+
+        return this.addView({ name, screen, route, sections, createdAt: new Date().toISOString() });
+    }
+
+    addView(view) {
+        this.data.views = this.data.views
+            .filter(v => v.name !== view.name)
+            .concat(view)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        this.commit();
+        return view;
+    }
+
+    deleteView(name) {
+        this.data.views = this.data.views.filter(v => v.name !== name);
+        this.commit();
+    }
+
+    /** Applies a view's settings and navigates to it. */
+    openView(view) {
+        Object.entries(view.sections).forEach(([section, values]) => {
+            this.data.sections[section] = { ...values };
+        });
+        this.commit();
+
+        if (window.location.hash === view.route) {
+            // Same route: reload the screen so it picks up the settings
+            window.dispatchEvent(new HashChangeEvent('hashchange'));
+        } else {
+            window.location.hash = view.route;
+        }
+    }
+
+    /** Link that offers the view to whoever opens it; see the Saved Views screen. */
+    shareLink(view) {
+        const { name, screen, route, sections } = view;
+        const encoded = encodeBase64Url(JSON.stringify({ name, screen, route, sections }));
+        return `${window.location.origin}${window.location.pathname}#/views?import=${encoded}`;
+    }
+
+    /** Reads a view from a share link's import parameter; throws when it isn't one. */
+    decodeSharedView(encoded) {
+        let raw;
+        try {
+            raw = JSON.parse(decodeBase64Url(encoded));
+        } catch {
+            throw new Error('The shared view link is damaged');
+        }
+
+        const view = normalizeView(raw);
+        if (!view) {
+            throw new Error('The shared view link is damaged');
+        }
+        return view;
+    }
+
+    exportData() {
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            sections: this.data.sections,
+            views: this.data.views
+        };
+    }
+
+    /**
+     * Merges an export in: its sections and views replace those with the same name.
+     * Throws when the file isn't an export.
+     * @returns {{ sections: number, views: number }} how many were imported
+     */
+    importData(imported) {
+        if (!imported || imported.format !== EXPORT_FORMAT) {
+            throw new Error('Not a Berberis portal preferences file');
+        }
+        if (imported.version > EXPORT_VERSION) {
+            throw new Error(`Preferences file version ${imported.version} is newer than this portal understands`);
+        }
+
+        const sections = normalizeSections(imported.sections);
+        const views = (Array.isArray(imported.views) ? imported.views : []).map(normalizeView).filter(Boolean);
+        const names = new Set(views.map(v => v.name));
+
+        this.data.sections = { ...this.data.sections, ...sections };
+        this.data.views = this.data.views
+            .filter(v => !names.has(v.name))
+            .concat(views)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        this.commit();
+
+        return { sections: Object.keys(sections).length, views: views.length };
+    }
+
+    // Sync
+
+    /** Starts syncing under a user name; whichever of the local and server copies is newer wins. */
+    async startSync(user) {
+        this.syncUser = user;
+        writeStorage(SYNC_USER_KEY, user);
+        await this.pull();
+    }
+
+    stopSync() {
+        clearTimeout(this.pushTimer);
+        this.syncUser = '';
+        removeStorage(SYNC_USER_KEY);
+        this.setSyncStatus('off');
+    }
+
+    async pull() {
+        if (!this.syncUser) return;
+
+        this.setSyncStatus('syncing');
+        try {
+            let remote = null;
+            try {
+                remote = await hostApi.getPreferences(this.syncUser);
+            } catch (error) {
+                // Nothing saved under this name yet
+                if (!(error instanceof ApiError && error.status === 404)) throw error;
+            }
+
+            if (remote && timestamp(remote.updatedAt) > timestamp(this.data.updatedAt)) {
+                this.data = normalizeData(remote);
+                saveLocal(this.data);
+                this.setSyncStatus('synced');
+                this.notify();
+            } else {
+                await this.push();
+            }
+        } catch (error) {
+            this.setSyncStatus('error', error.message);
+        }
+    }
+
+    async push() {
+        if (!this.syncUser) return;
+
+        this.setSyncStatus('syncing');
+        try {
+            const { updatedAt, sections, views } = this.data;
+            await hostApi.savePreferences(this.syncUser, { updatedAt, sections, views });
+            this.setSyncStatus('synced');
+        } catch (error) {
+            this.setSyncStatus('error', error.message);
+        }
+    }
+
+    setSyncStatus(status, error = null) {
+        this.sync = { status, error, at: status === 'synced' ? new Date() : this.sync.at };
+        this.notify();
+    }
+
+    /** Called after any change, including ones pulled from the server or another tab. */
+    onChange(handler) {
+        this.changeHandlers.push(handler);
+        return () => {
+            const index = this.changeHandlers.indexOf(handler);
+            if (index > -1) this.changeHandlers.splice(index, 1);
+        };
+    }
+
+    notify() {
+        this.changeHandlers.forEach(handler => {
+            try {
+                handler(this);
+            } catch (error) {
+                console.error('Preferences change handler failed:', error);
+            }
+        });
+    }
+
+    commit() {
+        this.data.updatedAt = new Date().toISOString();
+        saveLocal(this.data);
+        this.notify();
+
+        // Settings change with every keystroke in a search box; send them once typing stops
+        if (this.syncUser) {
+            clearTimeout(this.pushTimer);
+            this.pushTimer = setTimeout(() => this.push(), SYNC_DELAY_MS);
+        }
+    }
+}
+
+export const preferences = new PreferencesStore();
+
+/**
+ * Reads a screen's state from the URL, or from its saved settings when the URL has no
+ * query, falling back to defaults. Only the keys in persist are remembered (all of them
+ * unless given).
+ */
+export function readScreenState(screen, defaults, persist = Object.keys(defaults)) {
+    // writeRouteState leaves out values equal to their default, so a key missing from a
+    // link's query means the default, not whatever whoever opens the link saved
+    if (parseHash().query.toString()) {
+        return readRouteState(defaults);
+    }
+
+    const saved = preferences.get(screen, pick(defaults, persist));
+    return readRouteState({ ...defaults, ...saved });
+}
+
+/** Writes a screen's state to the URL and remembers the persisted keys as its settings. */
+export function writeScreenState(screen, state, defaults, persist = Object.keys(defaults)) {
+    writeRouteState(state, defaults);
+    preferences.set(screen, pick(state, persist));
+}
+
+/**
+ * @typedef {Object} SavedView
+ * @property {string} name
+ * @property {string} screen - screen name from app.js, e.g. 'subscriptions'
+ * @property {string} route - location hash
+ * @property {Object<string, object>} sections - settings applied when the view is opened
+ * @property {string} [createdAt]
+ */
+
+function pick(values, keys) {
+    return Object.fromEntries(keys.filter(key => key in values).map(key => [key, values[key]]));
+}
+
+function timestamp(value) {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? 0 : time;
+}
+
+function normalizeView(raw) {
+    if (!raw || typeof raw.name !== 'string' || !raw.name.trim()
+        || typeof raw.screen !== 'string' || typeof raw.route !== 'string' || !raw.route.startsWith('#')) {
+        return null;
+    }
+
+    return {
+        name: raw.name.trim(),
+        screen: raw.screen,
+        route: raw.route,
+        sections: normalizeSections(raw.sections),
+        createdAt: typeof raw.createdAt === 'string' ? raw.createdAt : new Date().toISOString()
+    };
+}
+
+function normalizeSections(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+
+    return Object.fromEntries(Object.entries(raw)
+        .filter(([, values]) => values && typeof values === 'object' && !Array.isArray(values)));
+}
+
+function normalizeData(raw) {
+    const views = (Array.isArray(raw?.views) ? raw.views : []).map(normalizeView).filter(Boolean);
+    return {
+        updatedAt: typeof raw?.updatedAt === 'string' ? raw.updatedAt : null,
+        sections: normalizeSections(raw?.sections),
+        views: views.sort((a, b) => a.name.localeCompare(b.name))
+    };
+}
+
+function loadLocal() {
+    let data;
+    try {
+        data = normalizeData(JSON.parse(readStorage(STORAGE_KEY) || '{}'));
+    } catch {
+        data = normalizeData({});
+    }
+
+    // Subscription filters saved before views covered every screen
+    const legacy = readStorage(LEGACY_SUBSCRIPTION_VIEWS_KEY);
+    if (legacy) {
+        try {
+            JSON.parse(legacy)
+                .filter(v => v && typeof v.name === 'string' && typeof v.query === 'string')
+                .filter(v => !data.views.some(existing => existing.name === v.name))
+                .forEach(v => data.views.push(normalizeView({
+                    name: v.name,
+                    screen: 'subscriptions',
+                    route: v.query ? `#/subscriptions?search=${encodeURIComponent(v.query)}` : '#/subscriptions'
+                })));
+            data.views = data.views.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+            saveLocal(data);
+        } catch {
+            // Unreadable; nothing worth keeping
+        }
+        removeStorage(LEGACY_SUBSCRIPTION_VIEWS_KEY);
+    }
+
+    if (migrateLegacySettings(data)) {
+        saveLocal(data);
+    }
+
+    return data;
+}
+
+// Alert rules, table layouts and tree expansion had storage keys of their own before they were sections
+function migrateLegacySettings(data) {
+    let keys;
+    try {
+        keys = Object.keys(localStorage).filter(key => key === LEGACY_ALERT_RULES_KEY
+            || key.startsWith(LEGACY_TABLE_LAYOUT_PREFIX) || key.startsWith(LEGACY_TREE_EXPANDED_PREFIX));
+    } catch {
+        return false;
+    }
+
+    keys.forEach(key => {
+        try {
+            const value = JSON.parse(readStorage(key));
+            if (key === LEGACY_ALERT_RULES_KEY) {
+                if (Array.isArray(value) && !data.sections.alerts) {
+                    data.sections.alerts = { rules: value };
+                }
+            } else if (key.startsWith(LEGACY_TABLE_LAYOUT_PREFIX)) {
+                const section = `${key.slice(LEGACY_TABLE_LAYOUT_PREFIX.length)}.columns`;
+                if (value && typeof value === 'object' && !data.sections[section]) {
+                    data.sections[section] = value;
+                }
+            } else {
+                const instance = key.slice(LEGACY_TREE_EXPANDED_PREFIX.length);
+                const tree = data.sections['channels.tree'] || {};
+                if (Array.isArray(value) && !(instance in tree)) {
+                    data.sections['channels.tree'] = { ...tree, [instance]: value };
+                }
+            }
+        } catch {
+            // Unreadable; nothing worth keeping
+        }
+        removeStorage(key);
+    });
+
+    return keys.length > 0;
+}
+
+function saveLocal(data) {
+    writeStorage(STORAGE_KEY, JSON.stringify(data));
+}
+
+// Storage can be full or disabled; preferences then just don't outlive the page
+function readStorage(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch {
+        return null;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (error) {
+        console.warn('Failed to save preferences:', error);
+    }
+}
+
+function removeStorage(key) {
+    try {
+        localStorage.removeItem(key);
+    } catch {
+        // Nothing to clean up
+    }
+}
+
+function encodeBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
@@ -0,0 +1,342 @@
+// Publish Panel - Compose and send test messages to a channel
+//
+// The server deserializes the body into the channel's body type and only publishes
+// when PortalOptions:EnablePublishing is set. Sent messages are remembered per
+// instance and channel in localStorage so they can be reloaded or replayed.
+
+import { bindApi } from './api-client.js';
+import { connections } from './instances.js';
+
+const api = bindApi('publishMessage', 'getChannelMessages');
+
+const HISTORY_LIMIT = 20;
+const HISTORY_KEY_PREFIX = 'berberis.publishHistory';
+
+export class PublishPanel {
+    /**
+     * @param {HTMLElement} container
+     * @param {{ channelName: string, bodyType?: string, onPublished?: () => void }} options
+     *   onPublished runs after each successful publish so the screen can reload
+     */
+    constructor(container, { channelName, bodyType = '', onPublished = () => {} }) {
+        this.container = container;
+        this.channelName = channelName;
+        this.bodyType = bodyType;
+        this.onPublished = onPublished;
+        this.historyKey = `${HISTORY_KEY_PREFIX}.${connections.active.id}.${channelName}`;
+        this.history = loadHistory(this.historyKey);
+        this.busy = false;
+
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <details class="card publish-panel" style="margin-bottom: 24px;">
+                <summary class="card-title">Publish Message</summary>
+                <p class="publish-help">
+                    Sends a message to <code>${escapeHtml(this.channelName)}</code>. The body is checked against
+                    ${this.bodyType ? `<code>${escapeHtml(this.bodyType)}</code>` : 'the channel\'s body type'} before it is published.
+                </p>
+                <div class="publish-grid">
+                    <div class="form-group">
+                        <label for="publish-key">Key</label>
+                        <input type="text" id="publish-key" class="form-input" placeholder="Optional unless stored">
+                    </div>
+                    <div class="form-group">
+                        <label for="publish-from">From</label>
+                        <input type="text" id="publish-from" class="form-input" value="portal">
+                    </div>
+                    <div class="form-group">
+                        <label for="publish-correlation">Correlation ID</label>
+                        <input type="number" id="publish-correlation" class="form-input" value="0" step="1">
+                    </div>
+                    <div class="form-group publish-store">
+                        <label><input type="checkbox" id="publish-store"> Keep in message store</label>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="publish-body">Body (JSON)</label>
+                    <textarea id="publish-body" class="form-input publish-body" rows="8" spellcheck="false" placeholder="{ }"></textarea>
+                    <div id="publish-body-status" class="publish-body-status"></div>
+                </div>
+                <div class="publish-actions">
+                    <button id="publish-template" class="btn btn-secondary" title="Fill in the body of the newest stored message">Use Latest Stored</button>
+                    <button id="publish-validate" class="btn btn-secondary">Validate</button>
+                    <button id="publish-send" class="btn btn-primary">Publish</button>
+                </div>
+                <div id="publish-result" class="publish-result"></div>
+
+                <div class="publish-history">
+                    <div class="publish-history-header">
+                        <h4>Recently Sent</h4>
+                        <div class="publish-replay">
+                            <label>Replay last <input type="number" id="publish-replay-count" class="form-input" min="1" max="${HISTORY_LIMIT}" value="1"></label>
+                            <button id="publish-replay" class="btn btn-secondary">Replay</button>
+                            <button id="publish-clear-history" class="btn btn-secondary">Clear</button>
+                        </div>
+                    </div>
+                    <div id="publish-history-list"></div>
+                </div>
+            </details>
+        `;
+
+        this.bodyInput = this.container.querySelector('#publish-body');
+        this.bodyInput.addEventListener('input', () => this.updateBodyStatus());
+        this.container.querySelector('#publish-template').addEventListener('click', () => this.loadTemplate());
+        this.container.querySelector('#publish-validate').addEventListener('click', () => this.send({ dryRun: true }));
+        this.container.querySelector('#publish-send').addEventListener('click', () => this.send());
+        this.container.querySelector('#publish-replay').addEventListener('click', () => this.replay());
+        this.container.querySelector('#publish-clear-history').addEventListener('click', () => {
+            this.history = [];
+            saveHistory(this.historyKey, this.history);
+            this.renderHistory();
+        });
+
+        this.updateBodyStatus();
+        this.renderHistory();
+    }
+
+    // Live JSON syntax check; type checking happens on the server
+    updateBodyStatus() {
+        const status = this.container.querySelector('#publish-body-status');
+        const { error } = parseBody(this.bodyInput.value);
+        status.className = `publish-body-status ${error ? 'invalid' : 'valid'}`;
+        status.textContent = error || 'Valid JSON';
+    }
+
+    readMessage() {
+        const { value, error } = parseBody(this.bodyInput.value);
+        if (error) {
+            return { error };
+        }
+
+        const key = this.container.querySelector('#publish-key').value.trim();
+        const store = this.container.querySelector('#publish-store').checked;
+        if (store && !key) {
+            return { error: 'Stored messages need a key' };
+        }
+
+        return {
+            message: {
+                key: key || null,
+                from: this.container.querySelector('#publish-from').value.trim() || null,
+                correlationId: parseInt(this.container.querySelector('#publish-correlation').value, 10) || 0,
+                store,
+                body: value
+            }
+        };
+    }
+
+    async send({ dryRun = false } = {}) {
+        const { message, error } = this.readMessage();
+        if (error) {
+            this.showResult(error, false);
+            return;
+        }
+
+        const ok = await this.run(async () => {
+            const result = await api.publishMessage(this.channelName, { ...message, dryRun });
+            this.showResult(result?.message || (dryRun ? 'Body is valid' : 'Published'), true);
+        });
+
+        if (ok && !dryRun) {
+            this.remember(message);
+            this.onPublished();
+        }
+    }
+
+    // Resends the last N messages, oldest first so subscribers see them in the original order
+    async replay() {
+        const count = Math.min(
+            Math.max(1, parseInt(this.container.querySelector('#publish-replay-count').value, 10) || 1),
+            this.history.length);
+        if (count === 0) {
+            this.showResult('Nothing to replay yet', false);
+            return;
+        }
+
+        if (!confirm(`Replay the last ${count} ${count === 1 ? 'message' : 'messages'} to "${this.channelName}"?`)) {
+            return;
+        }
+
+        const batch = this.history.slice(0, count).reverse();
+        let sent = 0;
+        await this.run(async () => {
+            for (const entry of batch) {
+                await api.publishMessage(this.channelName, toMessage(entry));
+                sent++;
+            }
+            this.showResult(`Replayed ${sent} ${sent === 1 ? 'message' : 'messages'}`, true);
+        }, (error) => `Replay stopped after ${sent} of ${batch.length}: ${error.message}`);
+
+        if (sent > 0) {
+            this.onPublished();
+        }
+    }
+
+    async loadTemplate() {
+        await this.run(async () => {
+            const page = await api.getChannelMessages(this.channelName, { limit: 1 });
+            const latest = page?.messages?.[0];
+            if (!latest) {
+                this.showResult('This channel has no stored messages to copy', false);
+                return;
+            }
+
+            this.bodyInput.value = JSON.stringify(latest.body, null, 2);
+            this.container.querySelector('#publish-key').value = latest.key || '';
+            this.updateBodyStatus();
+            this.showResult(`Copied the body of message ${latest.messageId}`, true);
+        });
+    }
+
+    // Runs one request at a time with the buttons disabled; resolves to true on success
+    async run(operation, describeError = (error) => error.message) {
+        if (this.busy) return false;
+
+        this.busy = true;
+        this.setButtonsDisabled(true);
+        try {
+            await operation();
+            return true;
+        } catch (error) {
+            this.showResult(describeError(error), false);
+            return false;
+        } finally {
+            this.busy = false;
+            this.setButtonsDisabled(false);
+        }
+    }
+
+    setButtonsDisabled(disabled) {
+        this.container.querySelectorAll('.publish-panel button').forEach(button => {
+            button.disabled = disabled;
+        });
+    }
+
+    showResult(text, success) {
+        const result = this.container.querySelector('#publish-result');
+        if (!result) return;
+        result.className = `publish-result ${success ? 'success' : 'error'}`;
+        result.textContent = text;
+    }
+
+    remember(message) {
+        this.history.unshift({ ...message, sentAt: new Date().toISOString() });
+        this.history = this.history.slice(0, HISTORY_LIMIT);
+        saveHistory(this.historyKey, this.history);
+        this.renderHistory();
+    }
+
+    renderHistory() {
+        const list = this.container.querySelector('#publish-history-list');
+        if (!list) return;
+
+        if (this.history.length === 0) {
+            list.innerHTML = '<div class="publish-history-empty">Nothing sent from this browser yet</div>';
+            return;
+        }
+
+        list.innerHTML = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Sent</th>
+                        <th>Key</th>
+                        <th>Body</th>
+                        <th style="width: 150px;">Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.history.map((entry, index) => `
+                        <tr>
+                            <td>${new Date(entry.sentAt).toLocaleString()}</td>
+                            <td style="font-family: monospace;">${escapeHtml(entry.key || '-')}</td>
+                            <td><code class="state-body-preview">${escapeHtml(JSON.stringify(entry.body))}</code></td>
+                            <td>
+                                <button class="btn btn-secondary publish-history-load" data-index="${index}" style="padding: 4px 8px; font-size: 12px;">Load</button>
+                                <button class="btn btn-secondary publish-history-resend" data-index="${index}" style="padding: 4px 8px; font-size: 12px;">Resend</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        list.querySelectorAll('.publish-history-load').forEach(button => {
+            button.addEventListener('click', () => this.load(this.history[parseInt(button.dataset.index)]));
+        });
+
+        list.querySelectorAll('.publish-history-resend').forEach(button => {
+            button.addEventListener('click', async () => {
+                const entry = this.history[parseInt(button.dataset.index)];
+                const ok = await this.run(async () => {
+                    const result = await api.publishMessage(this.channelName, toMessage(entry));
+                    this.showResult(result?.message || 'Published', true);
+                });
+                if (ok) {
+                    this.onPublished();
+                }
+            });
+        });
+    }
+
+    load(entry) {
+        this.container.querySelector('#publish-key').value = entry.key || '';
+        this.container.querySelector('#publish-from').value = entry.from || '';
+        this.container.querySelector('#publish-correlation').value = entry.correlationId || 0;
+        this.container.querySelector('#publish-store').checked = !!entry.store;
+        this.bodyInput.value = JSON.stringify(entry.body, null, 2);
+        this.updateBodyStatus();
+    }
+
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
+
+function parseBody(text) {
+    if (!text.trim()) {
+        return { error: 'Body is required' };
+    }
+
+    try {
+        return { value: JSON.parse(text) };
+    } catch (error) {
+        return { error: `Invalid JSON: ${error.message}` };
+    }
+}
+
+function toMessage(entry) {
+    const { key, from, correlationId, store, body } = entry;
+    return { key, from, correlationId, store, body };
+}
+
+function loadHistory(key) {
+    try {
+        const history = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(history) ? history : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveHistory(key, history) {
+    try {
+        if (history.length === 0) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(history));
+        }
+    } catch (error) {
+        // Storage full or disabled; history just won't outlive the page
+        console.warn('Failed to save publish history:', error);
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,79 @@
+// Route State - Screen state carried as query parameters in the location hash
+// e.g. #/channels?search=orders&sort=publishRate:desc&page=3
+// A leading /i/<id> scopes the route to a CrossBar instance: #/i/pricing/channels
+
+export function parseHash(hash = window.location.hash) {
+    const raw = hash.replace(/^#/, '');
+    const queryStart = raw.indexOf('?');
+    const pathPart = queryStart === -1 ? raw : raw.slice(0, queryStart);
+    const queryPart = queryStart === -1 ? '' : raw.slice(queryStart + 1);
+    let segments = pathPart.split('/').filter(p => p);
+    let instance = null;
+
+    if (segments[0] === 'i' && segments.length > 1) {
+        instance = decodeURIComponent(segments[1]);
+        segments = segments.slice(2);
+    }
+
+    const [path, ...params] = segments;
+
+    return {
+        instance,
+        path,
+        params,
+        query: new URLSearchParams(queryPart)
+    };
+}
+
+/**
+ * Reads the current screen's state from the hash. Only keys present in
+ * defaults are read, and values are coerced to the type of their default.
+ */
+export function readRouteState(defaults) {
+    const { query } = parseHash();
+    const state = { ...defaults };
+
+    Object.keys(defaults).forEach(key => {
+        if (!query.has(key)) return;
+
+        const value = query.get(key);
+        const fallback = defaults[key];
+
+        if (typeof fallback === 'number') {
+            const number = Number(value);
+            if (value !== '' && Number.isFinite(number)) state[key] = number;
+        } else if (typeof fallback === 'boolean') {
+            state[key] = value === 'true' || value === '1';
+        } else {
+            state[key] = value;
+        }
+    });
+
+    return state;
+}
+
+/**
+ * Writes state into the hash without triggering navigation. Values equal to
+ * their default (or empty) are left out so links stay short.
+ */
+export function writeRouteState(state, defaults = {}) {
+    const { query } = parseHash();
+    const raw = window.location.hash.replace(/^#/, '');
+    const pathPart = raw.split('?')[0] || '/';
+
+    Object.entries(state).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '' || value === defaults[key]) {
+            query.delete(key);
+        } else {
+            query.set(key, String(value));
+        }
+    });
+
+    const queryText = query.toString();
+    const hash = `#${pathPart}${queryText ? '?' + queryText : ''}`;
+
+    // replaceState doesn't fire hashchange, so the router won't reload the screen
+    if (hash !== window.location.hash) {
+        history.replaceState(null, '', hash);
+    }
+}
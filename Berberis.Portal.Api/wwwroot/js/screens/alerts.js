@@ -0,0 +1,509 @@
+// Alerts Screen - Alert rules, the alerts they have raised, and browser notifications
+//
+// Rules are evaluated by alerts.js on every instance's metrics whichever screen is
+// open; this screen edits them and shows what they have raised.
+
+import {
+    alerts, ALERT_METRICS, ALERT_SCOPES, ALERT_OPERATORS, ALERT_SEVERITIES, SILENCE_OPTIONS,
+    validateRule, describeRule, describeSubject, alertRoute, formatAlertValue, isSilenced
+} from '../alerts.js';
+
+const NEW_RULE = {
+    name: '',
+    scope: 'subscription',
+    metric: 'queueDepth',
+    pattern: '',
+    op: '>',
+    value: 5000,
+    forSeconds: 30,
+    clearValue: null,
+    severity: 'warning'
+};
+
+const RESOLUTION_LABELS = {
+    cleared: 'Cleared',
+    gone: 'Subject gone',
+    rule: 'Rule changed',
+    manual: 'Resolved by hand'
+};
+
+let screenContainer = null;
+let changeUnsubscribe = null;
+let editing = null; // rule being edited or created, while the editor is open
+
+export async function render(container) {
+    screenContainer = container;
+    editing = null;
+
+    container.innerHTML = `
+        <div class="page-header">
+            <div>
+                <h2 class="page-title">Alerts</h2>
+                <p class="page-description">Rules checked against live metrics on every screen, and the alerts they raise</p>
+            </div>
+            <div style="display: flex; gap: 12px;">
+                <button id="alerts-new-rule" class="btn btn-primary">+ New Rule</button>
+            </div>
+        </div>
+
+        <div id="alerts-notifications"></div>
+        <div id="alerts-editor"></div>
+
+        <div class="card alerts-section">
+            <h3 class="card-title">Active Alerts</h3>
+            <div id="alerts-active"></div>
+        </div>
+
+        <div class="card alerts-section">
+            <h3 class="card-title">Rules</h3>
+            <p class="alerts-help">
+                A rule fires once its condition has held for its duration, and resolves once the metric is back
+                past its clear value. Rules and alerts are kept in this browser.
+            </p>
+            <div id="alerts-rules"></div>
+        </div>
+
+        <div class="card alerts-section">
+            <div class="alerts-section-header">
+                <h3 class="card-title">History</h3>
+                <button id="alerts-clear-history" class="btn btn-secondary">Clear History</button>
+            </div>
+            <div id="alerts-history"></div>
+        </div>
+    `;
+
+    container.querySelector('#alerts-new-rule').addEventListener('click', () => openEditor({ ...NEW_RULE }));
+    container.querySelector('#alerts-clear-history').addEventListener('click', () => {
+        if (confirm('Forget every resolved alert? Active alerts are kept.')) {
+            alerts.clearHistory();
+        }
+    });
+
+    renderAll();
+    renderEditor();
+    changeUnsubscribe = alerts.onChange(() => renderAll());
+}
+
+export async function cleanup() {
+    if (changeUnsubscribe) {
+        changeUnsubscribe();
+        changeUnsubscribe = null;
+    }
+    screenContainer = null;
+    editing = null;
+}
+
+// Everything but the editor, which keeps what is being typed
+function renderAll() {
+    if (!screenContainer) return;
+
+    renderNotifications();
+    renderActive();
+    renderRules();
+    renderHistory();
+}
+
+function renderNotifications() {
+    const container = screenContainer.querySelector('#alerts-notifications');
+    const permission = alerts.notificationPermission;
+
+    const messages = {
+        granted: 'Browser notifications are on. Alerts of silenced rules are recorded without one.',
+        default: 'Turn on browser notifications to hear about alerts while the portal is in the background.',
+        denied: "Notifications are blocked for this site; allow them in the browser's site settings to get them.",
+        unsupported: "This browser can't show notifications; alerts are shown in the header badge."
+    };
+
+    container.innerHTML = `
+        <div class="alerts-notice ${permission === 'granted' ? 'success' : ''}">
+            <span>${messages[permission]}</span>
+            ${permission === 'default' ? '<button id="alerts-enable-notifications" class="btn btn-primary" style="padding: 4px 8px; font-size: 12px;">Enable Notifications</button>' : ''}
+        </div>
+    `;
+
+    container.querySelector('#alerts-enable-notifications')?.addEventListener('click', () => {
+        alerts.requestNotificationPermission();
+    });
+}
+
+function renderActive() {
+    const container = screenContainer.querySelector('#alerts-active');
+    const active = alerts.getActiveAlerts();
+
+    if (active.length === 0) {
+        container.innerHTML = '<div class="alerts-empty">No active alerts</div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th style="width: 100px;">Severity</th>
+                    <th>Rule</th>
+                    <th>Subject</th>
+                    <th style="text-align: right;">Value</th>
+                    <th style="text-align: right;">Peak</th>
+                    <th>Since</th>
+                    <th>State</th>
+                    <th style="width: 200px;">Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${active.map((alert, index) => `
+                    <tr>
+                        <td>${renderSeverityBadge(alert.severity)}</td>
+                        <td>
+                            <strong>${escapeHtml(alert.ruleName)}</strong>
+                            <div class="alerts-condition"><code>${escapeHtml(alert.condition)}</code></div>
+                        </td>
+                        <td><a href="${alertRoute(alert)}">${escapeHtml(describeSubject(alert))}</a></td>
+                        <td style="text-align: right;">${formatAlertValue(alert.scope, alert.metric, alert.value)}</td>
+                        <td style="text-align: right;">${formatAlertValue(alert.scope, alert.metric, alert.peakValue)}</td>
+                        <td title="${new Date(alert.firedAt).toLocaleString()}">${formatTimeAgo(alert.firedAt)}</td>
+                        <td>
+                            <span class="status-badge ${alert.state === 'firing' ? 'status-error' : 'status-warning'}">${alert.state === 'firing' ? 'Firing' : 'Acknowledged'}</span>
+                            ${alert.silenced || isSilenced(alerts.getRule(alert.ruleId)) ? '<span class="alerts-silenced">silenced</span>' : ''}
+                        </td>
+                        <td>
+                            ${alert.state === 'firing' ? `<button class="btn btn-secondary alerts-acknowledge" data-index="${index}" style="padding: 4px 8px; font-size: 12px;">Acknowledge</button>` : ''}
+                            <button class="btn btn-secondary alerts-resolve" data-index="${index}" style="padding: 4px 8px; font-size: 12px;">Resolve</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    container.querySelectorAll('.alerts-acknowledge').forEach(button => {
+        button.addEventListener('click', () => alerts.acknowledge(active[parseInt(button.dataset.index)].id));
+    });
+    container.querySelectorAll('.alerts-resolve').forEach(button => {
+        button.addEventListener('click', () => alerts.resolve(active[parseInt(button.dataset.index)].id));
+    });
+}
+
+function renderRules() {
+    const container = screenContainer.querySelector('#alerts-rules');
+    const rules = alerts.getRules();
+
+    if (rules.length === 0) {
+        container.innerHTML = `
+            <div class="alerts-empty">
+                No rules yet. For example, <code>queueDepth on orders.* &gt; 5000 for 30s</code>
+                or <code>systemErrorRate &gt; 1%</code>.
+            </div>
+        `;
+        return;
+    }
+
+    const activeCounts = new Map();
+    alerts.getActiveAlerts().forEach(a => activeCounts.set(a.ruleId, (activeCounts.get(a.ruleId) || 0) + 1));
+
+    container.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th style="width: 50px;">On</th>
+                    <th>Name</th>
+                    <th>Condition</th>
+                    <th style="width: 100px;">Severity</th>
+                    <th>Status</th>
+                    <th style="width: 300px;">Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rules.map((rule, index) => `
+                    <tr class="${rule.enabled ? '' : 'alerts-rule-disabled'}">
+                        <td><input type="checkbox" class="alerts-enable" data-index="${index}" ${rule.enabled ? 'checked' : ''} aria-label="Rule on"></td>
+                        <td><strong>${escapeHtml(rule.name)}</strong></td>
+                        <td><code>${escapeHtml(describeRule(rule))}</code></td>
+                        <td>${renderSeverityBadge(rule.severity)}</td>
+                        <td>${renderRuleStatus(rule, activeCounts.get(rule.id) || 0)}</td>
+                        <td>
+                            <button class="btn btn-secondary alerts-edit" data-index="${index}" style="padding: 4px 8px; font-size: 12px;">Edit</button>
+                            ${isSilenced(rule)
+                                ? `<button class="btn btn-secondary alerts-unsilence" data-index="${index}" style="padding: 4px 8px; font-size: 12px;">Unsilence</button>`
+                                : `<select class="alerts-silence" data-index="${index}" aria-label="Silence rule">
+                                       <option value="">Silence...</option>
+                                       ${SILENCE_OPTIONS.map(option => `<option value="${option.ms}">${option.label}</option>`).join('')}
+                                   </select>`}
+                            <button class="btn btn-danger alerts-delete" data-index="${index}" style="padding: 4px 8px; font-size: 12px;">Delete</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    const ruleOf = (element) => rules[parseInt(element.dataset.index)];
+    container.querySelectorAll('.alerts-enable').forEach(input => {
+        input.addEventListener('change', () => alerts.setRuleEnabled(ruleOf(input).id, input.checked));
+    });
+    container.querySelectorAll('.alerts-edit').forEach(button => {
+        button.addEventListener('click', () => openEditor({ ...ruleOf(button) }));
+    });
+    container.querySelectorAll('.alerts-silence').forEach(select => {
+        select.addEventListener('change', () => {
+            if (select.value) alerts.silenceRule(ruleOf(select).id, parseInt(select.value));
+        });
+    });
+    container.querySelectorAll('.alerts-unsilence').forEach(button => {
+        button.addEventListener('click', () => alerts.unsilenceRule(ruleOf(button).id));
+    });
+    container.querySelectorAll('.alerts-delete').forEach(button => {
+        button.addEventListener('click', () => {
+            const rule = ruleOf(button);
+            if (confirm(`Delete the rule "${rule.name}"? Its active alerts are resolved.`)) {
+                alerts.deleteRule(rule.id);
+                if (editing?.id === rule.id) closeEditor();
+            }
+        });
+    });
+}
+
+function renderRuleStatus(rule, activeCount) {
+    const parts = [];
+    if (!rule.enabled) {
+        parts.push('<span class="alerts-help">Off</span>');
+    } else if (activeCount > 0) {
+        parts.push(`<span class="status-badge status-error">${activeCount} active</span>`);
+    } else {
+        parts.push('<span class="status-badge status-healthy">OK</span>');
+    }
+    if (isSilenced(rule)) {
+        parts.push(`<span class="alerts-silenced">silenced until ${new Date(rule.silencedUntil).toLocaleTimeString()}</span>`);
+    }
+    return parts.join(' ');
+}
+
+function renderHistory() {
+    const container = screenContainer.querySelector('#alerts-history');
+    const resolved = alerts.getResolvedAlerts();
+
+    if (resolved.length === 0) {
+        container.innerHTML = '<div class="alerts-empty">No resolved alerts</div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th style="width: 100px;">Severity</th>
+                    <th>Rule</th>
+                    <th>Subject</th>
+                    <th style="text-align: right;">Peak</th>
+                    <th>Fired</th>
+                    <th>Lasted</th>
+                    <th>Resolution</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${resolved.map(alert => `
+                    <tr>
+                        <td>${renderSeverityBadge(alert.severity)}</td>
+                        <td>
+                            <strong>${escapeHtml(alert.ruleName)}</strong>
+                            <div class="alerts-condition"><code>${escapeHtml(alert.condition)}</code></div>
+                        </td>
+                        <td><a href="${alertRoute(alert)}">${escapeHtml(describeSubject(alert))}</a></td>
+                        <td style="text-align: right;">${formatAlertValue(alert.scope, alert.metric, alert.peakValue)}</td>
+                        <td>${new Date(alert.firedAt).toLocaleString()}</td>
+                        <td>${formatSpan(alert.firedAt, alert.resolvedAt)}</td>
+                        <td>
+                            ${RESOLUTION_LABELS[alert.resolution] || 'Resolved'}
+                            ${alert.acknowledgedAt ? '<span class="alerts-help">· acknowledged</span>' : ''}
+                            ${alert.silenced ? '<span class="alerts-silenced">silenced</span>' : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Rule editor
+
+function openEditor(rule) {
+    editing = rule;
+    renderEditor([]);
+    screenContainer.querySelector('#alert-rule-name')?.focus();
+}
+
+function closeEditor() {
+    editing = null;
+    renderEditor();
+}
+
+function renderEditor(errors = []) {
+    const container = screenContainer?.querySelector('#alerts-editor');
+    if (!container) return;
+
+    if (!editing) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const metrics = ALERT_METRICS[editing.scope];
+    const unit = metrics[editing.metric]?.unit || '';
+
+    container.innerHTML = `
+        <div class="card alerts-section alerts-editor">
+            <h3 class="card-title">${editing.id ? 'Edit Rule' : 'New Rule'}</h3>
+            <div class="alerts-form">
+                <label class="alerts-form-wide">
+                    Name
+                    <input type="text" id="alert-rule-name" class="form-input" placeholder="e.g. Orders backlog">
+                </label>
+                <label>
+                    Watch
+                    <select id="alert-rule-scope" class="form-input">
+                        ${Object.entries(ALERT_SCOPES).map(([scope, label]) => `<option value="${scope}" ${scope === editing.scope ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>
+                    Metric
+                    <select id="alert-rule-metric" class="form-input">
+                        ${Object.entries(metrics).map(([name, metric]) => `<option value="${name}" ${name === editing.metric ? 'selected' : ''}>${metric.label} (${name})</option>`).join('')}
+                    </select>
+                </label>
+                ${editing.scope === 'system' ? '' : `
+                    <label>
+                        Channel pattern
+                        <input type="text" id="alert-rule-pattern" class="form-input" placeholder="All channels, or e.g. orders.*" spellcheck="false">
+                    </label>
+                `}
+                <label>
+                    Condition${unit ? ` (${unit})` : ''}
+                    <span class="alerts-form-row">
+                        <select id="alert-rule-op" class="form-input" style="width: 70px;">
+                            ${ALERT_OPERATORS.map(op => `<option value="${op}" ${op === editing.op ? 'selected' : ''}>${op}</option>`).join('')}
+                        </select>
+                        <input type="number" id="alert-rule-value" class="form-input" step="any">
+                    </span>
+                </label>
+                <label>
+                    For (seconds)
+                    <input type="number" id="alert-rule-for" class="form-input" min="0" step="1">
+                </label>
+                <label>
+                    Clears at${unit ? ` (${unit})` : ''}
+                    <input type="number" id="alert-rule-clear" class="form-input" step="any" placeholder="Same as the value">
+                </label>
+                <label>
+                    Severity
+                    <select id="alert-rule-severity" class="form-input">
+                        ${ALERT_SEVERITIES.map(severity => `<option value="${severity}" ${severity === editing.severity ? 'selected' : ''}>${severity}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <p class="alerts-help">Fires when <code id="alert-rule-preview"></code></p>
+            <div id="alert-rule-errors" class="error-message" style="display: none;"></div>
+            <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                <button id="alert-rule-cancel" class="btn btn-secondary">Cancel</button>
+                <button id="alert-rule-save" class="btn btn-primary">Save Rule</button>
+            </div>
+        </div>
+    `;
+
+    // Free text is set rather than templated
+    container.querySelector('#alert-rule-name').value = editing.name || '';
+    const patternInput = container.querySelector('#alert-rule-pattern');
+    if (patternInput) patternInput.value = editing.pattern || '';
+    container.querySelector('#alert-rule-value').value = editing.value ?? '';
+    container.querySelector('#alert-rule-for').value = editing.forSeconds ?? 0;
+    container.querySelector('#alert-rule-clear').value = editing.clearValue ?? '';
+
+    showEditorErrors(errors);
+    updatePreview();
+
+    container.querySelector('.alerts-form').addEventListener('input', () => {
+        editing = readEditor();
+        updatePreview();
+    });
+    container.querySelector('#alert-rule-scope').addEventListener('change', (e) => {
+        // Metrics differ per scope; start from the first one
+        editing = { ...readEditor(), scope: e.target.value, metric: Object.keys(ALERT_METRICS[e.target.value])[0] };
+        renderEditor();
+    });
+    container.querySelector('#alert-rule-metric').addEventListener('change', () => {
+        editing = readEditor();
+        renderEditor();
+    });
+    container.querySelector('#alert-rule-cancel').addEventListener('click', closeEditor);
+    container.querySelector('#alert-rule-save').addEventListener('click', () => {
+        editing = readEditor();
+        const problems = validateRule(editing);
+        if (problems.length > 0) {
+            showEditorErrors(problems);
+            return;
+        }
+
+        alerts.saveRule(editing);
+        closeEditor();
+    });
+}
+
+function readEditor() {
+    const container = screenContainer.querySelector('#alerts-editor');
+    const number = (id) => {
+        const text = container.querySelector(id).value.trim();
+        return text === '' ? null : Number(text);
+    };
+
+    return {
+        ...editing,
+        name: container.querySelector('#alert-rule-name').value,
+        metric: container.querySelector('#alert-rule-metric').value,
+        pattern: container.querySelector('#alert-rule-pattern')?.value || '',
+        op: container.querySelector('#alert-rule-op').value,
+        value: number('#alert-rule-value'),
+        forSeconds: number('#alert-rule-for') ?? 0,
+        clearValue: number('#alert-rule-clear'),
+        severity: container.querySelector('#alert-rule-severity').value
+    };
+}
+
+function updatePreview() {
+    const preview = screenContainer.querySelector('#alert-rule-preview');
+    if (preview) preview.textContent = describeRule(editing);
+}
+
+function showEditorErrors(errors) {
+    const element = screenContainer.querySelector('#alert-rule-errors');
+    if (!element) return;
+
+    element.style.display = errors.length > 0 ? 'block' : 'none';
+    element.innerHTML = errors.map(e => `<div>${escapeHtml(e)}</div>`).join('');
+}
+
+function renderSeverityBadge(severity) {
+    return `<span class="status-badge ${severity === 'critical' ? 'status-error' : 'status-warning'}">${severity === 'critical' ? 'Critical' : 'Warning'}</span>`;
+}
+
+function formatTimeAgo(timestamp) {
+    const seconds = Math.max(0, Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000));
+    if (seconds < 60) return `${seconds}s ago`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return `${Math.floor(hours / 24)}d ago`;
+}
+
+function formatSpan(from, to) {
+    const seconds = Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+export default { render, cleanup };
@@ -1,17 +1,45 @@
 // Performance Analytics Dashboard
 
-import { api } from '../api-client.js';
+import { bindApi } from '../api-client.js';
 import { signalRClient } from '../signalr-client.js';
-import { createSparkline, MetricsHistory } from '../utils/sparkline.js';
+import { readScreenState, writeScreenState } from '../preferences.js';
+import { ChartGroup } from '../utils/chart.js';
+import { subscriptionsForChannel } from '../utils/channel-pattern.js';
+
+const api = bindApi('evict', 'getChannels', 'getSubscriptions', 'getMetricsHistory');
 
 let channels = [];
 let subscriptions = [];
 let metricsUnsubscribe = null;
+let releaseMetrics = null;
 let selectedTimeRange = '15m'; // Default: last 15 minutes
-const systemThroughputHistory = new MetricsHistory(100);
-const channelThroughputHistory = new Map(); // channelName -> MetricsHistory
+let throughputSeries = []; // { timestamp (ms), value } for the selected window, oldest first
+let historyStepMs = 0;
+let historyRetentionMs = 0; // how far back the server keeps samples; 0 until known
+let subscriptionSeries = {}; // subscription id -> recorded points for the selected window
+let heatmapRows = 'channel'; // 'channel' | 'subscription'
+
+const charts = new ChartGroup();
+const HEATMAP_COLUMNS = 12;
+const HEATMAP_MAX_ROWS = 10;
+const LATENCY_BINS = [0, 10, 50, 100, 200]; // ms; the last bin is open-ended
+const BAR_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'];
+
+// Window length (ms) per time range option
+const TIME_RANGES = {
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '6h': 6 * 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000
+};
+const ROUTE_DEFAULTS = { range: '15m', heatmap: 'channel' };
 
 export async function render(container) {
+    const { range, heatmap } = readScreenState('analytics', ROUTE_DEFAULTS);
+    selectedTimeRange = TIME_RANGES[range] ? range : ROUTE_DEFAULTS.range;
+    heatmapRows = heatmap === 'subscription' ? 'subscription' : 'channel';
+
     container.innerHTML = `
         <div class="page-header">
             <div>
@@ -44,6 +72,8 @@ export async function render(container) {
         </div>
     `;
 
+    document.getElementById('time-range-selector').value = selectedTimeRange;
+
     // Set up event listeners
     setupEventListeners();
 
@@ -52,7 +82,7 @@ export async function render(container) {
 
     // Subscribe to real-time metrics
     try {
-        await signalRClient.subscribeToMetrics(5000);
+        releaseMetrics = await signalRClient.subscribeToMetrics(5000);
         metricsUnsubscribe = signalRClient.onMetricsUpdate(handleMetricsUpdate);
     } catch (error) {
         console.error('Failed to subscribe to metrics:', error);
@@ -66,23 +96,29 @@ export async function cleanup() {
     }
 
     try {
-        await signalRClient.unsubscribeFromMetrics();
+        if (releaseMetrics) {
+            await releaseMetrics();
+            releaseMetrics = null;
+        }
     } catch (error) {
         console.error('Failed to unsubscribe from metrics:', error);
     }
 
-    // Clear histories
-    systemThroughputHistory.clear();
-    channelThroughputHistory.clear();
+    charts.destroy();
+    throughputSeries = [];
+    historyStepMs = 0;
+    historyRetentionMs = 0;
+    subscriptionSeries = {};
 }
 
 function setupEventListeners() {
     // Time range selector
     const timeRangeSelector = document.getElementById('time-range-selector');
     if (timeRangeSelector) {
-        timeRangeSelector.addEventListener('change', (e) => {
+        timeRangeSelector.addEventListener('change', async (e) => {
             selectedTimeRange = e.target.value;
-            // In a real implementation, this would trigger re-loading historical data
+            writeScreenState('analytics', { range: selectedTimeRange, heatmap: heatmapRows }, ROUTE_DEFAULTS);
+            await loadHistory();
             renderAnalyticsContent();
         });
     }
@@ -93,6 +129,7 @@ function setupEventListeners() {
         refreshButton.addEventListener('click', async () => {
             refreshButton.disabled = true;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refreshing...';
+            api.evict('/channels', '/subscriptions');
             await loadAnalyticsData();
             refreshButton.disabled = false;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refresh';
@@ -108,10 +145,11 @@ function setupEventListeners() {
 
 async function loadAnalyticsData() {
     try {
-        // Load channels and subscriptions
+        // Load channels, subscriptions and the recorded window
         const [channelsData, subscriptionsData] = await Promise.all([
             api.getChannels(),
-            api.getSubscriptions()
+            api.getSubscriptions(),
+            loadHistory()
         ]);
 
         channels = channelsData || [];
@@ -129,23 +167,78 @@ async function loadAnalyticsData() {
     }
 }
 
-function renderAnalyticsContent() {
-    const container = document.getElementById('analytics-content');
-    if (!container) return;
+// Server-recorded metrics for the selected window, so charts are complete on first render
+async function loadHistory() {
+    const to = new Date();
+    const from = new Date(to.getTime() - TIME_RANGES[selectedTimeRange]);
 
-    // Calculate system-wide throughput
-    const totalThroughput = channels.reduce((sum, ch) => sum + (ch.publishRate || 0), 0);
-    systemThroughputHistory.add('throughput', totalThroughput);
+    try {
+        const history = await api.getMetricsHistory({ from: from.toISOString(), to: to.toISOString() });
+        historyStepMs = history?.stepMs || 0;
+        historyRetentionMs = history?.retentionMs || 0;
+        markUnrecordedRanges();
+        throughputSeries = (history?.overview || []).map(point => ({
+            timestamp: Date.parse(point.timestamp),
+            value: point.systemThroughput || 0
+        }));
+        subscriptionSeries = history?.subscriptions || {};
+    } catch (error) {
+        if (error.aborted) throw error;
+        console.error('Failed to load metrics history:', error);
+        throughputSeries = [];
+        subscriptionSeries = {};
+    }
+}
 
-    // Track per-channel throughput
-    channels.forEach(ch => {
-        if (!channelThroughputHistory.has(ch.channelName)) {
-            channelThroughputHistory.set(ch.channelName, new MetricsHistory(100));
-        }
-        channelThroughputHistory.get(ch.channelName).add('rate', ch.publishRate || 0);
+// Ranges longer than the server keeps history for can't be filled; the selected one
+// stays selectable so a shared link still opens, and the content says what's missing
+function markUnrecordedRanges() {
+    const selector = document.getElementById('time-range-selector');
+    if (!selector || !historyRetentionMs) return;
+
+    Array.from(selector.options).forEach(option => {
+        const unrecorded = TIME_RANGES[option.value] > historyRetentionMs;
+        option.disabled = unrecorded && option.value !== selectedTimeRange;
+        option.title = unrecorded ? `Metrics history is kept for ${formatRetention(historyRetentionMs)}` : '';
     });
+}
+
+function renderRetentionNotice() {
+    if (!historyRetentionMs || TIME_RANGES[selectedTimeRange] <= historyRetentionMs) return '';
+
+    return `
+        <div class="card" style="margin-bottom: 24px; border-color: var(--warning-color); font-size: 13px;">
+            Metrics history is kept for ${formatRetention(historyRetentionMs)}, so charts over time show only that much of this range.
+            Raise PortalOptions:MetricsHistoryDurationMinutes to record more.
+        </div>
+    `;
+}
+
+function formatRetention(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
+
+// Live pushes extend the window at the history's resolution and drop what has scrolled out of it
+function appendThroughput(value) {
+    const now = Date.now();
+    const last = throughputSeries[throughputSeries.length - 1];
+
+    if (last && now - last.timestamp < historyStepMs) return;
 
+    throughputSeries.push({ timestamp: now, value });
+    const windowStart = now - TIME_RANGES[selectedTimeRange];
+    throughputSeries = throughputSeries.filter(point => point.timestamp >= windowStart);
+}
+
+function renderAnalyticsContent() {
+    const container = document.getElementById('analytics-content');
+    if (!container) return;
+
+    charts.reset();
     container.innerHTML = `
+        ${renderRetentionNotice()}
+
         <!-- System-wide Latency Distribution -->
         <div class="card" style="margin-bottom: 24px;">
             <h3 class="card-title">System-wide Latency Distribution</h3>
@@ -177,7 +270,7 @@ function renderAnalyticsContent() {
         <div class="card" style="margin-bottom: 24px;">
             <h3 class="card-title">Latency Heatmap Over Time</h3>
             <p style="color: var(--text-secondary); font-size: 13px; margin-top: 8px;">
-                Visual representation of latency variations over time (lighter = lower latency)
+                Worst P99 latency per time bucket, from recorded samples (lighter = lower latency)
             </p>
             ${renderLatencyHeatmap()}
         </div>
@@ -206,6 +299,9 @@ function renderAnalyticsContent() {
             ${renderSummaryStatistics()}
         </div>
     `;
+
+    charts.mount(container);
+    setupHeatmapToggle();
 }
 
 function renderSystemLatencyDistribution() {
@@ -213,46 +309,15 @@ function renderSystemLatencyDistribution() {
         return '<div style="text-align: center; padding: 40px; color: var(--text-secondary);">No subscription data available</div>';
     }
 
-    // Group subscriptions by latency ranges
-    const ranges = [
-        { label: '< 10ms', min: 0, max: 10, count: 0, color: '#10b981' },
-        { label: '10-50ms', min: 10, max: 50, count: 0, color: '#3b82f6' },
-        { label: '50-100ms', min: 50, max: 100, count: 0, color: '#f59e0b' },
-        { label: '100-200ms', min: 100, max: 200, count: 0, color: '#ef4444' },
-        { label: '> 200ms', min: 200, max: Infinity, count: 0, color: '#991b1b' }
-    ];
-
-    subscriptions.forEach(sub => {
-        const latency = sub.avgLatencyMs || 0;
-        const range = ranges.find(r => latency >= r.min && latency < r.max);
-        if (range) range.count++;
+    return charts.slot('latency-distribution', {
+        type: 'histogram',
+        title: 'System-wide Latency Distribution',
+        bins: LATENCY_BINS,
+        x: { unit: 'ms' },
+        y: { label: 'Subscriptions' },
+        labels: true,
+        series: [{ name: 'Subscriptions', values: subscriptions.map(sub => sub.avgLatencyMs || 0) }]
     });
-
-    const maxCount = Math.max(...ranges.map(r => r.count));
-
-    return `
-        <div style="margin-top: 24px;">
-            <div style="display: flex; gap: 16px; align-items: flex-end; height: 200px;">
-                ${ranges.map(range => {
-                    const height = maxCount > 0 ? (range.count / maxCount) * 100 : 0;
-                    return `
-                        <div style="flex: 1; display: flex; flex-direction: column; align-items: center; gap: 8px;">
-                            <div style="font-size: 14px; font-weight: 600; color: var(--text-primary);">
-                                ${range.count}
-                            </div>
-                            <div
-                                style="width: 100%; height: ${height}%; background-color: ${range.color}; border-radius: 6px 6px 0 0; min-height: 4px;"
-                                title="${range.label}: ${range.count} subscriptions"
-                            ></div>
-                            <div style="font-size: 12px; color: var(--text-secondary); text-align: center;">
-                                ${range.label}
-                            </div>
-                        </div>
-                    `;
-                }).join('')}
-            </div>
-        </div>
-    `;
 }
 
 function renderPerChannelLatencyComparison() {
@@ -286,36 +351,22 @@ function renderPerChannelLatencyComparison() {
         return '<div style="text-align: center; padding: 40px; color: var(--text-secondary);">No data available</div>';
     }
 
-    const maxLatency = Math.max(...channelAvgs.map(c => c.avgLatency));
-
-    return `
-        <div style="margin-top: 24px;">
-            <div style="display: flex; flex-direction: column; gap: 12px;">
-                ${channelAvgs.map(ch => {
-                    const widthPercent = maxLatency > 0 ? (ch.avgLatency / maxLatency) * 100 : 0;
-                    const color = ch.avgLatency > 100 ? '#ef4444' : ch.avgLatency > 50 ? '#f59e0b' : '#10b981';
-                    return `
-                        <div style="display: flex; align-items: center; gap: 12px;">
-                            <div style="min-width: 200px; font-size: 13px; color: var(--text-primary); font-family: monospace;">
-                                ${escapeHtml(ch.channel)}
-                            </div>
-                            <div style="flex: 1; background-color: var(--bg-tertiary); border-radius: 4px; height: 30px; position: relative;">
-                                <div
-                                    style="width: ${widthPercent}%; height: 100%; background-color: ${color}; border-radius: 4px; display: flex; align-items: center; padding-left: 8px; color: white; font-size: 12px; font-weight: 600;"
-                                >
-                                    ${widthPercent > 15 ? formatLatency(ch.avgLatency) : ''}
-                                </div>
-                                ${widthPercent <= 15 ? `<div style="position: absolute; left: calc(${widthPercent}% + 8px); top: 50%; transform: translateY(-50%); font-size: 12px; font-weight: 600;">${formatLatency(ch.avgLatency)}</div>` : ''}
-                            </div>
-                            <div style="min-width: 80px; text-align: right; font-size: 12px; color: var(--text-secondary);">
-                                ${ch.count} sub${ch.count !== 1 ? 's' : ''}
-                            </div>
-                        </div>
-                    `;
-                }).join('')}
-            </div>
-        </div>
-    `;
+    return charts.slot('channel-latency', {
+        type: 'bar',
+        horizontal: true,
+        title: 'Per-Channel Latency Comparison',
+        y: { label: 'Average latency', unit: 'ms' },
+        labels: true,
+        series: [{
+            name: 'Average latency',
+            data: channelAvgs.map(ch => ({
+                x: ch.channel,
+                y: ch.avgLatency,
+                color: ch.avgLatency > 100 ? '#ef4444' : ch.avgLatency > 50 ? '#f59e0b' : '#10b981',
+                detail: `${ch.count} sub${ch.count !== 1 ? 's' : ''}`
+            }))
+        }]
+    });
 }
 
 function renderPercentileComparison() {
@@ -345,147 +396,183 @@ function renderPercentileComparison() {
         { label: 'P99', value: p99, color: '#f59e0b', description: '99% of subscriptions' }
     ];
 
-    const maxValue = Math.max(...percentiles.map(p => p.value));
-
-    return `
-        <div style="margin-top: 24px;">
-            <div style="display: flex; gap: 16px; align-items: flex-end; height: 200px;">
-                ${percentiles.map(p => {
-                    const height = maxValue > 0 ? (p.value / maxValue) * 100 : 0;
-                    return `
-                        <div style="flex: 1; display: flex; flex-direction: column; align-items: center; gap: 8px;">
-                            <div style="font-size: 14px; font-weight: 600; color: var(--text-primary);">
-                                ${formatLatency(p.value)}
-                            </div>
-                            <div
-                                style="width: 100%; height: ${height}%; background: linear-gradient(to top, ${p.color}, ${p.color}dd); border-radius: 6px 6px 0 0; min-height: 4px;"
-                                title="${p.label}: ${formatLatency(p.value)}"
-                            ></div>
-                            <div style="font-size: 16px; font-weight: 600; color: ${p.color};">
-                                ${p.label}
-                            </div>
-                            <div style="font-size: 11px; color: var(--text-secondary); text-align: center;">
-                                ${p.description}
-                            </div>
-                        </div>
-                    `;
-                }).join('')}
-            </div>
-        </div>
-    `;
+    return charts.slot('latency-percentiles', {
+        type: 'bar',
+        title: 'Latency Percentiles Comparison',
+        y: { label: 'Latency', unit: 'ms' },
+        labels: true,
+        series: [{
+            name: 'Latency',
+            data: percentiles.map(p => ({ x: p.label, y: p.value, color: p.color, detail: p.description }))
+        }]
+    });
 }
 
-function renderLatencyHeatmap() {
-    if (subscriptions.length === 0) {
-        return '<div style="text-align: center; padding: 40px; color: var(--text-secondary);">No subscription data available</div>';
+// Rows are channels (fed by direct and matching wildcard subscriptions) or subscriptions;
+// columns split the selected window into equal buckets of recorded samples
+function buildHeatmapModel() {
+    const windowEnd = Date.now();
+    const windowStart = windowEnd - TIME_RANGES[selectedTimeRange];
+    const bucketMs = (windowEnd - windowStart) / HEATMAP_COLUMNS;
+    const columns = Array.from({ length: HEATMAP_COLUMNS }, (_, i) => ({
+        start: windowStart + i * bucketMs,
+        end: windowStart + (i + 1) * bucketMs
+    }));
+
+    // Per subscription and column: every recorded point that falls in it
+    const bucketed = new Map();
+    Object.entries(subscriptionSeries).forEach(([id, points]) => {
+        const buckets = columns.map(() => []);
+        points.forEach(point => {
+            const index = Math.floor((Date.parse(point.timestamp) - windowStart) / bucketMs);
+            if (index >= 0 && index < HEATMAP_COLUMNS) {
+                buckets[index].push(point);
+            }
+        });
+        bucketed.set(id, buckets);
+    });
+
+    const cellFor = (subs, columnIndex) => {
+        const entries = subs
+            .map(sub => {
+                const points = bucketed.get(sub.id)?.[columnIndex] || [];
+                if (points.length === 0) return null;
+                return {
+                    id: sub.id,
+                    avg: points.reduce((sum, p) => sum + (p.avgLatencyMs || 0), 0) / points.length,
+                    p99: Math.max(...points.map(p => p.percentileLatencyMs || 0)),
+                    samples: points.length
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.p99 - a.p99);
+
+        return entries.length > 0 ? { p99: entries[0].p99, worst: entries[0].id, entries } : null;
+    };
+
+    let rows;
+    if (heatmapRows === 'subscription') {
+        rows = [...subscriptions]
+            .sort((a, b) => (b.percentileLatencyMs || 0) - (a.percentileLatencyMs || 0))
+            .slice(0, HEATMAP_MAX_ROWS)
+            .map(sub => ({
+                label: sub.id,
+                detail: sub.channelPattern,
+                cells: columns.map((_, i) => cellFor([sub], i))
+            }));
+    } else {
+        // Copy before sorting - the array is shared through the API cache
+        rows = [...channels]
+            .sort((a, b) => (b.publishRate || 0) - (a.publishRate || 0))
+            .slice(0, HEATMAP_MAX_ROWS)
+            .map(ch => {
+                const subs = subscriptionsForChannel(ch.name, subscriptions);
+                return {
+                    label: ch.name,
+                    detail: `${subs.length} subscription${subs.length === 1 ? '' : 's'}`,
+                    cells: columns.map((_, i) => cellFor(subs, i))
+                };
+            });
     }
 
-    // Simple heatmap: group subscriptions into cells based on latency ranges over "time buckets"
-    // For now, we'll simulate this with current data grouped by channel
-    const topChannels = channels
-        .sort((a, b) => (b.publishRate || 0) - (a.publishRate || 0))
-        .slice(0, 10);
+    const maxLatency = Math.max(1, ...rows.flatMap(row => row.cells.filter(Boolean).map(cell => cell.p99)));
+    return { columns, rows, maxLatency };
+}
 
-    if (topChannels.length === 0) {
-        return '<div style="text-align: center; padding: 40px; color: var(--text-secondary);">No channel data available</div>';
-    }
+function renderLatencyHeatmap() {
+    const { columns, rows, maxLatency } = buildHeatmapModel();
 
-    // Get subscriptions for each channel
-    const channelSubs = topChannels.map(ch => {
-        const subs = subscriptions.filter(s => s.channelPattern === ch.channelName);
-        const avgLatency = subs.length > 0
-            ? subs.reduce((sum, s) => sum + (s.avgLatencyMs || 0), 0) / subs.length
-            : 0;
-        return {
-            channel: ch.channelName,
-            latency: avgLatency
-        };
-    });
+    const modeToggle = `
+        <div style="display: flex; gap: 8px; margin-top: 12px;">
+            <button class="btn ${heatmapRows === 'channel' ? 'btn-primary' : 'btn-secondary'}" data-heatmap-rows="channel">By channel</button>
+            <button class="btn ${heatmapRows === 'subscription' ? 'btn-primary' : 'btn-secondary'}" data-heatmap-rows="subscription">By subscription</button>
+        </div>
+    `;
 
-    const maxLatency = Math.max(...channelSubs.map(c => c.latency), 1);
+    if (rows.length === 0) {
+        return `${modeToggle}<div style="text-align: center; padding: 40px; color: var(--text-secondary);">No ${heatmapRows} data available</div>`;
+    }
 
-    // Time buckets (simulated - in real implementation would be historical data)
-    const timeBuckets = ['5m ago', '4m ago', '3m ago', '2m ago', '1m ago', 'Now'];
+    if (!rows.some(row => row.cells.some(Boolean))) {
+        return `${modeToggle}<div style="text-align: center; padding: 40px; color: var(--text-secondary);">No latency samples recorded in this window yet</div>`;
+    }
 
     return `
-        <div style="margin-top: 24px; overflow-x: auto;">
-            <div style="display: inline-block; min-width: 100%;">
-                <!-- Header row -->
-                <div style="display: flex; margin-bottom: 4px;">
-                    <div style="width: 150px;"></div>
-                    ${timeBuckets.map(bucket => `
-                        <div style="flex: 1; min-width: 60px; text-align: center; font-size: 11px; color: var(--text-secondary);">
-                            ${bucket}
-                        </div>
-                    `).join('')}
-                </div>
+        ${modeToggle}
+        ${charts.slot('latency-heatmap', {
+            type: 'heatmap',
+            title: 'Latency Heatmap',
+            rows,
+            columns: columns.map(column => ({ ...column, label: formatTime(column.start) })),
+            cells: rows.map(row => row.cells.map(cell => cell && { ...cell, value: cell.p99 })),
+            max: maxLatency,
+            y: { format: formatLatency },
+            tooltip: renderHeatmapTooltip,
+            // Open the subscription that made the cell hot
+            onClick: ({ cell }) => {
+                window.location.hash = `#/subscriptions/${encodeURIComponent(cell.worst)}`;
+            }
+        })}
+        <div style="font-size: 12px; color: var(--text-secondary); text-align: right;">Click a cell to open its slowest subscription</div>
+    `;
+}
 
-                <!-- Data rows -->
-                ${channelSubs.map(ch => {
-                    const intensity = ch.latency / maxLatency;
-                    // Simulate variation over time (in real implementation, use historical data)
-                    return `
-                        <div style="display: flex; margin-bottom: 4px; align-items: center;">
-                            <div style="width: 150px; font-size: 12px; font-family: monospace; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
-                                ${escapeHtml(ch.channel)}
-                            </div>
-                            ${timeBuckets.map((_, i) => {
-                                // Simulate slight variation
-                                const variance = 0.8 + (Math.sin(i) * 0.2);
-                                const cellIntensity = Math.min(intensity * variance, 1);
-                                const bgColor = getHeatmapColor(cellIntensity);
-                                const textColor = cellIntensity > 0.5 ? 'white' : 'var(--text-primary)';
-                                return `
-                                    <div
-                                        style="flex: 1; min-width: 60px; height: 40px; background-color: ${bgColor}; margin-right: 2px; border-radius: 3px; display: flex; align-items: center; justify-content: center; font-size: 10px; color: ${textColor}; font-weight: 600;"
-                                        title="${ch.channel} at ${timeBuckets[i]}: ~${formatLatency(ch.latency * variance)}"
-                                    >
-                                        ${cellIntensity > 0.3 ? formatLatency(ch.latency * variance) : ''}
-                                    </div>
-                                `;
-                            }).join('')}
-                        </div>
-                    `;
-                }).join('')}
-
-                <!-- Legend -->
-                <div style="margin-top: 16px; display: flex; align-items: center; gap: 8px; font-size: 12px;">
-                    <span style="color: var(--text-secondary);">Lower latency</span>
-                    ${[0, 0.25, 0.5, 0.75, 1].map(intensity => `
-                        <div style="width: 40px; height: 20px; background-color: ${getHeatmapColor(intensity)}; border-radius: 3px;"></div>
-                    `).join('')}
-                    <span style="color: var(--text-secondary);">Higher latency</span>
-                </div>
-            </div>
-        </div>
+function renderHeatmapTooltip({ row, column, cell }) {
+    return `
+        <div class="chart-tooltip-title">${escapeHtml(row.label)}</div>
+        <div class="chart-tooltip-subtitle">${formatTime(column.start)} – ${formatTime(column.end)}</div>
+        <table class="heatmap-tooltip-table">
+            <thead><tr><th>Subscription</th><th>Avg</th><th>P99</th><th>Samples</th></tr></thead>
+            <tbody>
+                ${cell.entries.map(entry => `
+                    <tr>
+                        <td>${escapeHtml(entry.id)}</td>
+                        <td>${formatLatency(entry.avg)}</td>
+                        <td>${formatLatency(entry.p99)}</td>
+                        <td>${entry.samples}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
     `;
 }
 
+function setupHeatmapToggle() {
+    document.querySelectorAll('[data-heatmap-rows]').forEach(button => {
+        button.addEventListener('click', () => {
+            heatmapRows = button.dataset.heatmapRows;
+            writeScreenState('analytics', { range: selectedTimeRange, heatmap: heatmapRows }, ROUTE_DEFAULTS);
+            renderAnalyticsContent();
+        });
+    });
+}
+
 function renderSystemThroughputChart() {
-    const throughputData = systemThroughputHistory.get('throughput');
+    const throughputData = throughputSeries.map(point => point.value);
 
     if (throughputData.length === 0) {
-        return '<div style="text-align: center; padding: 40px; color: var(--text-secondary);">Collecting data...</div>';
+        return '<div style="text-align: center; padding: 40px; color: var(--text-secondary);">No metrics recorded in this window yet</div>';
     }
 
-    const sparkline = createSparkline(throughputData, {
-        width: 800,
-        height: 200,
-        strokeWidth: 2,
-        strokeColor: '#3b82f6',
-        fillColor: 'rgba(59, 130, 246, 0.1)'
-    });
-
     const current = throughputData[throughputData.length - 1] || 0;
     const avg = throughputData.reduce((sum, v) => sum + v, 0) / throughputData.length;
     const max = Math.max(...throughputData);
     const min = Math.min(...throughputData);
 
     return `
-        <div style="margin-top: 24px;">
-            <div style="display: flex; justify-content: center; margin-bottom: 16px;">
-                ${sparkline}
-            </div>
+        ${charts.slot('system-throughput', {
+            type: 'area',
+            title: 'System Throughput',
+            height: 260,
+            x: { type: 'time' },
+            y: { label: 'Throughput', unit: 'msg/s', format: formatRate },
+            series: [{
+                name: 'Throughput',
+                color: '#3b82f6',
+                data: throughputSeries.map(point => ({ x: point.timestamp, y: point.value }))
+            }]
+        })}
+        <div style="margin-top: 16px;">
             <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 16px;">
                 <div style="text-align: center;">
                     <div style="font-size: 12px; color: var(--text-secondary);">Current</div>
@@ -522,37 +609,22 @@ function renderPerChannelThroughputComparison() {
         return '<div style="text-align: center; padding: 40px; color: var(--text-secondary);">No active channels</div>';
     }
 
-    const maxRate = Math.max(...topChannels.map(ch => ch.publishRate || 0));
-
-    return `
-        <div style="margin-top: 24px;">
-            <div style="display: flex; flex-direction: column; gap: 12px;">
-                ${topChannels.map((ch, index) => {
-                    const widthPercent = maxRate > 0 ? ((ch.publishRate || 0) / maxRate) * 100 : 0;
-                    const colors = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'];
-                    const color = colors[index % colors.length];
-                    return `
-                        <div style="display: flex; align-items: center; gap: 12px;">
-                            <div style="min-width: 200px; font-size: 13px; color: var(--text-primary); font-family: monospace;">
-                                ${escapeHtml(ch.channelName)}
-                            </div>
-                            <div style="flex: 1; background-color: var(--bg-tertiary); border-radius: 4px; height: 30px; position: relative;">
-                                <div
-                                    style="width: ${widthPercent}%; height: 100%; background-color: ${color}; border-radius: 4px; display: flex; align-items: center; padding-left: 8px; color: white; font-size: 12px; font-weight: 600;"
-                                >
-                                    ${widthPercent > 20 ? formatRate(ch.publishRate || 0) + '/s' : ''}
-                                </div>
-                                ${widthPercent <= 20 ? `<div style="position: absolute; left: calc(${widthPercent}% + 8px); top: 50%; transform: translateY(-50%); font-size: 12px; font-weight: 600;">${formatRate(ch.publishRate || 0)}/s</div>` : ''}
-                            </div>
-                            <div style="min-width: 100px; text-align: right; font-size: 12px; color: var(--text-secondary);">
-                                ${formatNumber(ch.totalMessages || 0)} total
-                            </div>
-                        </div>
-                    `;
-                }).join('')}
-            </div>
-        </div>
-    `;
+    return charts.slot('channel-throughput', {
+        type: 'bar',
+        horizontal: true,
+        title: 'Per-Channel Throughput Comparison',
+        y: { label: 'Publish rate', unit: 'msg/s', format: formatRate },
+        labels: true,
+        series: [{
+            name: 'Publish rate',
+            data: topChannels.map((ch, index) => ({
+                x: ch.name,
+                y: ch.publishRate || 0,
+                color: BAR_COLORS[index % BAR_COLORS.length],
+                detail: `${formatNumber(ch.totalMessages || 0)} total`
+            }))
+        }]
+    });
 }
 
 function renderSummaryStatistics() {
@@ -596,6 +668,11 @@ function renderSummaryStatistics() {
 }
 
 function handleMetricsUpdate(metrics) {
+    // Hub pushes carry the system overview
+    if (typeof metrics?.systemThroughput === 'number') {
+        appendThroughput(metrics.systemThroughput);
+    }
+
     if (metrics.channels) {
         channels = channels.map(ch => {
             const updated = metrics.channels.find(c => c.channelName === ch.channelName);
@@ -650,15 +727,6 @@ function exportToCSV() {
     document.body.removeChild(link);
 }
 
-function getHeatmapColor(intensity) {
-    // Green (low) to Red (high)
-    if (intensity < 0.2) return '#d1fae5'; // Very light green
-    if (intensity < 0.4) return '#6ee7b7'; // Light green
-    if (intensity < 0.6) return '#fde68a'; // Yellow
-    if (intensity < 0.8) return '#fbbf24'; // Orange
-    return '#ef4444'; // Red
-}
-
 function formatNumber(num) {
     if (num >= 1000000) {
         return (num / 1000000).toFixed(1) + 'M';
@@ -683,6 +751,13 @@ function formatLatency(ms) {
     return Math.round(ms) + 'ms';
 }
 
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    return selectedTimeRange === '24h' || selectedTimeRange === '6h'
+        ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleTimeString();
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -1,23 +1,21 @@
 // Bottleneck Detection View
 
-import { api } from '../api-client.js';
+import { bindApi } from '../api-client.js';
 import { signalRClient } from '../signalr-client.js';
+import { ChartGroup } from '../utils/chart.js';
+import {
+    getSeverity, thresholdsFor, loadThresholds, saveThresholds, loadThresholdSchema,
+    getThresholdSettings, validateThresholds
+} from '../utils/bottleneck-thresholds.js';
+
+const api = bindApi('evict', 'getSubscriptions');
 
 let subscriptions = [];
 let metricsUnsubscribe = null;
-
-// Configurable thresholds
-let thresholds = {
-    queueDepthWarning: 1000,
-    queueDepthCritical: 5000,
-    processRateWarning: 100, // msg/s - below this is slow
-    latencyWarning: 100, // ms
-    latencyCritical: 500, // ms
-    timeoutWarningPercent: 80, // % of timeout threshold
-    conflationEffectivenessMin: 0.2 // 20% minimum effectiveness
-};
+let releaseMetrics = null;
 
 const bottleneckHistory = []; // Track bottlenecks over time
+const charts = new ChartGroup();
 
 export async function render(container) {
     container.innerHTML = `
@@ -55,7 +53,7 @@ export async function render(container) {
 
     // Subscribe to real-time metrics
     try {
-        await signalRClient.subscribeToMetrics(5000);
+        releaseMetrics = await signalRClient.subscribeToMetrics(5000);
         metricsUnsubscribe = signalRClient.onMetricsUpdate(handleMetricsUpdate);
     } catch (error) {
         console.error('Failed to subscribe to metrics:', error);
@@ -69,10 +67,15 @@ export async function cleanup() {
     }
 
     try {
-        await signalRClient.unsubscribeFromMetrics();
+        if (releaseMetrics) {
+            await releaseMetrics();
+            releaseMetrics = null;
+        }
     } catch (error) {
         console.error('Failed to unsubscribe from metrics:', error);
     }
+
+    charts.destroy();
 }
 
 function setupEventListeners() {
@@ -88,6 +91,7 @@ function setupEventListeners() {
         refreshButton.addEventListener('click', async () => {
             refreshButton.disabled = true;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refreshing...';
+            api.evict('/subscriptions', '/thresholds');
             await loadBottlenecksData();
             refreshButton.disabled = false;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refresh';
@@ -103,7 +107,8 @@ function setupEventListeners() {
 
 async function loadBottlenecksData() {
     try {
-        subscriptions = await api.getSubscriptions() || [];
+        const [data] = await Promise.all([api.getSubscriptions(), loadThresholds()]);
+        subscriptions = data || [];
         renderBottlenecksContent();
     } catch (error) {
         console.error('Failed to load bottlenecks data:', error);
@@ -127,6 +132,7 @@ function renderBottlenecksContent() {
     const container = document.getElementById('bottlenecks-content');
     if (!container) return;
 
+    charts.reset();
     container.innerHTML = `
         <!-- High Queue Depth -->
         <div class="card" style="margin-bottom: 24px;">
@@ -174,6 +180,8 @@ function renderBottlenecksContent() {
         </div>
     `;
 
+    charts.mount(container);
+
     // Add click handlers for subscription links
     container.querySelectorAll('[data-subscription-id]').forEach(el => {
         el.style.cursor = 'pointer';
@@ -186,6 +194,9 @@ function renderBottlenecksContent() {
 }
 
 function analyzeBottlenecks() {
+    // Each subscription is judged by the thresholds for its channel pattern
+    const limitsOf = sub => thresholdsFor(sub.channelPattern);
+
     // High queue depth
     const highQueueDepth = subscriptions
         .filter(sub => (sub.queueDepth || 0) > 0)
@@ -193,12 +204,12 @@ function analyzeBottlenecks() {
         .slice(0, 10)
         .map(sub => ({
             ...sub,
-            severity: getSeverity('queueDepth', sub.queueDepth)
+            severity: getSeverity('queueDepth', sub.queueDepth, limitsOf(sub))
         }));
 
     // Slow process rates
     const slowSubscriptions = subscriptions
-        .filter(sub => (sub.processRate || 0) > 0 && (sub.processRate || 0) < thresholds.processRateWarning)
+        .filter(sub => (sub.processRate || 0) > 0 && (sub.processRate || 0) < limitsOf(sub).processRateWarning)
         .sort((a, b) => (a.processRate || 0) - (b.processRate || 0))
         .slice(0, 10)
         .map(sub => ({
@@ -210,13 +221,13 @@ function analyzeBottlenecks() {
     const approachingTimeout = subscriptions
         .filter(sub => {
             const latency = sub.avgLatencyMs || 0;
-            return latency > thresholds.latencyWarning;
+            return latency > limitsOf(sub).latencyWarning;
         })
         .sort((a, b) => (b.avgLatencyMs || 0) - (a.avgLatencyMs || 0))
         .slice(0, 10)
         .map(sub => ({
             ...sub,
-            severity: getSeverity('latency', sub.avgLatencyMs)
+            severity: getSeverity('latency', sub.avgLatencyMs, limitsOf(sub))
         }));
 
     // Low conflation effectiveness
@@ -225,7 +236,7 @@ function analyzeBottlenecks() {
             sub.conflationInterval &&
             sub.conflationRatio !== null &&
             sub.conflationRatio !== undefined &&
-            sub.conflationRatio < thresholds.conflationEffectivenessMin
+            sub.conflationRatio < limitsOf(sub).conflationEffectivenessMin
         )
         .sort((a, b) => (a.conflationRatio || 0) - (b.conflationRatio || 0))
         .slice(0, 10)
@@ -326,9 +337,28 @@ function renderHighQueueDepthWidget(items) {
         return '<div style="text-align: center; padding: 40px; color: var(--text-secondary);">No subscriptions with high queue depth</div>';
     }
 
-    const maxQueueDepth = Math.max(...items.map(item => item.queueDepth || 0));
+    const chart = charts.slot('queue-depth', {
+        type: 'bar',
+        horizontal: true,
+        title: 'Top Subscriptions by Queue Depth',
+        y: { label: 'Queue depth', unit: 'messages', integer: true },
+        labels: true,
+        series: [{
+            name: 'Queue depth',
+            data: items.map(item => ({
+                x: item.id,
+                y: item.queueDepth || 0,
+                color: item.severity === 'critical' ? '#ef4444' : '#f59e0b',
+                detail: `${item.channelPattern} · ${formatRate(item.processRate || 0)}/s processed`
+            }))
+        }],
+        onClick: ({ category }) => {
+            window.location.hash = `#/subscriptions/${encodeURIComponent(category)}`;
+        }
+    });
 
     return `
+        ${chart}
         <div style="margin-top: 16px;">
             <table style="width: 100%;">
                 <thead>
@@ -342,42 +372,34 @@ function renderHighQueueDepthWidget(items) {
                     </tr>
                 </thead>
                 <tbody>
-                    ${items.map(item => {
-                        const widthPercent = maxQueueDepth > 0 ? ((item.queueDepth || 0) / maxQueueDepth) * 100 : 0;
-                        return `
-                            <tr>
-                                <td>
-                                    ${renderSeverityBadge(item.severity)}
-                                </td>
-                                <td>
-                                    <a href="#" data-subscription-id="${item.id}" style="color: var(--primary-color); text-decoration: none; font-weight: 600;">
-                                        ${escapeHtml(item.id)}
-                                    </a>
-                                </td>
-                                <td>
-                                    <code style="font-size: 12px;">${escapeHtml(item.channelPattern)}</code>
-                                </td>
-                                <td style="text-align: right;">
-                                    <div style="display: flex; align-items: center; justify-content: flex-end; gap: 8px;">
-                                        <div style="flex: 0 0 60px; height: 20px; background-color: var(--bg-tertiary); border-radius: 3px; position: relative; overflow: hidden;">
-                                            <div style="width: ${widthPercent}%; height: 100%; background-color: ${item.severity === 'critical' ? '#ef4444' : '#f59e0b'};"></div>
-                                        </div>
-                                        <strong style="min-width: 60px; text-align: right;">${formatNumber(item.queueDepth || 0)}</strong>
-                                    </div>
-                                </td>
-                                <td style="text-align: right;">${formatRate(item.processRate || 0)}/s</td>
-                                <td style="text-align: center;">
-                                    <button
-                                        class="btn btn-sm btn-secondary"
-                                        data-subscription-id="${item.id}"
-                                        style="padding: 4px 8px; font-size: 12px;"
-                                    >
-                                        View Details
-                                    </button>
-                                </td>
-                            </tr>
-                        `;
-                    }).join('')}
+                    ${items.map(item => `
+                        <tr>
+                            <td>
+                                ${renderSeverityBadge(item.severity)}
+                            </td>
+                            <td>
+                                <a href="#" data-subscription-id="${item.id}" style="color: var(--primary-color); text-decoration: none; font-weight: 600;">
+                                    ${escapeHtml(item.id)}
+                                </a>
+                            </td>
+                            <td>
+                                <code style="font-size: 12px;">${escapeHtml(item.channelPattern)}</code>
+                            </td>
+                            <td style="text-align: right;">
+                                <strong>${formatNumber(item.queueDepth || 0)}</strong>
+                            </td>
+                            <td style="text-align: right;">${formatRate(item.processRate || 0)}/s</td>
+                            <td style="text-align: center;">
+                                <button
+                                    class="btn btn-sm btn-secondary"
+                                    data-subscription-id="${item.id}"
+                                    style="padding: 4px 8px; font-size: 12px;"
+                                >
+                                    View Details
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
                 </tbody>
             </table>
         </div>
@@ -611,43 +633,57 @@ function renderHistoricalBottlenecks() {
     `;
 }
 
-function showThresholdsConfig() {
+// Editor for the shared thresholds: defaults plus overrides for channel patterns.
+// Override fields left blank inherit the default.
+async function showThresholdsConfig() {
+    let schema;
+    try {
+        [schema] = await Promise.all([loadThresholdSchema(), loadThresholds()]);
+    } catch (error) {
+        if (!error.aborted) {
+            alert(`Failed to load threshold settings: ${error.message}`);
+        }
+        return;
+    }
+
+    const settings = getThresholdSettings();
+    const inputStyle = 'width: 100%; padding: 6px 8px; border: 1px solid var(--border-color); border-radius: 4px;';
+    const fieldInput = (field, value, attrs) => `
+        <input type="number" ${attrs} value="${value ?? ''}" min="${field.min}" ${field.max != null ? `max="${field.max}"` : ''} step="${field.step}" style="${inputStyle}" />
+    `;
+
     const html = `
         <div style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background-color: rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; z-index: 1000;" id="config-modal">
-            <div style="background: white; border-radius: 8px; padding: 24px; max-width: 500px; width: 90%;">
+            <div style="background: white; border-radius: 8px; padding: 24px; max-width: 760px; width: 90%; max-height: 90vh; overflow-y: auto;">
                 <h3 style="margin-top: 0;">Configure Alert Thresholds</h3>
-
-                <div style="margin-bottom: 16px;">
-                    <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Queue Depth Warning</label>
-                    <input type="number" id="threshold-queue-warning" value="${thresholds.queueDepthWarning}" style="width: 100%; padding: 8px; border: 1px solid var(--border-color); border-radius: 4px;" />
-                </div>
-
-                <div style="margin-bottom: 16px;">
-                    <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Queue Depth Critical</label>
-                    <input type="number" id="threshold-queue-critical" value="${thresholds.queueDepthCritical}" style="width: 100%; padding: 8px; border: 1px solid var(--border-color); border-radius: 4px;" />
-                </div>
-
-                <div style="margin-bottom: 16px;">
-                    <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Process Rate Warning (msg/s - below this is slow)</label>
-                    <input type="number" id="threshold-process-rate" value="${thresholds.processRateWarning}" style="width: 100%; padding: 8px; border: 1px solid var(--border-color); border-radius: 4px;" />
-                </div>
-
-                <div style="margin-bottom: 16px;">
-                    <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Latency Warning (ms)</label>
-                    <input type="number" id="threshold-latency-warning" value="${thresholds.latencyWarning}" style="width: 100%; padding: 8px; border: 1px solid var(--border-color); border-radius: 4px;" />
+                <p style="color: var(--text-secondary); font-size: 13px; margin-top: 0;">
+                    Saved on the server and shared by everyone using this portal.
+                    ${settings.updatedAt ? `Last changed ${formatTimeAgo(new Date(settings.updatedAt).getTime())}.` : ''}
+                </p>
+
+                <h4 style="margin: 16px 0 8px;">Defaults</h4>
+                <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px 16px;">
+                    ${schema.fields.map(field => `
+                        <div>
+                            <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">
+                                ${escapeHtml(field.label)} <span style="font-weight: 400; color: var(--text-secondary);">(${escapeHtml(field.unit)})</span>
+                            </label>
+                            ${fieldInput(field, settings.defaults[field.name], `data-default-field="${field.name}"`)}
+                        </div>
+                    `).join('')}
                 </div>
 
-                <div style="margin-bottom: 16px;">
-                    <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Latency Critical (ms)</label>
-                    <input type="number" id="threshold-latency-critical" value="${thresholds.latencyCritical}" style="width: 100%; padding: 8px; border: 1px solid var(--border-color); border-radius: 4px;" />
-                </div>
+                <h4 style="margin: 24px 0 4px;">Channel Pattern Overrides</h4>
+                <p style="color: var(--text-secondary); font-size: 12px; margin: 0 0 8px;">
+                    Apply to subscriptions whose channel pattern matches, e.g. <code>orders.*</code> or <code>prices.&gt;</code>.
+                    When several match, later overrides win. Blank fields use the default.
+                </p>
+                <div id="threshold-overrides"></div>
+                <button class="btn btn-sm btn-secondary" id="add-threshold-override" style="margin-top: 8px;">+ Add Override</button>
 
-                <div style="margin-bottom: 24px;">
-                    <label style="display: block; font-weight: 600; margin-bottom: 4px; font-size: 13px;">Min Conflation Effectiveness (%)</label>
-                    <input type="number" id="threshold-conflation" value="${thresholds.conflationEffectivenessMin * 100}" min="0" max="100" step="1" style="width: 100%; padding: 8px; border: 1px solid var(--border-color); border-radius: 4px;" />
-                </div>
+                <div id="threshold-errors" class="error-message" style="display: none; margin-top: 16px;"></div>
 
-                <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 24px;">
                     <button class="btn btn-secondary" onclick="document.getElementById('config-modal').remove();">Cancel</button>
                     <button class="btn btn-primary" id="save-thresholds-button">Save</button>
                 </div>
@@ -657,16 +693,96 @@ function showThresholdsConfig() {
 
     document.body.insertAdjacentHTML('beforeend', html);
 
-    document.getElementById('save-thresholds-button').addEventListener('click', () => {
-        thresholds.queueDepthWarning = parseInt(document.getElementById('threshold-queue-warning').value) || 1000;
-        thresholds.queueDepthCritical = parseInt(document.getElementById('threshold-queue-critical').value) || 5000;
-        thresholds.processRateWarning = parseInt(document.getElementById('threshold-process-rate').value) || 100;
-        thresholds.latencyWarning = parseInt(document.getElementById('threshold-latency-warning').value) || 100;
-        thresholds.latencyCritical = parseInt(document.getElementById('threshold-latency-critical').value) || 500;
-        thresholds.conflationEffectivenessMin = parseFloat(document.getElementById('threshold-conflation').value) / 100 || 0.2;
+    let overrides = settings.overrides;
+    const overridesContainer = document.getElementById('threshold-overrides');
 
-        document.getElementById('config-modal').remove();
-        renderBottlenecksContent();
+    const readNumber = (input) => input.value.trim() === '' ? null : Number(input.value);
+
+    const readOverrides = () => Array.from(overridesContainer.querySelectorAll('[data-override-index]')).map(row => {
+        const item = { channelPattern: row.querySelector('[data-override-pattern]').value.trim() };
+        row.querySelectorAll('[data-override-field]').forEach(input => {
+            item[input.dataset.overrideField] = readNumber(input);
+        });
+        return item;
+    });
+
+    const renderOverrides = () => {
+        if (overrides.length === 0) {
+            overridesContainer.innerHTML = '<div style="font-size: 13px; color: var(--text-secondary);">No overrides; every subscription uses the defaults.</div>';
+            return;
+        }
+
+        overridesContainer.innerHTML = overrides.map((item, index) => `
+            <div data-override-index="${index}" style="border: 1px solid var(--border-color); border-radius: 6px; padding: 12px; margin-bottom: 8px;">
+                <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 8px;">
+                    <input type="text" data-override-pattern placeholder="Channel pattern, e.g. orders.*" style="${inputStyle} font-family: monospace;" />
+                    <button class="btn btn-sm btn-danger" data-remove-override="${index}" title="Remove override">✕</button>
+                </div>
+                <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 8px 12px;">
+                    ${schema.fields.map(field => `
+                        <div>
+                            <label style="display: block; font-size: 12px; color: var(--text-secondary); margin-bottom: 2px;">${escapeHtml(field.label)}</label>
+                            ${fieldInput(field, item[field.name], `data-override-field="${field.name}" placeholder="${settings.defaults[field.name]}"`)}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        // Patterns may contain anything, so they're set rather than templated
+        overridesContainer.querySelectorAll('[data-override-index]').forEach(row => {
+            row.querySelector('[data-override-pattern]').value = overrides[row.dataset.overrideIndex].channelPattern || '';
+        });
+
+        overridesContainer.querySelectorAll('[data-remove-override]').forEach(button => {
+            button.addEventListener('click', () => {
+                overrides = readOverrides();
+                overrides.splice(parseInt(button.dataset.removeOverride), 1);
+                renderOverrides();
+            });
+        });
+    };
+
+    const showErrors = (errors) => {
+        const errorsElement = document.getElementById('threshold-errors');
+        errorsElement.style.display = errors.length > 0 ? 'block' : 'none';
+        errorsElement.innerHTML = errors.map(e => `<div>${escapeHtml(e)}</div>`).join('');
+    };
+
+    renderOverrides();
+
+    document.getElementById('add-threshold-override').addEventListener('click', () => {
+        overrides = readOverrides();
+        if (overrides.length >= schema.maxOverrides) {
+            showErrors([`At most ${schema.maxOverrides} overrides can be saved`]);
+            return;
+        }
+        overrides.push({ channelPattern: '' });
+        renderOverrides();
+        overridesContainer.querySelector(`[data-override-index="${overrides.length - 1}"] [data-override-pattern]`).focus();
+    });
+
+    const saveButton = document.getElementById('save-thresholds-button');
+    saveButton.addEventListener('click', async () => {
+        const defaults = {};
+        document.querySelectorAll('#config-modal [data-default-field]').forEach(input => {
+            defaults[input.dataset.defaultField] = readNumber(input);
+        });
+        const updated = { defaults, overrides: readOverrides() };
+
+        const errors = validateThresholds(updated, schema);
+        showErrors(errors);
+        if (errors.length > 0) return;
+
+        saveButton.disabled = true;
+        try {
+            await saveThresholds(updated);
+            document.getElementById('config-modal')?.remove();
+            renderBottlenecksContent();
+        } catch (error) {
+            showErrors(error.payload?.errors || [`Failed to save thresholds: ${error.message}`]);
+            saveButton.disabled = false;
+        }
     });
 }
 
@@ -735,17 +851,6 @@ function handleMetricsUpdate(metrics) {
     }
 }
 
-function getSeverity(metric, value) {
-    if (metric === 'queueDepth') {
-        if (value >= thresholds.queueDepthCritical) return 'critical';
-        if (value >= thresholds.queueDepthWarning) return 'warning';
-    } else if (metric === 'latency') {
-        if (value >= thresholds.latencyCritical) return 'critical';
-        if (value >= thresholds.latencyWarning) return 'warning';
-    }
-    return 'info';
-}
-
 function renderSeverityBadge(severity) {
     const config = {
         critical: { icon: '🔴', label: 'CRITICAL', color: '#dc2626', bg: '#fee2e2' },
@@ -1,13 +1,41 @@
 // Channel Detail Screen
 
-import { api } from '../api-client.js';
+import { bindApi } from '../api-client.js';
 import { signalRClient } from '../signalr-client.js';
-import { createSparkline, MetricsHistory } from '../utils/sparkline.js';
+import * as actions from '../actions.js';
+import { PublishPanel } from '../publish-panel.js';
+import { connections } from '../instances.js';
+import { createSparkline } from '../utils/sparkline.js';
+import { decodeBody, bodyPreview, renderBody, renderersFor, renderJsonTree } from '../utils/body-renderers.js';
+import { preferences, readScreenState, writeScreenState } from '../preferences.js';
+
+const api = bindApi('evict', 'getChannel', 'getChannelState', 'deleteChannelStateKey', 'getChannelMessages');
 
 let channelName = '';
 let channel = null;
 let metricsUnsubscribe = null;
-const publishRateHistory = new MetricsHistory(30);
+let releaseMetrics = null;
+
+// State browser
+let stateData = null;
+let stateSearch = '';
+let statePage = 1;
+let expandedStateKey = null;
+let stateSearchTimer = null;
+let publishPanel = null;
+
+// Message store browser; the tab and filters live in the URL, and the tab is remembered across channels
+const ROUTE_DEFAULTS = { tab: 'messages', key: '', from: '', to: '', page: 1 };
+const SETTINGS_DEFAULTS = { pageSize: 25 };
+const PAGE_SIZES = [25, 50, 100];
+let pageSize = SETTINGS_DEFAULTS.pageSize; // rows per page in the state and message browsers
+let storeTab = ROUTE_DEFAULTS.tab;
+let messagesData = null;
+let messageFilters = { key: '', from: '', to: '' }; // from/to are datetime-local values
+let messagePage = 1;
+let expandedMessageId = null;
+let messageRenderer = null; // chosen body renderer id; null uses each body's default
+let messageFilterTimer = null;
 
 export async function render(container, params) {
     channelName = decodeURIComponent(params[0] || '');
@@ -44,8 +72,19 @@ export async function render(container, params) {
         <div id="channel-content">
             <div class="loading">Loading channel details...</div>
         </div>
+
+        <!-- Publish panel and message store live outside channel-content so metrics updates don't reset them -->
+        <div id="channel-publish"></div>
+        <div id="channel-store"></div>
     `;
 
+    const routeState = readScreenState('channel-detail', ROUTE_DEFAULTS, ['tab']);
+    ({ pageSize } = preferences.get('channel-detail', SETTINGS_DEFAULTS));
+    if (!PAGE_SIZES.includes(pageSize)) pageSize = SETTINGS_DEFAULTS.pageSize;
+    storeTab = routeState.tab === 'state' ? 'state' : 'messages';
+    messageFilters = { key: routeState.key, from: routeState.from, to: routeState.to };
+    messagePage = Math.max(1, routeState.page);
+
     // Set up event listeners
     setupEventListeners();
 
@@ -54,8 +93,8 @@ export async function render(container, params) {
 
     // Subscribe to real-time metrics
     try {
-        await signalRClient.subscribeToMetrics(5000);
-        metricsUnsubscribe = signalRClient.onMetricsUpdate(handleMetricsUpdate);
+        releaseMetrics = await signalRClient.subscribeToMetrics(5000);
+        metricsUnsubscribe = connections.active.metrics.onUpdate(handleMetricsUpdate);
     } catch (error) {
         console.error('Failed to subscribe to metrics:', error);
     }
@@ -68,13 +107,37 @@ export async function cleanup() {
     }
 
     try {
-        await signalRClient.unsubscribeFromMetrics();
+        if (releaseMetrics) {
+            await releaseMetrics();
+            releaseMetrics = null;
+        }
     } catch (error) {
         console.error('Failed to unsubscribe from metrics:', error);
     }
 
-    // Clear history
-    publishRateHistory.clear();
+    // Reset state browser
+    if (stateSearchTimer) {
+        clearTimeout(stateSearchTimer);
+        stateSearchTimer = null;
+    }
+    stateData = null;
+    stateSearch = '';
+    statePage = 1;
+    expandedStateKey = null;
+
+    if (publishPanel) {
+        publishPanel.destroy();
+        publishPanel = null;
+    }
+
+    // Reset message browser
+    if (messageFilterTimer) {
+        clearTimeout(messageFilterTimer);
+        messageFilterTimer = null;
+    }
+    messagesData = null;
+    expandedMessageId = null;
+    messageRenderer = null;
 }
 
 function setupEventListeners() {
@@ -84,6 +147,7 @@ function setupEventListeners() {
         refreshButton.addEventListener('click', async () => {
             refreshButton.disabled = true;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refreshing...';
+            api.evict(`/channels/${encodeURIComponent(channelName)}`);
             await loadChannelData();
             refreshButton.disabled = false;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refresh';
@@ -100,16 +164,32 @@ function setupEventListeners() {
 async function loadChannelData() {
     try {
         // Load channel details
-        channel = await api.getChannelDetails(channelName);
+        channel = await api.getChannel(channelName);
 
         // Update type label
         const typeLabel = document.getElementById('channel-type-label');
         if (typeLabel) {
-            typeLabel.textContent = `Type: ${channel.channelType || 'Unknown'}`;
+            typeLabel.textContent = `Type: ${channel.bodyType || 'Unknown'}`;
         }
 
         // Render channel content
         renderChannelContent();
+
+        const publishContainer = document.getElementById('channel-publish');
+        if (!publishPanel && publishContainer) {
+            publishPanel = new PublishPanel(publishContainer, {
+                channelName,
+                bodyType: channel.bodyType,
+                onPublished: () => loadChannelData()
+            });
+        }
+
+        // Every channel gets the store browser: a stateful channel whose keys were all
+        // deleted still is one, so an empty store shows as empty rather than hidden
+        if (!document.getElementById('store-panel')) {
+            renderStoreBrowser();
+        }
+        await loadStorePanel();
     } catch (error) {
         console.error('Failed to load channel:', error);
         const container = document.getElementById('channel-content');
@@ -125,15 +205,15 @@ function renderChannelContent() {
     const container = document.getElementById('channel-content');
     if (!container || !channel) return;
 
-    // Track publish rate for sparkline
-    publishRateHistory.add('rate', channel.publishRate || 0);
-
-    // Generate publish rate sparkline
-    const publishRateSparkline = createSparkline(publishRateHistory.get('rate'), {
+    // Publish rate sparkline from the app-level history
+    const publishRateSparkline = createSparkline(connections.active.metrics.get(`channel:${channelName}:publishRate`), {
         width: 200,
         height: 60,
         strokeColor: '#10b981',
-        fillColor: 'rgba(16, 185, 129, 0.1)'
+        fillColor: 'rgba(16, 185, 129, 0.1)',
+        domain: [0, null],
+        markers: ['min', 'max', 'last'],
+        formatValue: (v) => `${formatRate(v)}/s`
     });
 
     container.innerHTML = `
@@ -159,7 +239,7 @@ function renderChannelContent() {
 
             <div class="stat-card">
                 <div class="stat-label">Stored Messages</div>
-                <div class="stat-value">${formatNumber(channel.storedMessagesCount || 0)}</div>
+                <div class="stat-value">${formatNumber(channel.storedMessageCount || 0)}</div>
                 <div class="stat-change">in message store</div>
             </div>
         </div>
@@ -171,19 +251,15 @@ function renderChannelContent() {
                 <tbody>
                     <tr style="background: none;">
                         <td style="border: none; padding: 8px 0; font-weight: 600; width: 200px;">Channel Name</td>
-                        <td style="border: none; padding: 8px 0;">${escapeHtml(channel.channelName)}</td>
+                        <td style="border: none; padding: 8px 0;">${escapeHtml(channel.name)}</td>
                     </tr>
                     <tr style="background: none;">
-                        <td style="border: none; padding: 8px 0; font-weight: 600;">Channel Type</td>
-                        <td style="border: none; padding: 8px 0;">${escapeHtml(channel.channelType || 'Unknown')}</td>
+                        <td style="border: none; padding: 8px 0; font-weight: 600;">Body Type</td>
+                        <td style="border: none; padding: 8px 0;">${escapeHtml(channel.bodyType || 'Unknown')}</td>
                     </tr>
                     <tr style="background: none;">
                         <td style="border: none; padding: 8px 0; font-weight: 600;">Last Publisher</td>
-                        <td style="border: none; padding: 8px 0; font-family: monospace;">${escapeHtml(channel.lastPublisher || '-')}</td>
-                    </tr>
-                    <tr style="background: none;">
-                        <td style="border: none; padding: 8px 0; font-weight: 600;">Creation Time</td>
-                        <td style="border: none; padding: 8px 0;">${channel.createdAt ? formatDateTime(channel.createdAt) : '-'}</td>
+                        <td style="border: none; padding: 8px 0; font-family: monospace;">${escapeHtml(channel.lastPublishedBy || '-')}</td>
                     </tr>
                 </tbody>
             </table>
@@ -196,9 +272,6 @@ function renderChannelContent() {
                 ${renderSubscriptionsList()}
             </div>
         </div>
-
-        <!-- State Viewer for Stateful Channels -->
-        ${channel.channelType && channel.channelType.includes('Stateful') ? renderStateViewer() : ''}
     `;
 
     // Add click handlers for subscription rows
@@ -208,7 +281,7 @@ function renderChannelContent() {
         if (subId) {
             row.style.cursor = 'pointer';
             row.addEventListener('click', () => {
-                window.location.hash = `#/subscriptions/${subId}`;
+                window.location.hash = `#/subscriptions/${encodeURIComponent(subId)}`;
             });
         }
     });
@@ -237,8 +310,8 @@ function renderSubscriptionsList() {
             </thead>
             <tbody>
                 ${channel.subscriptions.map(sub => `
-                    <tr class="subscription-row" data-subscription-id="${sub.subscriptionId}">
-                        <td><strong>${sub.subscriptionId}</strong></td>
+                    <tr class="subscription-row" data-subscription-id="${escapeHtml(sub.id)}">
+                        <td><strong>${escapeHtml(sub.id)}</strong></td>
                         <td><code>${escapeHtml(sub.channelPattern)}</code></td>
                         <td>
                             <span class="status-badge ${getSubscriptionStatusClass(sub)}">
@@ -247,7 +320,7 @@ function renderSubscriptionsList() {
                         </td>
                         <td>${sub.queueDepth || 0}</td>
                         <td>${formatRate(sub.processRate || 0)}/s</td>
-                        <td>${formatLatency(sub.avgLatency)}</td>
+                        <td>${formatLatency(sub.avgLatencyMs)}</td>
                     </tr>
                 `).join('')}
             </tbody>
@@ -255,43 +328,532 @@ function renderSubscriptionsList() {
     `;
 }
 
-function renderStateViewer() {
-    // TODO: Implement state viewer when API supports it
-    // For now, show placeholder
-    return `
+// Message store card: newest-first messages, or the latest message per key
+function renderStoreBrowser() {
+    const container = document.getElementById('channel-store');
+    if (!container) return;
+
+    container.innerHTML = `
         <div class="card" style="margin-bottom: 24px;">
+            <div class="tab-bar">
+                <button class="tab-button ${storeTab === 'messages' ? 'active' : ''}" data-tab="messages">Messages</button>
+                <button class="tab-button ${storeTab === 'state' ? 'active' : ''}" data-tab="state">State by Key</button>
+            </div>
+            <div id="store-panel"></div>
+        </div>
+    `;
+
+    container.querySelectorAll('.tab-button').forEach(button => {
+        button.addEventListener('click', () => {
+            if (button.dataset.tab === storeTab) return;
+            storeTab = button.dataset.tab;
+            saveRouteState();
+            renderStoreBrowser();
+            loadStorePanel();
+        });
+    });
+
+    if (storeTab === 'state') {
+        renderStateViewer();
+    } else {
+        renderMessageBrowser();
+    }
+}
+
+function loadStorePanel() {
+    return storeTab === 'state' ? loadChannelState() : loadChannelMessages();
+}
+
+function saveRouteState() {
+    writeScreenState('channel-detail', { tab: storeTab, ...messageFilters, page: messagePage }, ROUTE_DEFAULTS, ['tab']);
+}
+
+function renderStateViewer() {
+    const container = document.getElementById('store-panel');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div>
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
-                <h3 class="card-title" style="margin: 0;">Channel State</h3>
-                <button class="btn btn-secondary" onclick="alert('State viewer coming soon')">
-                    View State
-                </button>
+                <h3 class="card-title" style="margin: 0;">Channel State <span id="state-key-count" style="color: var(--text-secondary); font-weight: normal;"></span></h3>
+                <div style="display: flex; gap: 12px;">
+                    <input
+                        type="text"
+                        id="state-search-input"
+                        class="search-input"
+                        placeholder="Search keys..."
+                        style="width: 240px;"
+                    />
+                    <button id="refresh-state-button" class="btn btn-secondary" title="Refresh state">
+                        <span style="font-size: 16px;">↻</span>
+                    </button>
+                </div>
             </div>
-            <div style="text-align: center; padding: 24px; color: var(--text-secondary); background-color: var(--bg-tertiary); border-radius: 6px;">
-                State viewer for stateful channels - Coming soon
+            <div id="state-entries">
+                <div class="loading">Loading channel state...</div>
+            </div>
+            <div style="margin-top: 16px; display: flex; justify-content: space-between; align-items: center;">
+                <div id="state-pagination-info" style="color: var(--text-secondary);"></div>
+                <div id="state-pagination-controls" style="display: flex; gap: 8px;"></div>
             </div>
         </div>
     `;
+
+    // Debounced key search
+    const searchInput = document.getElementById('state-search-input');
+    searchInput.value = stateSearch;
+    searchInput.addEventListener('input', (e) => {
+        clearTimeout(stateSearchTimer);
+        stateSearchTimer = setTimeout(() => {
+            stateSearch = e.target.value.trim();
+            statePage = 1;
+            expandedStateKey = null;
+            loadChannelState();
+        }, 300);
+    });
+
+    document.getElementById('refresh-state-button').addEventListener('click', () => loadChannelState());
+}
+
+async function loadChannelState() {
+    const entriesContainer = document.getElementById('state-entries');
+    if (!entriesContainer) return;
+
+    try {
+        stateData = await api.getChannelState(channelName, {
+            search: stateSearch,
+            offset: (statePage - 1) * pageSize,
+            limit: pageSize
+        });
+
+        // Step back if the current page emptied (e.g. after deleting its last key)
+        const totalPages = Math.max(1, Math.ceil(stateData.totalCount / pageSize));
+        if (statePage > totalPages) {
+            statePage = totalPages;
+            return loadChannelState();
+        }
+
+        renderStateEntries();
+    } catch (error) {
+        console.error('Failed to load channel state:', error);
+        entriesContainer.innerHTML = `
+            <div class="error-message">Failed to load channel state: ${escapeHtml(error.message)}</div>
+        `;
+    }
 }
 
-function showResetConfirmation() {
-    if (confirm(`Are you sure you want to reset channel "${channelName}"?\n\nThis will clear all stored messages and reset channel statistics. This action cannot be undone.`)) {
-        resetChannel();
+function renderStateEntries() {
+    const entriesContainer = document.getElementById('state-entries');
+    if (!entriesContainer || !stateData) return;
+
+    const countLabel = document.getElementById('state-key-count');
+    if (countLabel) {
+        countLabel.textContent = `(${stateData.totalCount} ${stateData.totalCount === 1 ? 'key' : 'keys'})`;
+    }
+
+    const entries = stateData.entries || [];
+    if (entries.length === 0) {
+        entriesContainer.innerHTML = `
+            <div style="text-align: center; padding: 24px; color: var(--text-secondary); background-color: var(--bg-tertiary); border-radius: 6px;">
+                ${stateSearch ? `No keys matching "${escapeHtml(stateSearch)}"` : 'No stored messages'}
+            </div>
+        `;
+        renderStatePagination();
+        return;
     }
+
+    entriesContainer.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Key</th>
+                    <th>Message ID</th>
+                    <th>Timestamp</th>
+                    <th>From</th>
+                    <th>Body</th>
+                    <th style="width: 80px;">Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries.map((entry, index) => `
+                    <tr class="state-row" data-index="${index}" style="cursor: pointer;">
+                        <td><strong style="font-family: monospace;">${expandedStateKey === entry.key ? '▾' : '▸'} ${escapeHtml(entry.key)}</strong></td>
+                        <td>${entry.messageId}</td>
+                        <td>${formatDateTime(entry.timestamp)}</td>
+                        <td style="font-family: monospace;">${escapeHtml(entry.from || '-')}</td>
+                        <td><code class="state-body-preview">${escapeHtml(bodyPreview(decodeBody(entry.body, stateData.bodyFormat)))}</code></td>
+                        <td>
+                            <button class="btn btn-danger state-delete-button" data-index="${index}" style="padding: 4px 8px; font-size: 12px;">
+                                Delete
+                            </button>
+                        </td>
+                    </tr>
+                    ${expandedStateKey === entry.key ? `
+                        <tr class="state-detail-row">
+                            <td colspan="6">
+                                <div style="display: flex; gap: 24px; margin-bottom: 8px; color: var(--text-secondary); font-size: 12px;">
+                                    <span>Correlation ID: ${entry.correlationId}</span>
+                                    <span>Body type: ${escapeHtml(stateData.bodyType)}</span>
+                                </div>
+                                <div class="json-tree">${renderJsonTree(entry.body)}</div>
+                            </td>
+                        </tr>
+                    ` : ''}
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    // Toggle body tree on row click
+    entriesContainer.querySelectorAll('.state-row').forEach(row => {
+        row.addEventListener('click', () => {
+            const entry = entries[parseInt(row.dataset.index)];
+            expandedStateKey = expandedStateKey === entry.key ? null : entry.key;
+            renderStateEntries();
+        });
+    });
+
+    entriesContainer.querySelectorAll('.state-delete-button').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteStateKey(entries[parseInt(button.dataset.index)].key);
+        });
+    });
+
+    renderStatePagination();
+}
+
+function renderStatePagination() {
+    const info = document.getElementById('state-pagination-info');
+    const controls = document.getElementById('state-pagination-controls');
+    if (!info || !controls || !stateData) return;
+
+    const totalPages = Math.max(1, Math.ceil(stateData.totalCount / pageSize));
+    const start = stateData.totalCount === 0 ? 0 : stateData.offset + 1;
+    const end = stateData.offset + (stateData.entries || []).length;
+
+    info.textContent = `Showing ${start}-${end} of ${stateData.totalCount} keys`;
+    controls.innerHTML = `
+        <button id="state-prev-page" class="btn btn-secondary" ${statePage <= 1 ? 'disabled' : ''}>Previous</button>
+        <span style="padding: 8px 16px; color: var(--text-secondary);">Page ${statePage} of ${totalPages}</span>
+        <button id="state-next-page" class="btn btn-secondary" ${statePage >= totalPages ? 'disabled' : ''}>Next</button>
+        ${renderPageSizeSelect('state-page-size')}
+    `;
+
+    setupPageSizeSelect('state-page-size', () => {
+        statePage = 1;
+        expandedStateKey = null;
+        loadChannelState();
+    });
+
+    document.getElementById('state-prev-page').addEventListener('click', () => {
+        if (statePage > 1) {
+            statePage--;
+            expandedStateKey = null;
+            loadChannelState();
+        }
+    });
+
+    document.getElementById('state-next-page').addEventListener('click', () => {
+        if (statePage < totalPages) {
+            statePage++;
+            expandedStateKey = null;
+            loadChannelState();
+        }
+    });
 }
 
-async function resetChannel() {
+async function deleteStateKey(key) {
+    if (!confirm(`Are you sure you want to delete state key "${key}" from channel "${channelName}"?\n\nThis action cannot be undone.`)) {
+        return;
+    }
+
     try {
-        await api.resetChannel(channelName);
-        alert(`Channel "${channelName}" has been reset successfully.`);
-        await loadChannelData();
+        const result = await api.deleteChannelStateKey(channelName, key);
+        if (result && !result.success) {
+            alert(`Failed to delete state key: ${result.error}`);
+            return;
+        }
+
+        if (expandedStateKey === key) {
+            expandedStateKey = null;
+        }
+        await loadChannelState();
+    } catch (error) {
+        alert(`Failed to delete state key: ${error.message}`);
+    }
+}
+
+function renderMessageBrowser() {
+    const container = document.getElementById('store-panel');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div>
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px; flex-wrap: wrap; gap: 12px;">
+                <h3 class="card-title" style="margin: 0;">Stored Messages <span id="message-count" style="color: var(--text-secondary); font-weight: normal;"></span></h3>
+                <div class="message-filters">
+                    <input
+                        type="text"
+                        id="message-key-filter"
+                        class="search-input"
+                        placeholder="Key prefix..."
+                        style="width: 200px;"
+                    />
+                    <label>From <input type="datetime-local" id="message-from-filter" class="form-input" step="1"></label>
+                    <label>To <input type="datetime-local" id="message-to-filter" class="form-input" step="1"></label>
+                    <button id="clear-message-filters" class="btn btn-secondary">Clear</button>
+                    <button id="refresh-messages-button" class="btn btn-secondary" title="Refresh messages">
+                        <span style="font-size: 16px;">↻</span>
+                    </button>
+                </div>
+            </div>
+            <div id="message-entries">
+                <div class="loading">Loading stored messages...</div>
+            </div>
+            <div style="margin-top: 16px; display: flex; justify-content: space-between; align-items: center;">
+                <div id="message-pagination-info" style="color: var(--text-secondary);"></div>
+                <div id="message-pagination-controls" style="display: flex; gap: 8px;"></div>
+            </div>
+        </div>
+    `;
+
+    const keyInput = document.getElementById('message-key-filter');
+    const fromInput = document.getElementById('message-from-filter');
+    const toInput = document.getElementById('message-to-filter');
+    keyInput.value = messageFilters.key;
+    fromInput.value = messageFilters.from;
+    toInput.value = messageFilters.to;
+
+    const applyFilters = () => {
+        messageFilters = { key: keyInput.value.trim(), from: fromInput.value, to: toInput.value };
+        messagePage = 1;
+        expandedMessageId = null;
+        saveRouteState();
+        loadChannelMessages();
+    };
+
+    // Debounced key prefix; the time pickers apply once a value is complete
+    keyInput.addEventListener('input', () => {
+        clearTimeout(messageFilterTimer);
+        messageFilterTimer = setTimeout(applyFilters, 300);
+    });
+    fromInput.addEventListener('change', applyFilters);
+    toInput.addEventListener('change', applyFilters);
+
+    document.getElementById('clear-message-filters').addEventListener('click', () => {
+        keyInput.value = '';
+        fromInput.value = '';
+        toInput.value = '';
+        applyFilters();
+    });
+
+    document.getElementById('refresh-messages-button').addEventListener('click', () => loadChannelMessages());
+}
+
+async function loadChannelMessages() {
+    const entriesContainer = document.getElementById('message-entries');
+    if (!entriesContainer) return;
+
+    try {
+        messagesData = await api.getChannelMessages(channelName, {
+            keyPrefix: messageFilters.key,
+            from: toIsoTimestamp(messageFilters.from),
+            to: toIsoTimestamp(messageFilters.to),
+            offset: (messagePage - 1) * pageSize,
+            limit: pageSize
+        });
+
+        // Step back if the store shrank under the current page
+        const totalPages = Math.max(1, Math.ceil(messagesData.totalCount / pageSize));
+        if (messagePage > totalPages) {
+            messagePage = totalPages;
+            saveRouteState();
+            return loadChannelMessages();
+        }
+
+        renderMessageEntries();
     } catch (error) {
-        alert(`Failed to reset channel: ${error.message}`);
+        console.error('Failed to load stored messages:', error);
+        entriesContainer.innerHTML = `
+            <div class="error-message">Failed to load stored messages: ${escapeHtml(error.message)}</div>
+        `;
+    }
+}
+
+function renderMessageEntries() {
+    const entriesContainer = document.getElementById('message-entries');
+    if (!entriesContainer || !messagesData) return;
+
+    const countLabel = document.getElementById('message-count');
+    if (countLabel) {
+        countLabel.textContent = `(${messagesData.totalCount} ${messagesData.totalCount === 1 ? 'message' : 'messages'})`;
+    }
+
+    const messages = messagesData.messages || [];
+    if (messages.length === 0) {
+        const filtered = messageFilters.key || messageFilters.from || messageFilters.to;
+        entriesContainer.innerHTML = `
+            <div style="text-align: center; padding: 24px; color: var(--text-secondary); background-color: var(--bg-tertiary); border-radius: 6px;">
+                ${filtered ? 'No stored messages match these filters' : 'No stored messages'}
+            </div>
+        `;
+        renderMessagePagination();
+        return;
+    }
+
+    const decoded = messages.map(message => decodeBody(message.body, messagesData.bodyFormat));
+
+    entriesContainer.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Message ID</th>
+                    <th>Key</th>
+                    <th>From</th>
+                    <th>Timestamp</th>
+                    <th>Body</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${messages.map((message, index) => `
+                    <tr class="message-row" data-index="${index}" style="cursor: pointer;">
+                        <td><strong>${expandedMessageId === message.messageId ? '▾' : '▸'} ${message.messageId}</strong></td>
+                        <td style="font-family: monospace;">${escapeHtml(message.key || '-')}</td>
+                        <td style="font-family: monospace;">${escapeHtml(message.from || '-')}</td>
+                        <td>${formatDateTime(message.timestamp)}</td>
+                        <td><code class="state-body-preview">${escapeHtml(bodyPreview(decoded[index]))}</code></td>
+                    </tr>
+                    ${expandedMessageId === message.messageId ? `
+                        <tr class="state-detail-row">
+                            <td colspan="5">${renderMessageDetail(message, decoded[index])}</td>
+                        </tr>
+                    ` : ''}
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    entriesContainer.querySelectorAll('.message-row').forEach(row => {
+        row.addEventListener('click', () => {
+            const message = messages[parseInt(row.dataset.index)];
+            expandedMessageId = expandedMessageId === message.messageId ? null : message.messageId;
+            renderMessageEntries();
+        });
+    });
+
+    // The chosen view sticks for other messages that support it
+    entriesContainer.querySelectorAll('.body-renderer-button').forEach(button => {
+        button.addEventListener('click', () => {
+            messageRenderer = button.dataset.renderer;
+            renderMessageEntries();
+        });
+    });
+
+    renderMessagePagination();
+}
+
+function renderMessageDetail(message, decoded) {
+    const available = renderersFor(decoded);
+    const active = available.find(r => r.id === messageRenderer) || available[0];
+
+    return `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px; gap: 24px;">
+            <div style="display: flex; gap: 24px; color: var(--text-secondary); font-size: 12px;">
+                <span>Correlation ID: ${message.correlationId}</span>
+                <span>Body type: ${escapeHtml(messagesData.bodyType)}</span>
+                <span>${decoded.bytes.length} bytes</span>
+            </div>
+            ${available.length > 1 ? `
+                <div class="body-renderer-buttons">
+                    ${available.map(renderer => `
+                        <button class="btn btn-secondary body-renderer-button ${renderer === active ? 'active' : ''}" data-renderer="${renderer.id}">
+                            ${escapeHtml(renderer.label)}
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
+        </div>
+        ${renderBody(decoded, active?.id)}
+    `;
+}
+
+function renderMessagePagination() {
+    const info = document.getElementById('message-pagination-info');
+    const controls = document.getElementById('message-pagination-controls');
+    if (!info || !controls || !messagesData) return;
+
+    const totalPages = Math.max(1, Math.ceil(messagesData.totalCount / pageSize));
+    const start = messagesData.totalCount === 0 ? 0 : messagesData.offset + 1;
+    const end = messagesData.offset + (messagesData.messages || []).length;
+
+    info.textContent = `Showing ${start}-${end} of ${messagesData.totalCount} messages, newest first`;
+    controls.innerHTML = `
+        <button id="message-prev-page" class="btn btn-secondary" ${messagePage <= 1 ? 'disabled' : ''}>Newer</button>
+        <span style="padding: 8px 16px; color: var(--text-secondary);">Page ${messagePage} of ${totalPages}</span>
+        <button id="message-next-page" class="btn btn-secondary" ${messagePage >= totalPages ? 'disabled' : ''}>Older</button>
+        ${renderPageSizeSelect('message-page-size')}
+    `;
+
+    setupPageSizeSelect('message-page-size', () => {
+        messagePage = 1;
+        expandedMessageId = null;
+        saveRouteState();
+        loadChannelMessages();
+    });
+
+    document.getElementById('message-prev-page').addEventListener('click', () => {
+        if (messagePage > 1) {
+            messagePage--;
+            expandedMessageId = null;
+            saveRouteState();
+            loadChannelMessages();
+        }
+    });
+
+    document.getElementById('message-next-page').addEventListener('click', () => {
+        if (messagePage < totalPages) {
+            messagePage++;
+            expandedMessageId = null;
+            saveRouteState();
+            loadChannelMessages();
+        }
+    });
+}
+
+function renderPageSizeSelect(id) {
+    return `
+        <select id="${id}" class="form-input" style="width: auto;" title="Rows per page">
+            ${PAGE_SIZES.map(size => `<option value="${size}" ${size === pageSize ? 'selected' : ''}>${size} per page</option>`).join('')}
+        </select>
+    `;
+}
+
+// The page size is shared by both browsers and remembered for every channel
+function setupPageSizeSelect(id, reload) {
+    document.getElementById(id).addEventListener('change', (e) => {
+        pageSize = parseInt(e.target.value);
+        preferences.set('channel-detail', { pageSize });
+        reload();
+    });
+}
+
+// datetime-local values are in the browser's time zone; the API wants UTC
+function toIsoTimestamp(localValue) {
+    if (!localValue) return undefined;
+    const date = new Date(localValue);
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+async function showResetConfirmation() {
+    if (await actions.resetChannel(channelName)) {
+        await loadChannelData();
     }
 }
 
 function handleMetricsUpdate(metrics) {
     if (metrics.channels) {
-        const updated = metrics.channels.find(c => c.channelName === channelName);
+        const updated = metrics.channels.find(c => c.name === channelName);
         if (updated) {
             channel = { ...channel, ...updated };
             renderChannelContent();
@@ -299,16 +861,15 @@ function handleMetricsUpdate(metrics) {
     }
 }
 
+// SubscriptionInfoDto.status: Active, Suspended or Detached
 function getSubscriptionStatusClass(sub) {
-    if (sub.isDetached) return 'status-error';
-    if (sub.isProcessingSuspended) return 'status-warning';
+    if (sub.status === 'Detached') return 'status-error';
+    if (sub.status === 'Suspended') return 'status-warning';
     return 'status-healthy';
 }
 
 function getSubscriptionStatusLabel(sub) {
-    if (sub.isDetached) return 'Detached';
-    if (sub.isProcessingSuspended) return 'Suspended';
-    return 'Active';
+    return sub.status || 'Active';
 }
 
 function formatNumber(num) {
@@ -1,18 +1,50 @@
 // Channels List Screen
 
-import { api } from '../api-client.js';
+import { bindApi } from '../api-client.js';
 import { signalRClient } from '../signalr-client.js';
+import { connections } from '../instances.js';
+import { preferences, readScreenState, writeScreenState } from '../preferences.js';
+import { DataTable } from '../utils/data-table.js';
+
+const api = bindApi('evict', 'getChannels');
 
 let channels = [];
 let filteredChannels = [];
-let currentPage = 1;
-let pageSize = 25;
-let sortColumn = 'channelName';
+let table = null;
+let sortColumn = 'name';
 let sortDirection = 'asc';
 let searchQuery = '';
+let viewMode = 'table';
+let subtree = '';
+let expandedPaths = new Set();
 let metricsUnsubscribe = null;
+let releaseMetrics = null;
+
+const TREE_SECTION = 'channels.tree';
+
+// View state mirrored in the URL (#/channels?search=...&sort=column:dir&view=tree&subtree=orders.eu)
+const ROUTE_DEFAULTS = { search: '', sort: 'name:asc', view: 'table', subtree: '' };
+
+const COLUMNS = [
+    { id: 'name', label: 'Channel Name', width: 280, hideable: false, render: (channel) => `<strong>${escapeHtml(channel.name)}</strong>` },
+    { id: 'bodyType', label: 'Type', width: 180, render: (channel) => escapeHtml(channel.bodyType || 'Unknown') },
+    { id: 'publishRate', label: 'Publish Rate', width: 120, render: (channel) => `${formatRate(channel.publishRate || 0)}/s` },
+    { id: 'totalMessages', label: 'Total Messages', width: 130, render: (channel) => formatNumber(channel.totalMessages || 0) },
+    { id: 'subscriptionCount', label: 'Subscriptions', width: 120, render: (channel) => String(channel.subscriptionCount || 0) },
+    { id: 'storedMessageCount', label: 'Stored Messages', width: 140, render: (channel) => formatNumber(channel.storedMessageCount || 0) },
+    {
+        id: 'lastPublishedBy',
+        label: 'Last Publisher',
+        width: 160,
+        render: (channel) => escapeHtml(channel.lastPublishedBy || '-'),
+        cellStyle: () => 'font-size: 12px; color: var(--text-secondary);'
+    },
+    { id: 'status', label: 'Status', width: 110, sortable: false, render: renderHealthBadge }
+];
 
 export async function render(container) {
+    restoreRouteState();
+
     container.innerHTML = `
         <div class="page-header">
             <div>
@@ -20,6 +52,7 @@ export async function render(container) {
                 <p class="page-description">View and monitor all messaging channels</p>
             </div>
             <div style="display: flex; gap: 12px;">
+                <button id="channel-view-toggle" class="btn btn-secondary" title="Group channels by their dot-separated name segments"></button>
                 <input
                     type="text"
                     id="channel-search"
@@ -33,18 +66,40 @@ export async function render(container) {
             </div>
         </div>
 
-        <div class="card">
-            <div id="channels-table-container">
-                <div class="loading">Loading channels...</div>
+        <div id="channels-layout" class="channels-layout">
+            <div class="card channel-tree-panel">
+                <div class="card-title">Hierarchy</div>
+                <div id="channel-tree"></div>
             </div>
 
-            <div id="pagination-container" style="margin-top: 16px; display: flex; justify-content: space-between; align-items: center;">
-                <div id="pagination-info" style="color: var(--text-secondary); font-size: 13px;"></div>
-                <div id="pagination-controls" style="display: flex; gap: 8px;"></div>
+            <div class="card">
+                <div id="channel-subtree-filter"></div>
+                <div id="channels-table-container"></div>
+                <div id="channels-count" style="margin-top: 12px; color: var(--text-secondary); font-size: 13px;">Loading channels...</div>
             </div>
         </div>
     `;
 
+    document.getElementById('channel-search').value = readScreenState('channels', ROUTE_DEFAULTS).search;
+    expandedPaths = loadExpandedPaths();
+    updateViewMode();
+
+    table = new DataTable(document.getElementById('channels-table-container'), {
+        id: 'channels',
+        columns: COLUMNS,
+        rowKey: (channel) => channel.name,
+        emptyMessage: 'Loading channels...',
+        sort: { column: sortColumn, direction: sortDirection },
+        onSort: ({ column, direction }) => {
+            sortColumn = column;
+            sortDirection = direction;
+            applyFiltersAndSort();
+        },
+        onRowClick: (channel) => {
+            window.location.hash = `#/channels/${encodeURIComponent(channel.name)}`;
+        }
+    });
+
     // Set up event listeners
     setupEventListeners();
 
@@ -53,8 +108,8 @@ export async function render(container) {
 
     // Subscribe to real-time metrics for live updates
     try {
-        await signalRClient.subscribeToMetrics(5000);
-        metricsUnsubscribe = signalRClient.onMetricsUpdate(handleMetricsUpdate);
+        releaseMetrics = await signalRClient.subscribeToMetrics(5000);
+        metricsUnsubscribe = connections.active.metrics.onUpdate(handleMetricsUpdate);
     } catch (error) {
         console.error('Failed to subscribe to metrics:', error);
     }
@@ -67,10 +122,38 @@ export async function cleanup() {
     }
 
     try {
-        await signalRClient.unsubscribeFromMetrics();
+        if (releaseMetrics) {
+            await releaseMetrics();
+            releaseMetrics = null;
+        }
     } catch (error) {
         console.error('Failed to unsubscribe from metrics:', error);
     }
+
+    if (table) {
+        table.destroy();
+        table = null;
+    }
+}
+
+function restoreRouteState() {
+    const state = readScreenState('channels', ROUTE_DEFAULTS);
+    const [column, direction] = state.sort.split(':');
+
+    searchQuery = state.search.toLowerCase();
+    sortColumn = column || 'name';
+    sortDirection = direction === 'desc' ? 'desc' : 'asc';
+    viewMode = state.view === 'tree' ? 'tree' : 'table';
+    subtree = state.subtree;
+}
+
+function saveRouteState() {
+    writeScreenState('channels', {
+        search: document.getElementById('channel-search')?.value.trim() || '',
+        sort: `${sortColumn}:${sortDirection}`,
+        view: viewMode,
+        subtree
+    }, ROUTE_DEFAULTS);
 }
 
 function setupEventListeners() {
@@ -79,17 +162,23 @@ function setupEventListeners() {
     if (searchInput) {
         searchInput.addEventListener('input', (e) => {
             searchQuery = e.target.value.toLowerCase();
-            currentPage = 1; // Reset to first page
             applyFiltersAndSort();
         });
     }
 
+    document.getElementById('channel-view-toggle').addEventListener('click', () => {
+        viewMode = viewMode === 'tree' ? 'table' : 'tree';
+        updateViewMode();
+        applyFiltersAndSort();
+    });
+
     // Refresh button
     const refreshButton = document.getElementById('refresh-channels-button');
     if (refreshButton) {
         refreshButton.addEventListener('click', async () => {
             refreshButton.disabled = true;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refreshing...';
+            api.evict('/channels');
             await loadChannels();
             refreshButton.disabled = false;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refresh';
@@ -104,22 +193,27 @@ async function loadChannels() {
         applyFiltersAndSort();
     } catch (error) {
         console.error('Failed to load channels:', error);
-        const container = document.getElementById('channels-table-container');
-        if (container) {
-            container.innerHTML = `
-                <div class="error-message">Failed to load channels: ${error.message}</div>
+        const count = document.getElementById('channels-count');
+        if (count) {
+            count.innerHTML = `
+                <div class="error-message">Failed to load channels: ${escapeHtml(error.message)}</div>
             `;
         }
     }
 }
 
 function applyFiltersAndSort() {
-    // Filter
-    filteredChannels = channels.filter(channel => {
+    const searchMatches = channels.filter(channel => {
         if (!searchQuery) return true;
-        return channel.channelName.toLowerCase().includes(searchQuery);
+        return channel.name.toLowerCase().includes(searchQuery);
     });
 
+    // The tree shows every search match; the table narrows further to the selected subtree
+    if (viewMode === 'tree') {
+        renderTree(buildChannelTree(searchMatches));
+    }
+    filteredChannels = searchMatches.filter(channel => inSubtree(channel.name, subtree));
+
     // Sort
     filteredChannels.sort((a, b) => {
         let aVal = a[sortColumn];
@@ -142,191 +236,201 @@ function applyFiltersAndSort() {
         }
     });
 
+    renderSubtreeFilter();
     renderTable();
 }
 
 function renderTable() {
-    const container = document.getElementById('channels-table-container');
-    if (!container) return;
+    if (!table) return;
 
-    if (filteredChannels.length === 0) {
-        container.innerHTML = `
-            <div style="text-align: center; padding: 40px; color: var(--text-secondary);">
-                ${searchQuery ? `No channels found matching "${searchQuery}"` : 'No channels available'}
-            </div>
-        `;
-        updatePagination();
-        return;
+    saveRouteState();
+    table.setSort({ column: sortColumn, direction: sortDirection });
+    table.setRows(filteredChannels, {
+        emptyMessage: searchQuery || subtree ? 'No channels match the current filters' : 'No channels available'
+    });
+
+    const count = document.getElementById('channels-count');
+    if (count) {
+        count.textContent = filteredChannels.length === channels.length
+            ? `${channels.length.toLocaleString()} channels`
+            : `${filteredChannels.length.toLocaleString()} of ${channels.length.toLocaleString()} channels`;
     }
+}
 
-    // Paginate
-    const start = (currentPage - 1) * pageSize;
-    const end = start + pageSize;
-    const paginatedChannels = filteredChannels.slice(start, end);
-
-    // Render table
-    const tableHtml = `
-        <table>
-            <thead>
-                <tr>
-                    ${createSortableHeader('channelName', 'Channel Name')}
-                    ${createSortableHeader('channelType', 'Type')}
-                    ${createSortableHeader('publishRate', 'Publish Rate')}
-                    ${createSortableHeader('totalMessages', 'Total Messages')}
-                    ${createSortableHeader('subscriptionCount', 'Subscriptions')}
-                    ${createSortableHeader('storedMessagesCount', 'Stored Messages')}
-                    ${createSortableHeader('lastPublisher', 'Last Publisher')}
-                    <th style="cursor: pointer;">Status</th>
-                </tr>
-            </thead>
-            <tbody>
-                ${paginatedChannels.map(channel => createChannelRow(channel)).join('')}
-            </tbody>
-        </table>
-    `;
+function renderHealthBadge(channel) {
+    const isActive = channel.publishRate > 0;
+    const hasSubscribers = (channel.subscriptionCount || 0) > 0;
+    const healthClass = isActive ? 'status-healthy' : (hasSubscribers ? 'status-warning' : 'status-inactive');
+    const healthLabel = isActive ? 'Active' : (hasSubscribers ? 'Idle' : 'Inactive');
+    return `<span class="status-badge ${healthClass}">${healthLabel}</span>`;
+}
 
-    container.innerHTML = tableHtml;
+function handleMetricsUpdate({ channels: updatedChannels }) {
+    // Update channel metrics in real-time
+    if (updatedChannels) {
+        // Merge updated metrics with existing channels
+        const updatedByName = new Map(updatedChannels.map(c => [c.name, c]));
+        channels = channels.map(channel => {
+            const updated = updatedByName.get(channel.name);
+            return updated ? { ...channel, ...updated } : channel;
+        });
 
-    // Add click handlers for sortable headers
-    container.querySelectorAll('th[data-column]').forEach(th => {
-        th.addEventListener('click', () => {
-            const column = th.getAttribute('data-column');
-            if (sortColumn === column) {
-                sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
-            } else {
-                sortColumn = column;
-                sortDirection = 'asc';
+        // Re-apply filters and re-render
+        applyFiltersAndSort();
+    }
+}
+
+function updateViewMode() {
+    document.getElementById('channels-layout').classList.toggle('with-tree', viewMode === 'tree');
+    document.getElementById('channel-view-toggle').textContent = viewMode === 'tree' ? 'Flat View' : 'Tree View';
+}
+
+function inSubtree(channelName, path) {
+    return !path || channelName === path || channelName.startsWith(path + '.');
+}
+
+// Groups channels by name segment; every node carries totals for its whole subtree.
+// Subscription counts are summed per channel, so a wildcard subscription counts once
+// for each channel it receives.
+function buildChannelTree(channelList) {
+    const root = createTreeNode('', '');
+
+    channelList.forEach(channel => {
+        // Empty segments are ignored, as in channel pattern matching
+        const segments = channel.name.split('.').filter(s => s);
+        let node = root;
+        addToTotals(node, channel);
+
+        segments.forEach((segment, i) => {
+            if (!node.children.has(segment)) {
+                node.children.set(segment, createTreeNode(segment, segments.slice(0, i + 1).join('.')));
             }
-            applyFiltersAndSort();
+            node = node.children.get(segment);
+            addToTotals(node, channel);
         });
-    });
 
-    // Add click handlers for rows
-    container.querySelectorAll('tbody tr').forEach((row, index) => {
-        const channel = paginatedChannels[index];
-        row.style.cursor = 'pointer';
-        row.addEventListener('click', () => {
-            window.location.hash = `#/channels/${encodeURIComponent(channel.channelName)}`;
-        });
+        node.isChannel = true;
     });
 
-    updatePagination();
+    return root;
 }
 
-function createSortableHeader(column, label) {
-    const isSorted = sortColumn === column;
-    const arrow = isSorted ? (sortDirection === 'asc' ? ' ↑' : ' ↓') : '';
-    return `<th data-column="${column}" style="cursor: pointer; user-select: none;">${label}${arrow}</th>`;
+function createTreeNode(segment, path) {
+    return {
+        segment,
+        path,
+        children: new Map(),
+        isChannel: false,
+        channelCount: 0,
+        publishRate: 0,
+        totalMessages: 0,
+        subscriptionCount: 0
+    };
 }
 
-function createChannelRow(channel) {
-    const publishRate = formatRate(channel.publishRate || 0);
-    const totalMessages = formatNumber(channel.totalMessages || 0);
-    const storedMessages = formatNumber(channel.storedMessagesCount || 0);
-    const lastPublisher = channel.lastPublisher || '-';
-    const channelType = channel.channelType || 'Unknown';
-    const subscriptionCount = channel.subscriptionCount || 0;
+function addToTotals(node, channel) {
+    node.channelCount++;
+    node.publishRate += channel.publishRate || 0;
+    node.totalMessages += channel.totalMessages || 0;
+    node.subscriptionCount += channel.subscriptionCount || 0;
+}
 
-    // Determine health status
-    const isActive = channel.publishRate > 0;
-    const hasSubscribers = subscriptionCount > 0;
-    const healthClass = isActive ? 'status-healthy' : (hasSubscribers ? 'status-warning' : 'status-inactive');
-    const healthLabel = isActive ? 'Active' : (hasSubscribers ? 'Idle' : 'Inactive');
+function renderTree(root) {
+    const container = document.getElementById('channel-tree');
+    if (!container) return;
 
-    return `
-        <tr>
-            <td><strong>${escapeHtml(channel.channelName)}</strong></td>
-            <td>${escapeHtml(channelType)}</td>
-            <td>${publishRate}/s</td>
-            <td>${totalMessages}</td>
-            <td>${subscriptionCount}</td>
-            <td>${storedMessages}</td>
-            <td style="font-size: 12px; color: var(--text-secondary);">${escapeHtml(lastPublisher)}</td>
-            <td><span class="status-badge ${healthClass}">${healthLabel}</span></td>
-        </tr>
+    if (root.children.size === 0) {
+        container.innerHTML = '<div class="channel-tree-empty">No channels</div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="channel-tree-row ${subtree ? '' : 'selected'}" data-path="">
+            <span class="channel-tree-toggle"></span>
+            <span class="channel-tree-label">All channels</span>
+            ${renderTreeTotals(root)}
+        </div>
+        ${renderTreeChildren(root, 0)}
     `;
+
+    container.querySelectorAll('.channel-tree-toggle[data-path]').forEach(toggle => {
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const path = toggle.dataset.path;
+            if (expandedPaths.has(path)) {
+                expandedPaths.delete(path);
+            } else {
+                expandedPaths.add(path);
+            }
+            saveExpandedPaths();
+            renderTree(root);
+        });
+    });
+
+    container.querySelectorAll('.channel-tree-row').forEach(row => {
+        row.addEventListener('click', () => selectSubtree(row.dataset.path));
+    });
 }
 
-function updatePagination() {
-    const totalPages = Math.ceil(filteredChannels.length / pageSize);
-    const start = (currentPage - 1) * pageSize + 1;
-    const end = Math.min(currentPage * pageSize, filteredChannels.length);
+function renderTreeChildren(node, depth) {
+    return [...node.children.values()]
+        .sort((a, b) => a.segment.localeCompare(b.segment))
+        .map(child => {
+            const hasChildren = child.children.size > 0;
+            const expanded = hasChildren && expandedPaths.has(child.path);
+            return `
+                <div class="channel-tree-row ${child.path === subtree ? 'selected' : ''}" data-path="${escapeHtml(child.path)}"
+                    style="padding-left: ${8 + depth * 16}px;" title="${escapeHtml(child.path)}">
+                    <span class="channel-tree-toggle" ${hasChildren ? `data-path="${escapeHtml(child.path)}"` : ''}>${hasChildren ? (expanded ? '▾' : '▸') : ''}</span>
+                    <span class="channel-tree-label ${child.isChannel ? 'is-channel' : ''}">${escapeHtml(child.segment)}</span>
+                    ${hasChildren ? `<span class="channel-tree-count">${child.channelCount}</span>` : ''}
+                    ${renderTreeTotals(child)}
+                </div>
+                ${expanded ? renderTreeChildren(child, depth + 1) : ''}
+            `;
+        }).join('');
+}
 
-    // Update info
-    const infoContainer = document.getElementById('pagination-info');
-    if (infoContainer) {
-        infoContainer.textContent = `Showing ${start}-${end} of ${filteredChannels.length} channels`;
-    }
+function renderTreeTotals(node) {
+    return `
+        <span class="channel-tree-totals" title="Publish rate, total messages and subscriptions across the subtree">
+            ${formatRate(node.publishRate)}/s · ${formatNumber(node.totalMessages)} · ${node.subscriptionCount} subs
+        </span>
+    `;
+}
 
-    // Update controls
-    const controlsContainer = document.getElementById('pagination-controls');
-    if (controlsContainer) {
-        if (totalPages <= 1) {
-            controlsContainer.innerHTML = '';
-            return;
-        }
+function selectSubtree(path) {
+    subtree = path;
+    applyFiltersAndSort();
+}
 
-        const buttons = [];
-
-        // Previous button
-        buttons.push(`
-            <button
-                class="btn btn-secondary"
-                ${currentPage === 1 ? 'disabled' : ''}
-                data-page="${currentPage - 1}"
-            >← Previous</button>
-        `);
-
-        // Page numbers
-        for (let i = 1; i <= totalPages; i++) {
-            if (i === 1 || i === totalPages || (i >= currentPage - 1 && i <= currentPage + 1)) {
-                buttons.push(`
-                    <button
-                        class="btn ${i === currentPage ? 'btn-primary' : 'btn-secondary'}"
-                        data-page="${i}"
-                    >${i}</button>
-                `);
-            } else if (i === currentPage - 2 || i === currentPage + 2) {
-                buttons.push(`<span style="padding: 8px;">...</span>`);
-            }
-        }
+function renderSubtreeFilter() {
+    const container = document.getElementById('channel-subtree-filter');
+    if (!container) return;
 
-        // Next button
-        buttons.push(`
-            <button
-                class="btn btn-secondary"
-                ${currentPage === totalPages ? 'disabled' : ''}
-                data-page="${currentPage + 1}"
-            >Next →</button>
-        `);
-
-        controlsContainer.innerHTML = buttons.join('');
-
-        // Add click handlers
-        controlsContainer.querySelectorAll('button[data-page]').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const page = parseInt(btn.getAttribute('data-page'));
-                if (page >= 1 && page <= totalPages) {
-                    currentPage = page;
-                    renderTable();
-                }
-            });
-        });
+    if (!subtree) {
+        container.innerHTML = '';
+        return;
     }
+
+    container.innerHTML = `
+        <div class="channel-subtree-chip">
+            Showing <code>${escapeHtml(subtree)}</code> and below
+            <button id="clear-subtree-filter" class="btn btn-secondary" style="padding: 2px 8px; font-size: 12px;">Clear</button>
+        </div>
+    `;
+    document.getElementById('clear-subtree-filter').addEventListener('click', () => selectSubtree(''));
 }
 
-function handleMetricsUpdate(metrics) {
-    // Update channel metrics in real-time
-    if (metrics.channels) {
-        // Merge updated metrics with existing channels
-        channels = channels.map(channel => {
-            const updated = metrics.channels.find(c => c.channelName === channel.channelName);
-            return updated ? { ...channel, ...updated } : channel;
-        });
+// Expanded tree nodes are remembered per instance across visits, in the 'channels.tree' section
+function loadExpandedPaths() {
+    const instanceId = connections.active.id;
+    const paths = preferences.get(TREE_SECTION, { [instanceId]: [] })[instanceId];
+    return new Set(Array.isArray(paths) ? paths : []);
+}
 
-        // Re-apply filters and re-render
-        applyFiltersAndSort();
-    }
+function saveExpandedPaths() {
+    preferences.set(TREE_SECTION, { [connections.active.id]: [...expandedPaths] });
 }
 
 function formatNumber(num) {
@@ -1,10 +1,13 @@
-import { apiClient } from '../api-client.js';
+import { bindApi } from '../api-client.js';
+import { RETENTION_OPTIONS, getMetricsRetention, setMetricsRetention } from '../metrics-store.js';
+
+const api = bindApi('getConfiguration', 'configurationExportUrl');
 
 let configuration = null;
 
 async function loadConfiguration() {
     try {
-        configuration = await apiClient.get('/api/configuration');
+        configuration = await api.getConfiguration();
     } catch (err) {
         console.error('Failed to load configuration:', err);
         configuration = null;
@@ -27,7 +30,7 @@ function handleExportJson() {
 }
 
 function handleDownloadConfig() {
-    window.location.href = '/api/configuration/export';
+    window.location.href = api.configurationExportUrl();
 }
 
 function renderCrossBarOptions(options) {
@@ -185,6 +188,43 @@ function renderStatsOptions(options) {
     `;
 }
 
+// Portal settings live in this browser, not on the server
+function renderPortalSettings() {
+    const retention = getMetricsRetention();
+
+    return `
+        <div class="config-section">
+            <h3>Portal Settings</h3>
+            <div class="config-grid">
+                <div class="config-item">
+                    <div class="config-label">Sparkline History</div>
+                    <div class="config-value">
+                        <select
+                            id="metrics-retention-select"
+                            class="filter-select"
+                            style="padding: 6px 10px; border: 1px solid var(--border-color); border-radius: 6px; font-size: 14px; background-color: white; cursor: pointer;"
+                        >
+                            ${RETENTION_OPTIONS.map(option => `
+                                <option value="${option.ms}" ${option.ms === retention ? 'selected' : ''}>${option.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="config-help">How much metrics history this browser keeps for sparklines, across reloads</div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+async function handleRetentionChange(e) {
+    try {
+        await setMetricsRetention(Number(e.target.value));
+    } catch (err) {
+        // Still applies for this session
+        console.error('Failed to save metrics retention:', err);
+    }
+}
+
 function renderDocumentationLinks() {
     return `
         <div class="config-section">
@@ -243,7 +283,7 @@ export async function render(container) {
     container.innerHTML = `
         <div class="page-header">
             <h2 class="page-title">Configuration</h2>
-            <p class="page-description">System configuration and settings (read-only)</p>
+            <p class="page-description">CrossBar configuration (read-only) and portal settings</p>
         </div>
 
         <div class="config-actions">
@@ -255,12 +295,14 @@ export async function render(container) {
             ${renderCrossBarOptions(configuration.crossBarOptions)}
             ${renderSubscriptionOptions(configuration.defaultSubscriptionOptions)}
             ${renderStatsOptions(configuration.defaultStatsOptions)}
+            ${renderPortalSettings()}
             ${renderDocumentationLinks()}
         </div>
     `;
 
     document.getElementById('export-json-btn').addEventListener('click', handleExportJson);
     document.getElementById('download-config-btn').addEventListener('click', handleDownloadConfig);
+    document.getElementById('metrics-retention-select').addEventListener('change', handleRetentionChange);
 }
 
 export async function cleanup() {
@@ -1,21 +1,22 @@
-import { apiClient } from '../api-client.js';
+import { bindApi } from '../api-client.js';
+import { readScreenState, writeScreenState } from '../preferences.js';
+
+const api = bindApi('getErrors', 'clearErrors');
 
 let errorLog = null;
 let selectedError = null;
 let currentErrorTypeFilter = null;
 let currentSearchTerm = '';
 
+// Filters mirrored in the URL (#/errors?type=...&search=...)
+const ROUTE_DEFAULTS = { type: '', search: '' };
+
 async function loadErrors() {
     try {
-        const params = new URLSearchParams();
-        if (currentErrorTypeFilter) {
-            params.append('errorType', currentErrorTypeFilter);
-        }
-        if (currentSearchTerm) {
-            params.append('search', currentSearchTerm);
-        }
-
-        errorLog = await apiClient.get(`/api/errors?${params.toString()}`);
+        errorLog = await api.getErrors({
+            errorType: currentErrorTypeFilter,
+            search: currentSearchTerm
+        });
         renderErrorList();
         renderStatistics();
     } catch (err) {
@@ -233,7 +234,7 @@ async function handleClearErrors() {
     }
 
     try {
-        await apiClient.delete('/api/errors');
+        await api.clearErrors();
         await loadErrors();
     } catch (err) {
         console.error('Failed to clear errors:', err);
@@ -243,15 +244,21 @@ async function handleClearErrors() {
 
 function handleErrorTypeFilter(errorType) {
     currentErrorTypeFilter = currentErrorTypeFilter === errorType ? null : errorType;
+    saveRouteState();
     updateFilterButtons();
     loadErrors();
 }
 
 function handleSearch() {
     currentSearchTerm = document.getElementById('error-search-input').value;
+    saveRouteState();
     loadErrors();
 }
 
+function saveRouteState() {
+    writeScreenState('errors', { type: currentErrorTypeFilter || '', search: currentSearchTerm.trim() }, ROUTE_DEFAULTS);
+}
+
 function updateFilterButtons() {
     document.querySelectorAll('.filter-btn').forEach(btn => {
         const btnType = btn.dataset.errorType;
@@ -264,7 +271,9 @@ function updateFilterButtons() {
 }
 
 export async function render(container) {
-    await loadErrors();
+    const state = readScreenState('errors', ROUTE_DEFAULTS);
+    currentErrorTypeFilter = state.type || null;
+    currentSearchTerm = state.search;
 
     container.innerHTML = `
         <div class="page-header">
@@ -298,8 +307,11 @@ export async function render(container) {
         <div id="error-list"></div>
     `;
 
-    renderStatistics();
-    renderErrorList();
+    document.getElementById('error-search-input').value = currentSearchTerm;
+    updateFilterButtons();
+
+    // Load once the list and statistics containers exist
+    await loadErrors();
 
     document.getElementById('clear-errors-btn').addEventListener('click', handleClearErrors);
     document.getElementById('search-btn').addEventListener('click', handleSearch);
@@ -1,13 +1,20 @@
 // Lifecycle Event Viewer Screen
 
 import { signalRClient } from '../signalr-client.js';
+import { preferences, readScreenState, writeScreenState } from '../preferences.js';
 
 let unsubscribeLifecycle = null;
+let releaseLifecycle = null;
+let unsubscribeGap = null;
 let events = [];
 let filteredEvents = [];
 let isPaused = false;
 let maxEvents = 500;
 
+// Filters mirrored in the URL (#/lifecycle?search=...&type=N)
+const ROUTE_DEFAULTS = { search: '', type: '' };
+const SETTINGS_DEFAULTS = { maxEvents: 500 };
+
 const eventTypeNames = {
     0: 'Channel Created',
     1: 'Channel Deleted',
@@ -23,6 +30,8 @@ const eventTypeIcons = {
 };
 
 export async function render(container) {
+    ({ maxEvents } = preferences.get('lifecycle', SETTINGS_DEFAULTS));
+
     container.innerHTML = `
         <div class="page-header">
             <h2 class="page-title">
@@ -56,7 +65,7 @@ export async function render(container) {
 
                 <div class="max-events-control">
                     <label>Max Events:</label>
-                    <input type="number" id="max-events" value="500" min="50" max="5000" step="50" />
+                    <input type="number" id="max-events" value="${maxEvents}" min="50" max="5000" step="50" />
                 </div>
             </div>
         </div>
@@ -70,6 +79,11 @@ export async function render(container) {
         </div>
     `;
 
+    // Restore filters from the URL
+    const state = readScreenState('lifecycle', ROUTE_DEFAULTS);
+    container.querySelector('#search-input').value = state.search;
+    container.querySelector('#event-type-filter').value = state.type;
+
     // Initialize
     await connectToLifecycleStream();
     setupEventHandlers(container);
@@ -83,7 +97,8 @@ async function connectToLifecycleStream() {
 
         // Subscribe to lifecycle events
         unsubscribeLifecycle = signalRClient.onLifecycleEvent(handleLifecycleEvent);
-        await signalRClient.subscribeToLifecycle();
+        unsubscribeGap = signalRClient.onConnectionGap(handleConnectionGap);
+        releaseLifecycle = await signalRClient.subscribeToLifecycle();
 
         console.log('Connected to lifecycle stream');
     } catch (error) {
@@ -106,14 +121,28 @@ function handleLifecycleEvent(event) {
     applyFilters();
 }
 
+// Mark where events may have been missed while the connection was down
+function handleConnectionGap(gap) {
+    if (isPaused || !gap.streams.includes('lifecycle')) return;
+
+    events.unshift({ isGap: true, disconnectedAt: gap.disconnectedAt, reconnectedAt: gap.reconnectedAt });
+    if (events.length > maxEvents) {
+        events = events.slice(0, maxEvents);
+    }
+
+    applyFilters();
+}
+
 function setupEventHandlers(container) {
     // Search input
     const searchInput = container.querySelector('#search-input');
     searchInput.addEventListener('input', applyFilters);
+    searchInput.addEventListener('input', saveRouteState);
 
     // Event type filter
     const eventTypeFilter = container.querySelector('#event-type-filter');
     eventTypeFilter.addEventListener('change', applyFilters);
+    eventTypeFilter.addEventListener('change', saveRouteState);
 
     // Pause/Resume button
     const pauseBtn = container.querySelector('#pause-btn');
@@ -137,7 +166,8 @@ function setupEventHandlers(container) {
     // Max events input
     const maxEventsInput = container.querySelector('#max-events');
     maxEventsInput.addEventListener('change', (e) => {
-        maxEvents = parseInt(e.target.value) || 500;
+        maxEvents = parseInt(e.target.value) || SETTINGS_DEFAULTS.maxEvents;
+        preferences.set('lifecycle', { maxEvents });
         if (events.length > maxEvents) {
             events = events.slice(0, maxEvents);
             applyFilters();
@@ -145,6 +175,13 @@ function setupEventHandlers(container) {
     });
 }
 
+function saveRouteState() {
+    writeScreenState('lifecycle', {
+        search: document.querySelector('#search-input')?.value.trim() || '',
+        type: document.querySelector('#event-type-filter')?.value || ''
+    }, ROUTE_DEFAULTS);
+}
+
 function applyFilters() {
     const searchInput = document.querySelector('#search-input');
     const eventTypeFilter = document.querySelector('#event-type-filter');
@@ -153,6 +190,9 @@ function applyFilters() {
     const selectedType = eventTypeFilter?.value || '';
 
     filteredEvents = events.filter(event => {
+        // Gap markers stay visible regardless of filters
+        if (event.isGap) return true;
+
         // Filter by event type
         if (selectedType !== '' && event.eventType.toString() !== selectedType) {
             return false;
@@ -169,7 +209,7 @@ function applyFilters() {
     });
 
     renderEvents(document.querySelector('.page-header').closest('.screen-content'));
-    updateEventCount(filteredEvents.length);
+    updateEventCount(filteredEvents.filter(event => !event.isGap).length);
 }
 
 function renderEvents(container) {
@@ -191,7 +231,9 @@ function renderEvents(container) {
         return;
     }
 
-    const eventsHtml = filteredEvents.map(event => renderEventCard(event)).join('');
+    const eventsHtml = filteredEvents
+        .map(event => event.isGap ? renderGapMarker(event) : renderEventCard(event))
+        .join('');
     eventsContainer.innerHTML = eventsHtml;
 }
 
@@ -231,6 +273,15 @@ function renderEventCard(event) {
     `;
 }
 
+function renderGapMarker(gap) {
+    const from = gap.disconnectedAt ? gap.disconnectedAt.toLocaleTimeString() : 'unknown';
+    return `
+        <div class="stream-gap">
+            ⚠️ Connection lost ${from} – ${gap.reconnectedAt.toLocaleTimeString()}. Events during this period may have been missed.
+        </div>
+    `;
+}
+
 function formatTimestamp(date) {
     const now = new Date();
     const diffMs = now - date;
@@ -263,8 +314,16 @@ export async function cleanup() {
         unsubscribeLifecycle = null;
     }
 
+    if (unsubscribeGap) {
+        unsubscribeGap();
+        unsubscribeGap = null;
+    }
+
     try {
-        await signalRClient.unsubscribeFromLifecycle();
+        if (releaseLifecycle) {
+            await releaseLifecycle();
+            releaseLifecycle = null;
+        }
     } catch (error) {
         console.error('Error unsubscribing from lifecycle:', error);
     }
@@ -1,15 +1,34 @@
 // Overview Screen - System Dashboard
 
-import { api } from '../api-client.js';
+import { bindApi } from '../api-client.js';
 import { signalRClient } from '../signalr-client.js';
-import { createSparkline, MetricsHistory } from '../utils/sparkline.js';
+import { connections, instanceHash } from '../instances.js';
+import { createSparkline } from '../utils/sparkline.js';
+import { preferences } from '../preferences.js';
+
+const api = bindApi('evict', 'getOverview');
 
 let metricsUnsubscribe = null;
+let releaseMetrics = null;
 let refreshInterval = null;
-const metricsHistory = new MetricsHistory(20); // Keep last 20 data points
-let autoRefreshEnabled = true; // Auto-refresh is on by default
+let autoRefreshEnabled = true;
+let instanceOverviews = new Map(); // instance id -> { overview, error }
+let statusUnsubscribe = null;
+
+// Auto-refresh is on unless the user turned it off
+const SETTINGS_DEFAULTS = { autoRefreshEnabled: true };
+
+const HUB_STATUS = {
+    connected: { label: 'Live', className: 'status-healthy' },
+    polling: { label: 'Polling', className: 'status-warning' },
+    reconnecting: { label: 'Reconnecting', className: 'status-warning' },
+    connecting: { label: 'Connecting', className: 'status-inactive' },
+    disconnected: { label: 'Disconnected', className: 'status-error' }
+};
 
 export async function render(container) {
+    ({ autoRefreshEnabled } = preferences.get('overview', SETTINGS_DEFAULTS));
+
     // Initial render
     container.innerHTML = `
         <div class="page-header">
@@ -19,7 +38,7 @@ export async function render(container) {
             </div>
             <div style="display: flex; gap: 12px; align-items: center;">
                 <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
-                    <input type="checkbox" id="auto-refresh-toggle" checked style="cursor: pointer;">
+                    <input type="checkbox" id="auto-refresh-toggle" ${autoRefreshEnabled ? 'checked' : ''} style="cursor: pointer;">
                     <span style="font-size: 14px; color: var(--text-secondary);">Auto-refresh</span>
                 </label>
                 <button id="refresh-button" class="btn btn-secondary" title="Refresh now">
@@ -28,6 +47,16 @@ export async function render(container) {
             </div>
         </div>
 
+        ${connections.isMultiInstance ? `
+            <div class="card">
+                <h3 class="card-title">All Instances</h3>
+                <div id="instances-overview">
+                    <div class="loading">Loading instances...</div>
+                </div>
+            </div>
+            <h3 class="card-title">${escapeHtml(connections.active.name)}</h3>
+        ` : ''}
+
         <div id="overview-stats" class="stats-grid">
             <div class="loading">Loading metrics...</div>
         </div>
@@ -46,6 +75,10 @@ export async function render(container) {
     // Load initial data
     await loadOverviewData();
 
+    if (connections.isMultiInstance) {
+        statusUnsubscribe = connections.onStatusChange(() => renderInstancesOverview());
+    }
+
     // Set up event listeners
     setupEventListeners();
 
@@ -63,6 +96,7 @@ function setupEventListeners() {
             refreshButton.disabled = true;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refreshing...';
 
+            api.evict('/overview');
             await loadOverviewData();
 
             refreshButton.disabled = false;
@@ -75,6 +109,7 @@ function setupEventListeners() {
     if (autoRefreshToggle) {
         autoRefreshToggle.addEventListener('change', (e) => {
             autoRefreshEnabled = e.target.checked;
+            preferences.set('overview', { autoRefreshEnabled });
 
             if (autoRefreshEnabled) {
                 startAutoRefresh();
@@ -88,8 +123,9 @@ function setupEventListeners() {
 async function startAutoRefresh() {
     // Subscribe to real-time metrics updates
     try {
-        await signalRClient.subscribeToMetrics(5000); // Update every 5 seconds
-        metricsUnsubscribe = signalRClient.onMetricsUpdate(handleMetricsUpdate);
+        releaseMetrics = await signalRClient.subscribeToMetrics(5000); // Update every 5 seconds
+        // Fires once each push is in the metrics history, so the sparklines include it
+        metricsUnsubscribe = connections.active.metrics.onUpdate(handleMetricsUpdate);
     } catch (error) {
         console.error('Failed to subscribe to metrics:', error);
     }
@@ -105,9 +141,12 @@ function stopAutoRefresh() {
         metricsUnsubscribe = null;
     }
 
-    signalRClient.unsubscribeFromMetrics().catch(err => {
-        console.error('Failed to unsubscribe from metrics:', err);
-    });
+    if (releaseMetrics) {
+        releaseMetrics().catch(err => {
+            console.error('Failed to unsubscribe from metrics:', err);
+        });
+        releaseMetrics = null;
+    }
 
     // Clear polling interval
     if (refreshInterval) {
@@ -118,9 +157,18 @@ function stopAutoRefresh() {
 
 export async function cleanup() {
     stopAutoRefresh();
+
+    if (statusUnsubscribe) {
+        statusUnsubscribe();
+        statusUnsubscribe = null;
+    }
 }
 
 async function loadOverviewData() {
+    if (connections.isMultiInstance) {
+        loadInstancesOverview();
+    }
+
     try {
         const data = await api.getOverview();
         renderStats(data);
@@ -132,6 +180,102 @@ async function loadOverviewData() {
     }
 }
 
+async function loadInstancesOverview() {
+    const instances = connections.list();
+    const results = await Promise.allSettled(instances.map(instance => instance.api.getOverview()));
+
+    instanceOverviews = new Map(instances.map((instance, index) => [
+        instance.id,
+        results[index].status === 'fulfilled'
+            ? { overview: results[index].value, error: null }
+            : { overview: null, error: results[index].reason }
+    ]));
+
+    renderInstancesOverview();
+}
+
+// Every SystemOverviewDto field is a count or a rate, so instance totals are plain sums
+function sumOverviews(overviews) {
+    const total = {};
+    overviews.forEach(overview => {
+        Object.entries(overview).forEach(([key, value]) => {
+            if (typeof value === 'number') {
+                total[key] = (total[key] || 0) + value;
+            }
+        });
+    });
+    return total;
+}
+
+function renderInstancesOverview() {
+    const container = document.getElementById('instances-overview');
+    if (!container || instanceOverviews.size === 0) return;
+
+    const instances = connections.list();
+    const reachable = instances
+        .map(instance => instanceOverviews.get(instance.id)?.overview)
+        .filter(Boolean);
+    const total = sumOverviews(reachable);
+
+    container.innerHTML = `
+        <div class="stats-grid">
+            <div class="stat-card">
+                <div class="stat-label">Instances</div>
+                <div class="stat-value">${reachable.length} / ${instances.length}</div>
+                <div class="stat-change ${reachable.length < instances.length ? 'negative' : ''}">reachable</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-label">Total Channels</div>
+                <div class="stat-value">${total.totalChannels || 0}</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-label">Total Subscriptions</div>
+                <div class="stat-value">${total.totalSubscriptions || 0}</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-label">Combined Throughput</div>
+                <div class="stat-value">${formatRate(total.systemThroughput || 0)}</div>
+                <div class="stat-change">messages per second</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-label">Messages Published</div>
+                <div class="stat-value">${formatNumber(total.totalMessagesPublished || 0)}</div>
+                <div class="stat-change">total lifetime</div>
+            </div>
+        </div>
+
+        <div class="instance-tiles">
+            ${instances.map(instance => renderInstanceTile(instance)).join('')}
+        </div>
+    `;
+}
+
+function renderInstanceTile(instance) {
+    const { overview, error } = instanceOverviews.get(instance.id) || {};
+    const hub = HUB_STATUS[instance.status] || HUB_STATUS.disconnected;
+    const health = error ? { label: 'Unreachable', className: 'status-error' } : hub;
+    const isActive = instance === connections.active;
+
+    return `
+        <a href="${instanceHash(instance.id, 'overview')}" class="instance-tile ${isActive ? 'active' : ''}">
+            <div class="instance-tile-header">
+                <strong>${escapeHtml(instance.name)}</strong>
+                <span class="status-badge ${health.className}">${health.label}</span>
+            </div>
+            ${overview ? `
+                <div class="instance-tile-stats">
+                    <span>${formatRate(overview.systemThroughput || 0)} msg/s</span>
+                    <span>${overview.totalChannels || 0} channels</span>
+                    <span>${overview.totalSubscriptions || 0} subscriptions</span>
+                </div>
+            ` : `
+                <div class="instance-tile-stats">${escapeHtml(error?.message || 'No data')}</div>
+            `}
+            <div class="instance-tile-url">${escapeHtml(instance.baseUrl || window.location.origin)}</div>
+        </a>
+    `;
+}
+
 function handleMetricsUpdate(metrics) {
     // Update stats in real-time from SignalR
     if (metrics.overview) {
@@ -154,39 +298,44 @@ function renderStats(data) {
     const totalProcessed = data.totalMessagesProcessed || 0;
     const errorRate = data.systemErrorRate || 0;
 
-    // Track metrics history for sparklines
-    metricsHistory.add('throughput', throughput);
-    metricsHistory.add('errorRate', errorRate * 100); // Store as percentage
-    metricsHistory.add('activeChannels', activeChannels);
-    metricsHistory.add('activeSubscriptions', activeSubscriptions);
-
-    // Generate sparklines
-    const throughputSparkline = createSparkline(metricsHistory.get('throughput'), {
+    // Sparklines come from the app-level history, recorded whichever screen is visible
+    const metricsHistory = connections.active.metrics;
+    const throughputSparkline = createSparkline(metricsHistory.get('overview:throughput'), {
         width: 120,
         height: 30,
         strokeColor: '#10b981',
-        fillColor: 'rgba(16, 185, 129, 0.1)'
+        fillColor: 'rgba(16, 185, 129, 0.1)',
+        domain: [0, null],
+        markers: ['max', 'last'],
+        formatValue: (v) => `${formatRate(v)} msg/s`
     });
 
-    const errorRateSparkline = createSparkline(metricsHistory.get('errorRate'), {
+    // Anchored at zero with the 5% line in view, so a tiny rate stays flat at the bottom
+    const errorRateSparkline = createSparkline(metricsHistory.get('overview:errorRate'), {
         width: 120,
         height: 30,
         strokeColor: errorRate > 0.05 ? '#ef4444' : '#10b981',
-        fillColor: errorRate > 0.05 ? 'rgba(239, 68, 68, 0.1)' : 'rgba(16, 185, 129, 0.1)'
+        fillColor: errorRate > 0.05 ? 'rgba(239, 68, 68, 0.1)' : 'rgba(16, 185, 129, 0.1)',
+        domain: [0, null],
+        thresholds: [{ value: 5, label: 'Needs attention above 5%' }],
+        markers: ['max', 'last'],
+        formatValue: (v) => `${v.toFixed(2)}%`
     });
 
-    const channelsSparkline = createSparkline(metricsHistory.get('activeChannels'), {
+    const channelsSparkline = createSparkline(metricsHistory.get('overview:activeChannels'), {
         width: 120,
         height: 30,
         strokeColor: '#60a5fa',
-        fillColor: 'rgba(96, 165, 250, 0.1)'
+        fillColor: 'rgba(96, 165, 250, 0.1)',
+        formatValue: (v) => `${v} active`
     });
 
-    const subscriptionsSparkline = createSparkline(metricsHistory.get('activeSubscriptions'), {
+    const subscriptionsSparkline = createSparkline(metricsHistory.get('overview:activeSubscriptions'), {
         width: 120,
         height: 30,
         strokeColor: '#a78bfa',
-        fillColor: 'rgba(167, 139, 250, 0.1)'
+        fillColor: 'rgba(167, 139, 250, 0.1)',
+        formatValue: (v) => `${v} active`
     });
 
     statsContainer.innerHTML = `
@@ -256,4 +405,10 @@ function formatRate(rate) {
     return rate.toFixed(1);
 }
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 export default { render, cleanup };
@@ -1,4 +1,6 @@
-import { apiClient } from '../api-client.js';
+import { bindApi } from '../api-client.js';
+
+const api = bindApi('getChannels');
 
 let channels = [];
 
@@ -19,7 +21,7 @@ function testPattern(pattern, channelName) {
 
 function findMatchingChannels(pattern) {
     if (!pattern) return [];
-    return channels.filter(ch => testPattern(pattern, ch.channelName));
+    return channels.filter(ch => testPattern(pattern, ch.name));
 }
 
 function getSuggestedPatterns() {
@@ -28,7 +30,7 @@ function getSuggestedPatterns() {
     const suggestions = new Set();
 
     channels.forEach(ch => {
-        const parts = ch.channelName.split('.');
+        const parts = ch.name.split('.');
         if (parts.length > 1) {
             suggestions.add(parts[0] + '.*');
             if (parts.length > 2) {
@@ -46,8 +48,7 @@ function getSuggestedPatterns() {
 
 async function loadChannels() {
     try {
-        const data = await apiClient.get('/api/channels');
-        channels = data.channels || [];
+        channels = await api.getChannels() || [];
     } catch (err) {
         console.error('Failed to load channels:', err);
         channels = [];
@@ -91,7 +92,7 @@ function renderMatchingChannels(matchingChannels, pattern) {
 
     const channelsHtml = matchingChannels.map(ch => `
         <div class="channel-match-item">
-            <span class="channel-match-name">${ch.channelName}</span>
+            <span class="channel-match-name">${ch.name}</span>
             <span class="channel-match-stats">
                 ${ch.subscriptionCount} subs,
                 ${ch.totalMessages.toLocaleString()} msgs
@@ -1,17 +1,23 @@
 // Subscription Detail Screen
 
-import { api } from '../api-client.js';
+import { bindApi } from '../api-client.js';
 import { signalRClient } from '../signalr-client.js';
-import { createSparkline, MetricsHistory } from '../utils/sparkline.js';
+import * as actions from '../actions.js';
+import { connections } from '../instances.js';
+import { createSparkline } from '../utils/sparkline.js';
+import { ChartGroup } from '../utils/chart.js';
+import { thresholdsFor, loadThresholds } from '../utils/bottleneck-thresholds.js';
+
+const api = bindApi('evict', 'getSubscription');
 
 let subscriptionId = '';
 let subscription = null;
 let metricsUnsubscribe = null;
-const queueDepthHistory = new MetricsHistory(30);
-const processRateHistory = new MetricsHistory(30);
+let releaseMetrics = null;
+const charts = new ChartGroup();
 
 export async function render(container, params) {
-    subscriptionId = params[0] || '';
+    subscriptionId = decodeURIComponent(params[0] || '');
 
     if (!subscriptionId) {
         container.innerHTML = `
@@ -61,8 +67,8 @@ export async function render(container, params) {
 
     // Subscribe to real-time metrics
     try {
-        await signalRClient.subscribeToMetrics(5000);
-        metricsUnsubscribe = signalRClient.onMetricsUpdate(handleMetricsUpdate);
+        releaseMetrics = await signalRClient.subscribeToMetrics(5000);
+        metricsUnsubscribe = connections.active.metrics.onUpdate(handleMetricsUpdate);
     } catch (error) {
         console.error('Failed to subscribe to metrics:', error);
     }
@@ -75,14 +81,15 @@ export async function cleanup() {
     }
 
     try {
-        await signalRClient.unsubscribeFromMetrics();
+        if (releaseMetrics) {
+            await releaseMetrics();
+            releaseMetrics = null;
+        }
     } catch (error) {
         console.error('Failed to unsubscribe from metrics:', error);
     }
 
-    // Clear history
-    queueDepthHistory.clear();
-    processRateHistory.clear();
+    charts.destroy();
 }
 
 function setupEventListeners() {
@@ -92,6 +99,7 @@ function setupEventListeners() {
         refreshButton.addEventListener('click', async () => {
             refreshButton.disabled = true;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refreshing...';
+            api.evict(`/subscriptions/${encodeURIComponent(subscriptionId)}`);
             await loadSubscriptionData();
             refreshButton.disabled = false;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refresh';
@@ -119,8 +127,8 @@ function setupEventListeners() {
 
 async function loadSubscriptionData() {
     try {
-        // Load subscription details
-        subscription = await api.getSubscription(subscriptionId);
+        // Load subscription details, and the thresholds its metrics are judged by
+        [subscription] = await Promise.all([api.getSubscription(subscriptionId), loadThresholds()]);
 
         if (!subscription) {
             const container = document.getElementById('subscription-content');
@@ -158,31 +166,37 @@ function renderSubscriptionContent() {
     const container = document.getElementById('subscription-content');
     if (!container || !subscription) return;
 
-    // Track metrics for sparklines
-    queueDepthHistory.add('depth', subscription.queueDepth || 0);
-    processRateHistory.add('rate', subscription.processRate || 0);
-
-    // Generate sparklines
-    const queueDepthSparkline = createSparkline(queueDepthHistory.get('depth'), {
+    // Sparklines from the app-level history
+    const metricsHistory = connections.active.metrics;
+    const queueDepthSparkline = createSparkline(metricsHistory.get(`subscription:${subscriptionId}:queueDepth`), {
         width: 200,
         height: 60,
         strokeColor: '#f59e0b',
-        fillColor: 'rgba(245, 158, 11, 0.1)'
+        fillColor: 'rgba(245, 158, 11, 0.1)',
+        domain: [0, null],
+        markers: ['max', 'last'],
+        formatValue: (v) => `${formatNumber(v)} queued`
     });
 
-    const processRateSparkline = createSparkline(processRateHistory.get('rate'), {
+    const processRateSparkline = createSparkline(metricsHistory.get(`subscription:${subscriptionId}:processRate`), {
         width: 200,
         height: 60,
         strokeColor: '#10b981',
-        fillColor: 'rgba(16, 185, 129, 0.1)'
+        fillColor: 'rgba(16, 185, 129, 0.1)',
+        domain: [0, null],
+        markers: ['min', 'max', 'last'],
+        formatValue: (v) => `${formatRate(v)}/s`
     });
 
+    const limits = thresholdsFor(subscription.channelPattern);
+
+    charts.reset();
     container.innerHTML = `
         <!-- Key Metrics -->
         <div class="stats-grid" style="margin-bottom: 24px;">
             <div class="stat-card">
                 <div class="stat-label">Queue Depth</div>
-                <div class="stat-value ${(subscription.queueDepth || 0) > 1000 ? 'text-warning' : ''}">${formatNumber(subscription.queueDepth || 0)}</div>
+                <div class="stat-value ${(subscription.queueDepth || 0) >= limits.queueDepthWarning ? 'text-warning' : ''}">${formatNumber(subscription.queueDepth || 0)}</div>
                 <div class="stat-sparkline">${queueDepthSparkline}</div>
             </div>
 
@@ -194,13 +208,13 @@ function renderSubscriptionContent() {
 
             <div class="stat-card">
                 <div class="stat-label">Avg Latency</div>
-                <div class="stat-value ${(subscription.avgLatencyMs || 0) > 100 ? 'text-warning' : ''}">${formatLatency(subscription.avgLatencyMs)}</div>
+                <div class="stat-value ${(subscription.avgLatencyMs || 0) >= limits.latencyWarning ? 'text-warning' : ''}">${formatLatency(subscription.avgLatencyMs)}</div>
                 <div class="stat-change">average response time</div>
             </div>
 
             <div class="stat-card">
                 <div class="stat-label">P99 Latency</div>
-                <div class="stat-value ${(subscription.percentileLatencyMs || 0) > 200 ? 'text-warning' : ''}">${formatLatency(subscription.percentileLatencyMs)}</div>
+                <div class="stat-value ${(subscription.percentileLatencyMs || 0) >= limits.percentileLatencyWarning ? 'text-warning' : ''}">${formatLatency(subscription.percentileLatencyMs)}</div>
                 <div class="stat-change">99th percentile</div>
             </div>
 
@@ -393,6 +407,8 @@ function renderSubscriptionContent() {
             </table>
         </div>
     `;
+
+    charts.mount(container);
 }
 
 function renderLatencyHistogram() {
@@ -414,26 +430,20 @@ function renderLatencyHistogram() {
         { label: 'Max', value: max, color: '#ef4444' }
     ];
 
-    const maxVal = Math.max(...bins.map(b => b.value));
-
     return `
         <div style="margin-top: 24px;">
-            <div style="font-size: 13px; color: var(--text-secondary); margin-bottom: 12px;">Latency Distribution</div>
-            <div style="display: flex; gap: 16px; align-items: flex-end; height: 150px;">
-                ${bins.map(bin => {
-                    const height = maxVal > 0 ? (bin.value / maxVal) * 100 : 0;
-                    return `
-                        <div style="flex: 1; display: flex; flex-direction: column; align-items: center; gap: 8px;">
-                            <div style="font-size: 11px; color: var(--text-secondary);">${formatLatency(bin.value)}</div>
-                            <div
-                                style="width: 100%; height: ${height}%; background-color: ${bin.color}; border-radius: 4px 4px 0 0; min-height: 2px;"
-                                title="${bin.label}: ${formatLatency(bin.value)}"
-                            ></div>
-                            <div style="font-size: 12px; font-weight: 600; color: var(--text-primary);">${bin.label}</div>
-                        </div>
-                    `;
-                }).join('')}
-            </div>
+            <div style="font-size: 13px; color: var(--text-secondary);">Latency Distribution</div>
+            ${charts.slot('latency-distribution', {
+                type: 'bar',
+                title: `${subscriptionId} Latency Distribution`,
+                height: 180,
+                y: { unit: 'ms' },
+                labels: true,
+                series: [{
+                    name: 'Latency',
+                    data: bins.map(bin => ({ x: bin.label, y: bin.value, color: bin.color }))
+                }]
+            })}
         </div>
     `;
 }
@@ -457,26 +467,20 @@ function renderServiceTimeHistogram() {
         { label: 'Max', value: max, color: '#ef4444' }
     ];
 
-    const maxVal = Math.max(...bins.map(b => b.value));
-
     return `
         <div style="margin-top: 24px;">
-            <div style="font-size: 13px; color: var(--text-secondary); margin-bottom: 12px;">Service Time Distribution</div>
-            <div style="display: flex; gap: 16px; align-items: flex-end; height: 150px;">
-                ${bins.map(bin => {
-                    const height = maxVal > 0 ? (bin.value / maxVal) * 100 : 0;
-                    return `
-                        <div style="flex: 1; display: flex; flex-direction: column; align-items: center; gap: 8px;">
-                            <div style="font-size: 11px; color: var(--text-secondary);">${formatLatency(bin.value)}</div>
-                            <div
-                                style="width: 100%; height: ${height}%; background-color: ${bin.color}; border-radius: 4px 4px 0 0; min-height: 2px;"
-                                title="${bin.label}: ${formatLatency(bin.value)}"
-                            ></div>
-                            <div style="font-size: 12px; font-weight: 600; color: var(--text-primary);">${bin.label}</div>
-                        </div>
-                    `;
-                }).join('')}
-            </div>
+            <div style="font-size: 13px; color: var(--text-secondary);">Service Time Distribution</div>
+            ${charts.slot('service-time-distribution', {
+                type: 'bar',
+                title: `${subscriptionId} Service Time Distribution`,
+                height: 180,
+                y: { unit: 'ms' },
+                labels: true,
+                series: [{
+                    name: 'Service time',
+                    data: bins.map(bin => ({ x: bin.label, y: bin.value, color: bin.color }))
+                }]
+            })}
         </div>
     `;
 }
@@ -493,38 +497,24 @@ function renderLatencyServiceTimeBreakdown() {
 
     return `
         <div style="display: flex; flex-direction: column; gap: 16px;">
-            <!-- Bar chart -->
-            <div style="display: flex; height: 60px; background-color: var(--bg-tertiary); border-radius: 6px; overflow: hidden;">
-                <div
-                    style="background: linear-gradient(90deg, #f59e0b, #fbbf24); display: flex; align-items: center; justify-content: center; color: white; font-weight: 600; font-size: 14px;"
-                    style="width: ${latencyPercent}%;"
-                    title="Latency (Waiting): ${formatPercentage(latencyRatio)}"
-                >
-                    ${latencyPercent > 10 ? `Latency ${latencyPercent.toFixed(1)}%` : ''}
-                </div>
-                <div
-                    style="background: linear-gradient(90deg, #3b82f6, #60a5fa); display: flex; align-items: center; justify-content: center; color: white; font-weight: 600; font-size: 14px; width: ${servicePercent}%;"
-                    title="Service Time (Processing): ${formatPercentage(serviceRatio)}"
-                >
-                    ${servicePercent > 10 ? `Service ${servicePercent.toFixed(1)}%` : ''}
-                </div>
-            </div>
-
-            <!-- Legend -->
-            <div style="display: flex; gap: 24px; justify-content: center;">
-                <div style="display: flex; align-items: center; gap: 8px;">
-                    <div style="width: 16px; height: 16px; background: linear-gradient(90deg, #f59e0b, #fbbf24); border-radius: 3px;"></div>
-                    <div style="font-size: 13px;">
-                        <strong>Latency (Waiting)</strong>: ${formatLatency(subscription.avgLatencyMs)} (${formatPercentage(latencyRatio)})
-                    </div>
-                </div>
-                <div style="display: flex; align-items: center; gap: 8px;">
-                    <div style="width: 16px; height: 16px; background: linear-gradient(90deg, #3b82f6, #60a5fa); border-radius: 3px;"></div>
-                    <div style="font-size: 13px;">
-                        <strong>Service Time (Processing)</strong>: ${formatLatency(subscription.avgServiceTimeMs)} (${formatPercentage(serviceRatio)})
-                    </div>
-                </div>
-            </div>
+            ${charts.slot('response-breakdown', {
+                type: 'stacked-bar',
+                horizontal: true,
+                title: `${subscriptionId} Latency vs Service Time`,
+                y: { label: 'Share of response time', unit: '%', min: 0, max: 100 },
+                series: [
+                    {
+                        name: 'Latency (Waiting)',
+                        color: '#f59e0b',
+                        data: [{ x: 'Response time', y: latencyPercent, detail: `${formatLatency(subscription.avgLatencyMs)} average` }]
+                    },
+                    {
+                        name: 'Service Time (Processing)',
+                        color: '#3b82f6',
+                        data: [{ x: 'Response time', y: servicePercent, detail: `${formatLatency(subscription.avgServiceTimeMs)} average` }]
+                    }
+                ]
+            })}
 
             <!-- Interpretation -->
             <div style="padding: 12px; background-color: var(--bg-tertiary); border-radius: 6px; font-size: 13px; color: var(--text-secondary);">
@@ -538,52 +528,22 @@ function renderLatencyServiceTimeBreakdown() {
     `;
 }
 
-function showSuspendConfirmation() {
-    if (confirm(`Are you sure you want to suspend subscription "${subscriptionId}"?\n\nThis will pause message processing. Messages will continue to queue.`)) {
-        suspendSubscription();
-    }
-}
-
-async function suspendSubscription() {
-    try {
-        await api.suspendSubscription(subscriptionId);
-        alert(`Subscription "${subscriptionId}" has been suspended successfully.`);
+async function showSuspendConfirmation() {
+    if (await actions.suspendSubscription(subscriptionId)) {
         await loadSubscriptionData();
-    } catch (error) {
-        alert(`Failed to suspend subscription: ${error.message}`);
-    }
-}
-
-function showResumeConfirmation() {
-    if (confirm(`Are you sure you want to resume subscription "${subscriptionId}"?\n\nThis will resume message processing.`)) {
-        resumeSubscription();
     }
 }
 
-async function resumeSubscription() {
-    try {
-        await api.resumeSubscription(subscriptionId);
-        alert(`Subscription "${subscriptionId}" has been resumed successfully.`);
+async function showResumeConfirmation() {
+    if (await actions.resumeSubscription(subscriptionId)) {
         await loadSubscriptionData();
-    } catch (error) {
-        alert(`Failed to resume subscription: ${error.message}`);
-    }
-}
-
-function showDetachConfirmation() {
-    if (confirm(`Are you sure you want to detach subscription "${subscriptionId}"?\n\nThis will permanently remove the subscription. This action cannot be undone.`)) {
-        detachSubscription();
     }
 }
 
-async function detachSubscription() {
-    try {
-        await api.detachSubscription(subscriptionId);
-        alert(`Subscription "${subscriptionId}" has been detached successfully.`);
+async function showDetachConfirmation() {
+    if (await actions.detachSubscription(subscriptionId)) {
         // Navigate back to subscriptions list
         window.location.hash = '#/subscriptions';
-    } catch (error) {
-        alert(`Failed to detach subscription: ${error.message}`);
     }
 }
 
@@ -1,19 +1,97 @@
 // Subscriptions List Screen
 
-import { api } from '../api-client.js';
+import { bindApi } from '../api-client.js';
 import { signalRClient } from '../signalr-client.js';
+import * as actions from '../actions.js';
+import { connections } from '../instances.js';
+import { preferences, readScreenState, writeScreenState } from '../preferences.js';
+import { DataTable } from '../utils/data-table.js';
+import { FilterQueryError, OPERATORS, parseQuery, formatQuery, evaluate } from '../utils/filter-query.js';
+import { SUBSCRIPTION_FIELDS, getSavedViews, saveView, deleteView } from '../subscription-filters.js';
+import { thresholdsFor, loadThresholds } from '../utils/bottleneck-thresholds.js';
+
+const api = bindApi('evict', 'getSubscriptions');
 
 let subscriptions = [];
 let filteredSubscriptions = [];
-let currentPage = 1;
-let pageSize = 25;
-let sortColumn = 'subscriptionId';
+let table = null;
+let sortColumn = 'id';
 let sortDirection = 'asc';
 let searchQuery = '';
+let queryTree = null; // last query that parsed; a half-typed query keeps filtering by it
+let builderOpen = false;
+let builderMatch = 'and'; // 'and' | 'or'
+let builderRows = []; // { field, op, value }; field '' is a plain text search
 let statusFilter = 'all'; // 'all', 'active', 'suspended', 'detached'
+let selectedIds = new Set();
+let bulkRunning = false;
 let metricsUnsubscribe = null;
+let releaseMetrics = null;
+
+// View state mirrored in the URL (#/subscriptions?search=...&status=...&sort=column:dir)
+const ROUTE_DEFAULTS = { search: '', status: 'all', sort: 'id:asc' };
+
+const WARNING_CELL = 'color: var(--warning-color); font-weight: 600;';
+
+const OPERATOR_LABELS = { '~': 'contains', '=': '=', '!=': '≠', '>=': '≥', '<=': '≤' };
+const VALUE_HINTS = {
+    number: 'e.g. 1000 or 1k',
+    duration: 'e.g. 50ms or 1.5s',
+    text: 'value, * matches anything',
+    search: 'text'
+};
+
+const PAST_TENSE = { suspend: 'suspended', resume: 'resumed', detach: 'detached' };
+
+const COLUMNS = [
+    {
+        id: 'select',
+        label: 'Select',
+        width: 70,
+        sortable: false,
+        hideable: false,
+        align: 'center',
+        render: (sub) => `<input type="checkbox" class="subscription-select" data-id="${escapeHtml(sub.id)}" ${selectedIds.has(sub.id) ? 'checked' : ''} aria-label="Select ${escapeHtml(sub.id)}">`
+    },
+    { id: 'id', label: 'ID', width: 240, hideable: false, render: (sub) => `<strong>${escapeHtml(sub.id)}</strong>` },
+    { id: 'channelPattern', label: 'Channel Pattern', width: 220, render: (sub) => `<code>${escapeHtml(sub.channelPattern)}</code>` },
+    { id: 'status', label: 'Status', width: 110, render: renderStatusBadge },
+    {
+        id: 'queueDepth',
+        label: 'Queue Depth',
+        width: 120,
+        render: (sub) => formatNumber(sub.queueDepth || 0),
+        cellStyle: (sub) => hasHighQueueDepth(sub) ? WARNING_CELL : ''
+    },
+    { id: 'processRate', label: 'Process Rate', width: 120, render: (sub) => `${formatRate(sub.processRate || 0)}/s` },
+    {
+        id: 'avgLatencyMs',
+        label: 'Avg Latency',
+        width: 110,
+        render: (sub) => formatLatency(sub.avgLatencyMs),
+        cellStyle: (sub) => hasHighLatency(sub) ? WARNING_CELL : ''
+    },
+    {
+        id: 'percentileLatencyMs',
+        label: 'P99 Latency',
+        width: 110,
+        render: (sub) => formatLatency(sub.percentileLatencyMs),
+        cellStyle: (sub) => hasHighPercentileLatency(sub) ? WARNING_CELL : ''
+    },
+    {
+        id: 'timeoutCount',
+        label: 'Timeouts',
+        width: 100,
+        render: (sub) => String(sub.timeoutCount || 0),
+        cellStyle: (sub) => (sub.timeoutCount || 0) > 0 ? 'color: var(--danger-color); font-weight: 600;' : ''
+    },
+    { id: 'health', label: 'Health', width: 80, sortable: false, align: 'center', render: renderHealthIndicator, cellStyle: () => 'font-size: 16px;' }
+];
 
 export async function render(container) {
+    restoreRouteState();
+    selectedIds = new Set();
+
     container.innerHTML = `
         <div class="page-header">
             <div>
@@ -31,31 +109,73 @@ export async function render(container) {
                     <option value="suspended">Suspended</option>
                     <option value="detached">Detached</option>
                 </select>
-                <input
-                    type="text"
-                    id="subscription-search"
-                    placeholder="Search by channel or ID..."
-                    class="search-input"
-                    style="padding: 8px 12px; border: 1px solid var(--border-color); border-radius: 6px; font-size: 14px; min-width: 250px;"
-                >
                 <button id="refresh-subscriptions-button" class="btn btn-secondary" title="Refresh">
                     <span style="font-size: 16px;">↻</span> Refresh
                 </button>
             </div>
         </div>
 
-        <div class="card">
-            <div id="subscriptions-table-container">
-                <div class="loading">Loading subscriptions...</div>
+        <div class="card subscription-filters">
+            <div class="subscription-filter-bar">
+                <input
+                    type="text"
+                    id="subscription-search"
+                    placeholder="Search by channel or ID, or filter: queueDepth > 1k and p99Latency > 50ms"
+                    class="search-input subscription-query"
+                    autocomplete="off"
+                    spellcheck="false"
+                >
+                <button id="subscription-builder-toggle" class="btn btn-secondary">Builder</button>
+                <select id="subscription-view" class="filter-select" title="Saved views"></select>
+                <button id="subscription-view-save" class="btn btn-secondary">Save View</button>
+                <button id="subscription-view-delete" class="btn btn-secondary">Delete View</button>
             </div>
+            <div id="subscription-query-error" class="filter-query-error"></div>
+            <div id="subscription-builder" class="filter-builder"></div>
+        </div>
 
-            <div id="pagination-container" style="margin-top: 16px; display: flex; justify-content: space-between; align-items: center;">
-                <div id="pagination-info" style="color: var(--text-secondary); font-size: 13px;"></div>
-                <div id="pagination-controls" style="display: flex; gap: 8px;"></div>
-            </div>
+        <div class="card">
+            <div id="bulk-actions" class="bulk-actions"></div>
+            <div id="bulk-results"></div>
+            <div id="subscriptions-table-container"></div>
+            <div id="subscriptions-count" style="margin-top: 12px; color: var(--text-secondary); font-size: 13px;">Loading subscriptions...</div>
         </div>
     `;
 
+    document.getElementById('subscription-search').value = searchQuery;
+    document.getElementById('status-filter').value = statusFilter;
+    if (parseSearchQuery()) {
+        syncBuilderFromQuery();
+    }
+    renderBuilder();
+    renderViewControls();
+
+    table = new DataTable(document.getElementById('subscriptions-table-container'), {
+        id: 'subscriptions',
+        columns: COLUMNS,
+        rowKey: (sub) => sub.id,
+        emptyMessage: 'Loading subscriptions...',
+        sort: { column: sortColumn, direction: sortDirection },
+        onSort: ({ column, direction }) => {
+            sortColumn = column;
+            sortDirection = direction;
+            applyFiltersAndSort();
+        },
+        onRowClick: (sub) => {
+            window.location.hash = `#/subscriptions/${encodeURIComponent(sub.id)}`;
+        }
+    });
+
+    document.getElementById('subscriptions-table-container').addEventListener('change', (e) => {
+        if (!e.target.classList.contains('subscription-select')) return;
+        if (e.target.checked) {
+            selectedIds.add(e.target.dataset.id);
+        } else {
+            selectedIds.delete(e.target.dataset.id);
+        }
+        renderTable();
+    });
+
     // Set up event listeners
     setupEventListeners();
 
@@ -64,8 +184,8 @@ export async function render(container) {
 
     // Subscribe to real-time metrics
     try {
-        await signalRClient.subscribeToMetrics(5000);
-        metricsUnsubscribe = signalRClient.onMetricsUpdate(handleMetricsUpdate);
+        releaseMetrics = await signalRClient.subscribeToMetrics(5000);
+        metricsUnsubscribe = connections.active.metrics.onUpdate(handleMetricsUpdate);
     } catch (error) {
         console.error('Failed to subscribe to metrics:', error);
     }
@@ -78,10 +198,36 @@ export async function cleanup() {
     }
 
     try {
-        await signalRClient.unsubscribeFromMetrics();
+        if (releaseMetrics) {
+            await releaseMetrics();
+            releaseMetrics = null;
+        }
     } catch (error) {
         console.error('Failed to unsubscribe from metrics:', error);
     }
+
+    if (table) {
+        table.destroy();
+        table = null;
+    }
+}
+
+function restoreRouteState() {
+    const state = readScreenState('subscriptions', ROUTE_DEFAULTS);
+    const [column, direction] = state.sort.split(':');
+
+    searchQuery = state.search;
+    statusFilter = ['all', 'active', 'suspended', 'detached'].includes(state.status) ? state.status : 'all';
+    sortColumn = column || 'id';
+    sortDirection = direction === 'desc' ? 'desc' : 'asc';
+}
+
+function saveRouteState() {
+    writeScreenState('subscriptions', {
+        search: searchQuery.trim(),
+        status: statusFilter,
+        sort: `${sortColumn}:${sortDirection}`
+    }, ROUTE_DEFAULTS);
 }
 
 function setupEventListeners() {
@@ -89,18 +235,54 @@ function setupEventListeners() {
     const searchInput = document.getElementById('subscription-search');
     if (searchInput) {
         searchInput.addEventListener('input', (e) => {
-            searchQuery = e.target.value.toLowerCase();
-            currentPage = 1;
+            searchQuery = e.target.value;
+            if (parseSearchQuery()) {
+                syncBuilderFromQuery();
+                renderBuilder();
+            }
+            renderViewControls();
             applyFiltersAndSort();
         });
     }
 
+    document.getElementById('subscription-builder-toggle')?.addEventListener('click', () => {
+        builderOpen = !builderOpen;
+        renderBuilder();
+    });
+
+    document.getElementById('subscription-view')?.addEventListener('change', (e) => {
+        // Opening the view also restores the status filter and sort saved with it
+        const view = getSavedViews()[parseInt(e.target.value)];
+        if (view) {
+            preferences.openView(preferences.findView(view.name));
+        }
+    });
+
+    document.getElementById('subscription-view-save')?.addEventListener('click', () => {
+        const current = getSavedViews().find(v => v.query === searchQuery.trim());
+        const name = prompt('Name this view:', current?.name || '')?.trim();
+        if (!name) return;
+
+        const existing = preferences.findView(name);
+        if (existing && existing.name !== current?.name && !confirm(`Replace the saved view "${name}"?`)) return;
+
+        saveView(name, searchQuery.trim());
+        renderViewControls();
+    });
+
+    document.getElementById('subscription-view-delete')?.addEventListener('click', () => {
+        const view = getSavedViews()[parseInt(document.getElementById('subscription-view')?.value)];
+        if (!view || !confirm(`Delete the saved view "${view.name}"?`)) return;
+
+        deleteView(view.name);
+        renderViewControls();
+    });
+
     // Status filter
     const statusFilterSelect = document.getElementById('status-filter');
     if (statusFilterSelect) {
         statusFilterSelect.addEventListener('change', (e) => {
             statusFilter = e.target.value;
-            currentPage = 1;
             applyFiltersAndSort();
         });
     }
@@ -111,6 +293,7 @@ function setupEventListeners() {
         refreshButton.addEventListener('click', async () => {
             refreshButton.disabled = true;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refreshing...';
+            api.evict('/subscriptions', '/thresholds');
             await loadSubscriptions();
             refreshButton.disabled = false;
             refreshButton.innerHTML = '<span style="font-size: 16px;">↻</span> Refresh';
@@ -118,17 +301,244 @@ function setupEventListeners() {
     }
 }
 
+// Parses the search box into queryTree; on a syntax error the previous filter stays applied
+function parseSearchQuery() {
+    const input = document.getElementById('subscription-search');
+    const error = document.getElementById('subscription-query-error');
+
+    try {
+        queryTree = parseQuery(searchQuery, SUBSCRIPTION_FIELDS);
+        input?.classList.remove('invalid');
+        if (error) error.textContent = '';
+        return true;
+    } catch (e) {
+        if (!(e instanceof FilterQueryError)) throw e;
+        input?.classList.add('invalid');
+        if (error) error.textContent = `${e.message} (at character ${e.position + 1})`;
+        return false;
+    }
+}
+
+function setSearchQuery(query) {
+    searchQuery = query;
+    document.getElementById('subscription-search').value = query;
+    if (parseSearchQuery()) {
+        syncBuilderFromQuery();
+    }
+    renderBuilder();
+    renderViewControls();
+    applyFiltersAndSort();
+}
+
+// The builder shows a flat list of conditions joined by one and/or; anything
+// nested leaves builderRows null and the query has to be edited as text
+function syncBuilderFromQuery() {
+    if (!queryTree) {
+        builderRows = [];
+        return;
+    }
+
+    const isGroup = queryTree.type === 'and' || queryTree.type === 'or';
+    const rows = (isGroup ? queryTree.items : [queryTree]).map(toBuilderRow);
+    if (rows.includes(null)) {
+        builderRows = null;
+        return;
+    }
+
+    builderRows = rows;
+    if (isGroup) {
+        builderMatch = queryTree.type;
+    }
+}
+
+function toBuilderRow(node) {
+    switch (node.type) {
+        case 'compare':
+            return { field: node.field, op: node.op, value: node.raw };
+        case 'flag':
+            return { field: node.field, op: '=', value: 'true' };
+        case 'not':
+            return node.item.type === 'flag' ? { field: node.item.field, op: '=', value: 'false' } : null;
+        case 'text':
+            return { field: '', op: '~', value: node.value };
+        default:
+            return null;
+    }
+}
+
+// Writes the builder's conditions into the search box; rows without a value are left out
+function applyBuilder() {
+    const nodes = builderRows
+        .filter(row => row.value.trim() !== '')
+        .map(row => {
+            const value = row.value.trim();
+            if (!row.field) return { type: 'text', value };
+            if (SUBSCRIPTION_FIELDS[row.field].type === 'flag' && row.op === '=' && value === 'true') {
+                return { type: 'flag', field: row.field };
+            }
+            return { type: 'compare', field: row.field, op: row.op, raw: value };
+        });
+
+    searchQuery = formatQuery(nodes.length > 1 ? { type: builderMatch, items: nodes } : nodes[0]);
+    document.getElementById('subscription-search').value = searchQuery;
+    parseSearchQuery();
+    renderViewControls();
+    applyFiltersAndSort();
+}
+
+function renderBuilder() {
+    const container = document.getElementById('subscription-builder');
+    const toggle = document.getElementById('subscription-builder-toggle');
+    if (!container) return;
+
+    toggle?.classList.toggle('active', builderOpen);
+    container.hidden = !builderOpen;
+    if (!builderOpen) {
+        container.innerHTML = '';
+        return;
+    }
+
+    if (builderRows === null) {
+        container.innerHTML = `
+            <div class="filter-builder-note">
+                This query nests conditions or negates more than a flag, so it can only be edited as text.
+                <button id="builder-clear" class="btn btn-secondary">Clear query</button>
+            </div>
+        `;
+        container.querySelector('#builder-clear').addEventListener('click', () => setSearchQuery(''));
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="filter-builder-match">
+            Match
+            <select id="builder-match" class="filter-select">
+                <option value="and" ${builderMatch === 'and' ? 'selected' : ''}>all</option>
+                <option value="or" ${builderMatch === 'or' ? 'selected' : ''}>any</option>
+            </select>
+            of these conditions
+        </div>
+        ${builderRows.map((row, index) => renderBuilderRow(row, index)).join('')}
+        <button id="builder-add" class="btn btn-secondary">+ Add condition</button>
+    `;
+
+    container.querySelector('#builder-match').addEventListener('change', (e) => {
+        builderMatch = e.target.value;
+        applyBuilder();
+    });
+
+    container.querySelectorAll('.filter-builder-row').forEach(rowElement => {
+        const row = builderRows[parseInt(rowElement.dataset.index)];
+
+        rowElement.querySelector('.builder-field').addEventListener('change', (e) => {
+            row.field = e.target.value;
+            const operators = operatorsFor(row.field);
+            if (!operators.includes(row.op)) row.op = operators[0];
+            if (row.field && SUBSCRIPTION_FIELDS[row.field].type === 'flag') {
+                row.value = 'true';
+            } else if (['true', 'false'].includes(row.value)) {
+                row.value = '';
+            }
+            renderBuilder();
+            applyBuilder();
+        });
+        rowElement.querySelector('.builder-op').addEventListener('change', (e) => {
+            row.op = e.target.value;
+            applyBuilder();
+        });
+        const valueInput = rowElement.querySelector('.builder-value');
+        if (valueInput.tagName === 'INPUT') {
+            // Set as a property so quotes in the value need no escaping
+            valueInput.value = row.value;
+        }
+        valueInput.addEventListener(
+            row.field && SUBSCRIPTION_FIELDS[row.field].type === 'flag' ? 'change' : 'input',
+            (e) => {
+                row.value = e.target.value;
+                applyBuilder();
+            });
+        rowElement.querySelector('.builder-remove').addEventListener('click', () => {
+            builderRows.splice(builderRows.indexOf(row), 1);
+            renderBuilder();
+            applyBuilder();
+        });
+    });
+
+    container.querySelector('#builder-add').addEventListener('click', () => {
+        builderRows.push({ field: 'queueDepth', op: '>', value: '' });
+        renderBuilder();
+        container.querySelector('.filter-builder-row:last-of-type .builder-value')?.focus();
+    });
+}
+
+function renderBuilderRow(row, index) {
+    const type = row.field ? SUBSCRIPTION_FIELDS[row.field].type : 'search';
+    const value = type === 'flag'
+        ? `
+            <select class="filter-select builder-value">
+                <option value="true" ${row.value === 'true' ? 'selected' : ''}>true</option>
+                <option value="false" ${row.value === 'false' ? 'selected' : ''}>false</option>
+            </select>
+        `
+        : `<input type="text" class="search-input builder-value" placeholder="${VALUE_HINTS[type]}" spellcheck="false">`;
+
+    return `
+        <div class="filter-builder-row" data-index="${index}">
+            <select class="filter-select builder-field">
+                <option value="" ${row.field === '' ? 'selected' : ''}>Channel or ID text</option>
+                ${Object.entries(SUBSCRIPTION_FIELDS).map(([key, field]) => `
+                    <option value="${key}" ${row.field === key ? 'selected' : ''}>${escapeHtml(field.label)}</option>
+                `).join('')}
+            </select>
+            <select class="filter-select builder-op">
+                ${operatorsFor(row.field).map(op => `
+                    <option value="${op}" ${row.op === op ? 'selected' : ''}>${escapeHtml(OPERATOR_LABELS[op] || op)}</option>
+                `).join('')}
+            </select>
+            ${value}
+            <button class="btn btn-secondary builder-remove" title="Remove condition">✕</button>
+        </div>
+    `;
+}
+
+function operatorsFor(fieldKey) {
+    return fieldKey ? OPERATORS[SUBSCRIPTION_FIELDS[fieldKey].type] : ['~'];
+}
+
+function renderViewControls() {
+    const select = document.getElementById('subscription-view');
+    const deleteButton = document.getElementById('subscription-view-delete');
+    if (!select) return;
+
+    const views = getSavedViews();
+    const current = views.find(v => v.query === searchQuery.trim());
+    select.innerHTML = `
+        <option value="">${views.length === 0 ? 'No saved views' : 'Saved views...'}</option>
+        ${views.map((view, index) => `
+            <option value="${index}" ${view === current ? 'selected' : ''}>${escapeHtml(view.name)}</option>
+        `).join('')}
+    `;
+    select.disabled = views.length === 0;
+    select.title = current ? current.query : 'Saved views';
+    if (deleteButton) deleteButton.disabled = !current;
+}
+
 async function loadSubscriptions() {
     try {
-        const data = await api.getSubscriptions();
+        const [data] = await Promise.all([api.getSubscriptions(), loadThresholds()]);
         subscriptions = data || [];
+
+        // Drop selections for subscriptions that have gone, e.g. after a detach
+        const knownIds = new Set(subscriptions.map(sub => sub.id));
+        selectedIds = new Set([...selectedIds].filter(id => knownIds.has(id)));
+
         applyFiltersAndSort();
     } catch (error) {
         console.error('Failed to load subscriptions:', error);
-        const container = document.getElementById('subscriptions-table-container');
-        if (container) {
-            container.innerHTML = `
-                <div class="error-message">Failed to load subscriptions: ${error.message}</div>
+        const count = document.getElementById('subscriptions-count');
+        if (count) {
+            count.innerHTML = `
+                <div class="error-message">Failed to load subscriptions: ${escapeHtml(error.message)}</div>
             `;
         }
     }
@@ -137,13 +547,8 @@ async function loadSubscriptions() {
 function applyFiltersAndSort() {
     // Filter
     filteredSubscriptions = subscriptions.filter(sub => {
-        // Search filter
-        if (searchQuery) {
-            const matchesSearch =
-                sub.channelPattern.toLowerCase().includes(searchQuery) ||
-                sub.subscriptionId.toString().includes(searchQuery);
-            if (!matchesSearch) return false;
-        }
+        // Query filter
+        if (queryTree && !evaluate(queryTree, sub, SUBSCRIPTION_FIELDS)) return false;
 
         // Status filter
         if (statusFilter !== 'all') {
@@ -180,215 +585,182 @@ function applyFiltersAndSort() {
 }
 
 function renderTable() {
-    const container = document.getElementById('subscriptions-table-container');
-    if (!container) return;
+    if (!table) return;
 
-    if (filteredSubscriptions.length === 0) {
-        container.innerHTML = `
-            <div style="text-align: center; padding: 40px; color: var(--text-secondary);">
-                ${searchQuery || statusFilter !== 'all' ? 'No subscriptions match the current filters' : 'No subscriptions available'}
-            </div>
-        `;
-        updatePagination();
-        return;
+    saveRouteState();
+    table.setSort({ column: sortColumn, direction: sortDirection });
+    table.setRows(filteredSubscriptions, {
+        emptyMessage: queryTree || statusFilter !== 'all' ? 'No subscriptions match the current filters' : 'No subscriptions available'
+    });
+
+    renderBulkActions();
+
+    const count = document.getElementById('subscriptions-count');
+    if (count) {
+        count.textContent = filteredSubscriptions.length === subscriptions.length
+            ? `${subscriptions.length.toLocaleString()} subscriptions`
+            : `${filteredSubscriptions.length.toLocaleString()} of ${subscriptions.length.toLocaleString()} subscriptions`;
     }
+}
+
+function renderBulkActions() {
+    const container = document.getElementById('bulk-actions');
+    if (!container) return;
 
-    // Paginate
-    const start = (currentPage - 1) * pageSize;
-    const end = start + pageSize;
-    const paginatedSubscriptions = filteredSubscriptions.slice(start, end);
-
-    // Render table
-    const tableHtml = `
-        <table>
-            <thead>
-                <tr>
-                    ${createSortableHeader('subscriptionId', 'ID')}
-                    ${createSortableHeader('channelPattern', 'Channel Pattern')}
-                    <th style="cursor: pointer;">Status</th>
-                    ${createSortableHeader('queueDepth', 'Queue Depth')}
-                    ${createSortableHeader('processRate', 'Process Rate')}
-                    ${createSortableHeader('avgLatency', 'Avg Latency')}
-                    ${createSortableHeader('p99Latency', 'P99 Latency')}
-                    ${createSortableHeader('timeoutCount', 'Timeouts')}
-                    <th style="cursor: pointer;">Health</th>
-                </tr>
-            </thead>
-            <tbody>
-                ${paginatedSubscriptions.map(sub => createSubscriptionRow(sub)).join('')}
-            </tbody>
-        </table>
+    const visibleIds = new Set(filteredSubscriptions.map(sub => sub.id));
+    const hiddenSelected = [...selectedIds].filter(id => !visibleIds.has(id)).length;
+    const disabled = bulkRunning || selectedIds.size === 0 ? 'disabled' : '';
+
+    container.innerHTML = `
+        <span class="bulk-selection-count">
+            <strong>${selectedIds.size.toLocaleString()}</strong> selected${hiddenSelected > 0 ? ` (${hiddenSelected.toLocaleString()} hidden by filters)` : ''}
+        </span>
+        <button id="bulk-select-all" class="btn btn-secondary" ${bulkRunning || filteredSubscriptions.length === 0 ? 'disabled' : ''}>
+            Select all ${filteredSubscriptions.length.toLocaleString()} matching
+        </button>
+        <button id="bulk-clear-selection" class="btn btn-secondary" ${disabled}>Clear</button>
+        <span class="bulk-actions-spacer"></span>
+        <button class="btn btn-warning bulk-operation" data-operation="suspend" ${disabled}>Suspend</button>
+        <button class="btn btn-success bulk-operation" data-operation="resume" ${disabled}>Resume</button>
+        <button class="btn btn-danger bulk-operation" data-operation="detach" ${disabled}>Detach</button>
     `;
 
-    container.innerHTML = tableHtml;
-
-    // Add click handlers for sortable headers
-    container.querySelectorAll('th[data-column]').forEach(th => {
-        th.addEventListener('click', () => {
-            const column = th.getAttribute('data-column');
-            if (sortColumn === column) {
-                sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
-            } else {
-                sortColumn = column;
-                sortDirection = 'asc';
-            }
-            applyFiltersAndSort();
-        });
+    container.querySelector('#bulk-select-all').addEventListener('click', () => {
+        filteredSubscriptions.forEach(sub => selectedIds.add(sub.id));
+        renderTable();
     });
+    container.querySelector('#bulk-clear-selection').addEventListener('click', () => {
+        selectedIds.clear();
+        renderTable();
+    });
+    container.querySelectorAll('.bulk-operation').forEach(button => {
+        button.addEventListener('click', () => runBulkOperation(button.dataset.operation));
+    });
+}
 
-    // Add click handlers for rows
-    container.querySelectorAll('tbody tr').forEach((row, index) => {
-        const sub = paginatedSubscriptions[index];
-        row.style.cursor = 'pointer';
-        row.addEventListener('click', () => {
-            window.location.hash = `#/subscriptions/${sub.subscriptionId}`;
+async function runBulkOperation(operation) {
+    const ids = [...selectedIds];
+    const results = document.getElementById('bulk-results');
+
+    bulkRunning = true;
+    renderBulkActions();
+    try {
+        const outcome = await actions.bulkSubscriptionOperation(operation, ids, (done, total) => {
+            if (!results) return;
+            const percent = total === 0 ? 100 : Math.round((done / total) * 100);
+            results.innerHTML = `
+                <div class="bulk-progress">
+                    <div class="bulk-progress-track"><div class="bulk-progress-bar" style="width: ${percent}%;"></div></div>
+                    <span>${done.toLocaleString()} of ${total.toLocaleString()} done</span>
+                </div>
+            `;
         });
-    });
+        if (!outcome) return;
+
+        // Failures stay selected so they can be retried
+        outcome.results.filter(r => r.result.success).forEach(r => selectedIds.delete(r.id));
+        renderBulkResults(operation, outcome);
+    } finally {
+        bulkRunning = false;
+        renderBulkActions();
+    }
 
-    updatePagination();
+    await loadSubscriptions();
 }
 
-function createSortableHeader(column, label) {
-    const isSorted = sortColumn === column;
-    const arrow = isSorted ? (sortDirection === 'asc' ? ' ↑' : ' ↓') : '';
-    return `<th data-column="${column}" style="cursor: pointer; user-select: none;">${label}${arrow}</th>`;
-}
+function renderBulkResults(operation, { succeeded, failed, results }) {
+    const container = document.getElementById('bulk-results');
+    if (!container) return;
 
-function createSubscriptionRow(sub) {
-    const queueDepth = sub.queueDepth || 0;
-    const processRate = formatRate(sub.processRate || 0);
-    const avgLatency = formatLatency(sub.avgLatency);
-    const p99Latency = formatLatency(sub.p99Latency);
-    const timeoutCount = sub.timeoutCount || 0;
+    const failures = results.filter(r => !r.result.success);
+    container.innerHTML = `
+        <div class="bulk-summary ${failed === 0 ? 'success' : 'partial'}">
+            <div class="bulk-summary-header">
+                <span>
+                    ${succeeded.toLocaleString()} of ${results.length.toLocaleString()} ${results.length === 1 ? 'subscription' : 'subscriptions'} ${PAST_TENSE[operation]}${failed > 0 ? `; ${failed.toLocaleString()} failed and ${failed === 1 ? 'remains' : 'remain'} selected` : ''}
+                </span>
+                <button id="bulk-results-dismiss" class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;">Dismiss</button>
+            </div>
+            ${failures.length > 0 ? `
+                <table class="bulk-failures">
+                    <thead>
+                        <tr>
+                            <th>Subscription</th>
+                            <th>Error</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${failures.map(r => `
+                            <tr>
+                                <td style="font-family: monospace;">${escapeHtml(r.id)}</td>
+                                <td>${escapeHtml(r.result.error || r.result.message || 'Failed')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+        </div>
+    `;
 
-    // Determine status
-    const status = getSubscriptionStatus(sub);
-    const statusClass = getSubscriptionStatusClass(sub);
-    const statusLabel = getSubscriptionStatusLabel(sub);
-
-    // Determine health indicators
-    const hasHighQueueDepth = queueDepth > 1000;
-    const hasHighLatency = (sub.avgLatency || 0) > 100;
-    const hasTimeouts = timeoutCount > 0;
-    const healthWarning = hasHighQueueDepth || hasHighLatency || hasTimeouts;
-
-    let healthIndicator = '';
-    if (healthWarning) {
-        const warnings = [];
-        if (hasHighQueueDepth) warnings.push('High queue depth');
-        if (hasHighLatency) warnings.push('High latency');
-        if (hasTimeouts) warnings.push('Timeouts detected');
-        healthIndicator = `<span style="color: var(--warning-color); font-weight: 600;" title="${warnings.join(', ')}">⚠</span>`;
-    } else {
-        healthIndicator = `<span style="color: var(--success-color);" title="Healthy">✓</span>`;
-    }
+    container.querySelector('#bulk-results-dismiss').addEventListener('click', () => {
+        container.innerHTML = '';
+    });
+}
 
-    return `
-        <tr>
-            <td><strong>${sub.subscriptionId}</strong></td>
-            <td><code>${escapeHtml(sub.channelPattern)}</code></td>
-            <td><span class="status-badge ${statusClass}">${statusLabel}</span></td>
-            <td ${hasHighQueueDepth ? 'style="color: var(--warning-color); font-weight: 600;"' : ''}>${formatNumber(queueDepth)}</td>
-            <td>${processRate}/s</td>
-            <td ${hasHighLatency ? 'style="color: var(--warning-color); font-weight: 600;"' : ''}>${avgLatency}</td>
-            <td>${p99Latency}</td>
-            <td ${hasTimeouts ? 'style="color: var(--danger-color); font-weight: 600;"' : ''}>${timeoutCount}</td>
-            <td style="text-align: center; font-size: 16px;">${healthIndicator}</td>
-        </tr>
-    `;
+function renderStatusBadge(sub) {
+    return `<span class="status-badge ${getSubscriptionStatusClass(sub)}">${getSubscriptionStatusLabel(sub)}</span>`;
 }
 
-function getSubscriptionStatus(sub) {
-    if (sub.isDetached) return 'detached';
-    if (sub.isProcessingSuspended) return 'suspended';
-    return 'active';
+// Highlighting uses the shared bottleneck thresholds for the subscription's channel pattern
+function hasHighQueueDepth(sub) {
+    return (sub.queueDepth || 0) >= thresholdsFor(sub.channelPattern).queueDepthWarning;
 }
 
-function getSubscriptionStatusClass(sub) {
-    if (sub.isDetached) return 'status-error';
-    if (sub.isProcessingSuspended) return 'status-warning';
-    return 'status-healthy';
+function hasHighLatency(sub) {
+    return (sub.avgLatencyMs || 0) >= thresholdsFor(sub.channelPattern).latencyWarning;
 }
 
-function getSubscriptionStatusLabel(sub) {
-    if (sub.isDetached) return 'Detached';
-    if (sub.isProcessingSuspended) return 'Suspended';
-    return 'Active';
+function hasHighPercentileLatency(sub) {
+    return (sub.percentileLatencyMs || 0) >= thresholdsFor(sub.channelPattern).percentileLatencyWarning;
 }
 
-function updatePagination() {
-    const totalPages = Math.ceil(filteredSubscriptions.length / pageSize);
-    const start = (currentPage - 1) * pageSize + 1;
-    const end = Math.min(currentPage * pageSize, filteredSubscriptions.length);
+function renderHealthIndicator(sub) {
+    const warnings = [];
+    if (hasHighQueueDepth(sub)) warnings.push('High queue depth');
+    if (hasHighLatency(sub)) warnings.push('High latency');
+    if ((sub.timeoutCount || 0) > 0) warnings.push('Timeouts detected');
 
-    // Update info
-    const infoContainer = document.getElementById('pagination-info');
-    if (infoContainer) {
-        infoContainer.textContent = `Showing ${start}-${end} of ${filteredSubscriptions.length} subscriptions`;
+    if (warnings.length > 0) {
+        return `<span style="color: var(--warning-color); font-weight: 600;" title="${warnings.join(', ')}">⚠</span>`;
     }
+    return `<span style="color: var(--success-color);" title="Healthy">✓</span>`;
+}
 
-    // Update controls
-    const controlsContainer = document.getElementById('pagination-controls');
-    if (controlsContainer) {
-        if (totalPages <= 1) {
-            controlsContainer.innerHTML = '';
-            return;
-        }
+// SubscriptionInfoDto.status: Active, Suspended or Detached
+function getSubscriptionStatus(sub) {
+    return (sub.status || 'Active').toLowerCase();
+}
 
-        const buttons = [];
-
-        // Previous button
-        buttons.push(`
-            <button
-                class="btn btn-secondary"
-                ${currentPage === 1 ? 'disabled' : ''}
-                data-page="${currentPage - 1}"
-            >← Previous</button>
-        `);
-
-        // Page numbers
-        for (let i = 1; i <= totalPages; i++) {
-            if (i === 1 || i === totalPages || (i >= currentPage - 1 && i <= currentPage + 1)) {
-                buttons.push(`
-                    <button
-                        class="btn ${i === currentPage ? 'btn-primary' : 'btn-secondary'}"
-                        data-page="${i}"
-                    >${i}</button>
-                `);
-            } else if (i === currentPage - 2 || i === currentPage + 2) {
-                buttons.push(`<span style="padding: 8px;">...</span>`);
-            }
-        }
+function getSubscriptionStatusClass(sub) {
+    const status = getSubscriptionStatus(sub);
+    if (status === 'detached') return 'status-error';
+    if (status === 'suspended') return 'status-warning';
+    return 'status-healthy';
+}
 
-        // Next button
-        buttons.push(`
-            <button
-                class="btn btn-secondary"
-                ${currentPage === totalPages ? 'disabled' : ''}
-                data-page="${currentPage + 1}"
-            >Next →</button>
-        `);
-
-        controlsContainer.innerHTML = buttons.join('');
-
-        // Add click handlers
-        controlsContainer.querySelectorAll('button[data-page]').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const page = parseInt(btn.getAttribute('data-page'));
-                if (page >= 1 && page <= totalPages) {
-                    currentPage = page;
-                    renderTable();
-                }
-            });
-        });
-    }
+function getSubscriptionStatusLabel(sub) {
+    const status = getSubscriptionStatus(sub);
+    if (status === 'detached') return 'Detached';
+    if (status === 'suspended') return 'Suspended';
+    return 'Active';
 }
 
-function handleMetricsUpdate(metrics) {
+function handleMetricsUpdate({ subscriptions: updatedSubscriptions }) {
     // Update subscription metrics in real-time
-    if (metrics.subscriptions) {
+    if (updatedSubscriptions) {
+        const updatedById = new Map(updatedSubscriptions.map(s => [s.id, s]));
         subscriptions = subscriptions.map(sub => {
-            const updated = metrics.subscriptions.find(s => s.subscriptionId === sub.subscriptionId);
+            const updated = updatedById.get(sub.id);
             return updated ? { ...sub, ...updated } : sub;
         });
 
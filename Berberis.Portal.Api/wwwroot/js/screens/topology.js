@@ -0,0 +1,443 @@
+// Topology Screen
+//
+// Graph of who talks to whom: publishers link to the channels they publish on,
+// channels link to the subscriptions receiving them (a wildcard subscription fans
+// out to every channel it matches). Edge thickness follows the channel's publish
+// rate or the subscription's process rate; subscriptions over the bottleneck
+// thresholds are drawn red. Publishers are the channels' lastPublishedBy, so a
+// channel shows only its most recent publisher.
+
+import { bindApi } from '../api-client.js';
+import { signalRClient } from '../signalr-client.js';
+import { connections } from '../instances.js';
+import { readScreenState, writeScreenState } from '../preferences.js';
+import { matchesChannelPattern } from '../utils/channel-pattern.js';
+import { subscriptionSeverity, loadThresholds } from '../utils/bottleneck-thresholds.js';
+import { forceLayout } from '../utils/force-layout.js';
+
+const api = bindApi('evict', 'getChannels', 'getSubscriptions');
+
+const WIDTH = 1200;
+const HEIGHT = 700;
+const NODE_RADIUS = { publisher: 9, channel: 12, subscription: 9 };
+const COLUMNS = { publisher: 0, channel: 1, subscription: 2 };
+const MAX_LABEL_LENGTH = 28;
+
+const ROUTE_DEFAULTS = { search: '' };
+
+let channels = [];
+let subscriptions = [];
+let searchQuery = '';
+let graph = { nodes: [], links: [] };
+let drag = null;
+let metricsUnsubscribe = null;
+let releaseMetrics = null;
+
+// Node positions survive re-renders and navigation for the session; dragged nodes stay pinned
+const positions = new Map(); // node id -> { x, y, pinned }
+
+export async function render(container) {
+    searchQuery = readScreenState('topology', ROUTE_DEFAULTS).search;
+
+    container.innerHTML = `
+        <div class="page-header">
+            <div>
+                <h2 class="page-title">Topology</h2>
+                <p class="page-description">Publishers, channels and the subscriptions receiving them</p>
+            </div>
+            <div style="display: flex; gap: 12px;">
+                <input
+                    type="text"
+                    id="topology-search"
+                    placeholder="Filter by name..."
+                    class="search-input"
+                    style="padding: 8px 12px; border: 1px solid var(--border-color); border-radius: 6px; font-size: 14px; min-width: 250px;"
+                >
+                <button id="topology-reset-layout" class="btn btn-secondary" title="Forget dragged positions and lay the graph out again">Reset Layout</button>
+                <button id="refresh-topology-button" class="btn btn-secondary" title="Refresh topology">
+                    <span style="font-size: 16px;">↻</span> Refresh
+                </button>
+            </div>
+        </div>
+
+        <div class="card">
+            <div class="topology-toolbar">
+                <div id="topology-summary" class="topology-summary"></div>
+                <div class="topology-legend">
+                    <span><span class="topology-swatch publisher"></span>Publisher</span>
+                    <span><span class="topology-swatch channel"></span>Channel</span>
+                    <span><span class="topology-swatch subscription"></span>Subscription</span>
+                    <span><span class="topology-swatch critical"></span>Over bottleneck thresholds</span>
+                    <span><span class="topology-dash"></span>Wildcard match</span>
+                </div>
+            </div>
+            <div id="topology-graph" class="topology-graph">
+                <div class="loading">Loading topology...</div>
+            </div>
+        </div>
+    `;
+
+    document.getElementById('topology-search').value = searchQuery;
+    setupEventListeners();
+
+    await loadData();
+
+    try {
+        releaseMetrics = await signalRClient.subscribeToMetrics(5000);
+        metricsUnsubscribe = connections.active.metrics.onUpdate(handleMetricsUpdate);
+    } catch (error) {
+        console.error('Failed to subscribe to metrics:', error);
+    }
+}
+
+export async function cleanup() {
+    if (metricsUnsubscribe) {
+        metricsUnsubscribe();
+        metricsUnsubscribe = null;
+    }
+
+    drag = null;
+    document.removeEventListener('mousemove', handleDragMove);
+    document.removeEventListener('mouseup', handleDragEnd);
+
+    try {
+        if (releaseMetrics) {
+            await releaseMetrics();
+            releaseMetrics = null;
+        }
+    } catch (error) {
+        console.error('Failed to unsubscribe from metrics:', error);
+    }
+}
+
+function setupEventListeners() {
+    const searchInput = document.getElementById('topology-search');
+    let searchTimeout;
+    searchInput.addEventListener('input', (e) => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => {
+            searchQuery = e.target.value.trim();
+            writeScreenState('topology', { search: searchQuery }, ROUTE_DEFAULTS);
+            renderGraph();
+        }, 300);
+    });
+
+    document.getElementById('topology-reset-layout').addEventListener('click', () => {
+        positions.clear();
+        renderGraph();
+    });
+
+    const refreshButton = document.getElementById('refresh-topology-button');
+    refreshButton.addEventListener('click', async () => {
+        refreshButton.disabled = true;
+        api.evict('/channels', '/subscriptions');
+        await loadData();
+        refreshButton.disabled = false;
+    });
+}
+
+async function loadData() {
+    try {
+        [channels, subscriptions] = await Promise.all([
+            api.getChannels(),
+            api.getSubscriptions(),
+            loadThresholds()
+        ]);
+        renderGraph();
+    } catch (error) {
+        if (error.aborted) return;
+        console.error('Failed to load topology:', error);
+        const graphContainer = document.getElementById('topology-graph');
+        if (graphContainer) {
+            graphContainer.innerHTML = `<div class="error-message">Failed to load topology: ${escapeHtml(error.message)}</div>`;
+        }
+    }
+}
+
+function handleMetricsUpdate(update) {
+    if (!update.channels || !update.subscriptions) return;
+
+    channels = update.channels;
+    subscriptions = update.subscriptions;
+
+    // Redrawing mid-drag would drop the node being dragged
+    if (!drag) {
+        renderGraph();
+    }
+}
+
+function buildGraph() {
+    const nodes = new Map();
+    const links = [];
+
+    const addNode = (node) => {
+        if (!nodes.has(node.id)) {
+            nodes.set(node.id, { ...node, column: COLUMNS[node.kind] });
+        }
+        return node.id;
+    };
+
+    channels.forEach(channel => {
+        const channelId = addNode({
+            id: `channel:${channel.name}`,
+            kind: 'channel',
+            label: channel.name,
+            href: `#/channels/${encodeURIComponent(channel.name)}`,
+            details: [
+                `Channel ${channel.name}`,
+                `Body type: ${channel.bodyType || '-'}`,
+                `Publish rate: ${formatRate(channel.publishRate)}`,
+                `Subscriptions: ${channel.subscriptionCount || 0}`
+            ]
+        });
+
+        if (channel.lastPublishedBy) {
+            const publisherId = addNode({
+                id: `publisher:${channel.lastPublishedBy}`,
+                kind: 'publisher',
+                label: channel.lastPublishedBy,
+                href: null,
+                details: [`Publisher ${channel.lastPublishedBy}`]
+            });
+            links.push({ source: publisherId, target: channelId, rate: channel.publishRate || 0, wildcard: false });
+        }
+    });
+
+    const seen = new Set();
+    subscriptions.forEach(sub => {
+        if (seen.has(sub.id)) return;
+        seen.add(sub.id);
+
+        const severity = subscriptionSeverity(sub);
+        const subscriptionId = addNode({
+            id: `subscription:${sub.id}`,
+            kind: 'subscription',
+            label: sub.id,
+            href: `#/subscriptions/${encodeURIComponent(sub.id)}`,
+            severity,
+            details: [
+                `Subscription ${sub.id}`,
+                `Pattern: ${sub.channelPattern}`,
+                `Process rate: ${formatRate(sub.processRate)}`,
+                `Queue depth: ${formatNumber(sub.queueDepth || 0)}`,
+                `Avg latency: ${(sub.avgLatencyMs || 0).toFixed(2)} ms`,
+                ...(severity ? [`Over ${severity} bottleneck thresholds`] : [])
+            ]
+        });
+
+        channels
+            .filter(channel => matchesChannelPattern(channel.name, sub.channelPattern || ''))
+            .forEach(channel => {
+                links.push({
+                    source: `channel:${channel.name}`,
+                    target: subscriptionId,
+                    rate: sub.processRate || 0,
+                    wildcard: !!sub.isWildcard
+                });
+            });
+    });
+
+    return filterGraph([...nodes.values()], links);
+}
+
+// Keeps nodes whose name matches the search, and everything directly linked to them
+function filterGraph(nodes, links) {
+    if (!searchQuery) {
+        return { nodes, links };
+    }
+
+    const query = searchQuery.toLowerCase();
+    const matched = new Set(nodes.filter(n => n.label.toLowerCase().includes(query)).map(n => n.id));
+    const kept = new Set(matched);
+    links.forEach(link => {
+        if (matched.has(link.source)) kept.add(link.target);
+        if (matched.has(link.target)) kept.add(link.source);
+    });
+
+    return {
+        nodes: nodes.filter(n => kept.has(n.id)),
+        links: links.filter(l => kept.has(l.source) && kept.has(l.target))
+    };
+}
+
+function renderGraph() {
+    const graphContainer = document.getElementById('topology-graph');
+    if (!graphContainer) return;
+
+    graph = buildGraph();
+    renderSummary();
+
+    if (graph.nodes.length === 0) {
+        graphContainer.innerHTML = `<div class="empty-state">${searchQuery ? 'Nothing matches the filter' : 'No channels or subscriptions yet'}</div>`;
+        return;
+    }
+
+    // Known nodes start where they were, so a live update only nudges the layout
+    graph.nodes.forEach(node => {
+        const position = positions.get(node.id);
+        if (position) {
+            Object.assign(node, position);
+        }
+    });
+    const settled = graph.nodes.every(node => positions.has(node.id));
+    forceLayout(graph.nodes, graph.links, { width: WIDTH, height: HEIGHT, iterations: settled ? 30 : 300 });
+    graph.nodes.forEach(node => {
+        positions.set(node.id, { x: node.x, y: node.y, pinned: !!node.pinned });
+    });
+
+    const byId = new Map(graph.nodes.map(n => [n.id, n]));
+
+    graphContainer.innerHTML = `
+        <svg class="topology-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" preserveAspectRatio="xMidYMid meet">
+            <g class="topology-links">
+                ${graph.links.map((link, index) => {
+                    const source = byId.get(link.source);
+                    const target = byId.get(link.target);
+                    return `
+                        <line class="topology-link ${link.wildcard ? 'wildcard' : ''}" data-index="${index}"
+                            x1="${source.x}" y1="${source.y}" x2="${target.x}" y2="${target.y}"
+                            stroke-width="${edgeWidth(link.rate)}">
+                            <title>${escapeHtml(`${source.label} → ${target.label}: ${formatRate(link.rate)}`)}</title>
+                        </line>
+                    `;
+                }).join('')}
+            </g>
+            <g class="topology-nodes">
+                ${graph.nodes.map(node => `
+                    <g class="topology-node ${node.kind} ${node.severity ? 'over-threshold ' + node.severity : ''} ${node.href ? 'navigable' : ''}"
+                        data-id="${escapeHtml(node.id)}" transform="translate(${node.x}, ${node.y})">
+                        <circle r="${NODE_RADIUS[node.kind]}"></circle>
+                        <text x="${node.kind === 'publisher' ? -(NODE_RADIUS[node.kind] + 6) : NODE_RADIUS[node.kind] + 6}"
+                            y="4" text-anchor="${node.kind === 'publisher' ? 'end' : 'start'}">${escapeHtml(truncate(node.label))}</text>
+                        <title>${escapeHtml(node.details.join('\n'))}</title>
+                    </g>
+                `).join('')}
+            </g>
+        </svg>
+    `;
+
+    setupGraphInteractions(graphContainer.querySelector('svg'));
+}
+
+function renderSummary() {
+    const summary = document.getElementById('topology-summary');
+    if (!summary) return;
+
+    const count = (kind) => graph.nodes.filter(n => n.kind === kind).length;
+    const overThreshold = graph.nodes.filter(n => n.severity).length;
+    summary.innerHTML = `
+        <span><strong>${count('publisher')}</strong> publishers</span>
+        <span><strong>${count('channel')}</strong> channels</span>
+        <span><strong>${count('subscription')}</strong> subscriptions</span>
+        ${overThreshold > 0 ? `<span class="topology-summary-alert"><strong>${overThreshold}</strong> over thresholds</span>` : ''}
+    `;
+}
+
+function setupGraphInteractions(svg) {
+    svg.querySelectorAll('.topology-node').forEach(element => {
+        const node = graph.nodes.find(n => n.id === element.dataset.id);
+
+        element.addEventListener('mouseenter', () => highlightNeighbours(svg, node.id));
+        element.addEventListener('mouseleave', () => highlightNeighbours(svg, null));
+
+        element.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            delete element.dataset.dragged;
+            drag = { node, element, svg, moved: false };
+            document.addEventListener('mousemove', handleDragMove);
+            document.addEventListener('mouseup', handleDragEnd);
+        });
+
+        element.addEventListener('click', () => {
+            // A drag ends with a click on the same node; only a plain click navigates
+            if (node.href && !element.dataset.dragged) {
+                window.location.hash = node.href;
+            }
+            delete element.dataset.dragged;
+        });
+    });
+}
+
+function handleDragMove(e) {
+    if (!drag) return;
+
+    // Client coordinates to viewBox coordinates
+    const point = drag.svg.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    const { x, y } = point.matrixTransform(drag.svg.getScreenCTM().inverse());
+
+    drag.moved = true;
+    drag.node.x = Math.min(WIDTH, Math.max(0, x));
+    drag.node.y = Math.min(HEIGHT, Math.max(0, y));
+    drag.element.setAttribute('transform', `translate(${drag.node.x}, ${drag.node.y})`);
+
+    graph.links.forEach((link, index) => {
+        const line = drag.svg.querySelector(`.topology-link[data-index="${index}"]`);
+        if (link.source === drag.node.id) {
+            line.setAttribute('x1', drag.node.x);
+            line.setAttribute('y1', drag.node.y);
+        } else if (link.target === drag.node.id) {
+            line.setAttribute('x2', drag.node.x);
+            line.setAttribute('y2', drag.node.y);
+        }
+    });
+}
+
+function handleDragEnd() {
+    document.removeEventListener('mousemove', handleDragMove);
+    document.removeEventListener('mouseup', handleDragEnd);
+
+    if (drag && drag.moved) {
+        drag.element.dataset.dragged = 'true';
+        positions.set(drag.node.id, { x: drag.node.x, y: drag.node.y, pinned: true });
+    }
+    drag = null;
+}
+
+function highlightNeighbours(svg, nodeId) {
+    svg.classList.toggle('highlighting', !!nodeId);
+    if (!nodeId) {
+        svg.querySelectorAll('.highlighted').forEach(el => el.classList.remove('highlighted'));
+        return;
+    }
+
+    const neighbours = new Set([nodeId]);
+    graph.links.forEach((link, index) => {
+        const connected = link.source === nodeId || link.target === nodeId;
+        if (connected) {
+            neighbours.add(link.source);
+            neighbours.add(link.target);
+        }
+        svg.querySelector(`.topology-link[data-index="${index}"]`).classList.toggle('highlighted', connected);
+    });
+
+    svg.querySelectorAll('.topology-node').forEach(element => {
+        element.classList.toggle('highlighted', neighbours.has(element.dataset.id));
+    });
+}
+
+// Log scale so one busy channel doesn't dwarf the rest: idle 1px up to 8px
+function edgeWidth(rate) {
+    return Math.min(8, 1 + Math.log10(1 + (rate || 0)) * 1.5).toFixed(1);
+}
+
+function truncate(label) {
+    return label.length > MAX_LABEL_LENGTH ? label.substring(0, MAX_LABEL_LENGTH - 1) + '…' : label;
+}
+
+function formatNumber(num) {
+    return num.toLocaleString();
+}
+
+function formatRate(rate) {
+    return `${(rate || 0).toFixed(1)} msg/s`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+export default { render, cleanup };
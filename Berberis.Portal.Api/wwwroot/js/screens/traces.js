@@ -1,8 +1,11 @@
 // Message Trace Viewer Screen
 
 import { signalRClient } from '../signalr-client.js';
+import { preferences, readScreenState, writeScreenState } from '../preferences.js';
 
 let unsubscribeTraces = null;
+let releaseTraces = null;
+let unsubscribeGap = null;
 let traces = [];
 let filteredTraces = [];
 let isPaused = false;
@@ -36,7 +39,14 @@ const timestampFormats = {
 
 let currentTimestampFormat = 'relative';
 
+// Filters, sampling rate and timestamp format mirrored in the URL; only the last two are remembered
+const ROUTE_DEFAULTS = { channel: '', correlation: '', from: '', key: '', op: '', sampling: 0.01, time: 'relative' };
+const REMEMBERED = ['sampling', 'time'];
+const SETTINGS_DEFAULTS = { maxTraces: 1000 };
+
 export async function render(container) {
+    ({ maxTraces } = preferences.get('traces', SETTINGS_DEFAULTS));
+
     container.innerHTML = `
         <div class="page-header">
             <h2 class="page-title">
@@ -102,7 +112,7 @@ export async function render(container) {
 
                 <div class="max-traces-control">
                     <label>Max Traces:</label>
-                    <input type="number" id="max-traces" value="1000" min="100" max="10000" step="100" />
+                    <input type="number" id="max-traces" value="${maxTraces}" min="100" max="10000" step="100" />
                 </div>
             </div>
         </div>
@@ -166,6 +176,8 @@ export async function render(container) {
         </div>
     `;
 
+    restoreRouteState(container);
+
     // Initialize
     await connectToTracesStream();
     setupEventHandlers(container);
@@ -179,7 +191,8 @@ async function connectToTracesStream() {
 
         // Subscribe to message traces
         unsubscribeTraces = signalRClient.onMessageTrace(handleMessageTrace);
-        await signalRClient.subscribeToTraces(samplingRate);
+        unsubscribeGap = signalRClient.onConnectionGap(handleConnectionGap);
+        releaseTraces = await signalRClient.subscribeToTraces(samplingRate);
 
         console.log('Connected to message traces stream with sampling rate:', samplingRate);
     } catch (error) {
@@ -203,6 +216,18 @@ function handleMessageTrace(trace) {
     updateStats();
 }
 
+// Mark where traces may have been missed while the connection was down
+function handleConnectionGap(gap) {
+    if (isPaused || !gap.streams.includes('traces')) return;
+
+    traces.unshift({ isGap: true, disconnectedAt: gap.disconnectedAt, reconnectedAt: gap.reconnectedAt });
+    if (traces.length > maxTraces) {
+        traces = traces.slice(0, maxTraces);
+    }
+
+    applyFilters();
+}
+
 function setupEventHandlers(container) {
     // Search inputs
     const searchChannel = container.querySelector('#search-channel');
@@ -210,27 +235,32 @@ function setupEventHandlers(container) {
     const searchFrom = container.querySelector('#search-from');
     const searchKey = container.querySelector('#search-key');
 
-    searchChannel.addEventListener('input', applyFilters);
-    searchCorrelation.addEventListener('input', applyFilters);
-    searchFrom.addEventListener('input', applyFilters);
-    searchKey.addEventListener('input', applyFilters);
+    [searchChannel, searchCorrelation, searchFrom, searchKey].forEach(input => {
+        input.addEventListener('input', applyFilters);
+        input.addEventListener('input', saveRouteState);
+    });
 
     // Operation type filter
     const opTypeFilter = container.querySelector('#op-type-filter');
     opTypeFilter.addEventListener('change', applyFilters);
+    opTypeFilter.addEventListener('change', saveRouteState);
 
     // Sampling rate slider
     const samplingSlider = container.querySelector('#sampling-slider');
     const samplingDisplay = container.querySelector('#sampling-rate-display');
     samplingSlider.addEventListener('input', async (e) => {
         samplingRate = parseFloat(e.target.value);
-        const percentage = (samplingRate * 100).toFixed(samplingRate < 0.01 ? 2 : 1);
-        samplingDisplay.textContent = `${percentage}%`;
+        samplingDisplay.textContent = formatSamplingRate(samplingRate);
+        saveRouteState();
 
         // Update sampling rate on server
         try {
-            await signalRClient.unsubscribeFromTraces();
-            await signalRClient.subscribeToTraces(samplingRate);
+            // Take the new rate before releasing the old one so the stream never drops
+            const previousRelease = releaseTraces;
+            releaseTraces = await signalRClient.subscribeToTraces(samplingRate);
+            if (previousRelease) {
+                await previousRelease();
+            }
         } catch (error) {
             console.error('Failed to update sampling rate:', error);
         }
@@ -240,6 +270,7 @@ function setupEventHandlers(container) {
     const timestampFormat = container.querySelector('#timestamp-format');
     timestampFormat.addEventListener('change', (e) => {
         currentTimestampFormat = e.target.value;
+        saveRouteState();
         renderTraces(container);
     });
 
@@ -272,7 +303,8 @@ function setupEventHandlers(container) {
     // Max traces input
     const maxTracesInput = container.querySelector('#max-traces');
     maxTracesInput.addEventListener('change', (e) => {
-        maxTraces = parseInt(e.target.value) || 1000;
+        maxTraces = parseInt(e.target.value) || SETTINGS_DEFAULTS.maxTraces;
+        preferences.set('traces', { maxTraces });
         if (traces.length > maxTraces) {
             traces = traces.slice(0, maxTraces);
             applyFilters();
@@ -294,6 +326,39 @@ function setupEventHandlers(container) {
     });
 }
 
+function restoreRouteState(container) {
+    const state = readScreenState('traces', ROUTE_DEFAULTS, REMEMBERED);
+
+    container.querySelector('#search-channel').value = state.channel;
+    container.querySelector('#search-correlation').value = state.correlation;
+    container.querySelector('#search-from').value = state.from;
+    container.querySelector('#search-key').value = state.key;
+    container.querySelector('#op-type-filter').value = state.op;
+
+    samplingRate = Math.min(1, Math.max(0.001, state.sampling));
+    container.querySelector('#sampling-slider').value = samplingRate;
+    container.querySelector('#sampling-rate-display').textContent = formatSamplingRate(samplingRate);
+
+    currentTimestampFormat = timestampFormats[state.time] ? state.time : ROUTE_DEFAULTS.time;
+    container.querySelector('#timestamp-format').value = currentTimestampFormat;
+}
+
+function saveRouteState() {
+    writeScreenState('traces', {
+        channel: document.querySelector('#search-channel')?.value.trim() || '',
+        correlation: document.querySelector('#search-correlation')?.value.trim() || '',
+        from: document.querySelector('#search-from')?.value.trim() || '',
+        key: document.querySelector('#search-key')?.value.trim() || '',
+        op: document.querySelector('#op-type-filter')?.value || '',
+        sampling: samplingRate,
+        time: currentTimestampFormat
+    }, ROUTE_DEFAULTS, REMEMBERED);
+}
+
+function formatSamplingRate(rate) {
+    return `${(rate * 100).toFixed(rate < 0.01 ? 2 : 1)}%`;
+}
+
 function applyFilters() {
     const searchChannel = document.querySelector('#search-channel')?.value.toLowerCase() || '';
     const searchCorrelation = document.querySelector('#search-correlation')?.value.toLowerCase() || '';
@@ -302,6 +367,9 @@ function applyFilters() {
     const opTypeFilter = document.querySelector('#op-type-filter')?.value || '';
 
     filteredTraces = traces.filter(trace => {
+        // Gap markers stay visible regardless of filters
+        if (trace.isGap) return true;
+
         // Filter by operation type
         if (opTypeFilter !== '' && trace.opType.toString() !== opTypeFilter) {
             return false;
@@ -331,7 +399,7 @@ function applyFilters() {
     });
 
     renderTraces(document.querySelector('.page-header').closest('.screen-content'));
-    updateTraceCount(filteredTraces.length);
+    updateTraceCount(filteredTraces.filter(trace => !trace.isGap).length);
 }
 
 function renderTraces(container) {
@@ -357,16 +425,31 @@ function renderTraces(container) {
         return;
     }
 
-    const rowsHtml = filteredTraces.map(trace => renderTraceRow(trace)).join('');
+    const rowsHtml = filteredTraces
+        .map((trace, idx) => trace.isGap ? renderGapRow(trace) : renderTraceRow(trace, idx))
+        .join('');
     tbody.innerHTML = rowsHtml;
 
     // Add click handlers for detail buttons
-    tbody.querySelectorAll('.view-detail-btn').forEach((btn, idx) => {
-        btn.addEventListener('click', () => showTraceDetail(filteredTraces[idx]));
+    tbody.querySelectorAll('.view-detail-btn').forEach(btn => {
+        btn.addEventListener('click', () => showTraceDetail(filteredTraces[parseInt(btn.dataset.index)]));
     });
 }
 
-function renderTraceRow(trace) {
+function renderGapRow(gap) {
+    const from = gap.disconnectedAt ? gap.disconnectedAt.toLocaleTimeString() : 'unknown';
+    return `
+        <tr>
+            <td colspan="8">
+                <div class="stream-gap">
+                    ⚠️ Connection lost ${from} – ${gap.reconnectedAt.toLocaleTimeString()}. Traces during this period may have been missed.
+                </div>
+            </td>
+        </tr>
+    `;
+}
+
+function renderTraceRow(trace, index) {
     const opTypeName = opTypeNames[trace.opType] || 'Unknown';
     const opTypeIcon = opTypeIcons[trace.opType] || '❓';
     const opTypeColor = opTypeColors[trace.opType] || '#6b7280';
@@ -386,7 +469,7 @@ function renderTraceRow(trace) {
             <td class="trace-correlation">${trace.correlationId || 'N/A'}</td>
             <td class="trace-key">${trace.messageKey || 'N/A'}</td>
             <td>
-                <button class="btn btn-sm view-detail-btn">View</button>
+                <button class="btn btn-sm view-detail-btn" data-index="${index}">View</button>
             </td>
         </tr>
     `;
@@ -489,7 +572,7 @@ function showTraceDetail(trace) {
 }
 
 function updateStats() {
-    const totalCount = traces.length;
+    const totalCount = traces.filter(t => !t.isGap).length;
     const publishCount = traces.filter(t => t.opType === 0).length;
     const dequeueCount = traces.filter(t => t.opType === 1).length;
     const processedCount = traces.filter(t => t.opType === 2).length;
@@ -508,7 +591,7 @@ function updateTraceCount(count) {
 }
 
 function exportToJSON() {
-    const data = JSON.stringify(filteredTraces, null, 2);
+    const data = JSON.stringify(filteredTraces.filter(t => !t.isGap), null, 2);
     const blob = new Blob([data], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -520,7 +603,7 @@ function exportToJSON() {
 
 function exportToCSV() {
     const headers = ['Timestamp', 'Operation', 'Channel', 'Subscription', 'From', 'Correlation ID', 'Message Key', 'Ticks'];
-    const rows = filteredTraces.map(trace => [
+    const rows = filteredTraces.filter(t => !t.isGap).map(trace => [
         formatTimestamp(trace.ticks),
         opTypeNames[trace.opType] || 'Unknown',
         trace.channel || '',
@@ -552,8 +635,16 @@ export async function cleanup() {
         unsubscribeTraces = null;
     }
 
+    if (unsubscribeGap) {
+        unsubscribeGap();
+        unsubscribeGap = null;
+    }
+
     try {
-        await signalRClient.unsubscribeFromTraces();
+        if (releaseTraces) {
+            await releaseTraces();
+            releaseTraces = null;
+        }
     } catch (error) {
         console.error('Error unsubscribing from traces:', error);
     }
@@ -0,0 +1,375 @@
+// Saved Views Screen - Named views, remembered settings and syncing them between browsers
+//
+// Share links land here as #/views?import=<view>; the view is offered, not added, until
+// the user accepts it.
+
+import { preferences } from '../preferences.js';
+import { readRouteState, writeRouteState } from '../route-state.js';
+
+const ROUTE_DEFAULTS = { import: '' };
+
+// Same rule as the server; the name becomes a file name there
+const USER_NAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+
+const SYNC_LABELS = {
+    off: 'Off',
+    pending: 'Waiting to sync',
+    syncing: 'Syncing...',
+    synced: 'Synced',
+    error: 'Sync failed'
+};
+
+let screenContainer = null;
+let changeUnsubscribe = null;
+let pendingImport = null; // view from a share link, until accepted or dismissed
+let notice = null; // { text, success }
+
+export async function render(container) {
+    screenContainer = container;
+    pendingImport = null;
+    notice = null;
+
+    const { import: encoded } = readRouteState(ROUTE_DEFAULTS);
+    if (encoded) {
+        try {
+            pendingImport = preferences.decodeSharedView(encoded);
+        } catch (error) {
+            notice = { text: error.message, success: false };
+        }
+        // Reloading the page shouldn't offer the view again
+        writeRouteState({ import: '' }, ROUTE_DEFAULTS);
+    }
+
+    container.innerHTML = `
+        <div class="page-header">
+            <div>
+                <h2 class="page-title">Saved Views</h2>
+                <p class="page-description">Named views, remembered screen settings, and syncing them to other browsers</p>
+            </div>
+            <div style="display: flex; gap: 12px;">
+                <button id="views-import-button" class="btn btn-secondary">Import...</button>
+                <button id="views-export-button" class="btn btn-secondary">Export</button>
+                <input type="file" id="views-import-file" accept="application/json,.json" style="display: none;">
+            </div>
+        </div>
+
+        <div id="views-notice"></div>
+        <div id="views-pending-import"></div>
+
+        <div class="card views-section">
+            <h3 class="card-title">Sync</h3>
+            <div id="views-sync"></div>
+        </div>
+
+        <div class="card views-section">
+            <h3 class="card-title">Views</h3>
+            <p class="views-help">Use <strong>🔖 Save View</strong> in the header to save the screen you are on, with its filters and settings.</p>
+            <div id="views-list"></div>
+        </div>
+
+        <div class="card views-section">
+            <div class="views-section-header">
+                <h3 class="card-title">Remembered Settings</h3>
+                <button id="views-reset-all" class="btn btn-secondary">Reset All</button>
+            </div>
+            <p class="views-help">Screens open with these unless the link says otherwise.</p>
+            <div id="views-settings"></div>
+        </div>
+    `;
+
+    const fileInput = container.querySelector('#views-import-file');
+    container.querySelector('#views-import-button').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const [file] = fileInput.files;
+        fileInput.value = '';
+        if (file) importFile(file);
+    });
+    container.querySelector('#views-export-button').addEventListener('click', exportFile);
+    container.querySelector('#views-reset-all').addEventListener('click', () => {
+        if (confirm('Forget the remembered settings of every screen, alert rules included? Saved views are kept.')) {
+            preferences.resetAll();
+        }
+    });
+
+    renderAll();
+    changeUnsubscribe = preferences.onChange(() => renderAll());
+}
+
+export async function cleanup() {
+    if (changeUnsubscribe) {
+        changeUnsubscribe();
+        changeUnsubscribe = null;
+    }
+    screenContainer = null;
+}
+
+function renderAll() {
+    if (!screenContainer) return;
+
+    renderNotice();
+    renderPendingImport();
+    renderSync();
+    renderViews();
+    renderSettings();
+}
+
+function showNotice(text, success) {
+    notice = { text, success };
+    renderNotice();
+}
+
+function renderNotice() {
+    const container = screenContainer.querySelector('#views-notice');
+    if (!notice) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="views-notice ${notice.success ? 'success' : 'error'}">
+            <span>${escapeHtml(notice.text)}</span>
+            <button id="views-notice-dismiss" class="btn btn-secondary" style="padding: 4px 8px; font-size: 12px;">Dismiss</button>
+        </div>
+    `;
+    container.querySelector('#views-notice-dismiss').addEventListener('click', () => {
+        notice = null;
+        renderNotice();
+    });
+}
+
+function renderPendingImport() {
+    const container = screenContainer.querySelector('#views-pending-import');
+    if (!pendingImport) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const existing = preferences.findView(pendingImport.name);
+    container.innerHTML = `
+        <div class="card views-section views-shared">
+            <h3 class="card-title">Shared View</h3>
+            <p>
+                Someone shared <strong>${escapeHtml(pendingImport.name)}</strong>, a view of
+                <code>${escapeHtml(describeRoute(pendingImport.route))}</code>${describeSections(pendingImport.sections)}.
+                ${existing ? 'It will replace your view with the same name.' : ''}
+            </p>
+            <div style="display: flex; gap: 8px;">
+                <button id="views-accept-import" class="btn btn-primary">Add and Open</button>
+                <button id="views-add-import" class="btn btn-secondary">Add</button>
+                <button id="views-dismiss-import" class="btn btn-secondary">Dismiss</button>
+            </div>
+        </div>
+    `;
+
+    const accept = (open) => {
+        const view = preferences.addView({ ...pendingImport, createdAt: new Date().toISOString() });
+        pendingImport = null;
+        if (open) {
+            preferences.openView(view);
+        } else {
+            showNotice(`Added the view "${view.name}"`, true);
+        }
+    };
+    container.querySelector('#views-accept-import').addEventListener('click', () => accept(true));
+    container.querySelector('#views-add-import').addEventListener('click', () => accept(false));
+    container.querySelector('#views-dismiss-import').addEventListener('click', () => {
+        pendingImport = null;
+        renderPendingImport();
+    });
+}
+
+function renderSync() {
+    const container = screenContainer.querySelector('#views-sync');
+    const { status, error, at } = preferences.sync;
+
+    if (!preferences.syncUser) {
+        container.innerHTML = `
+            <p class="views-help">
+                Views and settings are kept in this browser. Sync them to the portal server under a name to
+                use them in other browsers; anyone who knows the name can read and change them.
+            </p>
+            <form id="views-sync-form" class="views-sync-form">
+                <input type="text" id="views-sync-user" class="search-input" placeholder="Name, e.g. jsmith" autocomplete="username" spellcheck="false">
+                <button type="submit" class="btn btn-primary">Start Syncing</button>
+            </form>
+        `;
+
+        container.querySelector('#views-sync-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const user = container.querySelector('#views-sync-user').value.trim();
+            if (!USER_NAME_PATTERN.test(user)) {
+                showNotice("Sync names are 1-64 letters, digits, '.', '_', '@' or '-'", false);
+                return;
+            }
+            await preferences.startSync(user);
+        });
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="views-sync-status">
+            <span>Syncing as <strong>${escapeHtml(preferences.syncUser)}</strong></span>
+            <span class="status-badge ${status === 'error' ? 'status-error' : status === 'synced' ? 'status-healthy' : 'status-warning'}">${SYNC_LABELS[status] || status}</span>
+            <span class="views-help">${status === 'error' ? escapeHtml(error || '') : at ? `Last synced ${at.toLocaleTimeString()}` : ''}</span>
+            <span class="bulk-actions-spacer"></span>
+            <button id="views-sync-now" class="btn btn-secondary" ${status === 'syncing' ? 'disabled' : ''}>Sync Now</button>
+            <button id="views-sync-stop" class="btn btn-secondary">Stop Syncing</button>
+        </div>
+    `;
+
+    container.querySelector('#views-sync-now').addEventListener('click', () => preferences.pull());
+    container.querySelector('#views-sync-stop').addEventListener('click', () => {
+        if (confirm('Stop syncing? This browser keeps its copy; the server copy is left as it is.')) {
+            preferences.stopSync();
+        }
+    });
+}
+
+function renderViews() {
+    const container = screenContainer.querySelector('#views-list');
+    const views = preferences.getViews();
+
+    if (views.length === 0) {
+        container.innerHTML = '<div class="views-empty">No saved views yet</div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Name</th>
+                    <th>Screen</th>
+                    <th>Route</th>
+                    <th>Saved</th>
+                    <th style="width: 240px;">Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${views.map((view, index) => `
+                    <tr>
+                        <td><strong>${escapeHtml(view.name)}</strong></td>
+                        <td>${escapeHtml(view.screen)}</td>
+                        <td><code class="views-route">${escapeHtml(describeRoute(view.route))}</code></td>
+                        <td>${view.createdAt ? new Date(view.createdAt).toLocaleString() : '-'}</td>
+                        <td>
+                            <button class="btn btn-primary views-open" data-index="${index}" style="padding: 4px 8px; font-size: 12px;">Open</button>
+                            <button class="btn btn-secondary views-share" data-index="${index}" style="padding: 4px 8px; font-size: 12px;">Copy Link</button>
+                            <button class="btn btn-danger views-delete" data-index="${index}" style="padding: 4px 8px; font-size: 12px;">Delete</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    container.querySelectorAll('.views-open').forEach(button => {
+        button.addEventListener('click', () => preferences.openView(views[parseInt(button.dataset.index)]));
+    });
+    container.querySelectorAll('.views-share').forEach(button => {
+        button.addEventListener('click', () => copyShareLink(views[parseInt(button.dataset.index)]));
+    });
+    container.querySelectorAll('.views-delete').forEach(button => {
+        button.addEventListener('click', () => {
+            const view = views[parseInt(button.dataset.index)];
+            if (confirm(`Delete the saved view "${view.name}"?`)) {
+                preferences.deleteView(view.name);
+            }
+        });
+    });
+}
+
+function renderSettings() {
+    const container = screenContainer.querySelector('#views-settings');
+    const sections = Object.entries(preferences.getSections()).sort(([a], [b]) => a.localeCompare(b));
+
+    if (sections.length === 0) {
+        container.innerHTML = '<div class="views-empty">Every screen is using its defaults</div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th style="width: 180px;">Screen</th>
+                    <th>Settings</th>
+                    <th style="width: 100px;">Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${sections.map(([section, values]) => `
+                    <tr>
+                        <td><strong>${escapeHtml(section)}</strong></td>
+                        <td><code class="views-settings-values">${escapeHtml(formatValues(values))}</code></td>
+                        <td>
+                            <button class="btn btn-secondary views-reset" data-section="${escapeHtml(section)}" style="padding: 4px 8px; font-size: 12px;">Reset</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    container.querySelectorAll('.views-reset').forEach(button => {
+        button.addEventListener('click', () => preferences.reset(button.dataset.section));
+    });
+}
+
+async function copyShareLink(view) {
+    const link = preferences.shareLink(view);
+    try {
+        await navigator.clipboard.writeText(link);
+        showNotice(`Copied a link to "${view.name}"; whoever opens it is offered the view`, true);
+    } catch {
+        // Clipboard needs a secure context and permission
+        prompt('Copy this link to share the view:', link);
+    }
+}
+
+function exportFile() {
+    const json = JSON.stringify(preferences.exportData(), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'berberis-preferences.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+async function importFile(file) {
+    try {
+        const { sections, views } = preferences.importData(JSON.parse(await file.text()));
+        showNotice(`Imported ${views} ${views === 1 ? 'view' : 'views'} and the settings of ${sections} ${sections === 1 ? 'screen' : 'screens'}`, true);
+    } catch (error) {
+        showNotice(`Couldn't import ${file.name}: ${error.message}`, false);
+    }
+}
+
+function describeRoute(route) {
+    try {
+        return decodeURIComponent(route.replace(/^#\/?/, ''));
+    } catch {
+        return route;
+    }
+}
+
+function describeSections(sections) {
+    const names = Object.keys(sections);
+    return names.length > 0 ? ` with ${names.join(' and ')} settings` : '';
+}
+
+function formatValues(values) {
+    return Object.entries(values).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join(', ');
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+export default { render, cleanup };
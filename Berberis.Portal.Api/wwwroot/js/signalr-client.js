@@ -1,27 +1,83 @@
-// SignalR Client - Manages real-time connection to EventsHub
+// SignalR Client - Manages real-time connection to EventsHub. One client per CrossBar instance; see instances.js.
 
-class SignalRClient {
-    constructor() {
+const HUB_URL = '/hubs/events';
+
+// Metrics poll period while the hub is unavailable and no consumer asked for a specific interval
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+// Hub group subscriptions are a single per-connection toggle, so they are shared between
+// consumers. select() turns every active request into the arguments for the hub call.
+const STREAMS = {
+    lifecycle: {
+        subscribe: 'SubscribeToLifecycle',
+        unsubscribe: 'UnsubscribeFromLifecycle',
+        select: () => []
+    },
+    traces: {
+        subscribe: 'SubscribeToTraces',
+        unsubscribe: 'UnsubscribeFromTraces',
+        select: samplingRates => [Math.max(...samplingRates)]
+    },
+    metrics: {
+        subscribe: 'SubscribeToMetrics',
+        unsubscribe: 'UnsubscribeFromMetrics',
+        select: intervals => [Math.min(...intervals)]
+    }
+};
+
+export class SignalRClient {
+    /**
+     * @param {ApiClient} api - the same instance's REST client, used for the polling fallback
+     * @param {string} hubUrl
+     */
+    constructor(api, hubUrl = HUB_URL) {
+        this.api = api;
+        this.hubUrl = hubUrl;
         this.connection = null;
         this.isConnected = false;
+        this.status = 'connecting';
         this.eventHandlers = {
             lifecycle: [],
             trace: [],
-            metrics: []
+            metrics: [],
+            gap: [],
+            status: []
         };
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 10;
+        this.hasConnected = false;
+        this.disconnectedAt = null;
+        this.pollTimer = null;
+
+        // Per stream: active consumer requests and the hub arguments currently applied (null = not subscribed)
+        this.streams = {};
+        Object.keys(STREAMS).forEach(name => {
+            this.streams[name] = { requests: [], applied: null };
+        });
     }
 
     async connect() {
+        // Library failed to load (e.g. offline machine); metrics still flow via polling
+        if (typeof signalR === 'undefined') {
+            console.warn('SignalR client library not available, falling back to polling');
+            this.startPolling();
+            this.updateConnectionStatus('polling');
+            return;
+        }
+
         if (this.connection && this.isConnected) {
             console.log('SignalR already connected');
             return;
         }
 
+        // Automatic reconnect is already in progress on the existing connection
+        if (this.connection && this.connection.state === signalR.HubConnectionState.Reconnecting) {
+            return;
+        }
+
         try {
             this.connection = new signalR.HubConnectionBuilder()
-                .withUrl('/hubs/events')
+                .withUrl(this.hubUrl)
                 .withAutomaticReconnect({
                     nextRetryDelayInMilliseconds: retryContext => {
                         if (retryContext.previousRetryCount < 5) {
@@ -40,13 +96,19 @@ class SignalRClient {
             await this.connection.start();
             this.isConnected = true;
             this.reconnectAttempts = 0;
+            this.stopPolling();
             this.updateConnectionStatus('connected');
             console.log('SignalR connected successfully');
 
+            // Apply subscriptions requested while offline; after an onclose this is a gap
+            await this.restoreStreams(this.hasConnected);
+            this.hasConnected = true;
+
         } catch (error) {
             console.error('SignalR connection error:', error);
             this.isConnected = false;
-            this.updateConnectionStatus('disconnected');
+            this.markDisconnected();
+            this.updateConnectionStatus('polling');
             this.scheduleReconnect();
         }
     }
@@ -71,24 +133,103 @@ class SignalRClient {
     setupConnectionHandlers() {
         this.connection.onreconnecting(() => {
             this.isConnected = false;
+            this.markDisconnected();
             this.updateConnectionStatus('reconnecting');
             console.log('SignalR reconnecting...');
         });
 
-        this.connection.onreconnected(() => {
+        this.connection.onreconnected(async () => {
             this.isConnected = true;
+            this.stopPolling();
             this.updateConnectionStatus('connected');
             console.log('SignalR reconnected');
+
+            // The reconnected connection has a new ID and no group membership
+            await this.restoreStreams(true);
         });
 
         this.connection.onclose(() => {
             this.isConnected = false;
-            this.updateConnectionStatus('disconnected');
+            this.markDisconnected();
+            this.updateConnectionStatus('polling');
             console.log('SignalR connection closed');
             this.scheduleReconnect();
         });
     }
 
+    markDisconnected() {
+        if (!this.disconnectedAt) {
+            this.disconnectedAt = new Date();
+        }
+        Object.values(this.streams).forEach(stream => {
+            stream.applied = null;
+        });
+        this.startPolling();
+    }
+
+    // Fallback transport: synthesizes OnMetricsUpdate from /api/metrics while the hub is down.
+    // Lifecycle events and traces have no REST equivalent and resume with the hub.
+    startPolling() {
+        if (this.pollTimer) return;
+
+        const tick = async () => {
+            if (this.streams.metrics.requests.length > 0) {
+                try {
+                    const metrics = await this.api.getMetrics({ force: true });
+                    if (!this.isConnected && metrics) {
+                        this.eventHandlers.metrics.forEach(handler => handler(metrics.overview));
+                    }
+                } catch (error) {
+                    if (!error.aborted) {
+                        console.error('Metrics polling failed:', error);
+                    }
+                }
+            }
+
+            // stopPolling() may have run while the request was in flight
+            if (this.pollTimer) {
+                this.pollTimer = setTimeout(tick, this.getPollInterval());
+            }
+        };
+
+        this.pollTimer = setTimeout(tick, this.getPollInterval());
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    getPollInterval() {
+        const intervals = this.streams.metrics.requests.map(r => r.value);
+        return intervals.length > 0 ? Math.min(...intervals) : DEFAULT_POLL_INTERVAL_MS;
+    }
+
+    // Replays active stream subscriptions and, after an outage, tells listeners which streams may have missed events
+    async restoreStreams(isGap) {
+        const streams = Object.keys(this.streams).filter(name => this.streams[name].requests.length > 0);
+        const gap = {
+            streams,
+            disconnectedAt: this.disconnectedAt,
+            reconnectedAt: new Date()
+        };
+        this.disconnectedAt = null;
+
+        for (const name of streams) {
+            try {
+                await this.syncStream(name);
+            } catch (error) {
+                console.error(`Failed to resubscribe to ${name}:`, error);
+            }
+        }
+
+        if (isGap && streams.length > 0) {
+            this.eventHandlers.gap.forEach(handler => handler(gap));
+        }
+    }
+
     scheduleReconnect() {
         if (this.reconnectAttempts < this.maxReconnectAttempts) {
             this.reconnectAttempts++;
@@ -100,54 +241,92 @@ class SignalRClient {
         }
     }
 
+    // connecting | connected | reconnecting | polling | disconnected
     updateConnectionStatus(status) {
-        const statusEl = document.getElementById('connection-status');
-        if (!statusEl) return;
-
-        statusEl.className = `connection-status ${status}`;
-        const statusText = statusEl.querySelector('.status-text');
-        if (statusText) {
-            statusText.textContent = status === 'connected' ? 'Connected' :
-                                     status === 'reconnecting' ? 'Reconnecting...' :
-                                     'Disconnected';
-        }
+        if (status === this.status) return;
+
+        this.status = status;
+        this.eventHandlers.status.forEach(handler => handler(status));
     }
 
-    // Subscription management
+    // Subscription management. Each subscribe call returns a release function; the hub
+    // is only called when the first consumer joins, the last one leaves, or the
+    // effective parameter (fastest interval, highest sampling rate) changes.
     async subscribeToLifecycle() {
-        if (!this.isConnected) {
-            throw new Error('Not connected to SignalR hub');
-        }
-        await this.connection.invoke('SubscribeToLifecycle');
+        return this.acquireStream('lifecycle', null);
     }
 
-    async unsubscribeFromLifecycle() {
-        if (!this.isConnected) return;
-        await this.connection.invoke('UnsubscribeFromLifecycle');
+    async subscribeToTraces(samplingRate = 0.01) {
+        return this.acquireStream('traces', samplingRate);
     }
 
-    async subscribeToTraces(samplingRate = 0.01) {
-        if (!this.isConnected) {
-            throw new Error('Not connected to SignalR hub');
+    async subscribeToMetrics(intervalMs = 5000) {
+        return this.acquireStream('metrics', intervalMs);
+    }
+
+    // Requests made while disconnected are remembered and applied on (re)connect
+    async acquireStream(name, value) {
+        const stream = this.streams[name];
+        const request = { value };
+        stream.requests.push(request);
+
+        try {
+            await this.syncStream(name);
+        } catch (error) {
+            this.removeStreamRequest(name, request);
+            throw error;
         }
-        await this.connection.invoke('SubscribeToTraces', samplingRate);
+
+        let released = false;
+        return async () => {
+            if (released) return;
+            released = true;
+            this.removeStreamRequest(name, request);
+            await this.syncStream(name);
+        };
     }
 
-    async unsubscribeFromTraces() {
-        if (!this.isConnected) return;
-        await this.connection.invoke('UnsubscribeFromTraces');
+    removeStreamRequest(name, request) {
+        const requests = this.streams[name].requests;
+        const index = requests.indexOf(request);
+        if (index > -1) requests.splice(index, 1);
     }
 
-    async subscribeToMetrics(intervalMs = 5000) {
+    // Brings the hub subscription in line with the active requests
+    async syncStream(name) {
+        const stream = this.streams[name];
+        const definition = STREAMS[name];
+        const args = stream.requests.length > 0
+            ? definition.select(stream.requests.map(r => r.value))
+            : null;
+        const key = args ? JSON.stringify(args) : null;
+
+        if (key === stream.applied) return;
+
+        // The server drops group membership with the connection, nothing to undo
         if (!this.isConnected) {
-            throw new Error('Not connected to SignalR hub');
+            stream.applied = null;
+
+            // Restart the polling fallback so it follows the new interval
+            if (name === 'metrics' && this.pollTimer) {
+                this.stopPolling();
+                this.startPolling();
+            }
+            return;
         }
-        await this.connection.invoke('SubscribeToMetrics', intervalMs);
-    }
 
-    async unsubscribeFromMetrics() {
-        if (!this.isConnected) return;
-        await this.connection.invoke('UnsubscribeFromMetrics');
+        const previous = stream.applied;
+        stream.applied = key;
+        try {
+            if (args) {
+                await this.connection.invoke(definition.subscribe, ...args);
+            } else {
+                await this.connection.invoke(definition.unsubscribe);
+            }
+        } catch (error) {
+            stream.applied = previous;
+            throw error;
+        }
     }
 
     // Event handler registration
@@ -175,6 +354,23 @@ class SignalRClient {
         };
     }
 
+    // Called after a reconnect with { streams, disconnectedAt, reconnectedAt }
+    onConnectionGap(handler) {
+        this.eventHandlers.gap.push(handler);
+        return () => {
+            const index = this.eventHandlers.gap.indexOf(handler);
+            if (index > -1) this.eventHandlers.gap.splice(index, 1);
+        };
+    }
+
+    onStatusChange(handler) {
+        this.eventHandlers.status.push(handler);
+        return () => {
+            const index = this.eventHandlers.status.indexOf(handler);
+            if (index > -1) this.eventHandlers.status.splice(index, 1);
+        };
+    }
+
     async disconnect() {
         if (this.connection) {
             await this.connection.stop();
@@ -184,5 +380,22 @@ class SignalRClient {
     }
 }
 
-// Export singleton instance
-export const signalRClient = new SignalRClient();
+// Client for the instance on screen, switched by the connection manager
+let activeClient = null;
+
+export function setActiveSignalRClient(client) {
+    activeClient = client;
+}
+
+// Screens import `signalRClient` and always reach the active instance. Release and
+// unsubscribe functions close over the client they came from, so cleanup after an
+// instance switch still reaches the right hub.
+export const signalRClient = new Proxy({}, {
+    get(target, property) {
+        if (!activeClient) {
+            throw new Error('No active SignalR client; connections.init() has not run');
+        }
+        const value = Reflect.get(activeClient, property);
+        return typeof value === 'function' ? value.bind(activeClient) : value;
+    }
+});
@@ -0,0 +1,53 @@
+// Subscription Filters - Query fields and saved views for the subscriptions list
+//
+// Queries use the language in utils/filter-query.js. A filter travels as the
+// list's `search` URL parameter, so any query can be linked to, and can be saved
+// as a named view (see preferences.js).
+
+import { compileQuery } from './utils/filter-query.js';
+import { preferences } from './preferences.js';
+
+export const SUBSCRIPTION_FIELDS = {
+    id: { type: 'text', label: 'ID', get: (sub) => sub.id, search: true },
+    channel: { type: 'text', label: 'Channel pattern', get: (sub) => sub.channelPattern, search: true, aliases: ['pattern', 'channelPattern'] },
+    status: { type: 'text', label: 'Status', get: (sub) => sub.status || 'Active' },
+    backpressure: { type: 'text', label: 'Backpressure strategy', get: (sub) => sub.backpressureStrategy, aliases: ['backpressureStrategy', 'strategy'] },
+    queueDepth: { type: 'number', label: 'Queue depth', get: (sub) => sub.queueDepth, aliases: ['queue'] },
+    processRate: { type: 'number', label: 'Process rate (msg/s)', get: (sub) => sub.processRate, aliases: ['rate'] },
+    avgLatency: { type: 'duration', label: 'Avg latency', get: (sub) => sub.avgLatencyMs, aliases: ['latency', 'avgLatencyMs'] },
+    p99Latency: { type: 'duration', label: 'P99 latency', get: (sub) => sub.percentileLatencyMs, aliases: ['percentileLatency', 'percentileLatencyMs'] },
+    timeoutCount: { type: 'number', label: 'Timeouts', get: (sub) => sub.timeoutCount, aliases: ['timeouts'] },
+    totalProcessed: { type: 'number', label: 'Total processed', get: (sub) => sub.totalProcessed, aliases: ['processed'] },
+    isWildcard: { type: 'flag', label: 'Wildcard', get: (sub) => sub.isWildcard, aliases: ['wildcard'] },
+    isConflated: { type: 'flag', label: 'Conflated', get: (sub) => sub.conflationInterval !== null && sub.conflationInterval !== undefined, aliases: ['conflated'] }
+};
+
+/** Row predicate for a query; throws FilterQueryError when it doesn't parse. */
+export function compileSubscriptionFilter(query) {
+    return compileQuery(query, SUBSCRIPTION_FIELDS);
+}
+
+/** Link to the subscriptions list filtered by a query. */
+export function subscriptionFilterUrl(query) {
+    return query ? `#/subscriptions?search=${encodeURIComponent(query)}` : '#/subscriptions';
+}
+
+/**
+ * Saved views of the subscriptions list, with the filter each one applies.
+ * @returns {{ name: string, query: string }[]} sorted by name
+ */
+export function getSavedViews() {
+    return preferences.getViews('subscriptions').map(view => ({
+        name: view.name,
+        query: new URLSearchParams(view.route.split('?')[1] || '').get('search') || ''
+    }));
+}
+
+/** Saves the subscriptions list with a filter as a named view, replacing any view with the same name. */
+export function saveView(name, query) {
+    preferences.saveView(name, 'subscriptions', subscriptionFilterUrl(query));
+}
+
+export function deleteView(name) {
+    preferences.deleteView(name);
+}
@@ -0,0 +1,196 @@
+// Message Body Renderers - Views of a stored message body
+//
+// Bodies arrive as the server's BodyFormat says: "json" (a parsed value), "text"
+// (a string) or "binary" (base64). decodeBody() turns one into every form a
+// renderer might want, and each renderer says whether it applies:
+//
+//   registerBodyRenderer({
+//       id: 'price',
+//       label: 'Price',
+//       canRender: (decoded) => decoded.json?.bid !== undefined,
+//       render: (decoded) => `<strong>${decoded.json.bid}</strong>`
+//   });
+//
+// Renderers are offered in registration order; the first that applies is the default.
+
+const HEX_BYTES_PER_LINE = 16;
+const MAX_HEX_BYTES = 4096; // longer bodies are cut off so the dump stays readable
+
+const renderers = [];
+
+/**
+ * @param {{ id: string, label: string, canRender: (decoded) => boolean, render: (decoded) => string }} renderer
+ *   render returns HTML and must escape anything taken from the body
+ */
+export function registerBodyRenderer(renderer) {
+    const index = renderers.findIndex(r => r.id === renderer.id);
+    if (index > -1) {
+        renderers[index] = renderer;
+    } else {
+        renderers.push(renderer);
+    }
+}
+
+/** Renderers that can show this body, in registration order. */
+export function renderersFor(decoded) {
+    return renderers.filter(r => r.canRender(decoded));
+}
+
+/** Renders with the chosen renderer, falling back to the first that applies. */
+export function renderBody(decoded, rendererId = null) {
+    const available = renderersFor(decoded);
+    const renderer = available.find(r => r.id === rendererId) || available[0];
+    return renderer ? renderer.render(decoded) : '<span class="json-null">No body</span>';
+}
+
+/**
+ * @param {*} body - StateEntryDto.body
+ * @param {'json'|'text'|'binary'} format - ChannelMessagesDto or ChannelStateDto bodyFormat
+ * @returns {{ format: string, empty: boolean, json: *, text: string, bytes: Uint8Array }}
+ *   json is undefined when the body isn't JSON
+ */
+export function decodeBody(body, format = 'json') {
+    if (body === null || body === undefined) {
+        return { format, empty: true, json: undefined, text: '', bytes: new Uint8Array(0) };
+    }
+
+    if (format === 'binary') {
+        const bytes = base64ToBytes(body);
+        const text = new TextDecoder().decode(bytes);
+        return { format, empty: false, json: tryParseJson(text), text, bytes };
+    }
+
+    if (format === 'text') {
+        const text = String(body);
+        return { format, empty: false, json: tryParseJson(text), text, bytes: new TextEncoder().encode(text) };
+    }
+
+    const text = JSON.stringify(body, null, 2);
+    return { format, empty: false, json: body, text, bytes: new TextEncoder().encode(text) };
+}
+
+/** One-line summary for table cells. */
+export function bodyPreview(decoded, maxLength = 80) {
+    if (decoded.empty) return '-';
+
+    const text = decoded.format === 'binary'
+        ? `${decoded.bytes.length} bytes: ${hexBytes(decoded.bytes.subarray(0, 16))}${decoded.bytes.length > 16 ? ' …' : ''}`
+        : decoded.format === 'json' ? JSON.stringify(decoded.json) : decoded.text;
+    return text.length > maxLength ? text.substring(0, maxLength) + '…' : text;
+}
+
+// Collapsible JSON tree; the first two levels start expanded
+export function renderJsonTree(value, depth = 0) {
+    if (value === null || value === undefined) {
+        return '<span class="json-null">null</span>';
+    }
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '<span class="json-punctuation">[]</span>';
+        return `
+            <details class="json-node" ${depth < 2 ? 'open' : ''}>
+                <summary><span class="json-punctuation">[</span> <span class="json-summary">${value.length} ${value.length === 1 ? 'item' : 'items'}</span> <span class="json-punctuation">]</span></summary>
+                <ul class="json-children">
+                    ${value.map((item, index) => `
+                        <li><span class="json-key">${index}:</span> ${renderJsonTree(item, depth + 1)}</li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    if (typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 0) return '<span class="json-punctuation">{}</span>';
+        return `
+            <details class="json-node" ${depth < 2 ? 'open' : ''}>
+                <summary><span class="json-punctuation">{</span> <span class="json-summary">${keys.length} ${keys.length === 1 ? 'field' : 'fields'}</span> <span class="json-punctuation">}</span></summary>
+                <ul class="json-children">
+                    ${keys.map(key => `
+                        <li><span class="json-key">${escapeHtml(key)}:</span> ${renderJsonTree(value[key], depth + 1)}</li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    if (typeof value === 'string') {
+        return `<span class="json-string">"${escapeHtml(value)}"</span>`;
+    }
+
+    if (typeof value === 'number') {
+        return `<span class="json-number">${value}</span>`;
+    }
+
+    if (typeof value === 'boolean') {
+        return `<span class="json-boolean">${value}</span>`;
+    }
+
+    return escapeHtml(String(value));
+}
+
+// Offset, 16 bytes in hex, then the printable ASCII
+export function renderHexDump(bytes) {
+    const shown = bytes.subarray(0, MAX_HEX_BYTES);
+    const lines = [];
+
+    for (let offset = 0; offset < shown.length; offset += HEX_BYTES_PER_LINE) {
+        const line = shown.subarray(offset, offset + HEX_BYTES_PER_LINE);
+        const ascii = Array.from(line, b => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.')).join('');
+        lines.push(`${offset.toString(16).padStart(8, '0')}  ${hexBytes(line).padEnd(HEX_BYTES_PER_LINE * 3 - 1)}  ${ascii}`);
+    }
+
+    const truncated = bytes.length > MAX_HEX_BYTES
+        ? `\n… ${bytes.length - MAX_HEX_BYTES} more bytes not shown`
+        : '';
+    return `<pre class="hex-dump">${escapeHtml(lines.join('\n') + truncated)}</pre>`;
+}
+
+function hexBytes(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(String(base64));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// Binary bodies only get a text view when they decode cleanly
+function isPrintable(text) {
+    return !/[\u0000-\u0008\u000e-\u001f\ufffd]/.test(text);
+}
+
+function tryParseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+registerBodyRenderer({
+    id: 'json',
+    label: 'JSON',
+    canRender: (decoded) => !decoded.empty && decoded.json !== undefined,
+    render: (decoded) => `<div class="json-tree">${renderJsonTree(decoded.json)}</div>`
+});
+
+registerBodyRenderer({
+    id: 'text',
+    label: 'Text',
+    canRender: (decoded) => !decoded.empty && (decoded.format !== 'binary' || isPrintable(decoded.text)),
+    render: (decoded) => `<pre class="message-body-text">${escapeHtml(decoded.text)}</pre>`
+});
+
+registerBodyRenderer({
+    id: 'hex',
+    label: 'Hex',
+    canRender: (decoded) => !decoded.empty,
+    render: (decoded) => renderHexDump(decoded.bytes)
+});
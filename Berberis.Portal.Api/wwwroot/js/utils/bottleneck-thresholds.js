@@ -0,0 +1,193 @@
+// Bottleneck Thresholds - Shared by the Bottlenecks, Topology, Subscriptions and Subscription Detail screens
+// Stored by the Portal API so every browser sees the same limits; edited from the Bottlenecks screen.
+// Overrides apply stricter (or looser) limits to subscriptions on channels matching a pattern.
+
+import { bindApi } from '../api-client.js';
+import { matchesChannelPattern, isValidChannelPattern } from './channel-pattern.js';
+
+const api = bindApi('getThresholds', 'saveThresholds', 'getThresholdSchema');
+
+// Used until the server's thresholds arrive
+export const DEFAULT_THRESHOLDS = Object.freeze({
+    queueDepthWarning: 1000,
+    queueDepthCritical: 5000,
+    processRateWarning: 100, // msg/s - below this is slow
+    latencyWarning: 100, // ms
+    latencyCritical: 500, // ms
+    percentileLatencyWarning: 200, // ms (p99)
+    timeoutWarningPercent: 80, // % of timeout threshold
+    conflationEffectivenessMin: 0.2 // 20% minimum effectiveness
+});
+
+const THRESHOLD_FIELDS = Object.keys(DEFAULT_THRESHOLDS);
+
+/** Default thresholds as last loaded from the server. */
+export const thresholds = { ...DEFAULT_THRESHOLDS };
+
+let overrides = [];
+let updatedAt = null;
+const resolved = new Map(); // channel pattern -> merged thresholds
+
+/**
+ * Refreshes thresholds from the Portal API; screens call this when they render.
+ * Keeps the last known values when the server can't be reached.
+ */
+export async function loadThresholds() {
+    try {
+        applySettings(await api.getThresholds());
+    } catch (error) {
+        if (!error.aborted) {
+            console.warn('Bottleneck thresholds not loaded, keeping the current ones:', error.message);
+        }
+    }
+}
+
+/** @returns {{defaults: object, overrides: object[], updatedAt: string|null}} copies, safe to edit */
+export function getThresholdSettings() {
+    return {
+        defaults: { ...thresholds },
+        overrides: overrides.map(o => ({ ...o })),
+        updatedAt
+    };
+}
+
+/**
+ * Saves defaults and overrides for everyone. Rejects with an ApiError whose
+ * payload.errors lists the problems when the server refuses them.
+ */
+export async function saveThresholds(settings) {
+    const saved = await api.saveThresholds(settings);
+    applySettings(saved);
+    return saved;
+}
+
+/** @returns {Promise<ThresholdSchemaDto>} labels, units and limits for each threshold field */
+export async function loadThresholdSchema() {
+    return api.getThresholdSchema();
+}
+
+/**
+ * Checks settings against the schema the way the server will, so the editor can
+ * point at problems before saving.
+ * @returns {string[]} one message per problem
+ */
+export function validateThresholds(settings, schema) {
+    const errors = [];
+    const fields = schema.fields;
+
+    const checkRange = (field, value, label) => {
+        if (typeof value !== 'number' || Number.isNaN(value) || value < field.min) {
+            errors.push(`${label} ${field.label} must be at least ${field.min}`);
+        } else if (field.max != null && value > field.max) {
+            errors.push(`${label} ${field.label} must be at most ${field.max}`);
+        } else if (field.integer && !Number.isInteger(value)) {
+            errors.push(`${label} ${field.label} must be a whole number`);
+        }
+    };
+
+    const checkOrder = (values, label) => {
+        fields.filter(f => f.atMost).forEach(field => {
+            const limit = fields.find(f => f.name === field.atMost);
+            if (limit && values[field.name] > values[limit.name]) {
+                errors.push(`${label} ${field.label} must not be above ${limit.label}`);
+            }
+        });
+    };
+
+    fields.forEach(field => checkRange(field, settings.defaults[field.name], 'Default'));
+    checkOrder(settings.defaults, 'Default');
+
+    if (settings.overrides.length > schema.maxOverrides) {
+        errors.push(`At most ${schema.maxOverrides} overrides can be saved`);
+    }
+
+    const seen = new Set();
+    settings.overrides.forEach(item => {
+        const pattern = (item.channelPattern || '').trim();
+        if (!isValidChannelPattern(pattern)) {
+            errors.push(`'${item.channelPattern || ''}' is not a valid channel pattern`);
+            return;
+        }
+        if (seen.has(pattern)) {
+            errors.push(`'${pattern}' has more than one override`);
+        }
+        seen.add(pattern);
+
+        const label = `Override '${pattern}'`;
+        const set = fields.filter(f => item[f.name] != null);
+        if (set.length === 0) {
+            errors.push(`${label} does not set any threshold`);
+        }
+        set.forEach(field => checkRange(field, item[field.name], label));
+        checkOrder({ ...settings.defaults, ...withoutUnset(item) }, label);
+    });
+
+    return errors;
+}
+
+/**
+ * Thresholds for a subscription's channel pattern: the defaults with every matching
+ * override laid over them in order, so later overrides win.
+ */
+export function thresholdsFor(channelPattern) {
+    if (overrides.length === 0) return thresholds;
+
+    const key = channelPattern || '';
+    if (!resolved.has(key)) {
+        const merged = { ...thresholds };
+        overrides
+            .filter(o => o.channelPattern === key || matchesChannelPattern(key, o.channelPattern))
+            .forEach(o => Object.assign(merged, withoutUnset(o)));
+        resolved.set(key, merged);
+    }
+    return resolved.get(key);
+}
+
+export function getSeverity(metric, value, limits = thresholds) {
+    if (metric === 'queueDepth') {
+        if (value >= limits.queueDepthCritical) return 'critical';
+        if (value >= limits.queueDepthWarning) return 'warning';
+    } else if (metric === 'latency') {
+        if (value >= limits.latencyCritical) return 'critical';
+        if (value >= limits.latencyWarning) return 'warning';
+    }
+    return 'info';
+}
+
+/**
+ * Worst threshold a subscription exceeds: queue depth, latency, or processing
+ * slower than processRateWarning while it has work.
+ * @returns {'critical'|'warning'|null}
+ */
+export function subscriptionSeverity(sub) {
+    const limits = thresholdsFor(sub.channelPattern);
+    const severities = [
+        getSeverity('queueDepth', sub.queueDepth || 0, limits),
+        getSeverity('latency', sub.avgLatencyMs || 0, limits)
+    ];
+
+    const processRate = sub.processRate || 0;
+    if (processRate > 0 && processRate < limits.processRateWarning) {
+        severities.push('warning');
+    }
+
+    if (severities.includes('critical')) return 'critical';
+    if (severities.includes('warning')) return 'warning';
+    return null;
+}
+
+function applySettings(settings) {
+    Object.assign(thresholds, DEFAULT_THRESHOLDS, withoutUnset(settings.defaults || {}));
+    overrides = settings.overrides || [];
+    updatedAt = settings.updatedAt || null;
+    resolved.clear();
+}
+
+// Just the threshold fields an override (or defaults object) actually sets
+function withoutUnset(values) {
+    const set = {};
+    THRESHOLD_FIELDS.forEach(name => {
+        if (values[name] != null) set[name] = values[name];
+    });
+    return set;
+}
@@ -0,0 +1,41 @@
+// Channel pattern matching - mirrors CrossBar's wildcard subscription rules
+// '*' matches exactly one dot-separated segment: "orders.*" matches "orders.eu" but not "orders.eu.new"
+// '>' matches everything after its prefix:       "orders.>" matches "orders.eu" and "orders.eu.new"
+
+export function isWildcardPattern(pattern) {
+    return pattern.includes('*') || pattern.includes('>');
+}
+
+/** Dot-separated, non-empty segments with no spaces; '>' may only be the last segment. */
+export function isValidChannelPattern(pattern) {
+    if (!pattern || /\s/.test(pattern)) return false;
+    const segments = pattern.split('.');
+    return segments.every((segment, i) => segment.length > 0 && (segment !== '>' || i === segments.length - 1));
+}
+
+export function matchesChannelPattern(channelName, pattern) {
+    if (!isWildcardPattern(pattern)) {
+        return channelName === pattern;
+    }
+
+    const recursivePosition = pattern.indexOf('>');
+    if (recursivePosition > 0) {
+        const prefix = pattern.slice(0, recursivePosition);
+        return channelName.startsWith(prefix) && channelName.length > prefix.length;
+    }
+
+    // Empty segments are ignored, as on the server
+    const channelSegments = channelName.split('.').filter(s => s);
+    const patternSegments = pattern.split('.').filter(s => s);
+
+    if (channelSegments.length !== patternSegments.length) {
+        return false;
+    }
+
+    return patternSegments.every((segment, i) => segment === '*' || segment === channelSegments[i]);
+}
+
+/** Subscriptions receiving a channel's messages: direct ones and wildcards that match it. */
+export function subscriptionsForChannel(channelName, subscriptions) {
+    return subscriptions.filter(s => matchesChannelPattern(channelName, s.channelPattern || ''));
+}
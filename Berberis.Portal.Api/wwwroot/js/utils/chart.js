@@ -0,0 +1,1055 @@
+// Chart Component - line, area, bar, stacked bar, histogram and heatmap charts
+// SVG only, no dependencies. Charts render into a container and handle their own
+// tooltips, crosshair hover, legend toggles, brush zoom and PNG/SVG export.
+//
+// Options:
+//   type       'line' | 'area' | 'bar' | 'stacked-bar' | 'histogram' | 'heatmap'
+//   series     [{ name, color, data: [{ x, y, color?, detail? }] }]; histograms take `values` instead of `data`
+//   x          { type: 'time' | 'linear' | 'category', label, unit, format } - the category/domain axis
+//   y          { label, unit, format, min, max, integer } - the value axis; integer keeps ticks whole (counts)
+//   bins       histogram bin edges, ascending; the last bin is open-ended
+//   horizontal bar types: categories down the left, values along the bottom
+//   labels     bar types: print each bar's value
+//   rows, columns, cells[row][column] = { value } | null - heatmap grid
+//   tooltip    (hit) => html, replaces the default tooltip content
+//   onClick    (hit) => void
+//   onZoom     (domain | null) => void, after brushing or resetting a time/linear axis
+//   hidden     series names to start hidden; domain: [from, to] to start zoomed in
+//   title      used for export file names and the exported image
+
+const DEFAULT_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16'];
+const HEATMAP_COLORS = ['#d1fae5', '#6ee7b7', '#fde68a', '#fbbf24', '#ef4444']; // low to high
+
+// Explicit colours rather than CSS variables so exported images look the same
+const TEXT_COLOR = '#6b7280';
+const GRID_COLOR = '#e5e7eb';
+const AXIS_COLOR = '#d1d5db';
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif";
+const CHAR_WIDTH = 6.5; // average width of an 11px character, for label layout
+
+const DEFAULT_WIDTH = 600;
+const DEFAULT_HEIGHT = 240;
+const BAR_ROW_HEIGHT = 34; // per category, for horizontal bars
+const MIN_BRUSH_PX = 5;
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const TIME_STEPS = [
+    SECOND, 2 * SECOND, 5 * SECOND, 10 * SECOND, 15 * SECOND, 30 * SECOND,
+    MINUTE, 2 * MINUTE, 5 * MINUTE, 10 * MINUTE, 15 * MINUTE, 30 * MINUTE,
+    HOUR, 2 * HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR,
+    DAY, 2 * DAY, 7 * DAY
+];
+
+let chartCount = 0;
+
+export class Chart {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.id = ++chartCount;
+        this.hidden = new Set(options.hidden || []);
+        this.domain = options.domain || null;
+        this.layout = null;
+        this.drag = null;
+        this.suppressClick = false;
+        this.width = 0;
+
+        this.createElements();
+        this.update(options);
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => {
+                if (this.plot.clientWidth && this.plot.clientWidth !== this.width) {
+                    this.render();
+                }
+            });
+            this.resizeObserver.observe(this.plot);
+        }
+    }
+
+    /** Replaces the chart's options and redraws. Hidden series and zoom are kept. */
+    update(options) {
+        this.options = {
+            type: 'line',
+            ...options,
+            x: { type: 'category', ...options.x },
+            y: { ...options.y }
+        };
+
+        if (this.options.type === 'line' || this.options.type === 'area') {
+            if (this.options.x.type === 'category') this.options.x.type = 'linear';
+        } else {
+            this.options.x.type = 'category';
+        }
+
+        this.series = (this.options.series || []).map((series, i) => ({
+            name: series.name || `Series ${i + 1}`,
+            color: series.color || DEFAULT_COLORS[i % DEFAULT_COLORS.length],
+            data: this.options.type === 'histogram'
+                ? histogram(series.values || [], this.options.bins || [], this.options.x.unit)
+                : [...(series.data || [])]
+        }));
+
+        if (!this.isCategorical && this.options.type !== 'heatmap') {
+            this.series.forEach(series => series.data.sort((a, b) => a.x - b.x));
+        }
+
+        this.render();
+    }
+
+    /** Current legend and zoom state, to carry over when a chart is recreated. */
+    getState() {
+        return { hidden: [...this.hidden], domain: this.domain };
+    }
+
+    destroy() {
+        this.resizeObserver?.disconnect();
+        this.endDrag();
+        this.tooltip.remove();
+        this.container.innerHTML = '';
+    }
+
+    get isCategorical() {
+        return ['bar', 'stacked-bar', 'histogram'].includes(this.options.type);
+    }
+
+    get isZoomable() {
+        return !this.isCategorical && this.options.type !== 'heatmap' && this.options.zoom !== false;
+    }
+
+    get visibleSeries() {
+        return this.series.filter(series => !this.hidden.has(series.name));
+    }
+
+    // ---- DOM ----------------------------------------------------------------
+
+    createElements() {
+        this.container.innerHTML = `
+            <div class="chart">
+                <div class="chart-header">
+                    <div class="chart-legend"></div>
+                    <div class="chart-toolbar">
+                        <button type="button" class="chart-button" data-chart-action="reset-zoom" title="Show the whole range (or double-click the chart)">Reset zoom</button>
+                        <button type="button" class="chart-button" data-chart-action="png" title="Download as PNG">PNG</button>
+                        <button type="button" class="chart-button" data-chart-action="svg" title="Download as SVG">SVG</button>
+                    </div>
+                </div>
+                <div class="chart-plot"></div>
+            </div>
+        `;
+
+        this.legend = this.container.querySelector('.chart-legend');
+        this.toolbar = this.container.querySelector('.chart-toolbar');
+        this.plot = this.container.querySelector('.chart-plot');
+
+        // Fixed to the viewport so scrolling cards don't clip it
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'chart-tooltip';
+        document.body.appendChild(this.tooltip);
+
+        this.toolbar.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-chart-action]')?.dataset.chartAction;
+            if (action === 'reset-zoom') {
+                this.setDomain(null);
+            } else if (action === 'png') {
+                this.exportPNG().catch(error => console.error('Failed to export chart:', error));
+            } else if (action === 'svg') {
+                this.exportSVG();
+            }
+        });
+
+        this.legend.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-series]');
+            if (!item) return;
+
+            const name = this.series[parseInt(item.dataset.series)].name;
+            if (this.hidden.has(name)) {
+                this.hidden.delete(name);
+            } else {
+                this.hidden.add(name);
+            }
+            this.render();
+        });
+
+        this.plot.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        this.plot.addEventListener('mouseleave', () => {
+            if (!this.drag) this.clearHover();
+        });
+        this.plot.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.plot.addEventListener('click', (e) => this.handleClick(e));
+        this.plot.addEventListener('dblclick', () => {
+            if (this.domain) this.setDomain(null);
+        });
+
+        this.handleDragMove = (e) => this.updateDrag(e);
+        this.handleDragEnd = (e) => this.finishDrag(e);
+    }
+
+    render() {
+        this.width = this.plot.clientWidth || DEFAULT_WIDTH;
+        this.layout = this.computeLayout(this.width);
+
+        const { width, height } = this.layout;
+        this.plot.innerHTML = `
+            <svg class="chart-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">
+                ${this.buildBody()}
+            </svg>
+            <svg class="chart-overlay" width="${width}" height="${height}"></svg>
+        `;
+        this.overlay = this.plot.querySelector('.chart-overlay');
+        this.plot.classList.toggle('zoomable', this.isZoomable);
+
+        this.renderLegend();
+        this.toolbar.querySelector('[data-chart-action="reset-zoom"]').hidden = !this.domain;
+        this.tooltip.style.display = 'none';
+    }
+
+    renderLegend() {
+        const showLegend = this.options.type !== 'heatmap' && (this.options.legend ?? this.series.length > 1);
+        this.legend.innerHTML = showLegend
+            ? this.series.map((series, i) => `
+                <button type="button" class="chart-legend-item ${this.hidden.has(series.name) ? 'off' : ''}" data-series="${i}" title="Show or hide ${escapeXml(series.name)}">
+                    <span class="chart-legend-swatch" style="background-color: ${series.color};"></span>
+                    ${escapeXml(series.name)}
+                </button>
+            `).join('')
+            : '';
+    }
+
+    // ---- Layout -------------------------------------------------------------
+
+    computeLayout(width) {
+        if (this.options.type === 'heatmap') {
+            return this.computeHeatmapLayout(width);
+        }
+        return this.isCategorical ? this.computeBarLayout(width) : this.computeSeriesLayout(width);
+    }
+
+    computeSeriesLayout(width) {
+        const { x, y } = this.options;
+        const visible = this.visibleSeries;
+        const allPoints = this.series.flatMap(series => series.data);
+
+        let domain = allPoints.length > 0
+            ? [Math.min(...allPoints.map(p => p.x)), Math.max(...allPoints.map(p => p.x))]
+            : [Date.now() - HOUR, Date.now()];
+
+        // Keep a zoom only while it overlaps the data, e.g. after the window changes
+        if (this.domain) {
+            const from = Math.max(this.domain[0], domain[0]);
+            const to = Math.min(this.domain[1], domain[1]);
+            if (to > from) {
+                domain = [from, to];
+            } else {
+                this.domain = null;
+            }
+        }
+        if (domain[0] === domain[1]) domain = [domain[0] - 1, domain[1] + 1];
+
+        const values = visible
+            .flatMap(series => series.data)
+            .filter(p => p.x >= domain[0] && p.x <= domain[1] && p.y !== null && p.y !== undefined)
+            .map(p => p.y);
+        const valueTicks = niceTicks(
+            y.min ?? Math.min(0, ...values),
+            y.max ?? Math.max(0, ...values),
+            5,
+            y.integer ? 1 : 0
+        );
+
+        const frame = this.computeFrame(width, valueTicks.ticks.map(t => this.formatTick(y, t)));
+        const xScale = linearScale(domain, [frame.left, frame.right]);
+        const yScale = linearScale(valueTicks.domain, [frame.bottom, frame.top]);
+        const xTicks = x.type === 'time'
+            ? timeTicks(domain[0], domain[1], Math.max(2, Math.floor((frame.right - frame.left) / 90)))
+            : niceTicks(domain[0], domain[1], Math.max(2, Math.floor((frame.right - frame.left) / 80))).ticks
+                .filter(t => t >= domain[0] && t <= domain[1]);
+
+        return { ...frame, width, domain, xScale, yScale, xTicks, valueTicks: valueTicks.ticks };
+    }
+
+    computeBarLayout(width) {
+        const { x, y, horizontal, type } = this.options;
+        const visible = this.visibleSeries;
+
+        const categories = [];
+        this.series.forEach(series => series.data.forEach(point => {
+            if (!categories.includes(point.x)) categories.push(point.x);
+        }));
+
+        const valueOf = (series, category) => series.data.find(p => p.x === category)?.y || 0;
+        const extents = categories.flatMap(category => type === 'stacked-bar'
+            ? [visible.reduce((sum, series) => sum + Math.max(0, valueOf(series, category)), 0),
+               visible.reduce((sum, series) => sum + Math.min(0, valueOf(series, category)), 0)]
+            : visible.map(series => valueOf(series, category)));
+
+        const valueTicks = niceTicks(
+            y.min ?? Math.min(0, ...extents),
+            y.max ?? Math.max(0, ...extents),
+            5,
+            y.integer || type === 'histogram' ? 1 : 0
+        );
+        const categoryLabels = categories.map(c => this.formatTick(x, c));
+
+        // Horizontal bars grow with the number of categories unless a height is given
+        const frame = horizontal
+            ? this.computeFrame(width, categoryLabels, { maxLeft: 200, plotHeight: Math.max(categories.length, 1) * BAR_ROW_HEIGHT })
+            : this.computeFrame(width, valueTicks.ticks.map(t => this.formatTick(y, t)));
+
+        if (this.options.labels) {
+            // Room for the value printed past the end of the longest bar
+            if (horizontal) frame.right -= 56; else frame.top += 14;
+        }
+
+        const padding = type === 'histogram' ? 0.04 : 0.25;
+        const band = horizontal
+            ? bandScale(categories.length, [frame.top, frame.bottom], padding)
+            : bandScale(categories.length, [frame.left, frame.right], padding);
+        const valueScale = horizontal
+            ? linearScale(valueTicks.domain, [frame.left, frame.right])
+            : linearScale(valueTicks.domain, [frame.bottom, frame.top]);
+
+        return { ...frame, width, categories, categoryLabels, band, valueScale, valueTicks: valueTicks.ticks, valueOf };
+    }
+
+    computeHeatmapLayout(width) {
+        const { rows = [], columns = [] } = this.options;
+        const labelWidth = Math.min(180, Math.max(60, ...rows.map(row => textWidth(row.label) + 12)));
+        const rowHeight = 40;
+
+        const left = labelWidth;
+        const top = 4;
+        const right = width - 8;
+        const bottom = top + rows.length * rowHeight;
+        const height = bottom + 24 + 36; // column labels, then the colour legend
+
+        const cellValues = (this.options.cells || []).flat().filter(Boolean).map(cell => cell.value);
+        const max = this.options.max ?? Math.max(1, ...cellValues);
+
+        return {
+            width, height, left, top, right, bottom, rowHeight, max,
+            columnWidth: (right - left) / Math.max(columns.length, 1)
+        };
+    }
+
+    // Plot area inside the axes, sized around the widest left-hand label
+    computeFrame(width, leftLabels, { maxLeft = 120, plotHeight = null } = {}) {
+        const { x, y, horizontal } = this.options;
+        const valueAxisTitle = axisTitle(y);
+        const categoryAxisTitle = axisTitle(x);
+        const leftTitle = horizontal ? categoryAxisTitle : valueAxisTitle;
+        const bottomTitle = horizontal ? valueAxisTitle : categoryAxisTitle;
+
+        const widestLabel = Math.max(0, ...leftLabels.map(textWidth));
+        const left = Math.min(maxLeft, widestLabel + 12) + (leftTitle ? 18 : 0) + 4;
+        const top = 10;
+        const axisHeight = 24 + (bottomTitle ? 18 : 0);
+        const height = this.options.height ?? (plotHeight ? top + plotHeight + axisHeight : DEFAULT_HEIGHT);
+
+        return { height, left, top, right: width - 16, bottom: height - axisHeight, leftTitle, bottomTitle };
+    }
+
+    // ---- Drawing ------------------------------------------------------------
+
+    buildBody() {
+        if (this.options.type === 'heatmap') {
+            return this.buildHeatmap();
+        }
+
+        const hasData = this.visibleSeries.some(series => series.data.length > 0);
+        const body = this.isCategorical ? this.buildBars() : this.buildSeries();
+        const { width, top, bottom } = this.layout;
+
+        return `
+            ${body}
+            ${hasData ? '' : `<text x="${width / 2}" y="${(top + bottom) / 2}" text-anchor="middle" font-size="12" fill="${TEXT_COLOR}">No data</text>`}
+        `;
+    }
+
+    buildSeries() {
+        const { type, x, y } = this.options;
+        const { left, right, top, bottom, xScale, yScale, xTicks, valueTicks, domain } = this.layout;
+        const clipId = `chart-clip-${this.id}`;
+
+        const grid = valueTicks.map(tick => `
+            <line x1="${left}" x2="${right}" y1="${yScale(tick)}" y2="${yScale(tick)}" stroke="${GRID_COLOR}"/>
+            <text x="${left - 8}" y="${yScale(tick) + 4}" text-anchor="end" font-size="11" fill="${TEXT_COLOR}">${escapeXml(this.formatTick(y, tick))}</text>
+        `).join('');
+
+        const step = xTicks.length > 1 ? xTicks[1] - xTicks[0] : domain[1] - domain[0];
+        const xAxis = xTicks.map(tick => `
+            <line x1="${xScale(tick)}" x2="${xScale(tick)}" y1="${bottom}" y2="${bottom + 4}" stroke="${AXIS_COLOR}"/>
+            <text x="${xScale(tick)}" y="${bottom + 16}" text-anchor="middle" font-size="11" fill="${TEXT_COLOR}">${escapeXml(x.format ? x.format(tick) : x.type === 'time' ? formatTimeTick(tick, step) : formatValue(tick))}</text>
+        `).join('');
+
+        const paths = this.visibleSeries.map(series => {
+            const segments = lineSegments(series.data, xScale, yScale);
+            const line = segments.map(segment => `M ${segment.map(([px, py]) => `${round(px)},${round(py)}`).join(' L ')}`).join(' ');
+            const area = type === 'area'
+                ? segments.map(segment => {
+                    const base = yScale(Math.max(valueTicks[0], 0));
+                    return `M ${round(segment[0][0])},${round(base)} L ${segment.map(([px, py]) => `${round(px)},${round(py)}`).join(' L ')} L ${round(segment[segment.length - 1][0])},${round(base)} Z`;
+                }).join(' ')
+                : '';
+
+            return `
+                ${area ? `<path d="${area}" fill="${series.color}" fill-opacity="0.15" stroke="none"/>` : ''}
+                <path d="${line}" fill="none" stroke="${series.color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            `;
+        }).join('');
+
+        return `
+            <defs><clipPath id="${clipId}"><rect x="${left}" y="${top}" width="${right - left}" height="${bottom - top}"/></clipPath></defs>
+            ${grid}
+            <line x1="${left}" x2="${right}" y1="${bottom}" y2="${bottom}" stroke="${AXIS_COLOR}"/>
+            ${xAxis}
+            <g clip-path="url(#${clipId})">${paths}</g>
+            ${this.buildAxisTitles()}
+        `;
+    }
+
+    buildBars() {
+        const { type, y, horizontal, labels } = this.options;
+        const { left, right, top, bottom, categories, categoryLabels, band, valueScale, valueTicks, valueOf } = this.layout;
+        const visible = this.visibleSeries;
+
+        const grid = valueTicks.map(tick => {
+            const p = valueScale(tick);
+            const label = escapeXml(this.formatTick(y, tick));
+            return horizontal
+                ? `<line x1="${p}" x2="${p}" y1="${top}" y2="${bottom}" stroke="${GRID_COLOR}"/>
+                   <text x="${p}" y="${bottom + 16}" text-anchor="middle" font-size="11" fill="${TEXT_COLOR}">${label}</text>`
+                : `<line x1="${left}" x2="${right}" y1="${p}" y2="${p}" stroke="${GRID_COLOR}"/>
+                   <text x="${left - 8}" y="${p + 4}" text-anchor="end" font-size="11" fill="${TEXT_COLOR}">${label}</text>`;
+        }).join('');
+
+        const categoryAxis = categoryLabels.map((label, i) => {
+            const center = band.position(i) + band.bandwidth / 2;
+            return horizontal
+                ? `<text x="${left - 8}" y="${center + 4}" text-anchor="end" font-size="11" fill="${TEXT_COLOR}">${escapeXml(truncate(label, left - 16))}</text>`
+                : `<text x="${center}" y="${bottom + 16}" text-anchor="middle" font-size="11" fill="${TEXT_COLOR}">${escapeXml(truncate(label, band.step - 4))}</text>`;
+        }).join('');
+
+        // Value axis rectangle between two values, across part of a band
+        const rect = (start, thickness, from, to) => {
+            const a = valueScale(from);
+            const b = valueScale(to);
+            return horizontal
+                ? { x: Math.min(a, b), y: start, width: Math.abs(b - a), height: thickness }
+                : { x: start, y: Math.min(a, b), width: thickness, height: Math.abs(b - a) };
+        };
+
+        const bars = categories.map((category, i) => {
+            let positive = 0;
+            let negative = 0;
+
+            return visible.map((series, j) => {
+                const point = series.data.find(p => p.x === category);
+                if (!point) return '';
+
+                const value = valueOf(series, category);
+                let r;
+                if (type === 'stacked-bar') {
+                    const base = value >= 0 ? positive : negative;
+                    r = rect(band.position(i), band.bandwidth, base, base + value);
+                    if (value >= 0) positive += value; else negative += value;
+                } else {
+                    const thickness = band.bandwidth / visible.length;
+                    r = rect(band.position(i) + j * thickness, thickness, 0, value);
+                }
+
+                const label = labels && type !== 'stacked-bar'
+                    ? horizontal
+                        ? `<text x="${r.x + r.width + 6}" y="${r.y + r.height / 2 + 4}" font-size="11" font-weight="600" fill="#111827">${escapeXml(this.formatValue(y, value))}</text>`
+                        : `<text x="${r.x + r.width / 2}" y="${r.y - 6}" text-anchor="middle" font-size="11" font-weight="600" fill="#111827">${escapeXml(this.formatValue(y, value))}</text>`
+                    : '';
+
+                return `
+                    <rect x="${round(r.x)}" y="${round(r.y)}" width="${round(Math.max(r.width, horizontal ? 1 : 0))}" height="${round(Math.max(r.height, horizontal ? 0 : 1))}" rx="2" fill="${point.color || series.color}"/>
+                    ${label}
+                `;
+            }).join('');
+        }).join('');
+
+        const zero = valueScale(0);
+        const baseline = horizontal
+            ? `<line x1="${zero}" x2="${zero}" y1="${top}" y2="${bottom}" stroke="${AXIS_COLOR}"/>`
+            : `<line x1="${left}" x2="${right}" y1="${zero}" y2="${zero}" stroke="${AXIS_COLOR}"/>`;
+
+        return `${grid}${baseline}${bars}${categoryAxis}${this.buildAxisTitles()}`;
+    }
+
+    buildHeatmap() {
+        const { rows = [], columns = [], cells = [], y } = this.options;
+        const { left, top, bottom, rowHeight, columnWidth, max, height } = this.layout;
+        const gap = 2;
+
+        const body = rows.map((row, r) => {
+            const rowTop = top + r * rowHeight;
+            const label = `
+                <text x="${left - 12}" y="${rowTop + (row.detail ? 17 : 24)}" text-anchor="end" font-size="12" font-family="monospace" fill="#111827">${escapeXml(truncate(row.label, left - 16))}</text>
+                ${row.detail ? `<text x="${left - 12}" y="${rowTop + 31}" text-anchor="end" font-size="10" fill="${TEXT_COLOR}">${escapeXml(truncate(row.detail, left - 16))}</text>` : ''}
+            `;
+
+            const rowCells = columns.map((_, c) => {
+                const cell = cells[r]?.[c];
+                const cellX = left + c * columnWidth + gap / 2;
+                const cellWidth = Math.max(columnWidth - gap, 1);
+                if (!cell) {
+                    return `<rect x="${round(cellX)}" y="${rowTop + gap / 2}" width="${round(cellWidth)}" height="${rowHeight - gap}" rx="3" fill="#f3f4f6"/>`;
+                }
+
+                const intensity = Math.min(cell.value / max, 1);
+                const text = cellWidth >= 44 && intensity > 0.3
+                    ? `<text x="${round(cellX + cellWidth / 2)}" y="${rowTop + rowHeight / 2 + 4}" text-anchor="middle" font-size="11" font-weight="600" fill="${intensity >= 0.8 ? '#ffffff' : '#111827'}">${escapeXml(this.formatValue(y, cell.value))}</text>`
+                    : '';
+                return `<rect x="${round(cellX)}" y="${rowTop + gap / 2}" width="${round(cellWidth)}" height="${rowHeight - gap}" rx="3" fill="${heatmapColor(intensity)}"/>${text}`;
+            }).join('');
+
+            return label + rowCells;
+        }).join('');
+
+        // Label every column that has room, so narrow charts skip alternate ones
+        const labelEvery = Math.max(1, Math.ceil(60 / columnWidth));
+        const columnLabels = columns.map((column, c) => c % labelEvery === 0
+            ? `<text x="${round(left + (c + 0.5) * columnWidth)}" y="${bottom + 16}" text-anchor="middle" font-size="11" fill="${TEXT_COLOR}">${escapeXml(column.label)}</text>`
+            : ''
+        ).join('');
+
+        const legendTop = height - 24;
+        const legend = `
+            <text x="${left}" y="${legendTop + 14}" font-size="11" fill="${TEXT_COLOR}">Lower</text>
+            ${HEATMAP_COLORS.map((color, i) => `<rect x="${left + 44 + i * 34}" y="${legendTop + 2}" width="30" height="16" rx="3" fill="${color}"/>`).join('')}
+            <text x="${left + 44 + HEATMAP_COLORS.length * 34 + 4}" y="${legendTop + 14}" font-size="11" fill="${TEXT_COLOR}">Higher (max ${escapeXml(this.formatValue(y, max))})</text>
+        `;
+
+        return body + columnLabels + legend;
+    }
+
+    buildAxisTitles() {
+        const { leftTitle, bottomTitle, left, right, top, bottom, height } = this.layout;
+        return `
+            ${leftTitle ? `<text transform="rotate(-90)" x="${-(top + bottom) / 2}" y="12" text-anchor="middle" font-size="11" fill="${TEXT_COLOR}">${escapeXml(leftTitle)}</text>` : ''}
+            ${bottomTitle ? `<text x="${(left + right) / 2}" y="${height - 6}" text-anchor="middle" font-size="11" fill="${TEXT_COLOR}">${escapeXml(bottomTitle)}</text>` : ''}
+        `;
+    }
+
+    // ---- Hover, click and brush ---------------------------------------------
+
+    pointerPosition(e) {
+        const bounds = this.plot.querySelector('.chart-svg').getBoundingClientRect();
+        return { px: e.clientX - bounds.left, py: e.clientY - bounds.top };
+    }
+
+    /** What's under the pointer, in the shape passed to the tooltip and onClick callbacks. */
+    hitTest(px, py) {
+        const layout = this.layout;
+        if (!layout) return null;
+
+        if (this.options.type === 'heatmap') {
+            const rowIndex = Math.floor((py - layout.top) / layout.rowHeight);
+            const columnIndex = Math.floor((px - layout.left) / layout.columnWidth);
+            const row = this.options.rows?.[rowIndex];
+            const column = this.options.columns?.[columnIndex];
+            const cell = this.options.cells?.[rowIndex]?.[columnIndex];
+            return row && column && cell ? { row, column, rowIndex, columnIndex, cell } : null;
+        }
+
+        if (px < layout.left || px > layout.right || py < layout.top || py > layout.bottom) {
+            return null;
+        }
+
+        if (this.isCategorical) {
+            const index = layout.band.indexAt(this.options.horizontal ? py : px);
+            const category = layout.categories[index];
+            if (category === undefined) return null;
+
+            const points = this.visibleSeries
+                .map(series => ({ series, point: series.data.find(p => p.x === category) }))
+                .filter(entry => entry.point);
+            return { category, index, points };
+        }
+
+        const target = layout.xScale.invert(px);
+        const points = this.visibleSeries
+            .map(series => ({ series, point: nearestPoint(series.data, target) }))
+            .filter(entry => entry.point && entry.point.x >= layout.domain[0] && entry.point.x <= layout.domain[1]);
+        if (points.length === 0) return null;
+
+        // Snap to the series point nearest the pointer and report every series at that x
+        const x = points.reduce((best, entry) =>
+            Math.abs(entry.point.x - target) < Math.abs(best - target) ? entry.point.x : best, points[0].point.x);
+        return { x, points: points.filter(entry => entry.point.x === x) };
+    }
+
+    handleMouseMove(e) {
+        if (this.drag) return;
+
+        const { px, py } = this.pointerPosition(e);
+        const hit = this.hitTest(px, py);
+        if (!hit) {
+            this.clearHover();
+            return;
+        }
+
+        this.overlay.innerHTML = this.buildHighlight(hit);
+        this.plot.classList.toggle('clickable', Boolean(this.options.onClick));
+
+        const content = this.options.tooltip ? this.options.tooltip(hit) : this.defaultTooltip(hit);
+        if (!content) {
+            this.tooltip.style.display = 'none';
+            return;
+        }
+
+        this.tooltip.innerHTML = content;
+        this.tooltip.style.display = 'block';
+
+        // Keep the tooltip on screen near the right edge
+        const tooltipWidth = this.tooltip.offsetWidth;
+        const left = e.clientX + 12 + tooltipWidth > window.innerWidth ? e.clientX - tooltipWidth - 12 : e.clientX + 12;
+        this.tooltip.style.left = `${Math.max(0, left)}px`;
+        this.tooltip.style.top = `${e.clientY + 12}px`;
+    }
+
+    clearHover() {
+        if (this.overlay) this.overlay.innerHTML = '';
+        this.tooltip.style.display = 'none';
+        this.plot.classList.remove('clickable');
+    }
+
+    // Crosshair for time series, band shading for bars, outline for heatmap cells
+    buildHighlight(hit) {
+        const layout = this.layout;
+
+        if (this.options.type === 'heatmap') {
+            const x = layout.left + hit.columnIndex * layout.columnWidth + 1;
+            const y = layout.top + hit.rowIndex * layout.rowHeight + 1;
+            return `<rect x="${x}" y="${y}" width="${layout.columnWidth - 2}" height="${layout.rowHeight - 2}" rx="3" fill="none" stroke="#111827" stroke-width="2"/>`;
+        }
+
+        if (this.isCategorical) {
+            const start = layout.band.position(hit.index) - (layout.band.step - layout.band.bandwidth) / 2;
+            return this.options.horizontal
+                ? `<rect x="${layout.left}" y="${start}" width="${layout.right - layout.left}" height="${layout.band.step}" fill="#111827" fill-opacity="0.05"/>`
+                : `<rect x="${start}" y="${layout.top}" width="${layout.band.step}" height="${layout.bottom - layout.top}" fill="#111827" fill-opacity="0.05"/>`;
+        }
+
+        const px = layout.xScale(hit.x);
+        return `
+            <line x1="${px}" x2="${px}" y1="${layout.top}" y2="${layout.bottom}" stroke="#9ca3af" stroke-dasharray="3,3"/>
+            ${hit.points.filter(entry => entry.point.y !== null && entry.point.y !== undefined).map(entry => `
+                <circle cx="${px}" cy="${layout.yScale(entry.point.y)}" r="4" fill="${entry.series.color}" stroke="#ffffff" stroke-width="2"/>
+            `).join('')}
+        `;
+    }
+
+    defaultTooltip(hit) {
+        const { x, y } = this.options;
+
+        if (this.options.type === 'heatmap') {
+            return `
+                <div class="chart-tooltip-title">${escapeXml(hit.row.label)}</div>
+                <div class="chart-tooltip-subtitle">${escapeXml(hit.column.label)}</div>
+                <div>${escapeXml(this.formatValue(y, hit.cell.value))}</div>
+            `;
+        }
+
+        const title = this.isCategorical
+            ? hit.category
+            : x.type === 'time' ? formatTimestamp(hit.x, this.layout.domain) : this.formatValue(x, hit.x);
+
+        return `
+            <div class="chart-tooltip-title">${escapeXml(String(title))}</div>
+            ${hit.points.map(({ series, point }) => `
+                <div class="chart-tooltip-row">
+                    <span class="chart-legend-swatch" style="background-color: ${point.color || series.color};"></span>
+                    ${this.series.length > 1 ? `<span>${escapeXml(series.name)}</span>` : ''}
+                    <strong>${point.y === null || point.y === undefined ? '-' : escapeXml(this.formatValue(y, point.y))}</strong>
+                </div>
+                ${point.detail ? `<div class="chart-tooltip-subtitle">${escapeXml(point.detail)}</div>` : ''}
+            `).join('')}
+        `;
+    }
+
+    handleClick(e) {
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+        if (!this.options.onClick) return;
+
+        const { px, py } = this.pointerPosition(e);
+        const hit = this.hitTest(px, py);
+        if (hit) {
+            this.clearHover();
+            this.options.onClick(hit);
+        }
+    }
+
+    handleMouseDown(e) {
+        // A brush released outside the chart never produced its click
+        this.suppressClick = false;
+        if (!this.isZoomable || e.button !== 0) return;
+
+        const { px } = this.pointerPosition(e);
+        if (px < this.layout.left || px > this.layout.right) return;
+
+        e.preventDefault();
+        this.drag = { start: px, end: px };
+        window.addEventListener('mousemove', this.handleDragMove);
+        window.addEventListener('mouseup', this.handleDragEnd);
+    }
+
+    updateDrag(e) {
+        if (!this.drag) return;
+
+        const { left, right, top, bottom } = this.layout;
+        this.drag.end = Math.max(left, Math.min(right, this.pointerPosition(e).px));
+
+        const from = Math.min(this.drag.start, this.drag.end);
+        const width = Math.abs(this.drag.end - this.drag.start);
+        this.tooltip.style.display = 'none';
+        this.overlay.innerHTML = `<rect x="${from}" y="${top}" width="${width}" height="${bottom - top}" fill="#3b82f6" fill-opacity="0.15" stroke="#3b82f6" stroke-opacity="0.5"/>`;
+    }
+
+    finishDrag() {
+        const drag = this.drag;
+        this.endDrag();
+        if (!drag) return;
+
+        if (Math.abs(drag.end - drag.start) < MIN_BRUSH_PX) {
+            this.clearHover();
+            return;
+        }
+
+        this.suppressClick = true;
+        const { xScale } = this.layout;
+        this.setDomain([
+            xScale.invert(Math.min(drag.start, drag.end)),
+            xScale.invert(Math.max(drag.start, drag.end))
+        ]);
+    }
+
+    endDrag() {
+        this.drag = null;
+        window.removeEventListener('mousemove', this.handleDragMove);
+        window.removeEventListener('mouseup', this.handleDragEnd);
+    }
+
+    /** Zooms a time/linear axis to [from, to], or back out with null. */
+    setDomain(domain) {
+        this.domain = domain;
+        this.render();
+        this.options.onZoom?.(domain);
+    }
+
+    // ---- Export -------------------------------------------------------------
+
+    /** Standalone SVG of the chart as drawn, with its title and visible series. */
+    toSVG() {
+        const { width, height } = this.layout;
+        const title = this.options.title || '';
+        const titleHeight = title ? 28 : 0;
+        const visible = this.options.type === 'heatmap' || this.series.length < 2 ? [] : this.visibleSeries;
+        const legendHeight = visible.length > 0 ? 24 : 0;
+        const totalHeight = height + titleHeight + legendHeight;
+
+        let legendX = 16;
+        const legend = visible.map(series => {
+            const item = `
+                <rect x="${legendX}" y="${titleHeight + height + 6}" width="12" height="12" rx="2" fill="${series.color}"/>
+                <text x="${legendX + 18}" y="${titleHeight + height + 16}" font-size="11" fill="${TEXT_COLOR}">${escapeXml(series.name)}</text>
+            `;
+            legendX += textWidth(series.name) + 40;
+            return item;
+        }).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}" font-family="${FONT_FAMILY}">
+            <rect width="100%" height="100%" fill="#ffffff"/>
+            ${title ? `<text x="16" y="20" font-size="14" font-weight="600" fill="#111827">${escapeXml(title)}</text>` : ''}
+            <g transform="translate(0, ${titleHeight})">${this.buildBody()}</g>
+            ${legend}
+        </svg>`;
+    }
+
+    exportSVG(filename = this.exportFilename('svg')) {
+        download(new Blob([this.toSVG()], { type: 'image/svg+xml;charset=utf-8' }), filename);
+    }
+
+    async exportPNG(filename = this.exportFilename('png')) {
+        const svg = this.toSVG();
+        const [, width, height] = svg.match(/width="([\d.]+)" height="([\d.]+)"/).map(Number);
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+
+        try {
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error('Failed to render chart image'));
+                image.src = url;
+            });
+
+            // Twice the size so the image stays sharp on high-density screens
+            const scale = 2;
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            download(blob, filename);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    exportFilename(extension) {
+        const name = (this.options.title || 'chart').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+        return `berberis-${name}-${timestamp}.${extension}`;
+    }
+
+    // ---- Formatting ---------------------------------------------------------
+
+    formatTick(axis, value) {
+        if (typeof value !== 'number') return String(value);
+        return axis.format ? axis.format(value) : formatValue(value);
+    }
+
+    formatValue(axis, value) {
+        if (typeof value !== 'number') return String(value);
+        const text = axis.format ? axis.format(value) : formatValue(value);
+        return withUnit(text, axis.unit);
+    }
+}
+
+export function createChart(container, options) {
+    return new Chart(container, options);
+}
+
+/**
+ * Charts for a screen that rebuilds its markup on every update. slot() returns a
+ * placeholder and queues the chart; mount() creates the queued charts once the
+ * placeholders are in the DOM. Zoom and legend toggles carry over between
+ * rebuilds for charts with the same key.
+ */
+export class ChartGroup {
+    constructor() {
+        this.charts = new Map();
+        this.states = new Map();
+        this.pending = [];
+    }
+
+    slot(key, options) {
+        this.pending.push({ key, options });
+        return `<div class="chart-slot" data-chart-key="${escapeXml(key)}"></div>`;
+    }
+
+    mount(root = document) {
+        this.pending.forEach(({ key, options }) => {
+            const element = root.querySelector(`[data-chart-key="${cssEscape(key)}"]`);
+            if (!element) return;
+
+            this.charts.get(key)?.destroy();
+            this.charts.set(key, new Chart(element, { ...options, ...this.states.get(key) }));
+        });
+        this.pending = [];
+    }
+
+    /** Destroys the mounted charts, remembering their state for the next mount(). */
+    reset() {
+        this.charts.forEach((chart, key) => {
+            this.states.set(key, chart.getState());
+            chart.destroy();
+        });
+        this.charts.clear();
+        this.pending = [];
+    }
+
+    destroy() {
+        this.reset();
+        this.states.clear();
+    }
+}
+
+// ---- Scales and ticks -------------------------------------------------------
+
+function linearScale([d0, d1], [r0, r1]) {
+    const span = d1 - d0 || 1;
+    const scale = (value) => r0 + ((value - d0) / span) * (r1 - r0);
+    scale.invert = (position) => d0 + ((position - r0) / (r1 - r0)) * span;
+    return scale;
+}
+
+function bandScale(count, [r0, r1], padding) {
+    const step = (r1 - r0) / Math.max(count, 1);
+    const bandwidth = step * (1 - padding);
+    return {
+        step,
+        bandwidth,
+        position: (index) => r0 + index * step + (step - bandwidth) / 2,
+        indexAt: (position) => Math.floor((position - r0) / step)
+    };
+}
+
+// Round steps of 1, 2 or 5 times a power of ten, with the domain widened to whole steps
+function niceTicks(min, max, count = 5, minStep = 0) {
+    if (min === max) {
+        max = min === 0 ? 1 : min + Math.abs(min) * 0.1;
+    }
+
+    const rawStep = (max - min) / count;
+    const power = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = Math.max(minStep, [1, 2, 5, 10].map(m => m * power).find(s => s >= rawStep));
+    const start = Math.floor(min / step) * step;
+    const end = Math.ceil(max / step) * step;
+
+    const ticks = [];
+    for (let value = start; value <= end + step / 2; value += step) {
+        ticks.push(parseFloat(value.toPrecision(12)));
+    }
+    return { ticks, domain: [start, end] };
+}
+
+// Ticks on whole local-time steps (every 5 minutes, every hour...)
+function timeTicks(from, to, count) {
+    const step = TIME_STEPS.find(s => (to - from) / s <= count) || TIME_STEPS[TIME_STEPS.length - 1];
+    const offset = new Date(from).getTimezoneOffset() * MINUTE;
+
+    const ticks = [];
+    for (let t = Math.ceil((from - offset) / step) * step + offset; t <= to; t += step) {
+        ticks.push(t);
+    }
+    return ticks;
+}
+
+// Path points per unbroken run; null values break the line
+function lineSegments(data, xScale, yScale) {
+    const segments = [];
+    let current = [];
+
+    data.forEach(point => {
+        if (point.y === null || point.y === undefined) {
+            if (current.length > 0) segments.push(current);
+            current = [];
+        } else {
+            current.push([xScale(point.x), yScale(point.y)]);
+        }
+    });
+    if (current.length > 0) segments.push(current);
+
+    // A lone point still shows as a dot-sized line
+    return segments.map(segment => segment.length === 1 ? [segment[0], [segment[0][0] + 0.5, segment[0][1]]] : segment);
+}
+
+// Binary search over data sorted by x
+function nearestPoint(data, x) {
+    if (data.length === 0) return null;
+
+    let low = 0;
+    let high = data.length - 1;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (data[mid].x < x) low = mid + 1; else high = mid;
+    }
+
+    const previous = data[low - 1];
+    return previous && Math.abs(previous.x - x) < Math.abs(data[low].x - x) ? previous : data[low];
+}
+
+// Counts per bin; values below the first edge are left out
+function histogram(values, edges, unit) {
+    return edges.map((from, i) => {
+        const to = edges[i + 1];
+        const label = to === undefined
+            ? `≥ ${withUnit(formatValue(from), unit)}`
+            : `${formatValue(from)}–${withUnit(formatValue(to), unit)}`;
+        return {
+            x: label,
+            y: values.filter(v => v >= from && (to === undefined || v < to)).length
+        };
+    });
+}
+
+function heatmapColor(intensity) {
+    return HEATMAP_COLORS[Math.min(HEATMAP_COLORS.length - 1, Math.floor(intensity * HEATMAP_COLORS.length))];
+}
+
+// ---- Formatting helpers -----------------------------------------------------
+
+function formatValue(value) {
+    const abs = Math.abs(value);
+    if (abs >= 1e9) return `${parseFloat((value / 1e9).toFixed(1))}G`;
+    if (abs >= 1e6) return `${parseFloat((value / 1e6).toFixed(1))}M`;
+    if (abs >= 1e3) return `${parseFloat((value / 1e3).toFixed(1))}K`;
+    if (Number.isInteger(value)) return String(value);
+    return String(parseFloat(value.toFixed(abs < 10 ? 2 : 1)));
+}
+
+function withUnit(text, unit) {
+    if (!unit) return text;
+    return unit === '%' ? `${text}%` : `${text} ${unit}`;
+}
+
+function axisTitle(axis) {
+    if (axis.label && axis.unit) return `${axis.label} (${axis.unit})`;
+    return axis.label || '';
+}
+
+function formatTimeTick(timestamp, step) {
+    const date = new Date(timestamp);
+    if (step >= DAY) return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    if (step < MINUTE) return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function formatTimestamp(timestamp, domain) {
+    const date = new Date(timestamp);
+    return domain[1] - domain[0] > DAY / 4
+        ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+        : date.toLocaleTimeString();
+}
+
+function textWidth(text) {
+    return String(text).length * CHAR_WIDTH;
+}
+
+function truncate(text, maxWidth) {
+    const value = String(text);
+    const maxChars = Math.max(1, Math.floor(maxWidth / CHAR_WIDTH));
+    return value.length > maxChars ? `${value.slice(0, Math.max(1, maxChars - 1))}…` : value;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Escapes for both SVG text/attributes and the HTML tooltip
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function cssEscape(value) {
+    return typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(value) : String(value).replace(/["\\]/g, '\\$&');
+}
+
+function download(blob, filename) {
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
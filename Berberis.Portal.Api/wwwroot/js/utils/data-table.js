@@ -0,0 +1,429 @@
+// Data Table Component - virtualized, keyed table for long live-updating lists
+//
+// Only the rows in view (plus a small overscan) are in the DOM. Rows are keyed, so
+// setRows() with fresh data updates the rendered rows in place and rewrites only the
+// cells whose HTML changed; scroll position and text selection survive live updates.
+// Columns can be resized, dragged to reorder and hidden; the layout is saved per
+// table id in the '<id>.columns' preferences section. Headers stay in view while scrolling.
+//
+// Options:
+//   id           key for the saved column layout; the screen name, so saved views include it
+//   columns      [{ id, label, width, render: (row) => html, sortable, hideable, align, cellStyle: (row) => css }]
+//                render must escape anything taken from the row; sortable and hideable default to true
+//   rowKey       (row) => unique key
+//   rowHeight    px, every row is the same height (default 40)
+//   sort         { column, direction } shown in the headers; the screen sorts the rows
+//   onSort       ({ column, direction }) => void, after a sortable header is clicked
+//   onRowClick   (row) => void; not called when the click ends a text selection or lands
+//                on a control inside the row (checkbox, button, link)
+//   emptyMessage shown when there are no rows
+
+import { preferences } from '../preferences.js';
+
+const DEFAULT_ROW_HEIGHT = 40;
+const DEFAULT_COLUMN_WIDTH = 140;
+const MIN_COLUMN_WIDTH = 60;
+const OVERSCAN_ROWS = 10;
+const LAYOUT_DEFAULTS = Object.freeze({ order: [], widths: {}, hidden: [] });
+
+export class DataTable {
+    constructor(container, options) {
+        this.container = container;
+        this.options = {
+            rowHeight: DEFAULT_ROW_HEIGHT,
+            emptyMessage: 'No rows',
+            onSort: () => {},
+            onRowClick: null,
+            ...options
+        };
+        this.sort = this.options.sort || { column: null, direction: 'asc' };
+        this.rows = [];
+        this.rendered = new Map(); // row key -> { tr, cells: string[] }
+        this.frame = null;
+        this.resize = null;
+        this.dragColumn = null;
+        this.suppressClick = false;
+        this.layout = this.loadLayout();
+
+        this.createElements();
+        this.renderHeader();
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.scheduleRender());
+            this.resizeObserver.observe(this.viewport);
+        }
+    }
+
+    /**
+     * Replaces the rows, already filtered and sorted, and updates the visible ones in place.
+     * emptyMessage, if given, replaces the one shown when there are no rows.
+     */
+    setRows(rows, { emptyMessage } = {}) {
+        this.rows = rows;
+        if (emptyMessage !== undefined) {
+            this.options.emptyMessage = emptyMessage;
+        }
+        this.renderRows();
+    }
+
+    setSort(sort) {
+        this.sort = sort;
+        this.updateSortIndicators();
+    }
+
+    destroy() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        this.endResize();
+        this.closeColumnMenu();
+        this.container.innerHTML = '';
+        this.rendered.clear();
+    }
+
+    createElements() {
+        this.container.innerHTML = `
+            <div class="data-table">
+                <div class="data-table-toolbar">
+                    <button type="button" class="btn btn-secondary data-table-columns-button">Columns</button>
+                </div>
+                <div class="data-table-viewport">
+                    <table>
+                        <colgroup></colgroup>
+                        <thead><tr></tr></thead>
+                        <tbody>
+                            <tr class="data-table-spacer top"><td></td></tr>
+                            <tr class="data-table-spacer bottom"><td></td></tr>
+                        </tbody>
+                    </table>
+                    <div class="data-table-empty"></div>
+                </div>
+            </div>
+        `;
+
+        this.root = this.container.querySelector('.data-table');
+        this.viewport = this.container.querySelector('.data-table-viewport');
+        this.table = this.viewport.querySelector('table');
+        this.colgroup = this.table.querySelector('colgroup');
+        this.headerRow = this.table.querySelector('thead tr');
+        this.body = this.table.querySelector('tbody');
+        this.topSpacer = this.body.querySelector('.data-table-spacer.top');
+        this.bottomSpacer = this.body.querySelector('.data-table-spacer.bottom');
+        this.emptyMessage = this.viewport.querySelector('.data-table-empty');
+
+        this.viewport.addEventListener('scroll', () => this.scheduleRender());
+        this.body.addEventListener('click', (e) => this.handleRowClick(e));
+        this.root.querySelector('.data-table-columns-button').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleColumnMenu();
+        });
+    }
+
+    // Saved order first, then any columns added since it was saved
+    orderedColumnIds() {
+        const ids = this.options.columns.map(c => c.id);
+        return this.layout.order
+            .filter(id => ids.includes(id))
+            .concat(ids.filter(id => !this.layout.order.includes(id)));
+    }
+
+    // Columns in display order, without hidden ones
+    visibleColumns() {
+        const byId = new Map(this.options.columns.map(c => [c.id, c]));
+        return this.orderedColumnIds().map(id => byId.get(id)).filter(c => !this.layout.hidden.includes(c.id));
+    }
+
+    columnWidth(column) {
+        return this.layout.widths[column.id] || column.width || DEFAULT_COLUMN_WIDTH;
+    }
+
+    // Rebuilds headers and column widths; rendered rows are dropped since their cells change
+    renderHeader() {
+        const columns = this.visibleColumns();
+
+        this.colgroup.innerHTML = columns.map(c => `<col style="width: ${this.columnWidth(c)}px;">`).join('');
+        this.table.style.width = `${columns.reduce((sum, c) => sum + this.columnWidth(c), 0)}px`;
+        this.headerRow.innerHTML = columns.map(column => `
+            <th data-column="${column.id}" draggable="true" class="${column.sortable === false ? '' : 'sortable'}"
+                style="${column.align ? `text-align: ${column.align};` : ''}">
+                <span class="data-table-header-label">${escapeHtml(column.label)}</span><span class="data-table-sort"></span>
+                <span class="data-table-resize-handle" title="Drag to resize"></span>
+            </th>
+        `).join('');
+        this.topSpacer.firstElementChild.colSpan = columns.length;
+        this.bottomSpacer.firstElementChild.colSpan = columns.length;
+
+        this.headerRow.querySelectorAll('th').forEach(th => this.setupHeader(th, columns.find(c => c.id === th.dataset.column)));
+        this.updateSortIndicators();
+
+        this.rendered.forEach(({ tr }) => tr.remove());
+        this.rendered.clear();
+        this.renderRows();
+    }
+
+    setupHeader(th, column) {
+        th.addEventListener('click', (e) => {
+            if (column.sortable === false || this.suppressClick || e.target.classList.contains('data-table-resize-handle')) return;
+            const direction = this.sort.column === column.id && this.sort.direction === 'asc' ? 'desc' : 'asc';
+            this.setSort({ column: column.id, direction });
+            this.options.onSort(this.sort);
+        });
+
+        th.querySelector('.data-table-resize-handle').addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.startResize(column, th, e.clientX);
+        });
+
+        // Reordering: drop a header onto another to move it there
+        th.addEventListener('dragstart', (e) => {
+            if (this.resize) {
+                e.preventDefault();
+                return;
+            }
+            this.dragColumn = column.id;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', column.id);
+        });
+        th.addEventListener('dragover', (e) => {
+            if (!this.dragColumn || this.dragColumn === column.id) return;
+            e.preventDefault();
+            th.classList.add('drop-target');
+        });
+        th.addEventListener('dragleave', () => th.classList.remove('drop-target'));
+        th.addEventListener('drop', (e) => {
+            e.preventDefault();
+            th.classList.remove('drop-target');
+            this.moveColumn(this.dragColumn, column.id);
+        });
+        th.addEventListener('dragend', () => {
+            this.dragColumn = null;
+        });
+    }
+
+    updateSortIndicators() {
+        this.headerRow.querySelectorAll('th').forEach(th => {
+            const sorted = th.dataset.column === this.sort.column;
+            th.querySelector('.data-table-sort').textContent = sorted ? (this.sort.direction === 'asc' ? ' ↑' : ' ↓') : '';
+        });
+    }
+
+    startResize(column, th, startX) {
+        const index = [...this.headerRow.children].indexOf(th);
+        this.resize = {
+            column,
+            col: this.colgroup.children[index],
+            startX,
+            startWidth: this.columnWidth(column),
+            onMove: (e) => {
+                const width = Math.max(MIN_COLUMN_WIDTH, Math.round(this.resize.startWidth + e.clientX - this.resize.startX));
+                this.layout.widths[column.id] = width;
+                this.resize.col.style.width = `${width}px`;
+                this.table.style.width = `${this.visibleColumns().reduce((sum, c) => sum + this.columnWidth(c), 0)}px`;
+            },
+            onUp: () => {
+                this.endResize();
+                this.saveLayout();
+                // Releasing over a header would otherwise count as a click and sort it
+                this.suppressClick = true;
+                setTimeout(() => {
+                    this.suppressClick = false;
+                });
+            }
+        };
+        document.addEventListener('mousemove', this.resize.onMove);
+        document.addEventListener('mouseup', this.resize.onUp);
+        this.root.classList.add('resizing');
+    }
+
+    endResize() {
+        if (!this.resize) return;
+        document.removeEventListener('mousemove', this.resize.onMove);
+        document.removeEventListener('mouseup', this.resize.onUp);
+        this.root.classList.remove('resizing');
+        this.resize = null;
+    }
+
+    moveColumn(columnId, targetId) {
+        if (!columnId || columnId === targetId) return;
+
+        // Dragging right drops after the target, dragging left before it
+        const current = this.orderedColumnIds();
+        const from = current.indexOf(columnId);
+        current.splice(from, 1);
+        const target = current.indexOf(targetId);
+        current.splice(from <= target ? target + 1 : target, 0, columnId);
+
+        this.layout.order = current;
+        this.saveLayout();
+        this.renderHeader();
+    }
+
+    toggleColumnMenu() {
+        if (this.columnMenu) {
+            this.closeColumnMenu();
+            return;
+        }
+
+        this.columnMenu = document.createElement('div');
+        this.columnMenu.className = 'data-table-column-menu';
+        this.columnMenu.innerHTML = `
+            ${this.options.columns.map(column => `
+                <label>
+                    <input type="checkbox" data-column="${column.id}"
+                        ${this.layout.hidden.includes(column.id) ? '' : 'checked'}
+                        ${column.hideable === false ? 'disabled' : ''}>
+                    ${escapeHtml(column.label)}
+                </label>
+            `).join('')}
+            <button type="button" class="btn btn-secondary data-table-reset-layout">Reset columns</button>
+        `;
+        this.root.querySelector('.data-table-toolbar').appendChild(this.columnMenu);
+
+        this.columnMenu.addEventListener('click', (e) => e.stopPropagation());
+        this.columnMenu.querySelectorAll('input[data-column]').forEach(input => {
+            input.addEventListener('change', () => {
+                const hidden = new Set(this.layout.hidden);
+                if (input.checked) {
+                    hidden.delete(input.dataset.column);
+                } else {
+                    hidden.add(input.dataset.column);
+                }
+                this.layout.hidden = [...hidden];
+                this.saveLayout();
+                this.renderHeader();
+            });
+        });
+        this.columnMenu.querySelector('.data-table-reset-layout').addEventListener('click', () => {
+            this.layout = { order: [], widths: {}, hidden: [] };
+            this.saveLayout();
+            this.closeColumnMenu();
+            this.renderHeader();
+        });
+
+        this.closeMenuOnOutsideClick = () => this.closeColumnMenu();
+        document.addEventListener('click', this.closeMenuOnOutsideClick);
+    }
+
+    closeColumnMenu() {
+        if (!this.columnMenu) return;
+        this.columnMenu.remove();
+        this.columnMenu = null;
+        document.removeEventListener('click', this.closeMenuOnOutsideClick);
+    }
+
+    scheduleRender() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.renderRows();
+        });
+    }
+
+    // Renders the rows in view: reuses rows by key, rewrites changed cells only,
+    // and keeps the scroll height with spacer rows above and below
+    renderRows() {
+        const { rowHeight } = this.options;
+        const columns = this.visibleColumns();
+
+        this.emptyMessage.textContent = this.rows.length === 0 ? this.options.emptyMessage : '';
+        this.emptyMessage.style.display = this.rows.length === 0 ? '' : 'none';
+
+        const viewportHeight = this.viewport.clientHeight || rowHeight * 20;
+        const first = Math.max(0, Math.floor(this.viewport.scrollTop / rowHeight) - OVERSCAN_ROWS);
+        const last = Math.min(this.rows.length, Math.ceil((this.viewport.scrollTop + viewportHeight) / rowHeight) + OVERSCAN_ROWS);
+
+        this.topSpacer.firstElementChild.style.height = `${first * rowHeight}px`;
+        this.bottomSpacer.firstElementChild.style.height = `${(this.rows.length - last) * rowHeight}px`;
+
+        const keep = new Set();
+        let previous = this.topSpacer;
+        for (let index = first; index < last; index++) {
+            const row = this.rows[index];
+            let key = String(this.options.rowKey(row));
+            if (keep.has(key)) {
+                key = `${key}#${index}`; // duplicate keys still get a row each
+            }
+            keep.add(key);
+
+            let entry = this.rendered.get(key);
+            if (!entry) {
+                const tr = document.createElement('tr');
+                tr.style.height = `${rowHeight}px`;
+                tr.innerHTML = columns.map(() => '<td></td>').join('');
+                entry = { tr, cells: [] };
+                this.rendered.set(key, entry);
+            }
+
+            entry.tr.dataset.index = index;
+            columns.forEach((column, i) => {
+                const html = column.render(row);
+                if (entry.cells[i] !== html) {
+                    const td = entry.tr.children[i];
+                    td.innerHTML = html;
+                    td.style.cssText = `${column.align ? `text-align: ${column.align};` : ''}${column.cellStyle ? column.cellStyle(row) : ''}`;
+                    entry.cells[i] = html;
+                }
+            });
+
+            // Move the row only when it isn't already in place
+            if (previous.nextSibling !== entry.tr) {
+                previous.after(entry.tr);
+            }
+            previous = entry.tr;
+        }
+
+        this.rendered.forEach((entry, key) => {
+            if (!keep.has(key)) {
+                entry.tr.remove();
+                this.rendered.delete(key);
+            }
+        });
+    }
+
+    handleRowClick(e) {
+        if (!this.options.onRowClick) return;
+
+        const tr = e.target.closest('tr');
+        if (!tr || tr.dataset.index === undefined) return;
+        if (e.target.closest('input, button, a, select, label')) return;
+
+        // Let the user select text without navigating away
+        const selection = window.getSelection();
+        if (selection && selection.toString()) return;
+
+        const row = this.rows[parseInt(tr.dataset.index)];
+        if (row) {
+            this.options.onRowClick(row);
+        }
+    }
+
+    loadLayout() {
+        const saved = preferences.get(`${this.options.id}.columns`, LAYOUT_DEFAULTS);
+        return {
+            order: Array.isArray(saved.order) ? [...saved.order] : [],
+            widths: saved.widths && !Array.isArray(saved.widths) ? { ...saved.widths } : {},
+            hidden: Array.isArray(saved.hidden) ? [...saved.hidden] : []
+        };
+    }
+
+    saveLayout() {
+        // Copies, since the layout is changed in place and the section must not share it
+        preferences.set(`${this.options.id}.columns`, {
+            order: [...this.layout.order],
+            widths: { ...this.layout.widths },
+            hidden: [...this.layout.hidden]
+        });
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,300 @@
+// Filter Query - Small query language for filtering list rows
+//
+//   queueDepth > 1k and (p99Latency >= 50ms or timeoutCount > 0)
+//   channel = risk.* and not isWildcard
+//   backpressure = FailSubscription
+//   orders                                  (bare words search the text fields)
+//
+// Operators: > >= < <= = != on numbers and durations; = != and ~ (contains) on text,
+// where = accepts * wildcards; = != on flags, or just the flag name for "is true".
+// Numbers take k/m suffixes; durations take us, ms, s or m (ms when omitted).
+// Keywords and field names are case-insensitive; text values compare case-insensitively.
+//
+// Fields are described by a schema, so the language isn't tied to one list:
+//   { queueDepth: { type: 'number', label: 'Queue depth', get: (row) => row.queueDepth, aliases: ['queue'] } }
+// Types: 'number', 'duration' (milliseconds), 'text', 'flag'. Text fields with
+// `search: true` are the ones bare words are matched against.
+
+export const OPERATORS = {
+    number: ['>', '>=', '<', '<=', '=', '!='],
+    duration: ['>', '>=', '<', '<=', '=', '!='],
+    text: ['=', '!=', '~'],
+    flag: ['=', '!=']
+};
+
+const KEYWORDS = { and: 'and', '&&': 'and', or: 'or', '||': 'or', not: 'not', '!': 'not' };
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6 };
+const DURATION_UNITS = { us: 0.001, 'µs': 0.001, ms: 1, s: 1000, m: 60000 };
+
+export class FilterQueryError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} position - offset into the query where the problem starts
+     */
+    constructor(message, position) {
+        super(message);
+        this.name = 'FilterQueryError';
+        this.position = position;
+    }
+}
+
+/**
+ * Parses a query into a tree of
+ *   { type: 'and' | 'or', items: [node] }, { type: 'not', item: node },
+ *   { type: 'compare', field, op, value, raw }, { type: 'flag', field }, { type: 'text', value }
+ * where field is the schema key and value is already converted to the field's type.
+ * An empty query parses to null. Throws FilterQueryError.
+ */
+export function parseQuery(text, fields) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return null;
+
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const keyword = (token) => token && token.type === 'word' && !token.quoted ? KEYWORDS[token.value.toLowerCase()] : undefined;
+
+    function parseOr() {
+        const items = [parseAnd()];
+        while (keyword(peek()) === 'or') {
+            next();
+            items.push(parseAnd());
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    }
+
+    // Terms side by side are ANDed, so "and" is optional
+    function parseAnd() {
+        const items = [parseUnary()];
+        while (peek() && peek().type !== ')' && keyword(peek()) !== 'or') {
+            if (keyword(peek()) === 'and') next();
+            items.push(parseUnary());
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    }
+
+    function parseUnary() {
+        if (keyword(peek()) === 'not') {
+            next();
+            return { type: 'not', item: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = next();
+        if (!token) {
+            throw new FilterQueryError('Query ends unexpectedly', text.length);
+        }
+
+        if (token.type === '(') {
+            const node = parseOr();
+            const close = next();
+            if (!close || close.type !== ')') {
+                throw new FilterQueryError('Missing closing parenthesis', close ? close.position : text.length);
+            }
+            return node;
+        }
+
+        if (token.type !== 'word' || keyword(token)) {
+            throw new FilterQueryError(`Unexpected '${token.value}'`, token.position);
+        }
+
+        const fieldKey = token.quoted ? null : resolveField(token.value, fields);
+        if (peek() && peek().type === 'op') {
+            const op = next();
+            if (!fieldKey) {
+                throw new FilterQueryError(`Unknown field '${token.value}'`, token.position);
+            }
+
+            const field = fields[fieldKey];
+            if (!OPERATORS[field.type].includes(op.value)) {
+                throw new FilterQueryError(`'${op.value}' can't be used with ${fieldKey}; use ${OPERATORS[field.type].join(' ')}`, op.position);
+            }
+
+            const valueToken = next();
+            if (!valueToken || valueToken.type !== 'word') {
+                throw new FilterQueryError(`Expected a value after '${op.value}'`, valueToken ? valueToken.position : text.length);
+            }
+
+            return { type: 'compare', field: fieldKey, op: op.value, value: convertValue(field, op.value, valueToken, fieldKey), raw: valueToken.value };
+        }
+
+        if (fieldKey && fields[fieldKey].type === 'flag') {
+            return { type: 'flag', field: fieldKey };
+        }
+
+        return { type: 'text', value: token.value };
+    }
+
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw new FilterQueryError(`Unexpected '${tokens[index].value}'`, tokens[index].position);
+    }
+    return tree;
+}
+
+/**
+ * Compiles a query into a row predicate; an empty query matches everything.
+ * Throws FilterQueryError.
+ */
+export function compileQuery(text, fields) {
+    const tree = parseQuery(text, fields);
+    return tree ? (row) => evaluate(tree, row, fields) : () => true;
+}
+
+export function evaluate(node, row, fields) {
+    switch (node.type) {
+        case 'and':
+            return node.items.every(item => evaluate(item, row, fields));
+        case 'or':
+            return node.items.some(item => evaluate(item, row, fields));
+        case 'not':
+            return !evaluate(node.item, row, fields);
+        case 'flag':
+            return !!fields[node.field].get(row);
+        case 'text': {
+            const needle = node.value.toLowerCase();
+            return Object.values(fields)
+                .filter(field => field.search)
+                .some(field => String(field.get(row) ?? '').toLowerCase().includes(needle));
+        }
+        case 'compare':
+            return compare(fields[node.field], node.op, node.value, row);
+        default:
+            return false;
+    }
+}
+
+/** Writes a tree back out as query text that parses to the same tree. */
+export function formatQuery(node) {
+    if (!node) return '';
+
+    switch (node.type) {
+        case 'and':
+        case 'or':
+            return node.items
+                .map(item => (item.type === 'and' || item.type === 'or') ? `(${formatQuery(item)})` : formatQuery(item))
+                .join(` ${node.type} `);
+        case 'not':
+            return `not ${['and', 'or'].includes(node.item.type) ? `(${formatQuery(node.item)})` : formatQuery(node.item)}`;
+        case 'flag':
+            return node.field;
+        case 'text':
+            return quoteIfNeeded(node.value);
+        case 'compare':
+            return `${node.field} ${node.op} ${quoteIfNeeded(node.raw)}`;
+        default:
+            return '';
+    }
+}
+
+function compare(field, op, expected, row) {
+    const actual = field.get(row);
+
+    if (field.type === 'text') {
+        const text = String(actual ?? '').toLowerCase();
+        if (op === '~') return text.includes(expected);
+        const matches = expected instanceof RegExp ? expected.test(text) : text === expected;
+        return op === '=' ? matches : !matches;
+    }
+
+    if (field.type === 'flag') {
+        return op === '=' ? !!actual === expected : !!actual !== expected;
+    }
+
+    if (actual === null || actual === undefined || isNaN(actual)) return false;
+    switch (op) {
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '=': return actual === expected;
+        case '!=': return actual !== expected;
+        default: return false;
+    }
+}
+
+function convertValue(field, op, token, fieldKey) {
+    const raw = token.value;
+
+    if (field.type === 'text') {
+        const lower = raw.toLowerCase();
+        if (op === '~' || !lower.includes('*')) return lower;
+        const pattern = lower.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${pattern}$`);
+    }
+
+    if (field.type === 'flag') {
+        const lower = raw.toLowerCase();
+        if (['true', 'yes', '1'].includes(lower)) return true;
+        if (['false', 'no', '0'].includes(lower)) return false;
+        throw new FilterQueryError(`${fieldKey} is true or false, not '${raw}'`, token.position);
+    }
+
+    if (field.type === 'duration') {
+        const match = /^(-?\d+(?:\.\d+)?)(us|µs|ms|s|m)?$/i.exec(raw);
+        if (!match) {
+            throw new FilterQueryError(`${fieldKey} needs a duration such as 50ms or 1.5s, not '${raw}'`, token.position);
+        }
+        return parseFloat(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()];
+    }
+
+    const match = /^(-?\d+(?:\.\d+)?)([km])?$/i.exec(raw);
+    if (!match) {
+        throw new FilterQueryError(`${fieldKey} needs a number such as 1000 or 1k, not '${raw}'`, token.position);
+    }
+    return parseFloat(match[1]) * (match[2] ? NUMBER_SUFFIXES[match[2].toLowerCase()] : 1);
+}
+
+function resolveField(name, fields) {
+    const lower = name.toLowerCase();
+    return Object.keys(fields).find(key =>
+        key.toLowerCase() === lower || (fields[key].aliases || []).some(alias => alias.toLowerCase() === lower)) || null;
+}
+
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, value: char, position: i });
+            i++;
+        } else if (char === '"' || char === "'") {
+            const end = text.indexOf(char, i + 1);
+            if (end === -1) {
+                throw new FilterQueryError('Unclosed quote', i);
+            }
+            tokens.push({ type: 'word', value: text.slice(i + 1, end), quoted: true, position: i });
+            i = end + 1;
+        } else if (text.startsWith('&&', i) || text.startsWith('||', i)) {
+            tokens.push({ type: 'word', value: text.slice(i, i + 2), position: i });
+            i += 2;
+        } else if (/[<>=!~]/.test(char)) {
+            const op = ['>=', '<=', '!=', '=='].find(candidate => text.startsWith(candidate, i)) || char;
+            // A lone "!" is "not"
+            tokens.push(op === '!' ? { type: 'word', value: '!', position: i } : { type: 'op', value: op === '==' ? '=' : op, position: i });
+            i += op.length;
+        } else {
+            const start = i;
+            while (i < text.length && !/[\s()"'<>=!~]/.test(text[i]) && !text.startsWith('&&', i) && !text.startsWith('||', i)) {
+                i++;
+            }
+            tokens.push({ type: 'word', value: text.slice(start, i), position: start });
+        }
+    }
+
+    return tokens;
+}
+
+function quoteIfNeeded(value) {
+    const text = String(value);
+    return text === '' || /[\s()"'<>=!~]|&&|\|\|/.test(text) || KEYWORDS[text.toLowerCase()]
+        ? (text.includes('"') ? `'${text}'` : `"${text}"`)
+        : text;
+}
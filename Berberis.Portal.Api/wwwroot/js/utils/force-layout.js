@@ -0,0 +1,109 @@
+// Force Layout - Small force-directed layout for the topology graph
+//
+// Fruchterman-Reingold: every pair of nodes repels, links pull their ends
+// together, and each node is drawn towards the column its kind belongs to so
+// the graph reads left to right (publishers, channels, subscriptions). Runs a
+// fixed number of iterations synchronously; fine for the few hundred nodes a
+// CrossBar instance has.
+
+const COLUMN_GRAVITY = 0.08;
+const CENTER_GRAVITY = 0.01;
+
+/**
+ * Positions nodes in place.
+ * @param {{ id: string, column: number, x?: number, y?: number, pinned?: boolean }[]} nodes
+ *   column is 0..columns-1; nodes that already have x/y start there, pinned ones never move
+ * @param {{ source: string, target: string }[]} links
+ * @param {{ width: number, height: number, columns?: number, iterations?: number }} options
+ */
+export function forceLayout(nodes, links, { width, height, columns = 3, iterations = 300 } = {}) {
+    if (nodes.length === 0) return;
+
+    const padding = 40;
+    const columnX = (column) => padding + (width - 2 * padding) * (columns === 1 ? 0.5 : column / (columns - 1));
+    const ideal = Math.sqrt((width * height) / nodes.length) * 0.6;
+    const byId = new Map(nodes.map(n => [n.id, n]));
+
+    nodes.forEach(node => {
+        if (typeof node.x !== 'number' || typeof node.y !== 'number') {
+            // Seeded from the id so the same graph lays out the same way each time
+            const seed = hash(node.id);
+            node.x = columnX(node.column) + ((seed % 41) - 20);
+            node.y = padding + ((seed >>> 8) % 1000) / 1000 * (height - 2 * padding);
+        }
+    });
+
+    const edges = links
+        .map(link => [byId.get(link.source), byId.get(link.target)])
+        .filter(([source, target]) => source && target && source !== target);
+
+    let temperature = width / 10;
+    const cooling = temperature / (iterations + 1);
+
+    for (let i = 0; i < iterations; i++) {
+        const dx = new Float64Array(nodes.length);
+        const dy = new Float64Array(nodes.length);
+        const index = new Map(nodes.map((n, j) => [n, j]));
+
+        for (let a = 0; a < nodes.length; a++) {
+            for (let b = a + 1; b < nodes.length; b++) {
+                let x = nodes[a].x - nodes[b].x;
+                let y = nodes[a].y - nodes[b].y;
+                let distance = Math.sqrt(x * x + y * y);
+                if (distance < 0.01) {
+                    // Coincident nodes: nudge them apart deterministically
+                    x = 0.01 * (a - b);
+                    y = 0.01;
+                    distance = Math.sqrt(x * x + y * y);
+                }
+                const force = (ideal * ideal) / distance;
+                dx[a] += (x / distance) * force;
+                dy[a] += (y / distance) * force;
+                dx[b] -= (x / distance) * force;
+                dy[b] -= (y / distance) * force;
+            }
+        }
+
+        edges.forEach(([source, target]) => {
+            const x = source.x - target.x;
+            const y = source.y - target.y;
+            const distance = Math.max(Math.sqrt(x * x + y * y), 0.01);
+            const force = (distance * distance) / ideal;
+            const s = index.get(source);
+            const t = index.get(target);
+            dx[s] -= (x / distance) * force;
+            dy[s] -= (y / distance) * force;
+            dx[t] += (x / distance) * force;
+            dy[t] += (y / distance) * force;
+        });
+
+        nodes.forEach((node, j) => {
+            if (node.pinned) return;
+
+            dx[j] += (columnX(node.column) - node.x) * COLUMN_GRAVITY * ideal;
+            dy[j] += (height / 2 - node.y) * CENTER_GRAVITY * ideal;
+
+            const displacement = Math.sqrt(dx[j] * dx[j] + dy[j] * dy[j]);
+            if (displacement > 0) {
+                const step = Math.min(displacement, temperature);
+                node.x += (dx[j] / displacement) * step;
+                node.y += (dy[j] / displacement) * step;
+            }
+
+            node.x = Math.min(width - padding, Math.max(padding, node.x));
+            node.y = Math.min(height - padding, Math.max(padding, node.y));
+        });
+
+        temperature -= cooling;
+    }
+}
+
+// FNV-1a
+function hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
@@ -1,5 +1,12 @@
 // Simple SVG Sparkline Component
 // Minimal, lightweight, no dependencies
+//
+// Points are bare numbers (evenly spaced) or { t, v } with t a timestamp, in which
+// case x follows time and a pause between samples breaks the line. Hovering a
+// point shows its value and time; the readout is an SVG <title>, so the
+// returned markup works anywhere a string of HTML does.
+
+const GAP_FACTOR = 2.5; // a gap is this many times the usual spacing between samples
 
 export function createSparkline(dataPoints, options = {}) {
     const {
@@ -10,7 +17,13 @@ export function createSparkline(dataPoints, options = {}) {
         fillColor = 'rgba(96, 165, 250, 0.1)',
         showDots = false,
         dotRadius = 2,
-        dotColor = '#3b82f6'
+        dotColor = '#3b82f6',
+        domain = [null, null], // fixed [min, max]; null ends follow the data
+        thresholds = [], // [{ value, label, color, direction: 'above' | 'below' }]
+        markers = [], // any of 'min', 'max', 'last'
+        maxGapMs = null, // break the line when samples are further apart; defaults from the data
+        formatValue = defaultFormatValue,
+        formatTime = defaultFormatTime
     } = options;
 
     // Handle empty or invalid data
@@ -19,100 +32,190 @@ export function createSparkline(dataPoints, options = {}) {
     }
 
     // Filter out null/undefined values
-    const validPoints = dataPoints.filter(p => p !== null && p !== undefined && !isNaN(p));
+    const validPoints = normalizePoints(dataPoints);
     if (validPoints.length === 0) {
         return `<svg width="${width}" height="${height}" class="sparkline"><line x1="0" y1="${height/2}" x2="${width}" y2="${height/2}" stroke="#444" stroke-width="1" stroke-dasharray="2,2"/></svg>`;
     }
 
-    // Calculate min/max for scaling
-    const min = Math.min(...validPoints);
-    const max = Math.max(...validPoints);
-    const range = max - min;
-
-    // If all values are the same, draw a horizontal line
-    if (range === 0) {
-        return `<svg width="${width}" height="${height}" class="sparkline">
-            <line x1="0" y1="${height/2}" x2="${width}" y2="${height/2}" stroke="${strokeColor}" stroke-width="${strokeWidth}"/>
-        </svg>`;
+    // Calculate min/max for scaling; thresholds are always in view
+    const values = validPoints.map(p => p.v);
+    const dataMin = Math.min(...values);
+    const dataMax = Math.max(...values);
+    let min = domain[0] ?? Math.min(dataMin, ...thresholds.map(th => th.value));
+    let max = domain[1] ?? Math.max(dataMax, ...thresholds.map(th => th.value));
+
+    // If all values are the same, centre them rather than dividing by zero
+    if (max === min) {
+        const padding = Math.abs(max) * 0.1 || 1;
+        min -= padding;
+        max += padding;
     }
+    const range = max - min;
 
     // Scale function: maps data value to Y coordinate (inverted because SVG Y goes down)
     const scaleY = (value) => {
-        const normalized = (value - min) / range;
+        const normalized = (Math.min(Math.max(value, min), max) - min) / range;
         return height - (normalized * height * 0.8) - (height * 0.1); // Leave 10% padding top/bottom
     };
 
-    // Scale function: maps index to X coordinate
-    const scaleX = (index) => {
-        return (index / (validPoints.length - 1)) * width;
-    };
-
-    // Build SVG path
-    let pathData = '';
-    validPoints.forEach((value, i) => {
-        const x = scaleX(i);
-        const y = scaleY(value);
-        if (i === 0) {
-            pathData += `M ${x},${y}`;
-        } else {
-            pathData += ` L ${x},${y}`;
-        }
-    });
-
-    // Build filled area path
-    const firstX = scaleX(0);
-    const lastX = scaleX(validPoints.length - 1);
-    const areaPath = `${pathData} L ${lastX},${height} L ${firstX},${height} Z`;
+    // Scale function: maps time (or index) to X coordinate
+    const first = validPoints[0].t;
+    const span = validPoints[validPoints.length - 1].t - first;
+    const scaleX = (t) => span > 0 ? ((t - first) / span) * width : width / 2;
+
+    const segments = splitAtGaps(validPoints, maxGapMs);
+
+    // Build SVG paths, one per unbroken run
+    const pathData = segments
+        .map(segment => segment.map((p, i) => `${i === 0 ? 'M' : 'L'} ${scaleX(p.t)},${scaleY(p.v)}`).join(' '))
+        .join(' ');
+
+    // Build filled area paths
+    const areaPath = segments
+        .filter(segment => segment.length > 1)
+        .map(segment => {
+            const line = segment.map((p, i) => `${i === 0 ? 'M' : 'L'} ${scaleX(p.t)},${scaleY(p.v)}`).join(' ');
+            return `${line} L ${scaleX(segment[segment.length - 1].t)},${height} L ${scaleX(segment[0].t)},${height} Z`;
+        })
+        .join(' ');
+
+    // Samples with no neighbour on either side would be invisible as a path
+    const isolatedHtml = segments
+        .filter(segment => segment.length === 1)
+        .map(([p]) => `<circle cx="${scaleX(p.t)}" cy="${scaleY(p.v)}" r="${strokeWidth}" fill="${strokeColor}"/>`)
+        .join('');
+
+    const thresholdsHtml = thresholds.map(th => {
+        const color = th.color || '#ef4444';
+        const y = scaleY(th.value);
+        const bandY = th.direction === 'below' ? y : 0;
+        const bandHeight = th.direction === 'below' ? height - y : y;
+        return `
+            <rect x="0" y="${bandY}" width="${width}" height="${bandHeight}" fill="${color}" opacity="0.06"/>
+            <line x1="0" y1="${y}" x2="${width}" y2="${y}" stroke="${color}" stroke-width="1" stroke-dasharray="3,2" opacity="0.7">
+                <title>${escapeXml(th.label || `Threshold ${formatValue(th.value)}`)}</title>
+            </line>
+        `;
+    }).join('');
 
     // Build dots SVG
     let dotsHtml = '';
     if (showDots) {
-        dotsHtml = validPoints.map((value, i) => {
-            const x = scaleX(i);
-            const y = scaleY(value);
-            return `<circle cx="${x}" cy="${y}" r="${dotRadius}" fill="${dotColor}"/>`;
+        dotsHtml = validPoints.map(p => {
+            return `<circle cx="${scaleX(p.t)}" cy="${scaleY(p.v)}" r="${dotRadius}" fill="${dotColor}"/>`;
         }).join('');
     }
 
+    const markersHtml = renderMarkers(validPoints, markers, { scaleX, scaleY, strokeColor, formatValue, formatTime });
+
+    // One hover strip per point, reaching halfway to each neighbour
+    const hoverHtml = validPoints.map((p, i) => {
+        const x = scaleX(p.t);
+        const left = i === 0 ? 0 : (scaleX(validPoints[i - 1].t) + x) / 2;
+        const right = i === validPoints.length - 1 ? width : (x + scaleX(validPoints[i + 1].t)) / 2;
+        return `
+            <g class="sparkline-hover">
+                <rect x="${left}" y="0" width="${Math.max(right - left, 0)}" height="${height}" fill="transparent"/>
+                <line class="sparkline-cursor" x1="${x}" y1="0" x2="${x}" y2="${height}" stroke="#9ca3af" stroke-width="1"/>
+                <circle class="sparkline-cursor" cx="${x}" cy="${scaleY(p.v)}" r="${Math.max(dotRadius, 2.5)}" fill="${strokeColor}"/>
+                <title>${escapeXml(readout(p, formatValue, formatTime))}</title>
+            </g>
+        `;
+    }).join('');
+
     return `
         <svg width="${width}" height="${height}" class="sparkline" viewBox="0 0 ${width} ${height}">
-            <path d="${areaPath}" fill="${fillColor}" opacity="0.3"/>
+            ${thresholdsHtml}
+            ${areaPath ? `<path d="${areaPath}" fill="${fillColor}" opacity="0.3"/>` : ''}
             <path d="${pathData}" fill="none" stroke="${strokeColor}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round"/>
+            ${isolatedHtml}
             ${dotsHtml}
+            ${markersHtml}
+            ${hoverHtml}
         </svg>
     `.trim();
 }
 
-// History tracker - keeps last N data points for sparklines
-export class MetricsHistory {
-    constructor(maxPoints = 20) {
-        this.maxPoints = maxPoints;
-        this.history = new Map();
-    }
-
-    add(key, value) {
-        if (!this.history.has(key)) {
-            this.history.set(key, []);
-        }
+// Numbers become { t: index, v }; { t, v } points keep their timestamps (ms, Date or ISO string)
+function normalizePoints(dataPoints) {
+    return dataPoints
+        .map((p, i) => {
+            if (p !== null && typeof p === 'object') {
+                return { t: toTimestamp(p.t), v: p.v, timed: true };
+            }
+            return { t: i, v: p, timed: false };
+        })
+        .filter(p => p.v !== null && p.v !== undefined && !isNaN(p.v) && !isNaN(p.t));
+}
 
-        const points = this.history.get(key);
-        points.push(value);
+function toTimestamp(t) {
+    if (t instanceof Date) return t.getTime();
+    if (typeof t === 'string') return Date.parse(t);
+    return t;
+}
 
-        // Keep only last N points
-        if (points.length > this.maxPoints) {
-            points.shift();
-        }
+// Splits timed points wherever the spacing jumps well beyond the usual sample interval
+function splitAtGaps(points, maxGapMs) {
+    if (!points[0].timed || (points.length < 3 && maxGapMs === null)) {
+        return [points];
     }
 
-    get(key) {
-        return this.history.get(key) || [];
+    let limit = maxGapMs;
+    if (limit === null) {
+        const intervals = points.slice(1).map((p, i) => p.t - points[i].t).sort((a, b) => a - b);
+        limit = intervals[Math.floor(intervals.length / 2)] * GAP_FACTOR;
     }
 
-    clear(key) {
-        if (key) {
-            this.history.delete(key);
-        } else {
-            this.history.clear();
+    const segments = [[points[0]]];
+    for (let i = 1; i < points.length; i++) {
+        if (limit > 0 && points[i].t - points[i - 1].t > limit) {
+            segments.push([]);
         }
+        segments[segments.length - 1].push(points[i]);
     }
+    return segments;
+}
+
+function renderMarkers(points, markers, { scaleX, scaleY, strokeColor, formatValue, formatTime }) {
+    if (markers.length === 0) return '';
+
+    const byValue = [...points].sort((a, b) => a.v - b.v);
+    const picks = {
+        min: { point: byValue[0], label: 'Min' },
+        max: { point: byValue[byValue.length - 1], label: 'Max' },
+        last: { point: points[points.length - 1], label: 'Last' }
+    };
+
+    return markers
+        .filter(name => picks[name])
+        .map(name => {
+            const { point, label } = picks[name];
+            const filled = name === 'last';
+            return `
+                <circle class="sparkline-marker" cx="${scaleX(point.t)}" cy="${scaleY(point.v)}" r="2.5"
+                    fill="${filled ? strokeColor : '#ffffff'}" stroke="${strokeColor}" stroke-width="1.5">
+                    <title>${label}: ${escapeXml(readout(point, formatValue, formatTime))}</title>
+                </circle>
+            `;
+        })
+        .join('');
+}
+
+function readout(point, formatValue, formatTime) {
+    return point.timed ? `${formatValue(point.v)} at ${formatTime(point.t)}` : formatValue(point.v);
+}
+
+function defaultFormatValue(value) {
+    return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function defaultFormatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString();
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
 }
@@ -0,0 +1,11 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>Outcome of a batch operation for one subscription.</summary>
+public class BatchOperationItemResultDto
+{
+    /// <summary>Subscription identifier.</summary>
+    public required string Id { get; set; }
+
+    /// <summary>Result of the operation on this subscription.</summary>
+    public required OperationResultDto Result { get; set; }
+}
@@ -0,0 +1,17 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>Outcome of a batch operation, one result per subscription in request order.</summary>
+public class BatchOperationResultDto
+{
+    /// <summary>Operation that was applied.</summary>
+    public required string Operation { get; set; }
+
+    /// <summary>Number of subscriptions the operation succeeded for.</summary>
+    public int Succeeded { get; set; }
+
+    /// <summary>Number of subscriptions the operation failed for.</summary>
+    public int Failed { get; set; }
+
+    /// <summary>Per-subscription results.</summary>
+    public List<BatchOperationItemResultDto> Results { get; set; } = new();
+}
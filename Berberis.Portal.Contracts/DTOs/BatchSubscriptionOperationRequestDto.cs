@@ -0,0 +1,11 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>Control operation to apply to several subscriptions at once.</summary>
+public class BatchSubscriptionOperationRequestDto
+{
+    /// <summary>Operation to apply: "suspend", "resume" or "detach".</summary>
+    public required string Operation { get; set; }
+
+    /// <summary>Subscription identifiers; duplicates are applied once.</summary>
+    public List<string> Ids { get; set; } = new();
+}
@@ -0,0 +1,29 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>Limits past which the portal flags a subscription as a bottleneck.</summary>
+public class BottleneckThresholdsDto
+{
+    /// <summary>Queue depth (messages) that counts as a warning.</summary>
+    public long QueueDepthWarning { get; set; } = 1000;
+
+    /// <summary>Queue depth (messages) that counts as critical.</summary>
+    public long QueueDepthCritical { get; set; } = 5000;
+
+    /// <summary>Processing rate (msg/s) below which a subscription with work is slow.</summary>
+    public double ProcessRateWarning { get; set; } = 100;
+
+    /// <summary>Average latency (ms) that counts as a warning.</summary>
+    public double LatencyWarning { get; set; } = 100;
+
+    /// <summary>Average latency (ms) that counts as critical.</summary>
+    public double LatencyCritical { get; set; } = 500;
+
+    /// <summary>Percentile (p99) latency (ms) that counts as a warning.</summary>
+    public double PercentileLatencyWarning { get; set; } = 200;
+
+    /// <summary>Share of the handler timeout (0-100) a handler may use before it is flagged.</summary>
+    public double TimeoutWarningPercent { get; set; } = 80;
+
+    /// <summary>Smallest share of messages (0-1) conflation should drop to count as effective.</summary>
+    public double ConflationEffectivenessMin { get; set; } = 0.2;
+}
@@ -0,0 +1,26 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>Page of a channel's message store, newest first.</summary>
+public class ChannelMessagesDto
+{
+    /// <summary>Channel name.</summary>
+    public required string ChannelName { get; set; }
+
+    /// <summary>Message body type name.</summary>
+    public required string BodyType { get; set; }
+
+    /// <summary>How bodies are encoded: "json" (objects), "text" (strings) or "binary" (byte arrays, as base64).</summary>
+    public required string BodyFormat { get; set; }
+
+    /// <summary>Total number of stored messages matching the filters.</summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>Offset of the first message in this page.</summary>
+    public int Offset { get; set; }
+
+    /// <summary>Maximum number of messages in this page.</summary>
+    public int Limit { get; set; }
+
+    /// <summary>Stored messages in this page, newest first.</summary>
+    public List<StateEntryDto> Messages { get; set; } = new();
+}
@@ -0,0 +1,48 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>Page of stored messages from a stateful channel.</summary>
+public class ChannelStateDto
+{
+    /// <summary>Channel name.</summary>
+    public required string ChannelName { get; set; }
+
+    /// <summary>Message body type name.</summary>
+    public required string BodyType { get; set; }
+
+    /// <summary>How bodies are encoded: "json" (objects), "text" (strings) or "binary" (byte arrays, as base64).</summary>
+    public required string BodyFormat { get; set; }
+
+    /// <summary>Total number of keys matching the search.</summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>Offset of the first entry in this page.</summary>
+    public int Offset { get; set; }
+
+    /// <summary>Maximum number of entries in this page.</summary>
+    public int Limit { get; set; }
+
+    /// <summary>Stored messages in this page, ordered by key.</summary>
+    public List<StateEntryDto> Entries { get; set; } = new();
+}
+
+/// <summary>Stored message for a single state key.</summary>
+public class StateEntryDto
+{
+    /// <summary>State key.</summary>
+    public required string Key { get; set; }
+
+    /// <summary>Message ID.</summary>
+    public long MessageId { get; set; }
+
+    /// <summary>Message timestamp (UTC).</summary>
+    public DateTime Timestamp { get; set; }
+
+    /// <summary>Source identifier.</summary>
+    public string? From { get; set; }
+
+    /// <summary>Correlation ID.</summary>
+    public long CorrelationId { get; set; }
+
+    /// <summary>Message payload.</summary>
+    public object? Body { get; set; }
+}
@@ -0,0 +1,92 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>Recorded metrics for a time window, downsampled to one point per step.</summary>
+public class MetricsHistoryDto
+{
+    /// <summary>Start of the requested window (UTC).</summary>
+    public DateTime From { get; set; }
+
+    /// <summary>End of the requested window (UTC).</summary>
+    public DateTime To { get; set; }
+
+    /// <summary>Width of each point's bucket (ms).</summary>
+    public int StepMs { get; set; }
+
+    /// <summary>Interval between recorded samples (ms).</summary>
+    public int SampleIntervalMs { get; set; }
+
+    /// <summary>How far back samples are kept (ms); a window reaching further back is only partly recorded.</summary>
+    public long RetentionMs { get; set; }
+
+    /// <summary>System-wide metrics, oldest first.</summary>
+    public List<OverviewHistoryPointDto> Overview { get; set; } = new();
+
+    /// <summary>Per-channel metrics keyed by channel name, oldest first.</summary>
+    public Dictionary<string, List<ChannelHistoryPointDto>> Channels { get; set; } = new();
+
+    /// <summary>Per-subscription metrics keyed by subscription ID, oldest first.</summary>
+    public Dictionary<string, List<SubscriptionHistoryPointDto>> Subscriptions { get; set; } = new();
+}
+
+/// <summary>System-wide metrics for one step. Rates and gauges are averaged, counters are the last value.</summary>
+public class OverviewHistoryPointDto
+{
+    /// <summary>Start of the step (UTC).</summary>
+    public DateTime Timestamp { get; set; }
+
+    /// <summary>Average aggregate throughput (messages/second).</summary>
+    public double SystemThroughput { get; set; }
+
+    /// <summary>Average number of channels.</summary>
+    public double TotalChannels { get; set; }
+
+    /// <summary>Average number of subscriptions.</summary>
+    public double TotalSubscriptions { get; set; }
+
+    /// <summary>Average number of subscriptions with queue depth > 0.</summary>
+    public double SubscriptionsWithBacklog { get; set; }
+
+    /// <summary>Total messages published at the end of the step.</summary>
+    public long TotalMessagesPublished { get; set; }
+
+    /// <summary>Total messages processed at the end of the step.</summary>
+    public long TotalMessagesProcessed { get; set; }
+
+    /// <summary>Total handler timeouts at the end of the step.</summary>
+    public long TotalTimeouts { get; set; }
+}
+
+/// <summary>Channel metrics for one step.</summary>
+public class ChannelHistoryPointDto
+{
+    /// <summary>Start of the step (UTC).</summary>
+    public DateTime Timestamp { get; set; }
+
+    /// <summary>Average publish rate (messages/second).</summary>
+    public double PublishRate { get; set; }
+
+    /// <summary>Total messages at the end of the step.</summary>
+    public long TotalMessages { get; set; }
+}
+
+/// <summary>Subscription metrics for one step.</summary>
+public class SubscriptionHistoryPointDto
+{
+    /// <summary>Start of the step (UTC).</summary>
+    public DateTime Timestamp { get; set; }
+
+    /// <summary>Average queue depth.</summary>
+    public double QueueDepth { get; set; }
+
+    /// <summary>Average processing rate (messages/second).</summary>
+    public double ProcessRate { get; set; }
+
+    /// <summary>Average latency (ms).</summary>
+    public double AvgLatencyMs { get; set; }
+
+    /// <summary>Average percentile latency (ms).</summary>
+    public double PercentileLatencyMs { get; set; }
+
+    /// <summary>Total handler timeouts at the end of the step.</summary>
+    public long TimeoutCount { get; set; }
+}
@@ -0,0 +1,14 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>A CrossBar host the portal can connect to.</summary>
+public class PortalInstanceDto
+{
+    /// <summary>Short identifier used in portal URLs (e.g. "pricing" in #/i/pricing/channels).</summary>
+    public required string Id { get; set; }
+
+    /// <summary>Display name.</summary>
+    public required string Name { get; set; }
+
+    /// <summary>Origin of the host's portal API (e.g. "https://pricing-host:7001"). Empty for the host serving the portal.</summary>
+    public string BaseUrl { get; set; } = string.Empty;
+}
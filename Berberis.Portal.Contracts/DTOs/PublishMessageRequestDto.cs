@@ -0,0 +1,25 @@
+using System.Text.Json;
+
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>Message composed in the portal for publishing to a channel.</summary>
+public class PublishMessageRequestDto
+{
+    /// <summary>Message key. Required when <see cref="Store"/> is set.</summary>
+    public string? Key { get; set; }
+
+    /// <summary>Source identifier.</summary>
+    public string? From { get; set; }
+
+    /// <summary>Correlation ID.</summary>
+    public long CorrelationId { get; set; }
+
+    /// <summary>Whether to keep the message in the channel's message store under its key.</summary>
+    public bool Store { get; set; }
+
+    /// <summary>Message body as JSON; must deserialize to the channel's body type.</summary>
+    public JsonElement Body { get; set; }
+
+    /// <summary>Validate the message without publishing it.</summary>
+    public bool DryRun { get; set; }
+}
@@ -0,0 +1,21 @@
+using System.Text.Json;
+
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>A named portal screen with its URL state and settings.</summary>
+public class SavedViewDto
+{
+    /// <summary>Name shown in the portal; unique per user.</summary>
+    public required string Name { get; set; }
+
+    /// <summary>Screen the view opens (e.g. "subscriptions").</summary>
+    public required string Screen { get; set; }
+
+    /// <summary>Portal route including its query, e.g. "#/subscriptions?search=queueDepth%20%3E%201k".</summary>
+    public required string Route { get; set; }
+
+    /// <summary>Settings sections applied when the view is opened.</summary>
+    public Dictionary<string, JsonElement> Sections { get; set; } = new();
+
+    public DateTime? CreatedAt { get; set; }
+}
@@ -41,7 +41,4 @@ public class SubscriptionDetailDto : SubscriptionInfoDto
 
     /// <summary>Handler timeout duration (if configured).</summary>
     public TimeSpan? HandlerTimeout { get; set; }
-
-    /// <summary>Backpressure/slow consumer strategy.</summary>
-    public string? BackpressureStrategy { get; set; }
 }
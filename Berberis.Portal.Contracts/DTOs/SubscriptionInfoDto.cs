@@ -41,4 +41,7 @@ public class SubscriptionInfoDto
 
     /// <summary>Conflation effectiveness ratio (0.0-1.0).</summary>
     public double? ConflationRatio { get; set; }
+
+    /// <summary>Backpressure/slow consumer strategy.</summary>
+    public string? BackpressureStrategy { get; set; }
 }
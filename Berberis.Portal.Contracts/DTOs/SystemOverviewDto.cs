@@ -26,4 +26,7 @@ public class SystemOverviewDto
 
     /// <summary>Number of subscriptions with queue depth > 0.</summary>
     public int SubscriptionsWithBacklog { get; set; }
+
+    /// <summary>Share of processed messages whose handler timed out (0-1).</summary>
+    public double SystemErrorRate { get; set; }
 }
@@ -0,0 +1,25 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>Describes one threshold so clients can label and validate it.</summary>
+public class ThresholdFieldDto
+{
+    /// <summary>Property name as serialized, e.g. "latencyWarning".</summary>
+    public required string Name { get; set; }
+
+    public required string Label { get; set; }
+
+    /// <summary>Unit shown next to the value, e.g. "ms" or "msg/s".</summary>
+    public required string Unit { get; set; }
+
+    public double Min { get; set; }
+
+    public double? Max { get; set; }
+
+    public double Step { get; set; } = 1;
+
+    /// <summary>Whether the value must be a whole number.</summary>
+    public bool Integer { get; set; }
+
+    /// <summary>Name of the field this one may not exceed (warning levels name their critical level).</summary>
+    public string? AtMost { get; set; }
+}
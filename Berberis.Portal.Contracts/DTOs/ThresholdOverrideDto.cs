@@ -0,0 +1,26 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>
+/// Thresholds for subscriptions on channels matching a pattern. Unset values fall back to the defaults.
+/// </summary>
+public class ThresholdOverrideDto
+{
+    /// <summary>Channel pattern, e.g. "orders.*" or "prices.>"; "*" matches one segment, ">" the rest.</summary>
+    public required string ChannelPattern { get; set; }
+
+    public long? QueueDepthWarning { get; set; }
+
+    public long? QueueDepthCritical { get; set; }
+
+    public double? ProcessRateWarning { get; set; }
+
+    public double? LatencyWarning { get; set; }
+
+    public double? LatencyCritical { get; set; }
+
+    public double? PercentileLatencyWarning { get; set; }
+
+    public double? TimeoutWarningPercent { get; set; }
+
+    public double? ConflationEffectivenessMin { get; set; }
+}
@@ -0,0 +1,9 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>Validation rules the server applies to threshold settings.</summary>
+public class ThresholdSchemaDto
+{
+    public required List<ThresholdFieldDto> Fields { get; set; }
+
+    public int MaxOverrides { get; set; }
+}
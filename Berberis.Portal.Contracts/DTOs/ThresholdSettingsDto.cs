@@ -0,0 +1,12 @@
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>Bottleneck thresholds shared by everyone using the portal.</summary>
+public class ThresholdSettingsDto
+{
+    public BottleneckThresholdsDto Defaults { get; set; } = new();
+
+    /// <summary>Per channel pattern overrides; when several match, later ones win.</summary>
+    public List<ThresholdOverrideDto> Overrides { get; set; } = new();
+
+    public DateTime? UpdatedAt { get; set; }
+}
@@ -0,0 +1,16 @@
+using System.Text.Json;
+
+namespace Berberis.Portal.Contracts.DTOs;
+
+/// <summary>A portal user's settings and saved views, as synced between browsers.</summary>
+public class UserPreferencesDto
+{
+    /// <summary>When the browser that sent these last changed them; the newer copy wins when syncing.</summary>
+    public DateTime? UpdatedAt { get; set; }
+
+    /// <summary>Settings by section (usually a screen name), e.g. "traces" -> { "maxTraces": 1000 }. Opaque to the server.</summary>
+    public Dictionary<string, JsonElement> Sections { get; set; } = new();
+
+    /// <summary>Named views the user has saved.</summary>
+    public List<SavedViewDto> Views { get; set; } = new();
+}
@@ -351,6 +351,49 @@ public partial class CrossBarTests
         channels.Should().Contain(c => c.Name == "user.channel");
     }
 
+    [Fact]
+    public void GetChannelSubscriptions_ReturnsSubscriptionItself()
+    {
+        // Arrange
+        var xBar = TestHelpers.CreateTestCrossBar();
+        var subscription = xBar.Subscribe<string>("test.channel", _ => ValueTask.CompletedTask, "TestSubscription", CancellationToken.None);
+
+        // Act
+        var info = xBar.GetChannelSubscriptions("test.channel")!.Single();
+        info.Subscription.IsProcessingSuspended = true;
+
+        // Assert
+        info.Subscription.Should().BeSameAs(subscription);
+        subscription.IsProcessingSuspended.Should().BeTrue();
+
+        subscription.Dispose();
+    }
+
+    [Fact]
+    public void GetChannelSubscriptions_ReportsSlowConsumerStrategy()
+    {
+        // Arrange
+        var xBar = TestHelpers.CreateTestCrossBar();
+        var subscription = xBar.Subscribe<string>(
+            "test.channel",
+            _ => ValueTask.CompletedTask,
+            subscriptionName: "TestSubscription",
+            fetchState: false,
+            slowConsumerStrategy: SlowConsumerStrategy.FailSubscription,
+            bufferCapacity: 100,
+            conflationInterval: TimeSpan.Zero,
+            subscriptionStatsOptions: default,
+            token: default);
+
+        // Act
+        var info = xBar.GetChannelSubscriptions("test.channel")!.Single();
+
+        // Assert
+        info.SlowConsumerStrategy.Should().Be(SlowConsumerStrategy.FailSubscription);
+
+        subscription.Dispose();
+    }
+
     [Fact]
     public async Task TryDeleteChannel_RemovesChannel_ReturnsTrue()
     {
@@ -0,0 +1,88 @@
+using Berberis.Portal.Api.Controllers;
+using Berberis.Portal.Api.Services;
+using Berberis.Portal.Contracts.DTOs;
+using FluentAssertions;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging.Abstractions;
+using NSubstitute;
+
+namespace Berberis.Portal.Api.Tests.Controllers;
+
+public class PreferencesControllerTests
+{
+    private readonly UserPreferencesService _service;
+    private readonly PreferencesController _controller;
+
+    public PreferencesControllerTests()
+    {
+        var configuration = new ConfigurationBuilder().AddInMemoryCollection().Build();
+        _service = new UserPreferencesService(NullLogger<UserPreferencesService>.Instance, configuration, Substitute.For<IHostEnvironment>());
+        _controller = new PreferencesController(_service, NullLogger<PreferencesController>.Instance);
+    }
+
+    private static SavedViewDto View(string name, string route = "#/subscriptions") =>
+        new() { Name = name, Screen = "subscriptions", Route = route };
+
+    [Fact]
+    public async Task SavePreferences_ValidViews_SavesThem()
+    {
+        // Arrange
+        var preferences = new UserPreferencesDto { Views = new List<SavedViewDto> { View("Backlog") } };
+
+        // Act
+        var result = await _controller.SavePreferences("alice", preferences);
+
+        // Assert
+        result.Result.Should().BeOfType<OkObjectResult>();
+        (await _service.GetAsync("alice")).Should().BeSameAs(preferences);
+    }
+
+    [Fact]
+    public async Task SavePreferences_NullViews_ReturnsBadRequest()
+    {
+        // Act
+        var result = await _controller.SavePreferences("alice", new UserPreferencesDto { Views = null! });
+
+        // Assert
+        result.Result.Should().BeOfType<BadRequestObjectResult>();
+        (await _service.GetAsync("alice")).Should().BeNull();
+    }
+
+    [Fact]
+    public async Task SavePreferences_NullView_ReturnsBadRequest()
+    {
+        // Act
+        var result = await _controller.SavePreferences("alice", new UserPreferencesDto { Views = new List<SavedViewDto> { null! } });
+
+        // Assert
+        result.Result.Should().BeOfType<BadRequestObjectResult>();
+    }
+
+    [Fact]
+    public async Task SavePreferences_ViewWithoutRoute_ReturnsBadRequest()
+    {
+        // Act
+        var result = await _controller.SavePreferences("alice", new UserPreferencesDto
+        {
+            Views = new List<SavedViewDto> { View("Backlog", route: null!) }
+        });
+
+        // Assert
+        result.Result.Should().BeOfType<BadRequestObjectResult>();
+    }
+
+    [Fact]
+    public async Task SavePreferences_DuplicateViewNames_ReturnsBadRequest()
+    {
+        // Act
+        var result = await _controller.SavePreferences("alice", new UserPreferencesDto
+        {
+            Views = new List<SavedViewDto> { View("Backlog"), View("Backlog", "#/channels") }
+        });
+
+        // Assert
+        result.Result.Should().BeOfType<BadRequestObjectResult>();
+    }
+}
@@ -0,0 +1,186 @@
+using Berberis.Messaging;
+using Berberis.Portal.Api.Controllers;
+using Berberis.Portal.Api.Services;
+using Berberis.Portal.Contracts.DTOs;
+using FluentAssertions;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging.Abstractions;
+
+namespace Berberis.Portal.Api.Tests.Controllers;
+
+public class SubscriptionsControllerTests : IDisposable
+{
+    private readonly CrossBar _crossBar = new(NullLoggerFactory.Instance);
+    private readonly SubscriptionsController _controller;
+
+    public SubscriptionsControllerTests()
+    {
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?> { ["PortalOptions:MaxBatchSize"] = "3" })
+            .Build();
+
+        var portalService = new PortalService(_crossBar, NullLogger<PortalService>.Instance, new CrossBarOptions());
+        _controller = new SubscriptionsController(portalService, NullLogger<SubscriptionsController>.Instance, configuration);
+    }
+
+    public void Dispose() => _crossBar.Dispose();
+
+    private ISubscription Subscribe(string channel, string name) =>
+        _crossBar.Subscribe<string>(channel, _ => ValueTask.CompletedTask, name, CancellationToken.None);
+
+    private static T OkValue<T>(ActionResult<T> result) =>
+        (T)result.Result.Should().BeOfType<OkObjectResult>().Which.Value!;
+
+    private async Task<string> GetStatusAsync(ISubscription subscription) =>
+        OkValue(await _controller.GetSubscriptionDetails(subscription.Name)).Status;
+
+    [Fact]
+    public async Task SuspendSubscription_KnownId_SuspendsProcessing()
+    {
+        // Arrange
+        var subscription = Subscribe("orders", "risk");
+
+        // Act
+        var result = OkValue(await _controller.SuspendSubscription(subscription.Name));
+
+        // Assert
+        result.Success.Should().BeTrue();
+        subscription.IsProcessingSuspended.Should().BeTrue();
+        (await GetStatusAsync(subscription)).Should().Be("Suspended");
+    }
+
+    [Fact]
+    public async Task ResumeSubscription_SuspendedId_ResumesProcessing()
+    {
+        // Arrange
+        var subscription = Subscribe("orders", "risk");
+        subscription.IsProcessingSuspended = true;
+
+        // Act
+        var result = OkValue(await _controller.ResumeSubscription(subscription.Name));
+
+        // Assert
+        result.Success.Should().BeTrue();
+        subscription.IsProcessingSuspended.Should().BeFalse();
+        (await GetStatusAsync(subscription)).Should().Be("Active");
+    }
+
+    [Fact]
+    public async Task DetachSubscription_KnownId_DetachesFromChannel()
+    {
+        // Arrange
+        var subscription = Subscribe("orders", "risk");
+
+        // Act
+        var result = OkValue(await _controller.DetachSubscription(subscription.Name));
+
+        // Assert
+        result.Success.Should().BeTrue();
+        subscription.IsDetached.Should().BeTrue();
+        (await GetStatusAsync(subscription)).Should().Be("Detached");
+    }
+
+    [Fact]
+    public async Task SuspendSubscription_UnknownId_ReportsNotFound()
+    {
+        // Act
+        var result = OkValue(await _controller.SuspendSubscription("missing"));
+
+        // Assert
+        result.Success.Should().BeFalse();
+        result.Error.Should().Be("Subscription 'missing' not found");
+    }
+
+    [Fact]
+    public async Task ApplyBatchOperation_MixedIds_ReportsEachResult()
+    {
+        // Arrange
+        var first = Subscribe("risk.limits", "risk");
+        var second = Subscribe("risk.exposure", "risk");
+        var other = Subscribe("orders", "orders");
+
+        // Act
+        var result = OkValue(await _controller.ApplyBatchOperation(new BatchSubscriptionOperationRequestDto
+        {
+            Operation = "Suspend",
+            Ids = new List<string> { first.Name, second.Name, "missing", first.Name }
+        }));
+
+        // Assert
+        result.Operation.Should().Be("suspend");
+        result.Succeeded.Should().Be(2);
+        result.Failed.Should().Be(1);
+        result.Results.Select(r => r.Id).Should().Equal(first.Name, second.Name, "missing");
+        result.Results.Single(r => r.Id == "missing").Result.Success.Should().BeFalse();
+        first.IsProcessingSuspended.Should().BeTrue();
+        second.IsProcessingSuspended.Should().BeTrue();
+        other.IsProcessingSuspended.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task ApplyBatchOperation_Detach_DetachesEverySubscription()
+    {
+        // Arrange
+        var first = Subscribe("risk.limits", "risk");
+        var second = Subscribe("risk.exposure", "risk");
+
+        // Act
+        var result = OkValue(await _controller.ApplyBatchOperation(new BatchSubscriptionOperationRequestDto
+        {
+            Operation = "detach",
+            Ids = new List<string> { first.Name, second.Name }
+        }));
+
+        // Assert
+        result.Succeeded.Should().Be(2);
+        first.IsDetached.Should().BeTrue();
+        second.IsDetached.Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task ApplyBatchOperation_NullIds_ReturnsBadRequest()
+    {
+        // Act
+        var result = await _controller.ApplyBatchOperation(new BatchSubscriptionOperationRequestDto
+        {
+            Operation = "suspend",
+            Ids = null!
+        });
+
+        // Assert
+        result.Result.Should().BeOfType<BadRequestObjectResult>();
+    }
+
+    [Fact]
+    public async Task ApplyBatchOperation_UnknownOperation_ReturnsBadRequest()
+    {
+        // Arrange
+        var subscription = Subscribe("orders", "risk");
+
+        // Act
+        var result = await _controller.ApplyBatchOperation(new BatchSubscriptionOperationRequestDto
+        {
+            Operation = "delete",
+            Ids = new List<string> { subscription.Name }
+        });
+
+        // Assert
+        result.Result.Should().BeOfType<BadRequestObjectResult>();
+        subscription.IsDetached.Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task ApplyBatchOperation_MoreIdsThanMaxBatchSize_ReturnsBadRequest()
+    {
+        // Act
+        var result = await _controller.ApplyBatchOperation(new BatchSubscriptionOperationRequestDto
+        {
+            Operation = "suspend",
+            Ids = new List<string> { "a", "b", "c", "d" }
+        });
+
+        // Assert
+        result.Result.Should().BeOfType<BadRequestObjectResult>();
+    }
+}
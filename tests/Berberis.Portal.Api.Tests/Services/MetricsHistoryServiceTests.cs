@@ -0,0 +1,195 @@
+using Berberis.Portal.Api.Services;
+using Berberis.Portal.Contracts.DTOs;
+using FluentAssertions;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging.Abstractions;
+using NSubstitute;
+
+namespace Berberis.Portal.Api.Tests.Services;
+
+public class MetricsHistoryServiceTests
+{
+    private static readonly DateTime Start = new(2025, 1, 1, 12, 0, 0, DateTimeKind.Utc);
+
+    private static MetricsHistoryService CreateService(int durationMinutes = 60, int maxSeries = MetricsHistoryService.DefaultMaxSeries)
+    {
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?>
+            {
+                ["PortalOptions:MetricsHistoryIntervalMs"] = "15000",
+                ["PortalOptions:MetricsHistoryDurationMinutes"] = durationMinutes.ToString(),
+                ["PortalOptions:MetricsHistoryMaxSeries"] = maxSeries.ToString()
+            })
+            .Build();
+
+        return new MetricsHistoryService(
+            Substitute.For<IPortalService>(),
+            NullLogger<MetricsHistoryService>.Instance,
+            configuration);
+    }
+
+    private static void Record(MetricsHistoryService service, int secondsFromStart, double throughput,
+        ChannelInfoDto[]? channels = null, SubscriptionInfoDto[]? subscriptions = null)
+    {
+        service.Record(
+            Start.AddSeconds(secondsFromStart),
+            new SystemOverviewDto { SystemThroughput = throughput, TotalMessagesPublished = (long)throughput * 10 },
+            channels ?? Array.Empty<ChannelInfoDto>(),
+            subscriptions ?? Array.Empty<SubscriptionInfoDto>());
+    }
+
+    private static ChannelInfoDto Channel(string name, double publishRate, long totalMessages = 0) =>
+        new() { Name = name, BodyType = "String", PublishRate = publishRate, TotalMessages = totalMessages };
+
+    private static SubscriptionInfoDto Subscription(string id, long queueDepth) =>
+        new() { Id = id, ChannelPattern = "orders.*", QueueDepth = queueDepth };
+
+    [Fact]
+    public void GetHistory_SamplesInSameStep_AveragesRatesAndTakesLastCounter()
+    {
+        // Arrange
+        var service = CreateService();
+        Record(service, 0, 10);
+        Record(service, 15, 20);
+        Record(service, 30, 30);
+        Record(service, 45, 40);
+
+        // Act
+        var history = service.GetHistory(Start, Start.AddSeconds(60), TimeSpan.FromSeconds(30));
+
+        // Assert
+        history.StepMs.Should().Be(30000);
+        history.Overview.Should().HaveCount(2);
+        history.Overview[0].Timestamp.Should().Be(Start);
+        history.Overview[0].SystemThroughput.Should().Be(15);
+        history.Overview[0].TotalMessagesPublished.Should().Be(200);
+        history.Overview[1].Timestamp.Should().Be(Start.AddSeconds(30));
+        history.Overview[1].SystemThroughput.Should().Be(35);
+        history.Overview[1].TotalMessagesPublished.Should().Be(400);
+    }
+
+    [Fact]
+    public void GetHistory_StepsWithoutSamples_AreOmitted()
+    {
+        // Arrange
+        var service = CreateService();
+        Record(service, 0, 10);
+        Record(service, 90, 20);
+
+        // Act
+        var history = service.GetHistory(Start, Start.AddSeconds(120), TimeSpan.FromSeconds(30));
+
+        // Assert
+        history.Overview.Select(p => p.Timestamp).Should().Equal(Start, Start.AddSeconds(90));
+    }
+
+    [Fact]
+    public void GetHistory_StepBelowSampleInterval_UsesSampleInterval()
+    {
+        // Arrange
+        var service = CreateService();
+        Record(service, 0, 10);
+
+        // Act
+        var history = service.GetHistory(Start, Start.AddSeconds(60), TimeSpan.FromSeconds(1));
+
+        // Assert
+        history.StepMs.Should().Be(15000);
+        history.SampleIntervalMs.Should().Be(15000);
+    }
+
+    [Fact]
+    public void GetHistory_ReportsRetention()
+    {
+        // Arrange
+        var service = CreateService(durationMinutes: 90);
+
+        // Act
+        var history = service.GetHistory(Start, Start.AddHours(6));
+
+        // Assert
+        history.RetentionMs.Should().Be(90 * 60 * 1000);
+    }
+
+    [Fact]
+    public void GetHistory_NoStep_SplitsWindowIntoDefaultMaxPoints()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var history = service.GetHistory(Start, Start.AddHours(5));
+
+        // Assert
+        history.StepMs.Should().Be((int)TimeSpan.FromHours(5).TotalMilliseconds / MetricsHistoryService.DefaultMaxPoints);
+    }
+
+    [Fact]
+    public void GetHistory_SamplesOutsideWindow_AreExcluded()
+    {
+        // Arrange
+        var service = CreateService();
+        Record(service, 0, 10);
+        Record(service, 15, 20);
+        Record(service, 30, 30);
+
+        // Act
+        var history = service.GetHistory(Start.AddSeconds(15), Start.AddSeconds(15), TimeSpan.FromSeconds(15));
+
+        // Assert
+        history.Overview.Should().ContainSingle().Which.SystemThroughput.Should().Be(20);
+    }
+
+    [Fact]
+    public void GetHistory_SeriesMissingFromSomeSamples_AveragesOnlySamplesThatHaveThem()
+    {
+        // Arrange
+        var service = CreateService();
+        Record(service, 0, 10, new[] { Channel("orders", 100, 1000) }, new[] { Subscription("sub-1", 4) });
+        Record(service, 15, 10, new[] { Channel("orders", 300, 2000), Channel("prices", 50) });
+
+        // Act
+        var history = service.GetHistory(Start, Start.AddSeconds(30), TimeSpan.FromSeconds(30));
+
+        // Assert
+        history.Channels["orders"].Should().ContainSingle();
+        history.Channels["orders"][0].PublishRate.Should().Be(200);
+        history.Channels["orders"][0].TotalMessages.Should().Be(2000);
+        history.Channels["prices"][0].PublishRate.Should().Be(50);
+        history.Subscriptions["sub-1"][0].QueueDepth.Should().Be(4);
+    }
+
+    [Fact]
+    public void Record_BufferFull_OverwritesOldestSamples()
+    {
+        // Arrange - one minute at 15s intervals holds four samples
+        var service = CreateService(durationMinutes: 1);
+
+        // Act
+        for (var i = 0; i < 6; i++)
+        {
+            Record(service, i * 15, i);
+        }
+
+        // Assert
+        var history = service.GetHistory(Start, Start.AddMinutes(5), TimeSpan.FromSeconds(15));
+        history.Overview.Select(p => p.SystemThroughput).Should().Equal(2, 3, 4, 5);
+    }
+
+    [Fact]
+    public void Record_MoreSeriesThanMaxSeries_KeepsChannelsFirst()
+    {
+        // Arrange
+        var service = CreateService(maxSeries: 2);
+
+        // Act
+        Record(service, 0, 10,
+            new[] { Channel("b", 1), Channel("a", 2) },
+            new[] { Subscription("sub-1", 1) });
+
+        // Assert
+        var history = service.GetHistory(Start, Start.AddSeconds(15), TimeSpan.FromSeconds(15));
+        history.Channels.Keys.Should().BeEquivalentTo("a", "b");
+        history.Subscriptions.Should().BeEmpty();
+    }
+}
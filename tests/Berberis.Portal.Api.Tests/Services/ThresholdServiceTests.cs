@@ -0,0 +1,220 @@
+using Berberis.Portal.Api.Services;
+using Berberis.Portal.Contracts.DTOs;
+using FluentAssertions;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging.Abstractions;
+using NSubstitute;
+
+namespace Berberis.Portal.Api.Tests.Services;
+
+public class ThresholdServiceTests
+{
+    private static ThresholdService CreateService(int maxOverrides = 100, string? thresholdsFile = null)
+    {
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?>
+            {
+                ["PortalOptions:MaxThresholdOverrides"] = maxOverrides.ToString(),
+                ["PortalOptions:ThresholdsFile"] = thresholdsFile
+            })
+            .Build();
+
+        var environment = Substitute.For<IHostEnvironment>();
+        environment.ContentRootPath.Returns(Path.GetTempPath());
+
+        return new ThresholdService(NullLogger<ThresholdService>.Instance, configuration, environment);
+    }
+
+    private static ThresholdSettingsDto Settings(params ThresholdOverrideDto[] overrides) => new()
+    {
+        Defaults = new BottleneckThresholdsDto(),
+        Overrides = overrides.ToList()
+    };
+
+    [Fact]
+    public void Validate_DefaultThresholds_ReturnsNoErrors()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var errors = service.Validate(Settings(new ThresholdOverrideDto { ChannelPattern = "orders.*", QueueDepthWarning = 100 }));
+
+        // Assert
+        errors.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void Validate_MissingDefaults_ReportsOnlyThat()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var errors = service.Validate(new ThresholdSettingsDto { Defaults = null! });
+
+        // Assert
+        errors.Should().Equal("Default thresholds are required");
+    }
+
+    [Fact]
+    public void Validate_DefaultOutOfRange_ReportsField()
+    {
+        // Arrange
+        var service = CreateService();
+        var settings = Settings();
+        settings.Defaults.ProcessRateWarning = -1;
+        settings.Defaults.TimeoutWarningPercent = 150;
+        settings.Defaults.ConflationEffectivenessMin = double.NaN;
+
+        // Act
+        var errors = service.Validate(settings);
+
+        // Assert
+        errors.Should().Equal(
+            "Default Process Rate Warning must be at least 0",
+            "Default Timeout Warning must be at most 100",
+            "Default Min Conflation Effectiveness must be at least 0");
+    }
+
+    [Fact]
+    public void Validate_WarningAboveCritical_ReportsOrder()
+    {
+        // Arrange
+        var service = CreateService();
+        var settings = Settings();
+        settings.Defaults.LatencyWarning = 600;
+
+        // Act
+        var errors = service.Validate(settings);
+
+        // Assert
+        errors.Should().Equal("Default Latency Warning must not be above Latency Critical");
+    }
+
+    [Fact]
+    public void Validate_OverrideWarningAboveDefaultCritical_ReportsOrder()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var errors = service.Validate(Settings(new ThresholdOverrideDto { ChannelPattern = "orders", QueueDepthWarning = 6000 }));
+
+        // Assert
+        errors.Should().Equal("Override 'orders' Queue Depth Warning must not be above Queue Depth Critical");
+    }
+
+    [Fact]
+    public void Validate_OverrideRaisingBothLevels_ReturnsNoErrors()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var errors = service.Validate(Settings(new ThresholdOverrideDto
+        {
+            ChannelPattern = "orders",
+            QueueDepthWarning = 6000,
+            QueueDepthCritical = 10000
+        }));
+
+        // Assert
+        errors.Should().BeEmpty();
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("orders..eu")]
+    [InlineData("orders.>.eu")]
+    [InlineData("orders eu")]
+    public void Validate_InvalidPattern_ReportsPattern(string pattern)
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var errors = service.Validate(Settings(new ThresholdOverrideDto { ChannelPattern = pattern, LatencyWarning = 50 }));
+
+        // Assert
+        errors.Should().Equal($"'{pattern}' is not a valid channel pattern");
+    }
+
+    [Fact]
+    public void Validate_DuplicatePatternAfterTrimming_ReportsDuplicate()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var errors = service.Validate(Settings(
+            new ThresholdOverrideDto { ChannelPattern = "orders.>", LatencyWarning = 50 },
+            new ThresholdOverrideDto { ChannelPattern = " orders.> ", LatencyWarning = 60 }));
+
+        // Assert
+        errors.Should().Equal("'orders.>' has more than one override");
+    }
+
+    [Fact]
+    public void Validate_OverrideSettingNothing_ReportsIt()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var errors = service.Validate(Settings(new ThresholdOverrideDto { ChannelPattern = "orders" }));
+
+        // Assert
+        errors.Should().Equal("Override 'orders' does not set any threshold");
+    }
+
+    [Fact]
+    public void Validate_MoreOverridesThanMaxOverrides_ReportsLimit()
+    {
+        // Arrange
+        var service = CreateService(maxOverrides: 1);
+
+        // Act
+        var errors = service.Validate(Settings(
+            new ThresholdOverrideDto { ChannelPattern = "orders", LatencyWarning = 50 },
+            new ThresholdOverrideDto { ChannelPattern = "prices", LatencyWarning = 50 }));
+
+        // Assert
+        errors.Should().Equal("At most 1 overrides can be saved");
+    }
+
+    [Fact]
+    public async Task SaveAsync_NullOverrides_SavesEmptyList()
+    {
+        // Arrange
+        var service = CreateService();
+        var settings = new ThresholdSettingsDto { Defaults = new BottleneckThresholdsDto(), Overrides = null! };
+
+        // Act
+        var errors = service.Validate(settings);
+        var saved = await service.SaveAsync(settings);
+
+        // Assert
+        errors.Should().BeEmpty();
+        saved.Overrides.Should().BeEmpty();
+        service.Get().Should().BeSameAs(saved);
+    }
+
+    [Fact]
+    public async Task SaveAsync_FileWriteFails_KeepsCurrentThresholds()
+    {
+        // Arrange - the file's directory doesn't exist
+        var service = CreateService(thresholdsFile: Path.Combine($"berberis-missing-{Guid.NewGuid():N}", "thresholds.json"));
+        var current = service.Get();
+        var settings = Settings();
+        settings.Defaults.LatencyWarning = 50;
+
+        // Act
+        var act = () => service.SaveAsync(settings);
+
+        // Assert
+        await act.Should().ThrowAsync<DirectoryNotFoundException>();
+        service.Get().Should().BeSameAs(current);
+    }
+}
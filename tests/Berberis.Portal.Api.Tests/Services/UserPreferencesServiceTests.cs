@@ -0,0 +1,164 @@
+using System.Text.Json;
+using Berberis.Portal.Api.Services;
+using Berberis.Portal.Contracts.DTOs;
+using FluentAssertions;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging.Abstractions;
+using NSubstitute;
+
+namespace Berberis.Portal.Api.Tests.Services;
+
+public class UserPreferencesServiceTests : IDisposable
+{
+    private readonly string _contentRoot = Path.Combine(Path.GetTempPath(), $"berberis-preferences-{Guid.NewGuid():N}");
+
+    public void Dispose()
+    {
+        if (Directory.Exists(_contentRoot))
+            Directory.Delete(_contentRoot, recursive: true);
+    }
+
+    private UserPreferencesService CreateService(string? preferencesDirectory = null)
+    {
+        var configuration = new ConfigurationBuilder()
+            .AddInMemoryCollection(new Dictionary<string, string?> { ["PortalOptions:PreferencesDirectory"] = preferencesDirectory })
+            .Build();
+
+        var environment = Substitute.For<IHostEnvironment>();
+        environment.ContentRootPath.Returns(_contentRoot);
+
+        return new UserPreferencesService(NullLogger<UserPreferencesService>.Instance, configuration, environment);
+    }
+
+    private static UserPreferencesDto CreatePreferences(int maxTraces = 1000) => new()
+    {
+        UpdatedAt = new DateTime(2025, 1, 1, 12, 0, 0, DateTimeKind.Utc),
+        Sections = new Dictionary<string, JsonElement>
+        {
+            ["traces"] = JsonSerializer.SerializeToElement(new { maxTraces })
+        },
+        Views = new List<SavedViewDto>
+        {
+            new() { Name = "Backlog", Screen = "subscriptions", Route = "#/subscriptions?search=queueDepth%20%3E%201k" }
+        }
+    };
+
+    [Theory]
+    [InlineData("alice", true)]
+    [InlineData("a.b_c@d-e", true)]
+    [InlineData("", false)]
+    [InlineData("../alice", false)]
+    [InlineData("alice smith", false)]
+    public void IsValidUserName_ReturnsExpected(string user, bool expected)
+    {
+        // Act & Assert
+        UserPreferencesService.IsValidUserName(user).Should().Be(expected);
+    }
+
+    [Fact]
+    public void IsValidUserName_LongerThan64Characters_ReturnsFalse()
+    {
+        // Act & Assert
+        UserPreferencesService.IsValidUserName(new string('a', 65)).Should().BeFalse();
+    }
+
+    [Fact]
+    public async Task GetAsync_NothingSaved_ReturnsNull()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var result = await service.GetAsync("alice");
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task SaveAsync_ThenGetAsync_ReturnsSavedPreferencesWhateverTheCase()
+    {
+        // Arrange
+        var service = CreateService();
+        var preferences = CreatePreferences();
+
+        // Act
+        await service.SaveAsync("alice", preferences);
+        var result = await service.GetAsync("ALICE");
+
+        // Assert
+        result.Should().BeSameAs(preferences);
+    }
+
+    [Fact]
+    public async Task SaveAsync_WithoutUpdatedAt_StampsIt()
+    {
+        // Arrange
+        var service = CreateService();
+        var preferences = CreatePreferences();
+        preferences.UpdatedAt = null;
+
+        // Act
+        var result = await service.SaveAsync("alice", preferences);
+
+        // Assert
+        result.UpdatedAt.Should().NotBeNull();
+    }
+
+    [Fact]
+    public async Task SaveAsync_WithDirectory_IsReadBackByNewService()
+    {
+        // Arrange
+        await CreateService("preferences").SaveAsync("Alice", CreatePreferences(maxTraces: 250));
+
+        // Act
+        var result = await CreateService("preferences").GetAsync("alice");
+
+        // Assert
+        File.Exists(Path.Combine(_contentRoot, "preferences", "alice.json")).Should().BeTrue();
+        result.Should().NotBeNull();
+        result!.Sections["traces"].GetProperty("maxTraces").GetInt32().Should().Be(250);
+        result.Views.Should().ContainSingle().Which.Name.Should().Be("Backlog");
+    }
+
+    [Fact]
+    public async Task GetAsync_UnreadableFile_ReturnsNull()
+    {
+        // Arrange
+        var service = CreateService("preferences");
+        await File.WriteAllTextAsync(Path.Combine(_contentRoot, "preferences", "alice.json"), "{ not json");
+
+        // Act
+        var result = await service.GetAsync("alice");
+
+        // Assert
+        result.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task Delete_SavedUser_RemovesPreferencesAndFile()
+    {
+        // Arrange
+        var service = CreateService("preferences");
+        await service.SaveAsync("alice", CreatePreferences());
+
+        // Act
+        var removed = service.Delete("alice");
+
+        // Assert
+        removed.Should().BeTrue();
+        (await service.GetAsync("alice")).Should().BeNull();
+        File.Exists(Path.Combine(_contentRoot, "preferences", "alice.json")).Should().BeFalse();
+    }
+
+    [Fact]
+    public void Delete_UnknownUser_ReturnsFalse()
+    {
+        // Arrange
+        var service = CreateService("preferences");
+
+        // Act & Assert
+        service.Delete("alice").Should().BeFalse();
+    }
+}